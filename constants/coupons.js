@@ -0,0 +1,41 @@
+/**
+ * Coupon & Referral Constants
+ * Marketing credits: coupon codes, referral rewards and admin promotional grants.
+ * Point credits are posted as `grant` PointTransactions; every credit also gets a CouponRedemption row for reporting.
+ * Reward amounts can be overridden with environment variables.
+ */
+
+const toNonNegativeInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num >= 0 ? num : defaultValue;
+};
+
+// points = redeeming credits `points`; listing_discount = `discountPercent` off the points cost of new listings
+const COUPON_KINDS = ['points', 'listing_discount'];
+
+// Where a credit came from
+const REDEMPTION_SOURCES = ['coupon', 'referral', 'grant'];
+
+// Upper case letters, digits, - and _
+const COUPON_CODE_PATTERN = /^[A-Z0-9_-]{3,32}$/;
+
+// Referral reward, paid once the referred agent's account is verified by an admin
+const REFERRAL_REFERRER_POINTS = toNonNegativeInt(process.env.REFERRAL_REFERRER_POINTS, 50);
+const REFERRAL_REFEREE_POINTS = toNonNegativeInt(process.env.REFERRAL_REFEREE_POINTS, 25);
+// A referrer earns at most this many rewards (the referred agent still gets theirs)
+const REFERRAL_MAX_REWARDS = toNonNegativeInt(process.env.REFERRAL_MAX_REWARDS, 50);
+const REFERRAL_CODE_LENGTH = 8;
+
+// Users per admin grant request
+const MAX_GRANT_RECIPIENTS = 500;
+
+module.exports = {
+  COUPON_KINDS,
+  REDEMPTION_SOURCES,
+  COUPON_CODE_PATTERN,
+  REFERRAL_REFERRER_POINTS,
+  REFERRAL_REFEREE_POINTS,
+  REFERRAL_MAX_REWARDS,
+  REFERRAL_CODE_LENGTH,
+  MAX_GRANT_RECIPIENTS
+};
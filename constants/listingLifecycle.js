@@ -0,0 +1,66 @@
+/**
+ * Listing Lifecycle Constants
+ * How long an approved listing stays live before it expires, and when agents are reminded.
+ * All values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+const toNonNegativeInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num >= 0 ? num : defaultValue;
+};
+
+// Listing lifetime in days, per listing status (sale listings move slower than rentals)
+const LISTING_LIFETIME_DAYS = {
+  sale: toPositiveInt(process.env.LISTING_LIFETIME_DAYS_SALE, 90),
+  rent: toPositiveInt(process.env.LISTING_LIFETIME_DAYS_RENT, 30)
+};
+
+// Days before expiry when the agent gets a reminder notification
+const LISTING_EXPIRY_REMINDER_DAYS = toPositiveInt(process.env.LISTING_EXPIRY_REMINDER_DAYS, 7);
+
+// Points charged to renew a listing (0 = renewal is free)
+const LISTING_RENEWAL_POINTS = toNonNegativeInt(process.env.LISTING_RENEWAL_POINTS, 0);
+
+// How often the lifecycle job runs (minutes)
+const LISTING_LIFECYCLE_INTERVAL_MINUTES = toPositiveInt(process.env.LISTING_LIFECYCLE_INTERVAL_MINUTES, 60);
+
+// How often scheduled listings (publishAt) are checked and published (minutes)
+const LISTING_PUBLISH_INTERVAL_MINUTES = toPositiveInt(process.env.LISTING_PUBLISH_INTERVAL_MINUTES, 1);
+
+// Max listings handled per job run and step (keeps each run short)
+const LISTING_LIFECYCLE_BATCH_SIZE = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the lifetime (days) for a listing status
+ * @param {string} status - 'sale' | 'rent'
+ * @returns {number} Lifetime in days
+ */
+const getListingLifetimeDays = (status) => LISTING_LIFETIME_DAYS[status] || LISTING_LIFETIME_DAYS.sale;
+
+/**
+ * Calculate a new expiry date for a listing
+ * @param {string} status - 'sale' | 'rent'
+ * @param {Date} from - Start date (default: now)
+ * @returns {Date} Expiry date
+ */
+const calculateExpiresAt = (status, from = new Date()) =>
+  new Date(from.getTime() + getListingLifetimeDays(status) * DAY_MS);
+
+module.exports = {
+  LISTING_LIFETIME_DAYS,
+  LISTING_EXPIRY_REMINDER_DAYS,
+  LISTING_RENEWAL_POINTS,
+  LISTING_LIFECYCLE_INTERVAL_MINUTES,
+  LISTING_PUBLISH_INTERVAL_MINUTES,
+  LISTING_LIFECYCLE_BATCH_SIZE,
+  DAY_MS,
+  getListingLifetimeDays,
+  calculateExpiresAt
+};
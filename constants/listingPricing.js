@@ -0,0 +1,73 @@
+/**
+ * Listing Pricing Constants
+ * What a listing costs in points. Admins edit the rules as versions (models/listingPricing.model.js);
+ * DEFAULT_LISTING_PRICING is used until the first version is saved.
+ */
+
+// Matched case-insensitively against the listing's value; an unmatched value counts as 1.0
+const PRICING_MULTIPLIER_FIELDS = ['propertyType', 'city', 'status'];
+
+// Ranges [min, max) of a number of the listing; max null = no upper bound
+// sizeSqm = size in square metres (any size unit), images / amenities = counts
+const PRICING_BAND_FIELDS = ['sizeSqm', 'images', 'bedrooms', 'amenities'];
+
+// Flat points on top of the listing cost
+const PRICING_UPGRADES = ['featured', 'vip'];
+
+const LISTING_PRICING_CACHE_TTL = 300; // 5 minutes
+
+const DEFAULT_LISTING_PRICING = {
+  version: 0,
+  baseCost: 50,
+  minCost: 0,
+  multipliers: {
+    propertyType: [
+      { value: 'Apartment', multiplier: 1.0 },
+      { value: 'House', multiplier: 1.2 },
+      { value: 'Holiday Home', multiplier: 1.2 },
+      { value: 'Villa', multiplier: 1.5 },
+      { value: 'Villa/farms', multiplier: 1.5 },
+      { value: 'Office', multiplier: 1.5 },
+      { value: 'Commercial', multiplier: 2.0 },
+      { value: 'Building', multiplier: 2.0 },
+      { value: 'Land', multiplier: 0.8 }
+    ],
+    city: [],
+    status: []
+  },
+  bands: {
+    sizeSqm: [
+      { min: 0, max: 200, multiplier: 1.0 },
+      { min: 200, max: 500, multiplier: 1.2 },
+      { min: 500, max: 1000, multiplier: 1.5 },
+      { min: 1000, max: null, multiplier: 2.0 }
+    ],
+    images: [
+      { min: 0, max: 6, multiplier: 1.0 },
+      { min: 6, max: 11, multiplier: 1.1 },
+      { min: 11, max: null, multiplier: 1.3 }
+    ],
+    bedrooms: [
+      { min: 0, max: 4, multiplier: 1.0 },
+      { min: 4, max: 6, multiplier: 1.1 },
+      { min: 6, max: null, multiplier: 1.3 }
+    ],
+    amenities: [
+      { min: 0, max: 6, multiplier: 1.0 },
+      { min: 6, max: 11, multiplier: 1.2 },
+      { min: 11, max: null, multiplier: 1.5 }
+    ]
+  },
+  upgrades: {
+    featured: 100,
+    vip: 250
+  }
+};
+
+module.exports = {
+  PRICING_MULTIPLIER_FIELDS,
+  PRICING_BAND_FIELDS,
+  PRICING_UPGRADES,
+  LISTING_PRICING_CACHE_TTL,
+  DEFAULT_LISTING_PRICING
+};
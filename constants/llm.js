@@ -0,0 +1,77 @@
+/**
+ * LLM Constants
+ * Provider selection, timeouts, retries, caching and the daily cost budget of the LLM used by AI search.
+ * Values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+const toNonNegativeInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num >= 0 ? num : defaultValue;
+};
+
+const toNonNegativeNumber = (value, defaultValue) => {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? num : defaultValue;
+};
+
+// deepseek / openai = hosted APIs, local = any OpenAI-compatible server (LLM_BASE_URL, e.g. Ollama, LM Studio),
+// mock = deterministic offline provider, none = AI search uses the rule-based parser only
+const LLM_PROVIDER_NAMES = ['deepseek', 'openai', 'local', 'mock', 'none'];
+
+// LLM_PROVIDER picks one explicitly; when unset the first configured provider of this list is used
+// (mock and none are never picked automatically)
+const LLM_PROVIDER = (process.env.LLM_PROVIDER || '').trim().toLowerCase() || null;
+const LLM_AUTO_PROVIDER_ORDER = ['deepseek', 'openai', 'local'];
+
+// Overrides of the provider's default model, e.g. LLM_MODEL=qwen2.5:7b for a local server
+const LLM_MODEL = (process.env.LLM_MODEL || '').trim() || null;
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || '').trim() || null;
+
+// One request (ms), and how many times a timeout / 429 / 5xx is retried
+const LLM_TIMEOUT_MS = toPositiveInt(process.env.LLM_TIMEOUT_MS, 10000);
+const LLM_MAX_RETRIES = toNonNegativeInt(process.env.LLM_MAX_RETRIES, 1);
+const LLM_RETRY_DELAY_MS = 500; // doubled on each retry
+
+// Answers are cached per provider, model, prompt and normalized query (0 disables the cache)
+const LLM_CACHE_TTL_SECONDS = toNonNegativeInt(process.env.LLM_CACHE_TTL_SECONDS, 24 * 60 * 60);
+
+// Max LLM spend per UTC day in USD across all server instances (0 = no limit).
+// When reached, AI search falls back to the rule-based parser until the next day.
+const LLM_DAILY_BUDGET_USD = toNonNegativeNumber(process.env.LLM_DAILY_BUDGET_USD, 5);
+
+// USD per 1M tokens used for the budget (LLM_PRICE_INPUT_PER_1M / LLM_PRICE_OUTPUT_PER_1M override the active provider's)
+const LLM_DEFAULT_PRICING = {
+  deepseek: { input: 0.27, output: 1.1 },
+  openai: { input: 0.5, output: 1.5 },
+  local: { input: 0, output: 0 },
+  mock: { input: 0, output: 0 }
+};
+const LLM_PRICE_INPUT_PER_1M = toNonNegativeNumber(process.env.LLM_PRICE_INPUT_PER_1M, null);
+const LLM_PRICE_OUTPUT_PER_1M = toNonNegativeNumber(process.env.LLM_PRICE_OUTPUT_PER_1M, null);
+
+// Mock provider: simulated latency, and LLM_MOCK_FAIL=true makes every call fail (tests the rule-based fallback)
+const LLM_MOCK_LATENCY_MS = toNonNegativeInt(process.env.LLM_MOCK_LATENCY_MS, 0);
+const LLM_MOCK_FAIL = process.env.LLM_MOCK_FAIL === 'true';
+
+module.exports = {
+  LLM_PROVIDER_NAMES,
+  LLM_PROVIDER,
+  LLM_AUTO_PROVIDER_ORDER,
+  LLM_MODEL,
+  LLM_BASE_URL,
+  LLM_TIMEOUT_MS,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_DELAY_MS,
+  LLM_CACHE_TTL_SECONDS,
+  LLM_DAILY_BUDGET_USD,
+  LLM_DEFAULT_PRICING,
+  LLM_PRICE_INPUT_PER_1M,
+  LLM_PRICE_OUTPUT_PER_1M,
+  LLM_MOCK_LATENCY_MS,
+  LLM_MOCK_FAIL
+};
@@ -11,7 +11,8 @@ const ADMIN_NOTIFICATION_TYPES = {
   AGENT_DELETE_LISTING: 'admin.agent_delete_listing',
   ADMIN_MESSAGE: 'admin.message',
   ADMIN_REVIEW: 'admin.review',
-  FUTURE_BUYER_REQUEST: 'admin.future_buyer_request'
+  FUTURE_BUYER_REQUEST: 'admin.future_buyer_request',
+  POINT_ORDER_PENDING: 'admin.point_order_pending'
 };
 
 // Agent Notification Types
@@ -21,13 +22,26 @@ const AGENT_NOTIFICATION_TYPES = {
   LISTING_MESSAGE: 'agent.message',
   LISTING_APPROVED: 'agent.listing_approved',
   LISTING_REJECTED: 'agent.listing_rejected',
-  AGENT_APPROVED: 'agent.agent_approved'
+  LISTING_EXPIRING: 'agent.listing_expiring',
+  LISTING_EXPIRED: 'agent.listing_expired',
+  AGENT_APPROVED: 'agent.agent_approved',
+  PROMOTION_EXPIRED: 'agent.promotion_expired',
+  PROMOTION_REFUNDED: 'agent.promotion_refunded'
+};
+
+// User Notification Types
+const USER_NOTIFICATION_TYPES = {
+  SAVED_SEARCH_MATCH: 'user.saved_search_match',
+  SAVED_SEARCH_DIGEST: 'user.saved_search_digest',
+  POINT_ORDER_COMPLETED: 'user.point_order_completed',
+  POINT_ORDER_FAILED: 'user.point_order_failed'
 };
 
 // All Notification Types
 const NOTIFICATION_TYPES = {
   ...ADMIN_NOTIFICATION_TYPES,
-  ...AGENT_NOTIFICATION_TYPES
+  ...AGENT_NOTIFICATION_TYPES,
+  ...USER_NOTIFICATION_TYPES
 };
 
 // Notification Priority Levels
@@ -57,6 +71,7 @@ const NOTIFICATION_TYPE_TO_ALERT = {
   [ADMIN_NOTIFICATION_TYPES.ADMIN_MESSAGE]: NOTIFICATION_ALERT_TYPES.PRIMARY,
   [ADMIN_NOTIFICATION_TYPES.ADMIN_REVIEW]: NOTIFICATION_ALERT_TYPES.SUCCESS,
   [ADMIN_NOTIFICATION_TYPES.FUTURE_BUYER_REQUEST]: NOTIFICATION_ALERT_TYPES.INFO,
+  [ADMIN_NOTIFICATION_TYPES.POINT_ORDER_PENDING]: NOTIFICATION_ALERT_TYPES.WARNING,
   
   // Agent notifications
   [AGENT_NOTIFICATION_TYPES.LISTING_VIEW]: NOTIFICATION_ALERT_TYPES.INFO,
@@ -64,7 +79,17 @@ const NOTIFICATION_TYPE_TO_ALERT = {
   [AGENT_NOTIFICATION_TYPES.LISTING_MESSAGE]: NOTIFICATION_ALERT_TYPES.PRIMARY,
   [AGENT_NOTIFICATION_TYPES.LISTING_APPROVED]: NOTIFICATION_ALERT_TYPES.SUCCESS,
   [AGENT_NOTIFICATION_TYPES.LISTING_REJECTED]: NOTIFICATION_ALERT_TYPES.WARNING,
-  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: NOTIFICATION_ALERT_TYPES.SUCCESS
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRING]: NOTIFICATION_ALERT_TYPES.WARNING,
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRED]: NOTIFICATION_ALERT_TYPES.ERROR,
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_EXPIRED]: NOTIFICATION_ALERT_TYPES.INFO,
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_REFUNDED]: NOTIFICATION_ALERT_TYPES.WARNING,
+  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: NOTIFICATION_ALERT_TYPES.SUCCESS,
+
+  // User notifications
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_MATCH]: NOTIFICATION_ALERT_TYPES.PRIMARY,
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST]: NOTIFICATION_ALERT_TYPES.INFO,
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_COMPLETED]: NOTIFICATION_ALERT_TYPES.SUCCESS,
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_FAILED]: NOTIFICATION_ALERT_TYPES.ERROR
 };
 
 // Notification Type to Priority Mapping
@@ -77,6 +102,7 @@ const NOTIFICATION_TYPE_TO_PRIORITY = {
   [ADMIN_NOTIFICATION_TYPES.ADMIN_MESSAGE]: NOTIFICATION_PRIORITY.HIGH,
   [ADMIN_NOTIFICATION_TYPES.ADMIN_REVIEW]: NOTIFICATION_PRIORITY.MEDIUM,
   [ADMIN_NOTIFICATION_TYPES.FUTURE_BUYER_REQUEST]: NOTIFICATION_PRIORITY.MEDIUM,
+  [ADMIN_NOTIFICATION_TYPES.POINT_ORDER_PENDING]: NOTIFICATION_PRIORITY.HIGH,
   
   // Agent notifications
   [AGENT_NOTIFICATION_TYPES.LISTING_VIEW]: NOTIFICATION_PRIORITY.LOW,
@@ -84,7 +110,17 @@ const NOTIFICATION_TYPE_TO_PRIORITY = {
   [AGENT_NOTIFICATION_TYPES.LISTING_MESSAGE]: NOTIFICATION_PRIORITY.HIGH,
   [AGENT_NOTIFICATION_TYPES.LISTING_APPROVED]: NOTIFICATION_PRIORITY.HIGH,
   [AGENT_NOTIFICATION_TYPES.LISTING_REJECTED]: NOTIFICATION_PRIORITY.HIGH,
-  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: NOTIFICATION_PRIORITY.URGENT
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRING]: NOTIFICATION_PRIORITY.MEDIUM,
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRED]: NOTIFICATION_PRIORITY.HIGH,
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_EXPIRED]: NOTIFICATION_PRIORITY.MEDIUM,
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_REFUNDED]: NOTIFICATION_PRIORITY.HIGH,
+  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: NOTIFICATION_PRIORITY.URGENT,
+
+  // User notifications
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_MATCH]: NOTIFICATION_PRIORITY.MEDIUM,
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST]: NOTIFICATION_PRIORITY.LOW,
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_COMPLETED]: NOTIFICATION_PRIORITY.HIGH,
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_FAILED]: NOTIFICATION_PRIORITY.HIGH
 };
 
 // Notification Type Labels (for display)
@@ -97,6 +133,7 @@ const NOTIFICATION_TYPE_LABELS = {
   [ADMIN_NOTIFICATION_TYPES.ADMIN_MESSAGE]: 'New Message',
   [ADMIN_NOTIFICATION_TYPES.ADMIN_REVIEW]: 'New Review',
   [ADMIN_NOTIFICATION_TYPES.FUTURE_BUYER_REQUEST]: 'New Future Buyer Request',
+  [ADMIN_NOTIFICATION_TYPES.POINT_ORDER_PENDING]: 'Payment Awaiting Confirmation',
   
   // Agent notifications
   [AGENT_NOTIFICATION_TYPES.LISTING_VIEW]: 'Listing Viewed',
@@ -104,12 +141,23 @@ const NOTIFICATION_TYPE_LABELS = {
   [AGENT_NOTIFICATION_TYPES.LISTING_MESSAGE]: 'New Message',
   [AGENT_NOTIFICATION_TYPES.LISTING_APPROVED]: 'Listing Approved',
   [AGENT_NOTIFICATION_TYPES.LISTING_REJECTED]: 'Listing Rejected',
-  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: 'Agent Account Approved'
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRING]: 'Listing Expiring Soon',
+  [AGENT_NOTIFICATION_TYPES.LISTING_EXPIRED]: 'Listing Expired',
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_EXPIRED]: 'Promotion Ended',
+  [AGENT_NOTIFICATION_TYPES.PROMOTION_REFUNDED]: 'Promotion Refunded',
+  [AGENT_NOTIFICATION_TYPES.AGENT_APPROVED]: 'Agent Account Approved',
+
+  // User notifications
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_MATCH]: 'New Listing For Your Saved Search',
+  [USER_NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST]: 'Saved Search Daily Digest',
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_COMPLETED]: 'Points Added',
+  [USER_NOTIFICATION_TYPES.POINT_ORDER_FAILED]: 'Payment Failed'
 };
 
 module.exports = {
   ADMIN_NOTIFICATION_TYPES,
   AGENT_NOTIFICATION_TYPES,
+  USER_NOTIFICATION_TYPES,
   NOTIFICATION_TYPES,
   NOTIFICATION_PRIORITY,
   NOTIFICATION_ALERT_TYPES,
@@ -0,0 +1,45 @@
+/**
+ * Payment Constants
+ * Point packages and their checkout orders. Values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+// Same values as User.packageType
+const PACKAGE_TYPES = ['basic', 'premium', 'enterprise'];
+const PACKAGE_CURRENCIES = ['USD', 'SYP', 'TRY', 'EUR'];
+
+// Checkout provider used when the client does not pick one (utils/paymentProviders.js)
+const DEFAULT_PAYMENT_PROVIDER = (process.env.PAYMENT_PROVIDER || '').trim().toLowerCase() || 'manual';
+
+// pending = waiting for the gateway, awaiting_confirmation = waiting for an admin (manual payments),
+// completed = points credited, failed = payment declined / rejected by an admin, cancelled = by the user
+const POINT_ORDER_STATUSES = ['pending', 'awaiting_confirmation', 'completed', 'failed', 'cancelled'];
+const POINT_ORDER_OPEN_STATUSES = ['pending', 'awaiting_confirmation'];
+
+// Open orders per user (stops users from piling up unpaid orders)
+const MAX_OPEN_POINT_ORDERS = toPositiveInt(process.env.MAX_OPEN_POINT_ORDERS, 3);
+
+// Bank details shown to the user for manual payments
+const PAYMENT_BANK_DETAILS = (process.env.PAYMENT_BANK_DETAILS || '').trim() || null;
+
+// Webhook provider: HMAC-SHA256 secret, hosted checkout page, and how old a signed timestamp may be
+const PAYMENT_WEBHOOK_SECRET = (process.env.PAYMENT_WEBHOOK_SECRET || '').trim() || null;
+const PAYMENT_WEBHOOK_CHECKOUT_URL = (process.env.PAYMENT_WEBHOOK_CHECKOUT_URL || '').trim() || null;
+const PAYMENT_WEBHOOK_TOLERANCE_SECONDS = toPositiveInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 300);
+
+module.exports = {
+  PACKAGE_TYPES,
+  PACKAGE_CURRENCIES,
+  DEFAULT_PAYMENT_PROVIDER,
+  POINT_ORDER_STATUSES,
+  POINT_ORDER_OPEN_STATUSES,
+  MAX_OPEN_POINT_ORDERS,
+  PAYMENT_BANK_DETAILS,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_CHECKOUT_URL,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS
+};
@@ -0,0 +1,48 @@
+/**
+ * Points Ledger Constants
+ * Every PointTransaction is a double-entry journal line: `amount` points move from `fromAccount` to `toAccount`.
+ * One side is always the user's account (user:<id>), the other a system account named after the transaction type,
+ * so the sum over all accounts is always zero and a user's balance is credits minus debits of their account.
+ */
+
+const USER_ACCOUNT_PREFIX = 'user:';
+
+const SYSTEM_ACCOUNTS = {
+  purchases: 'system:purchases',
+  listingFees: 'system:listing_fees',
+  refunds: 'system:refunds',
+  adjustments: 'system:adjustments',
+  grants: 'system:grants'
+};
+
+// direction: credit = points go to the user, debit = points leave the user (null = given per transaction)
+// counter: Point field that also counts the amount (totalPurchased / totalUsed)
+const POINT_TRANSACTION_RULES = {
+  purchase: { direction: 'credit', systemAccount: SYSTEM_ACCOUNTS.purchases, counter: 'totalPurchased' },
+  deduction: { direction: 'debit', systemAccount: SYSTEM_ACCOUNTS.listingFees, counter: 'totalUsed' },
+  refund: { direction: 'credit', systemAccount: SYSTEM_ACCOUNTS.refunds, counter: null },
+  adjustment: { direction: null, systemAccount: SYSTEM_ACCOUNTS.adjustments, counter: null },
+  // Marketing credits: coupons, referral rewards and admin promotional grants (see utils/coupons.js)
+  grant: { direction: 'credit', systemAccount: SYSTEM_ACCOUNTS.grants, counter: null }
+};
+
+const POINT_TRANSACTION_TYPES = Object.keys(POINT_TRANSACTION_RULES);
+
+// Reconciliation: which side wins when the ledger and the Point record disagree
+// ledger = Point/User are reset to the ledger, point = an adjustment entry brings the ledger to the Point balance
+const RECONCILE_SOURCES = ['ledger', 'point'];
+const RECONCILE_DEFAULT_LIMIT = 100;
+const RECONCILE_MAX_LIMIT = 1000;
+
+const userAccount = (userId) => `${USER_ACCOUNT_PREFIX}${userId}`;
+
+module.exports = {
+  USER_ACCOUNT_PREFIX,
+  SYSTEM_ACCOUNTS,
+  POINT_TRANSACTION_RULES,
+  POINT_TRANSACTION_TYPES,
+  RECONCILE_SOURCES,
+  RECONCILE_DEFAULT_LIMIT,
+  RECONCILE_MAX_LIMIT,
+  userAccount
+};
@@ -0,0 +1,40 @@
+/**
+ * Promotion Constants
+ * Paid placements agents buy with points for their own approved listings (featured / VIP for N days).
+ * Values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+// Placement a product buys: featured = isFeatured (Fresh Listings), vip = isVip (VIP page)
+const PROMOTION_TYPES = ['featured', 'vip'];
+
+// Listing flag and expiry field set by each promotion type
+const PROMOTION_LISTING_FIELDS = {
+  featured: { flag: 'isFeatured', order: 'featuredOrder', until: 'featuredUntil' },
+  vip: { flag: 'isVip', order: 'vipOrder', until: 'vipUntil' }
+};
+
+// active -> expired (ran its full duration) | refunding -> refunded (ended early, unused days paid back)
+// refunding: claimed, the ledger refund is posted next (retried by the scheduler if that failed)
+const PROMOTION_STATUSES = ['active', 'expired', 'refunding', 'refunded'];
+
+const MAX_PROMOTION_DAYS = 365;
+
+// How often expired promotions are ended (minutes)
+const PROMOTION_SCHEDULER_INTERVAL_MINUTES = toPositiveInt(process.env.PROMOTION_SCHEDULER_INTERVAL_MINUTES, 5);
+
+// Max promotions handled per scheduler run and step
+const PROMOTION_BATCH_SIZE = 200;
+
+module.exports = {
+  PROMOTION_TYPES,
+  PROMOTION_LISTING_FIELDS,
+  PROMOTION_STATUSES,
+  MAX_PROMOTION_DAYS,
+  PROMOTION_SCHEDULER_INTERVAL_MINUTES,
+  PROMOTION_BATCH_SIZE
+};
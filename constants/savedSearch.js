@@ -0,0 +1,73 @@
+/**
+ * Saved Search Constants
+ * Limits and alert timing for saved searches. Values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+// instant = notify as soon as a matching listing goes live, daily = one digest per day, off = no alerts
+const SAVED_SEARCH_ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+
+// Max saved searches per user
+const SAVED_SEARCH_MAX_PER_USER = toPositiveInt(process.env.SAVED_SEARCH_MAX_PER_USER, 20);
+
+// How often the digest job looks for daily searches that are due (minutes)
+const SAVED_SEARCH_DIGEST_INTERVAL_MINUTES = toPositiveInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL_MINUTES, 60);
+
+// Minimum time between two digests of the same search (hours)
+const SAVED_SEARCH_DIGEST_PERIOD_HOURS = toPositiveInt(process.env.SAVED_SEARCH_DIGEST_PERIOD_HOURS, 24);
+
+// Listings already alerted per search are remembered so a re-approved listing is not sent twice
+const SAVED_SEARCH_NOTIFIED_HISTORY = 500;
+
+// Max listings shown in one digest email/notification
+const SAVED_SEARCH_DIGEST_MAX_LISTINGS = 20;
+
+// Max searches handled per digest job run
+const SAVED_SEARCH_BATCH_SIZE = 200;
+
+// Query parameters of GET /api/listing/search (filterListings) that can be saved
+// (sort, pagination and displayCurrency only change how results are shown, not which listings match)
+const SAVED_SEARCH_FILTER_PARAMS = [
+  'status',
+  'city',
+  'neighborhood',
+  'propertyType',
+  'rentType',
+  'bedrooms',
+  'bathrooms',
+  'priceMin',
+  'priceMax',
+  'priceCurrency',
+  'sizeMin',
+  'sizeMax',
+  'sizeSqmMin',
+  'sizeSqmMax',
+  'pricePerSqmMin',
+  'pricePerSqmMax',
+  'furnished',
+  'garages',
+  'offer',
+  'amenities',
+  'keyword',
+  'agentId',
+  'isVip',
+  'priceDropped',
+  'bbox',
+  'near',
+  'radius'
+];
+
+module.exports = {
+  SAVED_SEARCH_ALERT_FREQUENCIES,
+  SAVED_SEARCH_MAX_PER_USER,
+  SAVED_SEARCH_DIGEST_INTERVAL_MINUTES,
+  SAVED_SEARCH_DIGEST_PERIOD_HOURS,
+  SAVED_SEARCH_NOTIFIED_HISTORY,
+  SAVED_SEARCH_DIGEST_MAX_LISTINGS,
+  SAVED_SEARCH_BATCH_SIZE,
+  SAVED_SEARCH_FILTER_PARAMS
+};
@@ -0,0 +1,39 @@
+/**
+ * Search Analytics Constants
+ * What is recorded for every listing search and how long it is kept. Values can be overridden with environment variables.
+ */
+
+const toPositiveInt = (value, defaultValue) => {
+  const num = parseInt(value, 10);
+  return Number.isInteger(num) && num > 0 ? num : defaultValue;
+};
+
+// search = GET /api/listing/search, ai_search = POST /api/listing/ai-search
+const SEARCH_LOG_ENDPOINTS = ['search', 'ai_search'];
+
+// How the search parameters were obtained: none = structured filters, rule_based = ruleBasedParser only,
+// llm = LLM parse merged over the rule-based one
+const SEARCH_LOG_PARSERS = ['none', 'rule_based', 'llm'];
+
+// LLM step of an AI search: not_configured, success, failed (fell back to rule-based)
+const SEARCH_LOG_LLM_OUTCOMES = ['not_configured', 'success', 'failed'];
+
+// Search logs are deleted after this many days (TTL index)
+const SEARCH_LOG_RETENTION_DAYS = toPositiveInt(process.env.SEARCH_LOG_RETENTION_DAYS, 180);
+
+// Report defaults / limits
+const SEARCH_ANALYTICS_DEFAULT_DAYS = 30;
+const SEARCH_ANALYTICS_MAX_DAYS = 365;
+const SEARCH_ANALYTICS_DEFAULT_LIMIT = 20;
+const SEARCH_ANALYTICS_MAX_LIMIT = 100;
+
+module.exports = {
+  SEARCH_LOG_ENDPOINTS,
+  SEARCH_LOG_PARSERS,
+  SEARCH_LOG_LLM_OUTCOMES,
+  SEARCH_LOG_RETENTION_DAYS,
+  SEARCH_ANALYTICS_DEFAULT_DAYS,
+  SEARCH_ANALYTICS_MAX_DAYS,
+  SEARCH_ANALYTICS_DEFAULT_LIMIT,
+  SEARCH_ANALYTICS_MAX_LIMIT
+};
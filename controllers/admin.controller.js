@@ -24,13 +24,15 @@ const getAllProperties = async (req, res, next) => {
 
     // Build query - exclude deleted and sold listings
     // Sold listings should only appear in /admin/sold-properties
+    // Drafts stay hidden until the agent submits them for review
     const query = { 
       isDeleted: { $ne: true },
-      isSold: { $ne: true } // Exclude sold listings from admin properties page
+      isSold: { $ne: true }, // Exclude sold listings from admin properties page
+      approvalStatus: { $ne: 'draft' }
     };
     
     if (status) query.status = status;
-    if (approvalStatus) query.approvalStatus = approvalStatus;
+    if (approvalStatus && approvalStatus !== 'draft') query.approvalStatus = approvalStatus;
     if (propertyType) query.propertyType = propertyType;
     if (city) query.city = new RegExp(city, 'i');
     
@@ -266,7 +268,7 @@ const updatePropertyApproval = async (req, res, next) => {
     const { id } = req.params;
     const { approvalStatus, notes } = req.body;
 
-    if (!['pending', 'approved', 'rejected', 'closed'].includes(approvalStatus)) {
+    if (!['pending', 'approved', 'rejected', 'closed', 'expired'].includes(approvalStatus)) {
       return next(errorHandler(400, 'Invalid approval status'));
     }
 
@@ -275,6 +277,11 @@ const updatePropertyApproval = async (req, res, next) => {
       return next(errorHandler(404, 'Property not found'));
     }
 
+    // Drafts are private to the agent until they submit them for review
+    if (property.approvalStatus === 'draft') {
+      return next(errorHandler(400, 'This listing is still a draft and has not been submitted for review'));
+    }
+
     // Check if trying to approve a property with a blocked agent
     if (approvalStatus === 'approved' && property.agentId) {
       const agent = await User.findById(property.agentId);
@@ -283,12 +290,34 @@ const updatePropertyApproval = async (req, res, next) => {
       }
     }
 
+    const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+    await ensureBaselineRevision(property);
+
     const oldApprovalStatus = property.approvalStatus;
     // Normalize approvalStatus to lowercase before saving
     property.approvalStatus = approvalStatus.toLowerCase().trim();
     if (notes) property.notes = notes;
+
+    // Start a fresh lifetime when (re-)approving a listing without a valid expiry date
+    // Scheduled listings get theirs from the publish scheduler at publishAt
+    if (property.approvalStatus === 'approved' && !property.isScheduled && (!property.expiresAt || property.expiresAt <= new Date())) {
+      const { calculateExpiresAt } = require('../constants/listingLifecycle');
+      property.expiresAt = calculateExpiresAt(property.status);
+      property.expiredAt = null;
+      property.expiryReminderSentAt = null;
+    } else if (property.approvalStatus === 'expired' && oldApprovalStatus !== 'expired') {
+      property.expiredAt = new Date();
+    }
     
     await property.save();
+
+    await recordRevision(property, 'approval', req.user, `${oldApprovalStatus} -> ${property.approvalStatus}${notes ? `: ${notes}` : ''}`);
+
+    if (property.approvalStatus === 'rejected') {
+      // Bought promotions stop with the listing; the unused days are refunded
+      const { refundListingPromotions } = require('../utils/listingPromotions');
+      await refundListingPromotions(property._id, 'listing rejected');
+    }
     
     // Reload from database to verify the change
     const savedProperty = await Listing.findById(id);
@@ -319,6 +348,12 @@ const updatePropertyApproval = async (req, res, next) => {
       }
     }
     
+    // Alert users whose saved searches match the newly approved listing (scheduled listings are matched when published)
+    if (property.approvalStatus === 'approved' && oldApprovalStatus !== 'approved' && !property.isScheduled) {
+      const { matchListingToSavedSearches } = require('../utils/savedSearches');
+      matchListingToSavedSearches(property._id);
+    }
+    
     logger.info('[ADMIN_PROPERTY_APPROVAL]', {
       propertyId: id,
       propertyKeyword: property.propertyKeyword,
@@ -359,6 +394,10 @@ const deleteProperty = async (req, res, next) => {
     property.deletedAt = new Date();
     await property.save();
 
+    // Stop its promotions
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(property._id, 'listing deleted');
+
     logger.info('[ADMIN_DELETE_PROPERTY]', {
       propertyId: id,
       adminId: req.user.id,
@@ -818,10 +857,11 @@ const getDashboardStats = async (req, res, next) => {
       totalAgents,
       blockedAgents
     ] = await Promise.all([
-      // Total properties: not deleted and not sold (using $ne for cleaner query)
+      // Total properties: not deleted, not sold and not a draft (using $ne for cleaner query)
       Listing.countDocuments({ 
         isDeleted: { $ne: true },
-        isSold: { $ne: true }
+        isSold: { $ne: true },
+        approvalStatus: { $ne: 'draft' }
       }),
       // Pending properties: not deleted, not sold, and pending
       Listing.countDocuments({ 
@@ -1094,7 +1134,8 @@ const blockAgent = async (req, res, next) => {
           { agent: agent._id.toString() },
           { agentId: agent._id }
         ],
-        isDeleted: { $ne: true }
+        isDeleted: { $ne: true },
+        approvalStatus: { $ne: 'draft' } // Drafts stay drafts
       },
       {
         $set: {
@@ -1160,6 +1201,10 @@ const unblockAgent = async (req, res, next) => {
       logger.error('Failed to send agent approval notification:', notifError);
     }
 
+    // Pays the referral bonus on the first verification of a referred agent (no-op otherwise)
+    const { rewardReferral } = require('../utils/coupons');
+    await rewardReferral(agent._id);
+
     logger.info('[ADMIN_UNBLOCK_AGENT]', {
       agentId: id,
       adminId: req.user.id
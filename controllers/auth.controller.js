@@ -139,6 +139,17 @@ const signup = async (req, res, next) => {
   
   const newUser = new User(userData);
   try {
+    // Referral code of another user: both are credited once this account is verified (unknown codes are ignored)
+    if (req.body.referralCode) {
+      const { findReferrer } = require('../utils/coupons');
+      const referrer = await findReferrer(req.body.referralCode);
+      if (referrer) {
+        newUser.referredBy = referrer._id;
+      } else {
+        logger.info(`[REFERRAL] Unknown referral code at signup: ${String(req.body.referralCode).slice(0, 32)}`);
+      }
+    }
+
     await newUser.save();
     
     // Notify admin if new agent registered
@@ -47,6 +47,7 @@ const getCategoryStats = async (req, res, next) => {
         $match: {
           isDeleted: { $ne: true },
           isSold: { $ne: true },
+          isScheduled: { $ne: true }, // Scheduled listings count once published
           $or: [
             { approvalStatus: 'approved' },
             { approvalStatus: { $regex: /^approved$/i } }
@@ -173,6 +174,7 @@ const getCategoryDetails = async (req, res, next) => {
       propertyType: { $regex: new RegExp(`^${propertyType}$`, 'i') },
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved'
     });
     
@@ -181,6 +183,7 @@ const getCategoryDetails = async (req, res, next) => {
         propertyType: { $regex: new RegExp(`^${propertyType}$`, 'i') },
         isDeleted: { $ne: true },
         isSold: { $ne: true },
+        isScheduled: { $ne: true },
         approvalStatus: { $regex: /^approved$/i }
       });
     }
@@ -192,6 +195,7 @@ const getCategoryDetails = async (req, res, next) => {
           propertyType: { $regex: new RegExp(`^${propertyType}$`, 'i') },
           isDeleted: { $ne: true },
           isSold: { $ne: true },
+          isScheduled: { $ne: true },
           $or: [
             { approvalStatus: 'approved' },
             { approvalStatus: { $regex: /^approved$/i } }
@@ -244,6 +248,7 @@ const getAllPropertyTypes = async (req, res, next) => {
     let propertyTypes = await Listing.distinct('propertyType', {
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved'
     });
     
@@ -251,6 +256,7 @@ const getAllPropertyTypes = async (req, res, next) => {
       propertyTypes = await Listing.distinct('propertyType', {
         isDeleted: { $ne: true },
         isSold: { $ne: true },
+        isScheduled: { $ne: true },
         approvalStatus: { $regex: /^approved$/i }
       });
     }
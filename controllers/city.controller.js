@@ -36,6 +36,7 @@ const getCityStats = async (req, res, next) => {
         $match: {
           isDeleted: { $ne: true },
           isSold: { $ne: true },
+          isScheduled: { $ne: true }, // Scheduled listings count once published
           $and: [
             {
               $or: [
@@ -230,6 +231,7 @@ const getCityDetails = async (req, res, next) => {
       ],
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved'
     });
     
@@ -241,6 +243,7 @@ const getCityDetails = async (req, res, next) => {
         ],
         isDeleted: { $ne: true },
         isSold: { $ne: true },
+        isScheduled: { $ne: true },
         approvalStatus: { $regex: /^approved$/i }
       });
     }
@@ -255,6 +258,7 @@ const getCityDetails = async (req, res, next) => {
           ],
           isDeleted: { $ne: true },
           isSold: { $ne: true },
+          isScheduled: { $ne: true },
           approvalStatus: 'approved'
         }
       },
@@ -315,6 +319,7 @@ const getAllCities = async (req, res, next) => {
     let cities = await Listing.distinct('city', {
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved',
       city: { $exists: true, $ne: null, $ne: '' }
     });
@@ -323,6 +328,7 @@ const getAllCities = async (req, res, next) => {
       cities = await Listing.distinct('city', {
         isDeleted: { $ne: true },
         isSold: { $ne: true },
+        isScheduled: { $ne: true },
         approvalStatus: { $regex: /^approved$/i },
         city: { $exists: true, $ne: null, $ne: '' }
       });
@@ -332,6 +338,7 @@ const getAllCities = async (req, res, next) => {
     let states = await Listing.distinct('state', {
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved',
       state: { $exists: true, $ne: null, $ne: '' }
     });
@@ -340,6 +347,7 @@ const getAllCities = async (req, res, next) => {
       states = await Listing.distinct('state', {
         isDeleted: { $ne: true },
         isSold: { $ne: true },
+        isScheduled: { $ne: true },
         approvalStatus: { $regex: /^approved$/i },
         state: { $exists: true, $ne: null, $ne: '' }
       });
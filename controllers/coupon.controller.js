@@ -0,0 +1,397 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon.model');
+const CouponRedemption = require('../models/couponRedemption.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  normalizeCouponCode,
+  loadUsableCoupon,
+  redeemCoupon,
+  checkListingCoupon,
+  getReferralSummary,
+  grantPoints,
+  getRedemptionReport
+} = require('../utils/coupons');
+const {
+  COUPON_KINDS,
+  REDEMPTION_SOURCES,
+  COUPON_CODE_PATTERN,
+  MAX_GRANT_RECIPIENTS
+} = require('../constants/coupons');
+
+const REPORT_DEFAULT_DAYS = 30;
+const REPORT_MAX_DAYS = 365;
+
+const getUserId = (req) => req.user?.id || req.user?._id?.toString();
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+const parseOptionalDate = (value) => {
+  if (value === null || value === '') return { date: null };
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: true } : { date };
+};
+
+/**
+ * Validate coupon fields from an admin request
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Coupon being updated (code and kind cannot change), null to create
+ * @returns {Object} { values } or { error }
+ */
+const readCouponInput = (body, existing = null) => {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (existing) {
+    if (has('code') && normalizeCouponCode(body.code) !== existing.code) return { error: 'code cannot be changed' };
+    if (has('kind') && body.kind !== existing.kind) return { error: 'kind cannot be changed' };
+  } else {
+    const code = normalizeCouponCode(body.code);
+    if (!COUPON_CODE_PATTERN.test(code)) return { error: 'code must be 3-32 letters, digits, - or _' };
+    if (!COUPON_KINDS.includes(body.kind)) return { error: `kind must be one of: ${COUPON_KINDS.join(', ')}` };
+    values.code = code;
+    values.kind = body.kind;
+  }
+  const kind = existing ? existing.kind : body.kind;
+
+  if (kind === 'points' && (!existing || has('points'))) {
+    const points = Number(body.points);
+    if (!Number.isInteger(points) || points <= 0) return { error: 'points must be a positive whole number' };
+    values.points = points;
+  }
+  if (kind === 'listing_discount' && (!existing || has('discountPercent'))) {
+    const discountPercent = Number(body.discountPercent);
+    if (!Number.isFinite(discountPercent) || discountPercent < 1 || discountPercent > 100) {
+      return { error: 'discountPercent must be a number from 1 to 100 (100 = free listing)' };
+    }
+    values.discountPercent = discountPercent;
+  }
+  if (has('maxRedemptions')) {
+    const maxRedemptions = body.maxRedemptions === null ? null : Number(body.maxRedemptions);
+    if (maxRedemptions !== null && (!Number.isInteger(maxRedemptions) || maxRedemptions < 1)) {
+      return { error: 'maxRedemptions must be a positive whole number, or null for unlimited' };
+    }
+    values.maxRedemptions = maxRedemptions;
+  }
+  if (has('perUserLimit')) {
+    const perUserLimit = Number(body.perUserLimit);
+    if (!Number.isInteger(perUserLimit) || perUserLimit < 1) return { error: 'perUserLimit must be a positive whole number' };
+    values.perUserLimit = perUserLimit;
+  }
+  for (const field of ['startsAt', 'expiresAt']) {
+    if (has(field)) {
+      const { date, error } = parseOptionalDate(body[field]);
+      if (error) return { error: `Invalid ${field} date` };
+      values[field] = date;
+    }
+  }
+  const startsAt = has('startsAt') ? values.startsAt : existing?.startsAt;
+  const expiresAt = has('expiresAt') ? values.expiresAt : existing?.expiresAt;
+  if (startsAt && expiresAt && expiresAt <= startsAt) return { error: 'expiresAt must be after startsAt' };
+
+  ['cities', 'propertyTypes'].forEach((field) => {
+    if (has(field)) values[field] = body[field] === null ? [] : toStringList(body[field]);
+  });
+  ['description', 'campaign'].forEach((field) => {
+    if (has(field)) values[field] = body[field] === null ? null : String(body[field]).trim();
+  });
+  if (has('isActive')) values.isActive = body.isActive === true || body.isActive === 'true';
+
+  return { values };
+};
+
+/**
+ * Redeem a points coupon
+ * POST /api/coupons/redeem { code }
+ */
+const redeem = async (req, res, next) => {
+  try {
+    if (!req.body?.code) {
+      return next(errorHandler(400, 'code is required'));
+    }
+    const result = await redeemCoupon({ userId: getUserId(req), code: req.body.code });
+    res.status(200).json({
+      success: true,
+      message: `${result.points} points added to your balance`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * What a coupon would give, without using it. For discount coupons, send the listing fields
+ * (propertyType, city, size ...) to get the discounted cost.
+ * POST /api/coupons/check { code, ...listing fields }
+ */
+const checkCoupon = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!body.code) {
+      return next(errorHandler(400, 'code is required'));
+    }
+    const userId = getUserId(req);
+    const { coupon } = await loadUsableCoupon(body.code, userId);
+    const data = {
+      code: coupon.code,
+      kind: coupon.kind,
+      description: coupon.description,
+      expiresAt: coupon.expiresAt,
+      points: coupon.points,
+      discountPercent: coupon.discountPercent,
+      cities: coupon.cities,
+      propertyTypes: coupon.propertyTypes
+    };
+
+    if (coupon.kind === 'listing_discount' && (body.propertyType || body.city)) {
+      const { calculateListingCost } = require('../utils/listingPricing');
+      const { totalCost } = await calculateListingCost(body);
+      const { discountPoints } = await checkListingCoupon({ userId, code: body.code, listingData: body, cost: totalCost });
+      data.listing = { cost: totalCost, discountPoints, costAfterDiscount: totalCost - discountPoints };
+    }
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The user's referral code and what it earned
+ * GET /api/coupons/referral
+ */
+const getMyReferral = async (req, res, next) => {
+  try {
+    const summary = await getReferralSummary(getUserId(req));
+    res.status(200).json({ success: true, data: summary });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ---------- Admin ----------
+
+/**
+ * GET /api/admin/coupons?campaign=&kind=&active=true|false&page=&limit=
+ */
+const getAdminCoupons = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+    if (req.query.campaign) filter.campaign = String(req.query.campaign);
+    if (req.query.kind) {
+      if (!COUPON_KINDS.includes(req.query.kind)) {
+        return next(errorHandler(400, `kind must be one of: ${COUPON_KINDS.join(', ')}`));
+      }
+      filter.kind = req.query.kind;
+    }
+    if (req.query.active === 'true' || req.query.active === 'false') filter.isActive = req.query.active === 'true';
+
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        coupons,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/coupons
+ */
+const createCoupon = async (req, res, next) => {
+  try {
+    const { values, error } = readCouponInput(req.body || {});
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const coupon = await Coupon.create({ ...values, createdBy: req.user.id });
+    logger.info(`[COUPON] ${coupon.code} (${coupon.kind}) created by ${req.user.id}`);
+    res.status(201).json({ success: true, data: coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(errorHandler(409, 'A coupon with this code already exists'));
+    }
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/admin/coupons/:id (code and kind are fixed)
+ */
+const updateCoupon = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid coupon ID'));
+    }
+    const existing = await Coupon.findById(req.params.id).lean();
+    if (!existing) {
+      return next(errorHandler(404, 'Coupon not found'));
+    }
+    const { values, error } = readCouponInput(req.body || {}, existing);
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, { $set: values }, { new: true, runValidators: true });
+    logger.info(`[COUPON] ${coupon.code} updated by ${req.user.id}: ${Object.keys(values).join(', ')}`);
+    res.status(200).json({ success: true, data: coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop a coupon (redemptions keep pointing to it, so it is deactivated, not deleted)
+ * DELETE /api/admin/coupons/:id
+ */
+const deactivateCoupon = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid coupon ID'));
+    }
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true });
+    if (!coupon) {
+      return next(errorHandler(404, 'Coupon not found'));
+    }
+    logger.info(`[COUPON] ${coupon.code} deactivated by ${req.user.id}`);
+    res.status(200).json({ success: true, message: 'Coupon deactivated', data: coupon });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Uses of one coupon, newest first
+ * GET /api/admin/coupons/:id/redemptions?page=&limit=
+ */
+const getCouponRedemptions = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid coupon ID'));
+    }
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { source: 'coupon', couponId: req.params.id };
+    const [redemptions, total] = await Promise.all([
+      CouponRedemption.find(filter)
+        .populate('userId', 'username email agentName')
+        .populate('listingId', 'propertyId propertyKeyword city')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      CouponRedemption.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        redemptions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Redemptions, users and points per coupon / referral program / grant campaign
+ * GET /api/admin/coupons/report?days=30&campaign=&source=coupon|referral|grant
+ */
+const getCouponReport = async (req, res, next) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || REPORT_DEFAULT_DAYS, 1), REPORT_MAX_DAYS);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    if (req.query.source && !REDEMPTION_SOURCES.includes(req.query.source)) {
+      return next(errorHandler(400, `source must be one of: ${REDEMPTION_SOURCES.join(', ')}`));
+    }
+
+    const report = await getRedemptionReport({
+      since,
+      campaign: req.query.campaign ? String(req.query.campaign) : null,
+      source: req.query.source || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: report,
+      period: { days, since }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Promotional points for one or more users
+ * POST /api/admin/points/grants { userIds | userId, points, reason, campaign? }
+ * An Idempotency-Key header makes retries safe (nobody is credited twice)
+ */
+const createPointGrant = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const userIds = [...new Set(toStringList(body.userIds || body.userId || []))];
+    if (userIds.length === 0 || userIds.length > MAX_GRANT_RECIPIENTS) {
+      return next(errorHandler(400, `Give 1 to ${MAX_GRANT_RECIPIENTS} userIds`));
+    }
+    if (userIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return next(errorHandler(400, 'Invalid user ID in userIds'));
+    }
+    const points = Number(body.points);
+    if (!Number.isInteger(points) || points <= 0) {
+      return next(errorHandler(400, 'points must be a positive whole number'));
+    }
+    const reason = body.reason ? String(body.reason).trim().slice(0, 500) : '';
+    if (!reason) {
+      return next(errorHandler(400, 'reason is required'));
+    }
+
+    const clientKey = req.get('Idempotency-Key');
+    const result = await grantPoints({
+      userIds,
+      points,
+      reason,
+      campaign: body.campaign ? String(body.campaign).trim() : null,
+      adminId: req.user.id,
+      batchKey: clientKey ? `client:${String(clientKey).slice(0, 100)}` : new mongoose.Types.ObjectId().toString()
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${points} points granted to ${result.granted} user(s)`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  redeem,
+  checkCoupon,
+  getMyReferral,
+  getAdminCoupons,
+  createCoupon,
+  updateCoupon,
+  deactivateCoupon,
+  getCouponRedemptions,
+  getCouponReport,
+  createPointGrant
+};
@@ -78,6 +78,7 @@ const getDashboardStats = async (req, res) => {
     const totalListings = countsMap.total || Object.values(countsMap).reduce((sum, count) => sum + count, 0);
     const pendingListings = countsMap.pending || 0;
     const approvedListings = countsMap.approved || 0;
+    const expiredListings = countsMap.expired || 0;
 
     const [
       totalFavorites,
@@ -282,6 +283,7 @@ const getDashboardStats = async (req, res) => {
       totalListings,
       pendingListings,
       approvedListings,
+      expiredListings,
       totalFavorites,
       totalReviews: reviewsForAgent.length > 0 ? reviewsForAgent[0].totalReviews : 0,
       averageRating: parseFloat(averageRating.toFixed(2)),
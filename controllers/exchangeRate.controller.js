@@ -0,0 +1,96 @@
+const ExchangeRate = require('../models/exchangeRate.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getExchangeRates,
+  clearExchangeRatesCache,
+  recalculatePriceUSD
+} = require('../utils/currency');
+
+/**
+ * Current exchange rates (units per 1 USD)
+ * GET /api/exchange-rates
+ */
+const getExchangeRatesList = async (req, res, next) => {
+  try {
+    const [rates, stored] = await Promise.all([
+      getExchangeRates(),
+      ExchangeRate.find().select('currency rate updatedAt').lean()
+    ]);
+    const updatedAt = {};
+    stored.forEach((doc) => {
+      updatedAt[doc.currency] = doc.updatedAt;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        base: 'USD',
+        currencies: SUPPORTED_CURRENCIES,
+        rates,
+        updatedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the exchange rate of a currency (admin) and re-normalize priceUSD of its listings
+ * PUT /api/admin/exchange-rates/:currency  body: { rate }  (units of currency per 1 USD)
+ */
+const updateExchangeRate = async (req, res, next) => {
+  try {
+    const currency = normalizeCurrency(req.params.currency);
+    if (!currency) {
+      return next(errorHandler(400, 'Invalid currency. Use SYP, TRY or EUR'));
+    }
+    if (currency === 'USD') {
+      return next(errorHandler(400, 'USD is the base currency and always has rate 1'));
+    }
+
+    const rate = parseFloat(req.body?.rate);
+    if (isNaN(rate) || rate <= 0) {
+      return next(errorHandler(400, 'rate must be a positive number (units per 1 USD)'));
+    }
+
+    const previous = await ExchangeRate.findOne({ currency }).lean();
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { $set: { rate, updatedBy: req.user.id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    clearExchangeRatesCache();
+    const listingsUpdated = await recalculatePriceUSD(currency, rate);
+
+    logger.info('[ADMIN_UPDATE_EXCHANGE_RATE]', {
+      currency,
+      previousRate: previous?.rate ?? null,
+      rate,
+      listingsUpdated,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Exchange rate for ${currency} updated`,
+      data: exchangeRate,
+      listingsUpdated
+    });
+  } catch (error) {
+    logger.error('[ADMIN_UPDATE_EXCHANGE_RATE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getExchangeRatesList,
+  updateExchangeRate
+};
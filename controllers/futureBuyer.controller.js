@@ -2,6 +2,7 @@ const FutureBuyer = require('../models/futureBuyer.model');
 const Listing = require('../models/listing.model');
 const errorHandler = require('../utils/error');
 const logger = require('../utils/logger');
+const { convertSizeToSqm } = require('../utils/listingArea');
 
 // Helper function to get client IP
 const getClientIp = (req) => {
@@ -19,21 +20,6 @@ const getClientIp = (req) => {
   return req.connection?.remoteAddress || req.socket?.remoteAddress || 'unknown';
 };
 
-// Helper function to convert size units for comparison
-const convertSizeToSqm = (size, unit) => {
-  if (!size || !unit) return null;
-  
-  const conversions = {
-    sqm: 1,
-    sqft: 0.092903,
-    sqyd: 0.836127,
-    dunam: 1000,
-    feddan: 4200
-  };
-  
-  return size * (conversions[unit] || 1);
-};
-
 // Matching algorithm to find properties that match future buyer requirements
 const findMatchingProperties = async (futureBuyer) => {
   try {
@@ -71,8 +57,22 @@ const findMatchingProperties = async (futureBuyer) => {
       query.bathrooms = futureBuyer.bathrooms;
     }
     
-    // Price range (same currency)
-    if ((futureBuyer.minPrice !== undefined || futureBuyer.maxPrice !== undefined) && futureBuyer.currency) {
+    // Price range in any currency: the buyer's budget is converted to USD and compared with priceUSD
+    const { getExchangeRates, convertToUSD } = require('../utils/currency');
+    const rates = await getExchangeRates();
+    const buyerCurrency = futureBuyer.currency || 'USD';
+    const minPriceUSD = futureBuyer.minPrice !== undefined ? convertToUSD(futureBuyer.minPrice, buyerCurrency, rates) : null;
+    const maxPriceUSD = futureBuyer.maxPrice !== undefined ? convertToUSD(futureBuyer.maxPrice, buyerCurrency, rates) : null;
+    if (minPriceUSD !== null || maxPriceUSD !== null) {
+      query.priceUSD = {};
+      if (minPriceUSD !== null) {
+        query.priceUSD.$gte = minPriceUSD;
+      }
+      if (maxPriceUSD !== null) {
+        query.priceUSD.$lte = maxPriceUSD;
+      }
+    } else if ((futureBuyer.minPrice !== undefined || futureBuyer.maxPrice !== undefined) && futureBuyer.currency) {
+      // No exchange rate for the buyer's currency yet: fall back to same-currency matching
       query.currency = futureBuyer.currency;
       query.propertyPrice = {};
       if (futureBuyer.minPrice !== undefined) {
@@ -126,11 +126,14 @@ const findMatchingProperties = async (futureBuyer) => {
         matchScore = (matchScore + amenitiesScore) / 2;
       }
       
-      // Price matching (if not already filtered)
+      // Price matching (if not already filtered) - in USD when both sides can be converted
       if (futureBuyer.minPrice !== undefined && futureBuyer.maxPrice !== undefined) {
-        const priceRange = futureBuyer.maxPrice - futureBuyer.minPrice;
-        const priceMiddle = (futureBuyer.minPrice + futureBuyer.maxPrice) / 2;
-        const priceDiff = Math.abs(listing.propertyPrice - priceMiddle);
+        const useUSD = minPriceUSD !== null && maxPriceUSD !== null && listing.priceUSD != null;
+        const minPrice = useUSD ? minPriceUSD : futureBuyer.minPrice;
+        const maxPrice = useUSD ? maxPriceUSD : futureBuyer.maxPrice;
+        const priceRange = maxPrice - minPrice;
+        const priceMiddle = (minPrice + maxPrice) / 2;
+        const priceDiff = Math.abs((useUSD ? listing.priceUSD : listing.propertyPrice) - priceMiddle);
         const priceScore = Math.max(0, 100 - (priceDiff / priceRange) * 50);
         matchScore = (matchScore + priceScore) / 2;
       }
@@ -49,6 +49,34 @@ const toArray = (value) => {
   return [];
 };
 
+/**
+ * $geoNear stage for map search sorted by distance (nearest first); adds distanceKm to each listing
+ * @param {Object} filters - Listing filters (used as the $geoNear query)
+ * @param {Object} geoNear - { point: GeoJSON Point, radiusKm } from filterListings middleware
+ */
+const buildGeoNearStage = (filters, geoNear) => ({
+  $geoNear: {
+    near: geoNear.point,
+    distanceField: 'distanceKm',
+    distanceMultiplier: 0.001, // meters -> km
+    maxDistance: geoNear.radiusKm * 1000,
+    query: filters,
+    spherical: true
+  }
+});
+
+/**
+ * Build a $geoNear pipeline for map search sorted by distance (nearest first)
+ * $geoNear must be the first stage; it adds distanceKm to each listing
+ * @param {Object} filters - Listing filters (used as the $geoNear query)
+ * @param {Object} geoNear - { point: GeoJSON Point, radiusKm } from filterListings middleware
+ */
+const buildGeoNearPipeline = (filters, geoNear, skip, limit) => [
+  buildGeoNearStage(filters, geoNear),
+  { $skip: skip },
+  { $limit: limit }
+];
+
 /**
  * Create a new listing
  * Frontend sends FormData with:
@@ -165,6 +193,18 @@ const createListing = async (req, res, next) => {
       return next(errorHandler(400, 'RentType must be "monthly", "three-month", "six-month", "one-year", "yearly", "weekly", or "daily"'));
     }
 
+    // Drafts are saved without going to moderation; publishAt keeps an approved listing hidden until that time
+    const isDraft = toBoolean(req.body.isDraft, false);
+    let publishAt = null;
+    if (req.body.publishAt !== undefined) {
+      const { parsePublishAt } = require('../utils/listingSchedule');
+      const parsed = parsePublishAt(req.body.publishAt);
+      if (parsed.error) {
+        return next(errorHandler(400, parsed.error));
+      }
+      publishAt = parsed.publishAt;
+    }
+
     // Map state to city (backend schema requires 'city')
     const city = state || req.body.city || 'Unknown';
 
@@ -236,7 +276,9 @@ const createListing = async (req, res, next) => {
       agentNumber: agentNumber ? String(agentNumber) : undefined,
       agentWhatsapp: agentWhatsapp ? String(agentWhatsapp) : undefined,
       agentFacebook: req.body.agentFacebook ? String(req.body.agentFacebook).trim() : undefined,
-      approvalStatus: approvalStatus || 'pending',
+      approvalStatus: isDraft ? 'draft' : (approvalStatus || 'pending'),
+      publishAt,
+      isScheduled: !!publishAt,
       isSold: toBoolean(isSold, false),
       isDeleted: toBoolean(isDeleted, false),
       notes: notes ? String(notes) : undefined,
@@ -265,39 +307,110 @@ const createListing = async (req, res, next) => {
       propertyPrice: listingData.propertyPrice
     });
 
+    // Charge the listing points first (the listing id is fixed up front so the charge can reference it),
+    // and give them back if the listing cannot be saved. A discount coupon use is claimed before the charge.
+    let pointsDeducted = null;
+    let couponRedemption = null;
+    if (!req.skipPointDeduction && req.listingCoupon) {
+      const { claimCouponRedemption } = require('../utils/coupons');
+      listingData._id = new mongoose.Types.ObjectId();
+      couponRedemption = await claimCouponRedemption({
+        coupon: req.listingCoupon.coupon,
+        useIndex: req.listingCoupon.useIndex,
+        userId: req.user.id,
+        discountPoints: req.listingCoupon.discountPoints,
+        listingId: listingData._id
+      });
+      res.locals.couponApplied = { code: req.listingCoupon.coupon.code, discountPoints: req.listingCoupon.discountPoints };
+    }
+    if (!req.skipPointDeduction && req.pointsNeeded) {
+      const { applyPointDeduction } = require('../middleware/pointDeduction');
+      listingData._id = listingData._id || new mongoose.Types.ObjectId();
+      try {
+        pointsDeducted = await applyPointDeduction({
+          userId: req.user.id,
+          pointsNeeded: req.pointsNeeded,
+          listingId: listingData._id,
+          description: `Points deducted for listing publication (pricing v${req.pricingVersion ?? 0})`,
+          idempotencyKey: `listing:${listingData._id}:create`
+        });
+      } catch (deductionError) {
+        if (couponRedemption) {
+          const { releaseCouponRedemption } = require('../utils/coupons');
+          await releaseCouponRedemption(couponRedemption);
+        }
+        throw deductionError;
+      }
+      res.locals.pointsDeducted = pointsDeducted;
+    }
+
     // Create listing in database
-    const newListing = await Listing.create(listingData);
+    let newListing;
+    try {
+      newListing = await Listing.create(listingData);
+    } catch (createError) {
+      if (pointsDeducted) {
+        const { reversePointDeduction } = require('../middleware/pointDeduction');
+        await reversePointDeduction({
+          userId: req.user.id,
+          deduction: pointsDeducted,
+          listingId: listingData._id,
+          description: 'Points refunded: listing could not be created'
+        });
+      }
+      if (couponRedemption) {
+        const { releaseCouponRedemption } = require('../utils/coupons');
+        await releaseCouponRedemption(couponRedemption);
+      }
+      throw createError;
+    }
     
     // Log the saved price to verify it matches what we sent
     logger.info(`💰 Property Price - Saved in DB: ${newListing.propertyPrice}, Type: ${typeof newListing.propertyPrice}, String: ${newListing.propertyPrice.toString()}`);
     logger.info(`✅ Listing created successfully: ${newListing._id}`);
+
+    // Start the price history with the initial price, and the revision history with version 1
+    const { recordInitialPrice } = require('../utils/priceHistory');
+    const { recordRevision } = require('../utils/listingRevisions');
+    await recordInitialPrice(newListing, req.user, 'create');
+    await recordRevision(newListing, 'create', req.user);
+
+    // Duplicate detection: warn the agent, and queue suspected duplicates for admins (drafts are queued on submit)
+    const { checkListingForDuplicates, summarizeMatchesFor } = require('../utils/duplicateDetection');
+    const duplicateMatches = await checkListingForDuplicates(newListing, {
+      source: 'create',
+      flag: newListing.approvalStatus !== 'draft'
+    });
     
-    // Notify admin about new listing
-    try {
-      const { notifyAdminAgentNewListing } = require('../utils/notifications');
-      const listingTitle = newListing.propertyTitle || newListing.propertyDesc || newListing.propertyKeyword || 'Untitled Property';
-      await notifyAdminAgentNewListing(
-        newListing._id.toString(),
-        listingData.agentId || listingData.agent || req.user?.id,
-        listingTitle,
-        newListing.propertyId // Pass propertyId (PROP_xxx) instead of ObjectId
-      );
-    } catch (notifError) {
-      // Don't fail listing creation if notification fails
-      logger.error('Failed to send new listing notification:', notifError);
+    // Notify admin about new listing (drafts notify on submit instead)
+    if (newListing.approvalStatus !== 'draft') {
+      try {
+        const { notifyAdminAgentNewListing } = require('../utils/notifications');
+        const listingTitle = newListing.propertyTitle || newListing.propertyDesc || newListing.propertyKeyword || 'Untitled Property';
+        await notifyAdminAgentNewListing(
+          newListing._id.toString(),
+          listingData.agentId || listingData.agent || req.user?.id,
+          listingTitle,
+          newListing.propertyId // Pass propertyId (PROP_xxx) instead of ObjectId
+        );
+      } catch (notifError) {
+        // Don't fail listing creation if notification fails
+        logger.error('Failed to send new listing notification:', notifError);
+      }
     }
 
     // Cache removed - data is always fresh now
 
-    // Store listing ID for point deduction middleware
-    req.listingId = newListing._id;
-    res.locals.listingId = newListing._id;
-
     // Prepare response with points info if available
     const response = {
       success: true,
       ...newListing.toObject(),
-      pointsInfo: res.locals.pointsDeducted || null
+      pointsInfo: res.locals.pointsDeducted || null,
+      coupon: res.locals.couponApplied || null,
+      duplicateWarning: duplicateMatches.length > 0 ? {
+        message: 'This listing looks similar to existing listings and will be reviewed for duplicates',
+        ...summarizeMatchesFor(newListing, duplicateMatches, 5)
+      } : null
     };
 
     res.status(201).json(response);
@@ -369,6 +482,10 @@ const deleteListing = async (req, res, next) => {
     listing.deletedReason = deletedReason || 'No reason provided';
     listing.deletedAt = new Date();
     await listing.save();
+
+    // Refund the unused days of promotions bought for this listing
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(listing._id, 'listing deleted');
     
     // Notify admin about listing deletion (only if not deleted by admin)
     if (req.user.role !== 'admin') {
@@ -622,21 +739,112 @@ const updateListing = async (req, res, next) => {
       }
     }
 
+    // Scheduled publishing: isScheduled/publishedAt are server-managed, publishAt can only move
+    // while the listing is not public yet (draft, in review, or approved and still scheduled)
+    delete updateData.isScheduled;
+    delete updateData.publishedAt;
+    // Expiry is server-managed: only the paid renewal and the lifecycle job change it
+    ['expiresAt', 'expiredAt', 'expiryReminderSentAt', 'renewedAt', 'renewalCount'].forEach((field) => {
+      delete updateData[field];
+    });
+    // Featured / VIP placement is sold as a promotion: only admins (and a purchased promotion) set it
+    if (req.user.role !== 'admin') {
+      ['isFeatured', 'featuredOrder', 'featuredUntil', 'isVip', 'vipOrder', 'vipUntil'].forEach((field) => {
+        delete updateData[field];
+      });
+    }
+    if (updateData.publishAt !== undefined) {
+      const { parsePublishAt, isListingPublic } = require('../utils/listingSchedule');
+      if (isListingPublic(listing)) {
+        return next(errorHandler(400, 'This listing is already published - publishAt can no longer be changed'));
+      }
+      const parsed = parsePublishAt(updateData.publishAt);
+      if (parsed.error) {
+        return next(errorHandler(400, parsed.error));
+      }
+      updateData.publishAt = parsed.publishAt;
+      updateData.isScheduled = !!parsed.publishAt;
+    }
+
+    // Revision history: make sure there is a snapshot of the listing before this edit
+    const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+    await ensureBaselineRevision(listing);
+
+    // Price history: derived fields are server-managed, never taken from the request body
+    ['previousPrice', 'previousCurrency', 'priceChangedAt', 'isPriceReduced', 'priceReducedAt'].forEach((field) => {
+      delete updateData[field];
+    });
+    const { buildPriceChange, recordPriceHistory } = require('../utils/priceHistory');
+    const priceChange = buildPriceChange(listing, updateData);
+    delete updateData.priceUSD;
+    if (priceChange) {
+      const { calculatePriceUSD } = require('../utils/currency');
+      updateData.priceUSD = await calculatePriceUSD(priceChange.entry.propertyPrice, priceChange.entry.currency);
+      Object.assign(updateData, priceChange.fields);
+      logger.info(`💰 Price change on listing ${listing._id}: ${listing.propertyPrice} ${listing.currency} -> ${priceChange.entry.propertyPrice} ${priceChange.entry.currency}`);
+    }
+
+    // Size in sqm and price per sqm follow size/sizeUnit and priceUSD
+    delete updateData.sizeSqm;
+    delete updateData.pricePerSqm;
+    const { AREA_SOURCE_FIELDS, buildAreaFields } = require('../utils/listingArea');
+    if (AREA_SOURCE_FIELDS.some((field) => updateData[field] !== undefined)) {
+      Object.assign(updateData, buildAreaFields({ ...listing.toObject(), ...updateData }));
+    }
+
+    // Keep the GeoJSON location in sync with mapLocation (findByIdAndUpdate skips the save hook)
+    // location is always derived from mapLocation - never taken from the request body
+    delete updateData.location;
+    const unsetData = {};
+    if (updateData.mapLocation !== undefined) {
+      const { parseMapLocation } = require('../utils/geoLocation');
+      const point = parseMapLocation(updateData.mapLocation);
+      if (point) {
+        updateData.location = point;
+      } else {
+        unsetData.location = '';
+      }
+    }
+
+    // SEO slugs follow type/neighborhood/city - old slugs are kept for redirects
+    ['slug', 'slug_ar', 'previousSlugs'].forEach((field) => {
+      delete updateData[field];
+    });
+    const { getSlugUpdate } = require('../utils/listingSlug');
+    const slugUpdate = getSlugUpdate(listing, { ...listing.toObject(), ...updateData });
+    if (slugUpdate) {
+      Object.assign(updateData, slugUpdate);
+    }
+
+    // Normalized keyword-search texts follow the description/address/neighborhood/notes fields
+    delete updateData.searchText;
+    delete updateData.searchText_ar;
+    const { SEARCH_TEXT_FIELDS, SEARCH_TEXT_AR_FIELDS, buildSearchText } = require('../utils/textSearch');
+    if ([...SEARCH_TEXT_FIELDS, ...SEARCH_TEXT_AR_FIELDS].some((field) => updateData[field] !== undefined)) {
+      Object.assign(updateData, buildSearchText({ ...listing.toObject(), ...updateData }));
+    }
+
     const updatedListing = await Listing.findByIdAndUpdate(
       req.params.id,
       {
         $set: updateData,
+        ...(Object.keys(unsetData).length > 0 && { $unset: unsetData }),
       },
       { new: true }
     );
     
     // Cache removed - data is always fresh now
+
+    if (priceChange) {
+      await recordPriceHistory(updatedListing._id, priceChange.entry, req.user, 'update');
+    }
+    const revision = await recordRevision(updatedListing, 'update', req.user);
     
     // Log the saved approvalStatus to verify it matches what we intended
     logger.info(`📋 Update Listing - Saved approvalStatus in DB: ${updatedListing.approvalStatus}, Original was: ${listing.approvalStatus}`);
     
-    // Notify admin about listing update (only if not updated by admin)
-    if (req.user.role !== 'admin') {
+    // Notify admin about listing update (only if not updated by admin, drafts are not reviewed yet)
+    if (req.user.role !== 'admin' && updatedListing.approvalStatus !== 'draft') {
       try {
         const { notifyAdminAgentUpdateListing } = require('../utils/notifications');
         const listingTitle = updatedListing.propertyTitle || updatedListing.propertyDesc || updatedListing.propertyKeyword || 'Untitled Property';
@@ -644,7 +852,8 @@ const updateListing = async (req, res, next) => {
           updatedListing._id.toString(),
           updatedListing.agentId || updatedListing.agent,
           listingTitle,
-          updatedListing.propertyId // Pass propertyId (PROP_xxx) instead of ObjectId
+          updatedListing.propertyId, // Pass propertyId (PROP_xxx) instead of ObjectId
+          revision ? { version: revision.version, changedFields: revision.changedFields } : null
         );
       } catch (notifError) {
         logger.error('Failed to send update listing notification:', notifError);
@@ -656,52 +865,266 @@ const updateListing = async (req, res, next) => {
     next(error);
   }
 };
+
+// Drafts and listings waiting for their publishAt are only visible to their agent and admins
+const canViewListing = (listing, req) => {
+  if (listing.approvalStatus !== 'draft' && !listing.isScheduled) return true;
+  const userId = req.user?.id || req.user?._id?.toString();
+  const isOwner = !!userId && userId === listing.agentId?.toString();
+  return isOwner || req.user?.role === 'admin';
+};
+
+/**
+ * Send the public details of a listing (shared by getListingById and getListingBySlug)
+ * Handles draft/scheduled visibility, agent data, displayCurrency and translation.
+ */
+const sendListingDetails = async (listing, req, res, next) => {
+  const { translateListing } = require('../utils/translateData');
+
+  if (!canViewListing(listing, req)) {
+    const message = req.t ? req.t('listing.not_found') : 'Listing not found!';
+    return next(errorHandler(404, message));
+  }
+  
+  // If agentId exists, fetch agent data (agents are Users with role='agent')
+  if (listing.agentId) {
+    try {
+      const userAgent = await User.findById(listing.agentId)
+        .select('username email phone avatar location description role isBlocked')
+        .lean();
+      
+      if (userAgent && userAgent.role === 'agent') {
+        // Transform User to match agent format with avatar/image URL
+        listing.agentId = {
+          _id: userAgent._id,
+          username: userAgent.username,
+          fullName: userAgent.username || userAgent.email,
+          email: userAgent.email,
+          phone: userAgent.phone || '',
+          avatar: userAgent.avatar || null, // Include agent image/avatar
+          image: userAgent.avatar || null, // Also include as 'image' for compatibility
+          imageUrl: userAgent.avatar || null, // Also include as 'imageUrl' for compatibility
+          location: userAgent.location || '',
+          description: userAgent.description || '',
+          isBlocked: userAgent.isBlocked || false
+        };
+        // Add blocked flag to listing if agent is blocked
+        if (userAgent.isBlocked) {
+          listing.isAgentBlocked = true;
+        }
+      }
+    } catch (populateError) {
+      logger.warn('Error populating agentId:', populateError);
+    }
+  }
+  
+  // Optional price conversion: ?displayCurrency=SYP
+  if (req.query.displayCurrency) {
+    const { normalizeCurrency, getExchangeRates, applyDisplayCurrency } = require('../utils/currency');
+    const displayCurrency = normalizeCurrency(req.query.displayCurrency);
+    if (!displayCurrency) {
+      return next(errorHandler(400, 'Invalid displayCurrency. Use USD, SYP, TRY or EUR'));
+    }
+    applyDisplayCurrency(listing, displayCurrency, await getExchangeRates());
+  }
+
+  // Translate listing if translation function is available
+  const translatedListing = req.t ? translateListing(listing, req.t) : listing;
+  
+  res.status(200).json(translatedListing);
+};
+
 const getListingById = async (req, res, next) => {
   try {
-    const { translateListing } = require('../utils/translateData');
-    
     const listing = await Listing.findById(req.params.id).lean();
     if (!listing) {
       const message = req.t ? req.t('listing.not_found') : 'Listing not found!';
       return next(errorHandler(404, message));
     }
-    
-    // If agentId exists, fetch agent data (agents are Users with role='agent')
-    if (listing.agentId) {
-      try {
-        const userAgent = await User.findById(listing.agentId)
-          .select('username email phone avatar location description role isBlocked')
-          .lean();
-        
-        if (userAgent && userAgent.role === 'agent') {
-          // Transform User to match agent format with avatar/image URL
-          listing.agentId = {
-            _id: userAgent._id,
-            username: userAgent.username,
-            fullName: userAgent.username || userAgent.email,
-            email: userAgent.email,
-            phone: userAgent.phone || '',
-            avatar: userAgent.avatar || null, // Include agent image/avatar
-            image: userAgent.avatar || null, // Also include as 'image' for compatibility
-            imageUrl: userAgent.avatar || null, // Also include as 'imageUrl' for compatibility
-            location: userAgent.location || '',
-            description: userAgent.description || '',
-            isBlocked: userAgent.isBlocked || false
-          };
-          // Add blocked flag to listing if agent is blocked
-          if (userAgent.isBlocked) {
-            listing.isAgentBlocked = true;
-          }
-        }
-      } catch (populateError) {
-        logger.warn('Error populating agentId:', populateError);
+
+    await sendListingDetails(listing, req, res, next);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a listing by its English or Arabic slug
+ * GET /api/listing/by-slug/:slug
+ * Old slugs (listing type/neighborhood/city changed) answer with a 301 to the current slug.
+ */
+const getListingBySlug = async (req, res, next) => {
+  try {
+    const slug = String(req.params.slug || '').trim();
+    const notFound = () => next(errorHandler(404, req.t ? req.t('listing.not_found') : 'Listing not found!'));
+    if (!slug) {
+      return notFound();
+    }
+
+    const listing = await Listing.findOne({
+      $or: [{ slug }, { slug_ar: slug }],
+      isDeleted: { $ne: true }
+    }).lean();
+    if (listing) {
+      return await sendListingDetails(listing, req, res, next);
+    }
+
+    const moved = await Listing.findOne({ previousSlugs: slug, isDeleted: { $ne: true } })
+      .select('slug slug_ar')
+      .lean();
+    if (!moved || !moved.slug) {
+      return notFound();
+    }
+
+    // Redirect in the language of the requested slug
+    const { isArabicSlug } = require('../utils/listingSlug');
+    const target = isArabicSlug(slug) && moved.slug_ar ? moved.slug_ar : moved.slug;
+    const queryIndex = req.originalUrl.indexOf('?');
+    const query = queryIndex >= 0 ? req.originalUrl.slice(queryIndex) : '';
+    res.redirect(301, `${req.baseUrl}/by-slug/${encodeURIComponent(target)}${query}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get price history of a listing (oldest first)
+ * GET /api/listing/:id/price-history
+ */
+const getListingPriceHistory = async (req, res, next) => {
+  try {
+    const ListingPriceHistory = require('../models/listingPriceHistory.model');
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    const listing = await Listing.findById(req.params.id)
+      .select('propertyId propertyPrice currency previousPrice previousCurrency priceChangedAt isPriceReduced priceReducedAt isDeleted approvalStatus isScheduled agentId')
+      .lean();
+    if (!listing || listing.isDeleted || !canViewListing(listing, req)) {
+      const message = req.t ? req.t('listing.not_found') : 'Listing not found!';
+      return next(errorHandler(404, message));
+    }
+
+    const history = await ListingPriceHistory.find({ listingId: listing._id })
+      .select('propertyPrice currency previousPrice previousCurrency changeAmount changePercent source createdAt')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        listingId: listing._id,
+        propertyId: listing.propertyId,
+        currentPrice: listing.propertyPrice,
+        currency: listing.currency,
+        previousPrice: listing.previousPrice,
+        previousCurrency: listing.previousCurrency,
+        priceChangedAt: listing.priceChangedAt,
+        isPriceReduced: listing.isPriceReduced || false,
+        priceReducedAt: listing.priceReducedAt,
+        history
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * schema.org RealEstateListing JSON-LD of a public listing, in the request language (Accept-Language or ?lang=en|ar)
+ * GET /api/listing/:id/json-ld  (id or English/Arabic slug)
+ */
+const getListingJsonLd = async (req, res, next) => {
+  try {
+    const { PUBLIC_LISTING_QUERY, getSitemapLanguages, buildListingJsonLd } = require('../utils/sitemap');
+    const key = String(req.params.id || '').trim();
+    const match = mongoose.Types.ObjectId.isValid(key)
+      ? { _id: key }
+      : { $or: [{ slug: key }, { slug_ar: key }] };
+
+    // Only pages that are public (and in the sitemap) get structured data
+    const listing = await Listing.findOne({ ...match, ...PUBLIC_LISTING_QUERY }).lean();
+    if (!listing) {
+      const message = req.t ? req.t('listing.not_found') : 'Listing not found!';
+      return next(errorHandler(404, message));
     }
-    
-    // Translate listing if translation function is available
-    const translatedListing = req.t ? translateListing(listing, req.t) : listing;
-    
-    res.status(200).json(translatedListing);
+
+    const requested = String(req.query.lang || '').toLowerCase();
+    const lng = getSitemapLanguages().includes(requested) ? requested : (req.language || 'en');
+
+    res.set('Content-Type', 'application/ld+json; charset=utf-8');
+    res.status(200).send(JSON.stringify(buildListingJsonLd(listing, lng)));
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Listings similar to a listing (type, status, location, price, size, bedrooms, amenities)
+ * GET /api/listing/:id/similar?limit=8
+ */
+const getSimilarListings = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    const { getSimilarListings: findSimilarListings } = require('../utils/listingSimilarity');
+    const listings = await findSimilarListings(req.params.id, { limit: req.query.limit });
+    if (!listings) {
+      const message = req.t ? req.t('listing.not_found') : 'Listing not found!';
+      return next(errorHandler(404, message));
+    }
+
+    const { translateListings } = require('../utils/translateData');
+    res.status(200).json({
+      success: true,
+      data: req.t ? translateListings(listings, req.t) : listings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * "You may also like" for the logged-in user, from their favorites and recently viewed listings
+ * GET /api/listing/recommendations?limit=8
+ */
+const getRecommendedListings = async (req, res, next) => {
+  try {
+    const { getRecommendedListings: findRecommendedListings } = require('../utils/listingSimilarity');
+    const { personalized, basedOn, listings } = await findRecommendedListings(req.user.id, { limit: req.query.limit });
+
+    const { translateListings } = require('../utils/translateData');
+    res.status(200).json({
+      success: true,
+      data: req.t ? translateListings(listings, req.t) : listings,
+      personalized,
+      basedOn
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Typeahead suggestions for the search box (cities, neighborhoods, property types, agents, propertyIds)
+ * GET /api/listing/suggest?q=&limit=
+ */
+const getSearchSuggestions = async (req, res, next) => {
+  try {
+    const { getSearchSuggestions: buildSuggestions } = require('../utils/searchSuggestions');
+    const data = await buildSuggestions({
+      q: req.query.q,
+      lng: req.language === 'ar' ? 'ar' : 'en',
+      limit: req.query.limit
+    });
+
+    // Short browser cache: the same prefix is often typed again within a session
+    res.set('Cache-Control', 'public, max-age=60');
+    res.status(200).json({ success: true, data });
   } catch (error) {
     next(error);
   }
@@ -741,6 +1164,7 @@ const getListingsByAgent = async (req, res, next) => {
     if (isPublic === 'true' || isPublic === true) {
       query.approvalStatus = { $in: ['approved', 'Approved', 'APPROVED'] }; // Match any case variation
       query.isSold = { $ne: true }; // Exclude sold listings from public pages
+      query.isScheduled = { $ne: true }; // Exclude listings waiting for publishAt
     }
     
     // Add optional filters
@@ -755,13 +1179,32 @@ const getListingsByAgent = async (req, res, next) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Execute query
-    const [listings, total] = await Promise.all([
-      Listing.find(query)
+    // Cursor pagination (?cursor=, empty for the first page) instead of page: new listings cannot shift the pages
+    const useCursor = req.query.cursor !== undefined;
+    let cursorPage = null;
+    let listingsPromise;
+    if (useCursor) {
+      const { NEWEST_SORT, buildCursorMatch, getCursorSortOrder, finishCursorPage } = require('../utils/listingCursor');
+      const afterCursor = buildCursorMatch(NEWEST_SORT, req.query.cursor);
+      listingsPromise = Listing.find(afterCursor ? { $and: [query, afterCursor] } : query)
+        .sort(getCursorSortOrder(NEWEST_SORT))
+        .limit(parseInt(limit) + 1)
+        .lean()
+        .then((docs) => {
+          cursorPage = finishCursorPage(docs, NEWEST_SORT, parseInt(limit));
+          return cursorPage.listings;
+        });
+    } else {
+      listingsPromise = Listing.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
-        .lean(),
+        .lean();
+    }
+    
+    // Execute query
+    const [listings, total] = await Promise.all([
+      listingsPromise,
       Listing.countDocuments(query)
     ]);
     
@@ -780,7 +1223,13 @@ const getListingsByAgent = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: translatedListings,
-      pagination: {
+      pagination: cursorPage ? {
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+        nextCursor: cursorPage.nextCursor,
+        hasNextPage: cursorPage.hasNextPage
+      } : {
         page: parseInt(page),
         limit: parseInt(limit),
         total,
@@ -831,21 +1280,61 @@ const getFilteredListings = async (req, res, next) => {
     // Use exact match first (most common case - lowercase due to model validation)
     filters.approvalStatus = 'approved';
     
+    // Optional sidebar counts: ?facets=true or ?facets=propertyType,city,...
+    const { parseFacetsParam, getSearchFacets } = require('../utils/searchFacets');
+    const facetsParam = parseFacetsParam(req.query.facets);
+    if (facetsParam.error) {
+      return next(errorHandler(400, facetsParam.error));
+    }
+    const facetsPromise = getSearchFacets({
+      Listing,
+      query: req.query,
+      facets: facetsParam.facets,
+      visibility: { isDeleted: { $ne: true }, isSold: { $ne: true }, approvalStatus: 'approved' },
+      t: req.t
+    });
+    // Handled when awaited below; avoids an unhandled rejection if the results query fails first
+    facetsPromise.catch(() => {});
+    
     logger.debug('getFilteredListings - filters:', JSON.stringify(filters, null, 2));
     logger.debug('getFilteredListings - sortOptions:', sortOptions);
     logger.debug('getFilteredListings - limit:', limit, 'skip:', skip);
     
     // Run count in parallel with main query to reduce latency
     const countPromise = Listing.countDocuments(filters);
-    // When filtering by VIP (e.g. VIP page), sort by vipOrder only
-    const useVipOrderSort = filters.isVip === true && sortOptions.createdAt === -1;
+    // When filtering by VIP (e.g. VIP page), sort by vipOrder only (newest/default sort, not relevance or most viewed)
+    const isNewestSortOptions = sortOptions.createdAt === -1 && Object.keys(sortOptions).every((key) => ['isFeatured', 'createdAt'].includes(key));
+    const useVipOrderSort = filters.isVip === true && isNewestSortOptions;
     // Home / default search: priority = VIP (by vipOrder 1,2,3…) then featured then rest. Used for listing page & Fresh Listings.
     const sortIsNewest = (req.query.sort || '').toLowerCase() === 'newest' || (!req.query.sort && sortOptions.createdAt === -1);
     const useVipThenFeaturedSort = !useVipOrderSort && (
       (sortOptions.isFeatured === -1 && sortOptions.createdAt === -1) || sortIsNewest
     );
+    // Map search sorted by distance (sort=distance&near=lat,lng)
+    const useDistanceSort = sortOptions.distance === 1 && req.geoNear;
+    // Cursor pagination (?cursor=, empty for the first page): same order, but pages cannot shift (page is ignored)
+    const useCursor = req.query.cursor !== undefined;
     let listings;
-      if (useVipOrderSort) {
+    let cursorPage = null;
+    if (useCursor) {
+      const {
+        VIP_ORDER_SORT, TIERED_SORT, DISTANCE_SORT, buildFieldSort, buildCursorPipeline, finishCursorPage
+      } = require('../utils/listingCursor');
+      let cursorSort = buildFieldSort(sortOptions);
+      if (useDistanceSort) cursorSort = DISTANCE_SORT;
+      else if (useVipOrderSort) cursorSort = VIP_ORDER_SORT;
+      else if (useVipThenFeaturedSort) cursorSort = TIERED_SORT;
+      const pipeline = buildCursorPipeline({
+        firstStages: [useDistanceSort ? buildGeoNearStage(filters, req.geoNear) : { $match: filters }],
+        sort: cursorSort,
+        cursor: req.query.cursor,
+        limit
+      });
+      cursorPage = finishCursorPage(await Listing.aggregate(pipeline), cursorSort, limit);
+      listings = cursorPage.listings;
+    } else if (useDistanceSort) {
+      listings = await Listing.aggregate(buildGeoNearPipeline(filters, req.geoNear, skip, limit));
+    } else if (useVipOrderSort) {
       // vipOrder 1 = index 0, vipOrder 2 = index 1, vipOrder 3 = index 2. Use _vipOrder = vipOrder - 1; null/no order -> 999999 (last).
       const pipeline = [
         { $match: filters },
@@ -892,12 +1381,15 @@ const getFilteredListings = async (req, res, next) => {
     }
     
     // If no results with exact match, try case-insensitive regex (for backward compatibility)
-    if (listings.length === 0) {
+    // Not for cursor pages: an empty cursor page just means the end of the results
+    if (!useCursor && listings.length === 0) {
       logger.warn(`⚠️ getFilteredListings - No listings found with exact 'approved' match, trying case-insensitive...`);
       const filtersWithRegex = { ...filters };
       filtersWithRegex.approvalStatus = { $regex: /^approved$/i };
       
-      if (useVipOrderSort) {
+      if (useDistanceSort) {
+        listings = await Listing.aggregate(buildGeoNearPipeline(filtersWithRegex, req.geoNear, skip, limit));
+      } else if (useVipOrderSort) {
         const pipelineVipRegex = [
           { $match: filtersWithRegex },
           { $addFields: { _vipOrder: { $cond: [
@@ -973,14 +1465,25 @@ const getFilteredListings = async (req, res, next) => {
       });
     }
     
+    // Convert prices for the client's displayCurrency (validated in filterListings)
+    if (req.displayCurrency) {
+      const { getExchangeRates, applyDisplayCurrency } = require('../utils/currency');
+      applyDisplayCurrency(listings, req.displayCurrency, await getExchangeRates());
+    }
+
     // Translate listings if translation function is available
     const translatedListings = req.t ? translateListings(listings, req.t) : listings;
     
     logger.debug('getFilteredListings - found', listings.length, 'listings');
     
-    // Use count from parallel query (started at top of handler)
+    // Use count and facets from parallel queries (started at top of handler)
     const total = await countPromise;
     const totalPages = Math.ceil(total / limit);
+    const facets = facetsParam.facets.length > 0 ? await facetsPromise : undefined;
+
+    // Search analytics (fire-and-forget, first pages only)
+    const { logListingSearch } = require('../utils/searchAnalytics');
+    logListingSearch(req, total);
     
     // Log sample of listings for debugging
     if (listings.length > 0) {
@@ -1005,14 +1508,21 @@ const getFilteredListings = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: translatedListings,
-      pagination: {
+      pagination: cursorPage ? {
+        limit: limit,
+        total: total,
+        totalPages: totalPages,
+        nextCursor: cursorPage.nextCursor,
+        hasNextPage: cursorPage.hasNextPage
+      } : {
         page: page,
         limit: limit,
         total: total,
         totalPages: totalPages,
         hasNextPage: page < totalPages,
         hasPrevPage: page > 1
-      }
+      },
+      ...(facets ? { facets } : {})
     });
   } catch (error) {
     logger.error('getFilteredListings error:', error);
@@ -1027,6 +1537,7 @@ const getEachStateListing = async (req, res, next) => {
         $match: {
           isDeleted: { $ne: true },
           isSold: { $ne: true }, // Exclude sold listings
+          isScheduled: { $ne: true }, // Exclude listings waiting for publishAt
           approvalStatus: { $in: ['approved', 'Approved', 'APPROVED'] } // Match any case variation
         }
       },
@@ -1060,6 +1571,20 @@ const incrementVisitCount = async (req, res, next) => {
     if (!listing) {
       return next(errorHandler(404, 'Listing not found!'));
     }
+
+    // Daily visits for promotion reports (not awaited)
+    const { recordListingVisit } = require('../utils/listingPromotions');
+    recordListingVisit(listing._id).catch((statError) => logger.debug('Failed to record daily listing visit:', statError));
+
+    // Remember the view for the user's recommendations (not awaited)
+    if (req.user?.id) {
+      const ListingView = require('../models/listingView.model');
+      ListingView.updateOne(
+        { userId: req.user.id, listingId: listing._id },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+        { upsert: true }
+      ).catch((viewError) => logger.debug('Failed to record listing view:', viewError));
+    }
     
     // Notify agent about listing view milestone
     if (listing.agentId) {
@@ -1101,6 +1626,7 @@ const getMostVisitedListings = async (req, res, next) => {
       ],
       isDeleted: { $ne: true },
       isSold: { $ne: true }, // Exclude sold listings from most visited
+      isScheduled: { $ne: true },
       approvalStatus: { $in: ['approved', 'Approved', 'APPROVED'] }
     })
       .sort({ visitCount: -1 })
@@ -1146,9 +1672,15 @@ const getMostVisitedListings = async (req, res, next) => {
 const aiSearch = async (req, res, next) => {
   try {
     const { translateListings } = require('../utils/translateData');
-    const { parseQuery } = require('../utils/ruleBasedParser');
-    
-    const { query } = req.body;
+    const {
+      parseSearchQuery,
+      interpretQuery,
+      readInterpretation,
+      refineInterpretation
+    } = require('../utils/searchInterpretation');
+    
+    // previousInterpretation: follow-up mode - query refines the interpretation of an earlier search
+    const { query, previousInterpretation } = req.body;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
@@ -1158,33 +1690,38 @@ const aiSearch = async (req, res, next) => {
       return next(errorHandler(400, 'Query is required and must be a non-empty string'));
     }
 
-    logger.info(`🔍 Natural Language Search request: "${query}"`);
+    let previous = null;
+    if (previousInterpretation !== undefined && previousInterpretation !== null) {
+      try {
+        previous = readInterpretation(previousInterpretation);
+      } catch (validationError) {
+        return next(validationError);
+      }
+    }
 
-    // Parse natural language query using rule-based parser (works in Syria!)
+    logger.info(`🔍 Natural Language Search request: "${query}"${previous ? ' (refinement)' : ''}`);
+
+    // Parse natural language query using rule-based parser (works in Syria!),
+    // enriched by the LLM (DeepSeek or OpenAI) when configured
+    // parser / llmOutcome are recorded in the search analytics
+    const { logAiSearch } = require('../utils/searchAnalytics');
     let extractedParams;
+    let interpretation;
+    let parser = 'rule_based';
+    let llmOutcome = 'not_configured';
     try {
-      // Use rule-based parser (no external API needed - works in Syria)
-      extractedParams = parseQuery(query);
-
-      // Use LLM (DeepSeek or OpenAI) when configured - merge: AI enriches, rule-based keeps values AI returns null for
-      const { parseAIQuery, isAIConfigured } = require('../utils/aiSearchParser');
-      if (isAIConfigured()) {
-        try {
-          const aiParams = await parseAIQuery(query);
-          const mergeValue = (ruleVal, aiVal) => (aiVal != null && aiVal !== '') ? aiVal : ruleVal;
-          extractedParams = {
-            ...extractedParams,
-            ...Object.fromEntries(
-              Object.entries(aiParams || {}).map(([k, v]) => [k, mergeValue(extractedParams[k], v)])
-            )
-          };
-          logger.info('✅ Using LLM for enhanced parsing');
-        } catch (aiError) {
-          logger.warn('LLM parsing failed, using rule-based only:', aiError.message);
-        }
+      const parsed = await parseSearchQuery(query);
+      parser = parsed.parser;
+      llmOutcome = parsed.llmOutcome;
+      if (previous) {
+        ({ params: extractedParams, interpretation } = refineInterpretation(previous, query, parsed));
+      } else {
+        extractedParams = parsed.params;
+        interpretation = interpretQuery(query, parsed);
       }
     } catch (parseError) {
       logger.error('Query parsing error:', parseError);
+      logAiSearch(req, { query, parser, llmOutcome, extractedParams: null, understood: false, resultCount: 0 });
       return next(errorHandler(500, `Query parsing failed: ${parseError.message}`));
     }
 
@@ -1226,10 +1763,12 @@ const aiSearch = async (req, res, next) => {
     const meaningful = hasMeaningfulParams();
     if (!meaningful) {
       logger.warn(`AI Search returned no meaningful params for query: "${query}", responding with empty results.`);
+      logAiSearch(req, { query, parser, llmOutcome, extractedParams, understood: false, resultCount: 0 });
       return res.status(200).json({
         success: true,
         data: [],
         extractedParams,
+        interpretation,
         pagination: {
           page,
           limit,
@@ -1245,6 +1784,7 @@ const aiSearch = async (req, res, next) => {
     const filters = {
       isDeleted: { $ne: true },
       isSold: { $ne: true },
+      isScheduled: { $ne: true },
       approvalStatus: 'approved'
     };
 
@@ -1313,14 +1853,24 @@ const aiSearch = async (req, res, next) => {
       }
     }
 
-    // Apply price range filter
+    // Apply price range filter: parsed prices are in priceCurrency (USD when not stated),
+    // converted to USD and compared with priceUSD to include all currencies
     if (extractedParams.priceMin || extractedParams.priceMax) {
-      filters.propertyPrice = {};
-      if (extractedParams.priceMin !== null) {
-        filters.propertyPrice.$gte = extractedParams.priceMin;
-      }
-      if (extractedParams.priceMax !== null) {
-        filters.propertyPrice.$lte = extractedParams.priceMax;
+      const { getExchangeRates, convertToUSD } = require('../utils/currency');
+      const rates = await getExchangeRates();
+      const toUSD = (amount) => convertToUSD(amount, extractedParams.priceCurrency || 'USD', rates);
+      const priceMinUSD = extractedParams.priceMin != null ? toUSD(extractedParams.priceMin) : null;
+      const priceMaxUSD = extractedParams.priceMax != null ? toUSD(extractedParams.priceMax) : null;
+      if (priceMinUSD !== null || priceMaxUSD !== null) {
+        filters.priceUSD = {};
+        if (priceMinUSD !== null) {
+          filters.priceUSD.$gte = priceMinUSD;
+        }
+        if (priceMaxUSD !== null) {
+          filters.priceUSD.$lte = priceMaxUSD;
+        }
+      } else {
+        logger.warn(`AI Search - No exchange rate for ${extractedParams.priceCurrency}, price filter skipped`);
       }
     }
 
@@ -1347,7 +1897,12 @@ const aiSearch = async (req, res, next) => {
     // IGNORE neighborhood filter for AI search - focus on city only
     // Neighborhood filtering is disabled to avoid false negatives
     // Users can use regular search filters for neighborhood-specific searches
-    if (extractedParams.neighborhood) {
+    // Exception: a follow-up that asks for the neighborhood ("in Mezzeh instead") filters on it
+    if (extractedParams.neighborhood && interpretation.fields.neighborhood?.applied) {
+      const neighborhoodField = /[\u0600-\u06FF]/.test(extractedParams.neighborhood) ? 'neighborhood_ar' : 'neighborhood';
+      filters[neighborhoodField] = { $regex: new RegExp(extractedParams.neighborhood.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') };
+      logger.info(`✅ AI Search - Filtering by requested neighborhood: "${extractedParams.neighborhood}"`);
+    } else if (extractedParams.neighborhood) {
       logger.info(`⚠️  AI Search - Ignoring neighborhood filter: "${extractedParams.neighborhood}" (focusing on city only)`);
       // Neighborhood filter is intentionally NOT applied
     }
@@ -1493,12 +2048,14 @@ const aiSearch = async (req, res, next) => {
     const translatedListings = req.t ? translateListings(listings, req.t) : listings;
 
     logger.info(`✅ Natural Language Search found ${listings.length} listings (page ${page} of ${totalPages})`);
+    logAiSearch(req, { query, parser, llmOutcome, extractedParams, understood: true, resultCount: totalCount });
 
     // Return response with extracted parameters for transparency
     res.status(200).json({
       success: true,
       data: translatedListings,
       extractedParams: extractedParams,
+      interpretation,
       pagination: {
         page: page,
         limit: limit,
@@ -1636,6 +2193,8 @@ const exportProperties = async (req, res, next) => {
  */
 const importProperties = async (req, res, next) => {
   try {
+    const { recordInitialPrice } = require('../utils/priceHistory');
+    const { recordRevision } = require('../utils/listingRevisions');
     const userId = req.user.id;
     const user = await User.findById(userId).select('agentId role agent');
     const queryId = (user && user.role === 'agent' && user.agentId) ? user.agentId.toString() : userId;
@@ -1711,8 +2270,15 @@ const importProperties = async (req, res, next) => {
     const results = {
       success: 0,
       errors: [],
+      duplicates: [],
       total: rows.length
     };
+    const {
+      DUPLICATE_BLOCK_SCORE,
+      findDuplicates,
+      flagDuplicates,
+      summarizeMatchesFor
+    } = require('../utils/duplicateDetection');
 
     // Process each row
     for (let i = 0; i < rows.length; i++) {
@@ -1756,8 +2322,26 @@ const importProperties = async (req, res, next) => {
           propertyData.furnished = true;
         }
 
+        // Skip rows that duplicate an existing listing (including rows imported earlier in this file)
+        const matches = await findDuplicates(propertyData);
+        const blocking = matches.filter((match) => match.score >= DUPLICATE_BLOCK_SCORE);
+        if (blocking.length > 0) {
+          results.duplicates.push({
+            row: i + 2,
+            propertyId: propertyData.propertyId,
+            ...summarizeMatchesFor(propertyData, blocking, 3)
+          });
+          continue;
+        }
+
         // Create listing
-        await Listing.create(propertyData);
+        const importedListing = await Listing.create(propertyData);
+        await recordInitialPrice(importedListing, req.user, 'import');
+        await recordRevision(importedListing, 'create', req.user, 'Imported from CSV');
+        // Weaker matches are imported but queued for admin review
+        if (matches.length > 0) {
+          await flagDuplicates(importedListing, matches, 'import');
+        }
         results.success++;
       } catch (error) {
         results.errors.push({
@@ -1770,7 +2354,7 @@ const importProperties = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      message: `Imported ${results.success} of ${results.total} properties`,
+      message: `Imported ${results.success} of ${results.total} properties${results.duplicates.length > 0 ? ` (${results.duplicates.length} skipped as duplicates)` : ''}`,
       data: results
     });
   } catch (error) {
@@ -1854,10 +2438,15 @@ const updateListingImages = async (req, res, next) => {
       imageNames = imageNames.slice(0, maxImages);
     }
 
+    const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+    await ensureBaselineRevision(listing);
+
     listing.images = currentImages;
     listing.imageNames = imageNames;
     await listing.save();
 
+    await recordRevision(listing, 'images', req.user);
+
     res.status(200).json(listing);
   } catch (error) {
     next(error);
@@ -1892,8 +2481,12 @@ const setListingFeatured = async (req, res, next) => {
       }
     }
 
+    // An admin decision has no expiry and overrides a bought promotion: its unused days are refunded
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(listing._id, 'featured status changed by admin', { type: 'featured' });
+
     // Atomic update so featuredOrder is always persisted (avoids Mongoose doc state issues)
-    const update = { isFeatured };
+    const update = { isFeatured, featuredUntil: null };
     if (!isFeatured) {
       update.featuredOrder = null;
     } else if (req.body?.featuredOrder !== undefined) {
@@ -1928,7 +2521,11 @@ const setListingVip = async (req, res, next) => {
       return next(errorHandler(404, 'Listing not found'));
     }
     const isVip = req.body?.isVip === true;
+    // An admin decision has no expiry and overrides a bought promotion: its unused days are refunded
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(listing._id, 'VIP status changed by admin', { type: 'vip' });
     listing.isVip = isVip;
+    listing.vipUntil = null;
     let newOrder = null;
     if (!isVip) {
       listing.vipOrder = null;
@@ -1953,6 +2550,167 @@ const setListingVip = async (req, res, next) => {
   }
 };
 
+/**
+ * Submit a draft listing for admin review (draft -> pending) - owner or admin.
+ * POST /api/listing/:id/submit  body: { publishAt?: date | null }
+ */
+const submitListing = async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+    if (!listing || listing.isDeleted) {
+      return next(errorHandler(404, 'Listing not found'));
+    }
+
+    const userId = req.user.id || req.user._id?.toString();
+    if (userId !== listing.agentId?.toString() && req.user.role !== 'admin') {
+      return next(errorHandler(403, 'You can only submit your own listings!'));
+    }
+
+    if (listing.approvalStatus !== 'draft') {
+      return next(errorHandler(400, 'Only draft listings can be submitted for review'));
+    }
+
+    const { parsePublishAt } = require('../utils/listingSchedule');
+    if (req.body?.publishAt !== undefined) {
+      const parsed = parsePublishAt(req.body.publishAt);
+      if (parsed.error) {
+        return next(errorHandler(400, parsed.error));
+      }
+      listing.publishAt = parsed.publishAt;
+    } else if (listing.publishAt && listing.publishAt <= new Date()) {
+      // Scheduled time passed while the listing was still a draft: publish as soon as it is approved
+      listing.publishAt = null;
+    }
+    listing.isScheduled = !!listing.publishAt;
+
+    const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+    await ensureBaselineRevision(listing);
+
+    listing.approvalStatus = 'pending';
+    await listing.save();
+
+    await recordRevision(listing, 'approval', req.user, 'draft -> pending');
+
+    const { checkListingForDuplicates } = require('../utils/duplicateDetection');
+    await checkListingForDuplicates(listing, { source: 'create' });
+
+    // Admins see the listing for the first time now
+    if (req.user.role !== 'admin') {
+      try {
+        const { notifyAdminAgentNewListing } = require('../utils/notifications');
+        const listingTitle = listing.propertyTitle || listing.propertyDesc || listing.propertyKeyword || 'Untitled Property';
+        await notifyAdminAgentNewListing(
+          listing._id.toString(),
+          listing.agentId || listing.agent,
+          listingTitle,
+          listing.propertyId
+        );
+      } catch (notifError) {
+        logger.error('Failed to send submitted listing notification:', notifError);
+      }
+    }
+
+    logger.info(`Listing ${listing._id} submitted for review by ${userId}${listing.isScheduled ? ` (scheduled for ${listing.publishAt.toISOString()})` : ''}`);
+    res.status(200).json({
+      success: true,
+      message: 'Listing submitted for review',
+      data: listing
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Renew a listing - owner or admin. Extends expiresAt by the listing lifetime (sale/rent)
+ * and brings an expired listing back to approved.
+ * POST /api/listing/:id/renew
+ * Points (LISTING_RENEWAL_POINTS) are checked by checkRenewalPoints, deducted here before the save
+ * and reversed if the save fails.
+ */
+const renewListing = async (req, res, next) => {
+  try {
+    const listing = await Listing.findById(req.params.id);
+    if (!listing) {
+      return next(errorHandler(404, 'Listing not found'));
+    }
+
+    const userId = req.user.id || req.user._id?.toString();
+    if (userId !== listing.agentId?.toString() && req.user.role !== 'admin') {
+      return next(errorHandler(403, 'You can only renew your own listings!'));
+    }
+
+    if (listing.isDeleted || listing.isSold) {
+      return next(errorHandler(400, 'Deleted or sold listings cannot be renewed'));
+    }
+    if (!['approved', 'expired'].includes(listing.approvalStatus)) {
+      return next(errorHandler(400, 'Only approved or expired listings can be renewed'));
+    }
+
+    const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+    const { calculateExpiresAt } = require('../constants/listingLifecycle');
+    await ensureBaselineRevision(listing);
+
+    // Renewing early keeps the remaining time: the new period starts from the current expiry date
+    const now = new Date();
+    const from = listing.expiresAt && listing.expiresAt > now ? listing.expiresAt : now;
+    const oldApprovalStatus = listing.approvalStatus;
+
+    // Charge before saving: the ledger debit is atomic, so two renewals cannot spend the same points
+    let pointsDeducted = null;
+    if (!req.skipPointDeduction && req.pointsNeeded) {
+      const { applyPointDeduction } = require('../middleware/pointDeduction');
+      pointsDeducted = await applyPointDeduction({
+        userId,
+        pointsNeeded: req.pointsNeeded,
+        listingId: listing._id,
+        description: 'Points deducted for listing renewal',
+        // One charge per renewal: a retried or concurrent request for the same renewal replays it
+        idempotencyKey: `listing:${listing._id}:renew:${listing.renewalCount || 0}`
+      });
+    }
+
+    listing.approvalStatus = 'approved';
+    listing.expiresAt = calculateExpiresAt(listing.status, from);
+    listing.expiredAt = null;
+    listing.expiryReminderSentAt = null;
+    listing.renewedAt = now;
+    listing.renewalCount = (listing.renewalCount || 0) + 1;
+    try {
+      await listing.save();
+    } catch (saveError) {
+      if (pointsDeducted) {
+        const { reversePointDeduction } = require('../middleware/pointDeduction');
+        await reversePointDeduction({
+          userId,
+          deduction: pointsDeducted,
+          listingId: listing._id,
+          description: 'Points refunded: listing renewal failed'
+        });
+      }
+      throw saveError;
+    }
+
+    await recordRevision(listing, 'approval', req.user, `Renewed (${oldApprovalStatus} -> approved), expires ${listing.expiresAt.toISOString()}`);
+
+    logger.info(`Listing ${listing._id} renewed by ${userId} until ${listing.expiresAt.toISOString()} (renewal #${listing.renewalCount})`);
+    res.status(200).json({
+      success: true,
+      message: 'Listing renewed successfully',
+      data: {
+        _id: listing._id,
+        approvalStatus: listing.approvalStatus,
+        expiresAt: listing.expiresAt,
+        renewedAt: listing.renewedAt,
+        renewalCount: listing.renewalCount
+      },
+      pointsDeducted
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createListing,
   deleteListing,
@@ -1960,7 +2718,15 @@ module.exports = {
   updateListingImages,
   setListingFeatured,
   setListingVip,
+  submitListing,
+  renewListing,
   getListingById,
+  getListingBySlug,
+  getListingPriceHistory,
+  getListingJsonLd,
+  getSimilarListings,
+  getRecommendedListings,
+  getSearchSuggestions,
   getListingImages,
   getListingsByAgent,
   getFilteredListings,
@@ -0,0 +1,282 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const ListingDuplicate = require('../models/listingDuplicate.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const { recordRevision, ensureBaselineRevision } = require('../utils/listingRevisions');
+
+// ==================== DUPLICATE LISTINGS QUEUE (admin) ====================
+
+const LISTING_SUMMARY_FIELDS = 'propertyId propertyKeyword propertyType status city neighborhood size propertyPrice currency bedrooms agentId agentName approvalStatus isDeleted images createdAt';
+const MAX_IMAGES = 15;
+
+const getListingTitle = (listing) =>
+  listing.propertyTitle || listing.propertyDesc || listing.propertyKeyword || 'Untitled Property';
+
+// Load a pending flag with both listings, or pass the right error to next()
+const loadPendingFlag = async (id, next) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    next(errorHandler(400, 'Invalid duplicate ID'));
+    return null;
+  }
+  const flag = await ListingDuplicate.findById(id);
+  if (!flag) {
+    next(errorHandler(404, 'Duplicate entry not found'));
+    return null;
+  }
+  if (flag.status !== 'pending') {
+    next(errorHandler(400, `Duplicate entry was already resolved (${flag.status})`));
+    return null;
+  }
+  const [listing, original] = await Promise.all([
+    Listing.findById(flag.listingId),
+    Listing.findById(flag.duplicateOfId)
+  ]);
+  if (!listing || !original) {
+    next(errorHandler(404, 'Property not found'));
+    return null;
+  }
+  return { flag, listing, original };
+};
+
+const resolveFlag = async (flag, status, req, note = '') => {
+  flag.status = status;
+  flag.resolvedBy = req.user.id;
+  flag.resolvedAt = new Date();
+  flag.resolutionNote = note;
+  await flag.save();
+};
+
+// Queue of suspected duplicates (highest score first)
+// GET /api/admin/duplicates?status=pending&page=1&limit=20
+const getDuplicateQueue = async (req, res, next) => {
+  try {
+    const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [duplicates, total] = await Promise.all([
+      ListingDuplicate.find(query)
+        .sort({ score: -1, createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('listingId', LISTING_SUMMARY_FIELDS)
+        .populate('duplicateOfId', LISTING_SUMMARY_FIELDS)
+        .populate('resolvedBy', 'username email')
+        .lean(),
+      ListingDuplicate.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: duplicates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('[ADMIN_GET_DUPLICATE_QUEUE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Merge the duplicate into the original listing:
+// missing photos, visits and favorites move to the original, the duplicate is soft-deleted
+const mergeDuplicate = async (req, res, next) => {
+  try {
+    const loaded = await loadPendingFlag(req.params.id, next);
+    if (!loaded) return;
+    const { flag, listing, original } = loaded;
+
+    if (original.isDeleted) {
+      return next(errorHandler(400, 'The original listing is deleted - reject the duplicate instead'));
+    }
+
+    await ensureBaselineRevision(original);
+
+    // Photos the original does not have yet (same hash or same URL = same photo)
+    const knownImages = new Set();
+    (original.images || []).forEach((img) => {
+      if (img.hash) knownImages.add(img.hash);
+      if (img.url) knownImages.add(img.url);
+    });
+    const newImages = (listing.images || []).filter((img) =>
+      !(img.hash && knownImages.has(img.hash)) && !(img.url && knownImages.has(img.url))
+    );
+    const imagesToAdd = newImages.slice(0, Math.max(0, MAX_IMAGES - (original.images || []).length));
+    imagesToAdd.forEach((img) => {
+      original.images.push(img.toObject ? img.toObject() : img);
+      if (img.filename) original.imageNames.push(img.filename);
+    });
+    original.visitCount = (original.visitCount || 0) + (listing.visitCount || 0);
+    await original.save();
+    if (imagesToAdd.length > 0) {
+      await recordRevision(original, 'images', req.user, `Merged photos from ${listing.propertyId}`);
+    }
+
+    // Favorites move to the original (users who already saved both keep one)
+    const Favorite = require('../models/favorite.model');
+    const favorites = await Favorite.find({ propertyId: listing._id }).select('userId').lean();
+    for (const favorite of favorites) {
+      const exists = await Favorite.exists({ userId: favorite.userId, propertyId: original._id });
+      if (exists) {
+        await Favorite.deleteOne({ _id: favorite._id });
+      } else {
+        await Favorite.updateOne({ _id: favorite._id }, { $set: { propertyId: original._id } });
+      }
+    }
+
+    await ensureBaselineRevision(listing);
+    listing.isDeleted = true;
+    listing.deletedReason = `Duplicate of ${original.propertyId}`;
+    listing.deletedAt = new Date();
+    await listing.save();
+    // The removed listing's promotions end here
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(listing._id, 'listing merged into another');
+
+    await resolveFlag(flag, 'merged', req, req.body?.note || '');
+    // Other open flags on the removed listing are no longer relevant
+    await ListingDuplicate.updateMany(
+      {
+        _id: { $ne: flag._id },
+        status: 'pending',
+        $or: [{ listingId: listing._id }, { duplicateOfId: listing._id }]
+      },
+      {
+        $set: {
+          status: 'dismissed',
+          resolvedBy: req.user.id,
+          resolvedAt: new Date(),
+          resolutionNote: `Listing ${listing.propertyId} merged into ${original.propertyId}`
+        }
+      }
+    );
+
+    logger.info('[ADMIN_MERGE_DUPLICATE]', {
+      duplicateId: flag._id.toString(),
+      listingId: listing._id.toString(),
+      originalId: original._id.toString(),
+      imagesMerged: imagesToAdd.length,
+      favoritesMoved: favorites.length,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Property ${listing.propertyId} merged into ${original.propertyId}`,
+      data: {
+        duplicate: flag,
+        original,
+        imagesMerged: imagesToAdd.length,
+        favoritesMoved: favorites.length
+      }
+    });
+  } catch (error) {
+    logger.error('[ADMIN_MERGE_DUPLICATE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Reject the duplicate listing (approval status -> rejected, agent is notified)
+const rejectDuplicate = async (req, res, next) => {
+  try {
+    const loaded = await loadPendingFlag(req.params.id, next);
+    if (!loaded) return;
+    const { flag, listing, original } = loaded;
+
+    const reason = req.body?.reason || `Duplicate of listing ${original.propertyId}`;
+
+    await ensureBaselineRevision(listing);
+    const oldApprovalStatus = listing.approvalStatus;
+    listing.approvalStatus = 'rejected';
+    await listing.save();
+    await recordRevision(listing, 'approval', req.user, `${oldApprovalStatus} -> rejected: ${reason}`);
+    // Promotions of the rejected listing are refunded for their unused days
+    const { refundListingPromotions } = require('../utils/listingPromotions');
+    await refundListingPromotions(listing._id, 'listing rejected');
+
+    await resolveFlag(flag, 'rejected', req, reason);
+
+    if (listing.agentId) {
+      try {
+        const { notifyAgentListingRejected } = require('../utils/notifications');
+        await notifyAgentListingRejected(
+          listing.agentId.toString(),
+          listing._id.toString(),
+          getListingTitle(listing),
+          reason
+        );
+      } catch (notifError) {
+        logger.error('Failed to send duplicate rejection notification:', notifError);
+      }
+    }
+
+    logger.info('[ADMIN_REJECT_DUPLICATE]', {
+      duplicateId: flag._id.toString(),
+      listingId: listing._id.toString(),
+      originalId: original._id.toString(),
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Property ${listing.propertyId} rejected as duplicate`,
+      data: flag
+    });
+  } catch (error) {
+    logger.error('[ADMIN_REJECT_DUPLICATE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Not a duplicate - close the entry without touching either listing
+const dismissDuplicate = async (req, res, next) => {
+  try {
+    const loaded = await loadPendingFlag(req.params.id, next);
+    if (!loaded) return;
+    const { flag } = loaded;
+
+    await resolveFlag(flag, 'dismissed', req, req.body?.note || '');
+
+    logger.info('[ADMIN_DISMISS_DUPLICATE]', {
+      duplicateId: flag._id.toString(),
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Duplicate entry dismissed',
+      data: flag
+    });
+  } catch (error) {
+    logger.error('[ADMIN_DISMISS_DUPLICATE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getDuplicateQueue,
+  mergeDuplicate,
+  rejectDuplicate,
+  dismissDuplicate
+};
@@ -0,0 +1,117 @@
+const ListingPricing = require('../models/listingPricing.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  getActivePricing,
+  createPricingVersion,
+  activatePricingVersion
+} = require('../utils/listingPricing');
+
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * Active listing pricing rules and the version history (admin)
+ * GET /api/admin/listing-pricing
+ */
+const getListingPricing = async (req, res, next) => {
+  try {
+    const [active, versions] = await Promise.all([
+      getActivePricing(),
+      ListingPricing.find()
+        .select('version isActive baseCost note createdBy createdAt activatedAt')
+        .populate('createdBy', 'username email')
+        .sort({ version: -1 })
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        active,
+        isDefault: active.version === 0,
+        versions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One pricing version (admin)
+ * GET /api/admin/listing-pricing/versions/:version
+ */
+const getListingPricingVersion = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return next(errorHandler(400, 'Invalid pricing version'));
+    }
+    const pricing = await ListingPricing.findOne({ version })
+      .populate('createdBy activatedBy', 'username email')
+      .lean();
+    if (!pricing) {
+      return next(errorHandler(404, `Pricing version ${version} not found`));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: pricing
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Save new pricing rules as the next version and activate it (admin)
+ * POST /api/admin/listing-pricing
+ * body: { baseCost?, minCost?, multipliers?, bands?, upgrades?, note?, activate? } (left-out sections are kept)
+ */
+const createListingPricingVersion = async (req, res, next) => {
+  try {
+    const pricing = await createPricingVersion(req.body || {}, req.user.id);
+    logger.info(`[LISTING_PRICING] Version ${pricing.version} saved by ${req.user.id}${pricing.isActive ? ' and activated' : ''}`);
+
+    res.status(201).json({
+      success: true,
+      message: `Pricing version ${pricing.version} saved`,
+      data: pricing
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Activate a pricing version, e.g. to roll back (admin)
+ * POST /api/admin/listing-pricing/versions/:version/activate
+ */
+const activateListingPricingVersion = async (req, res, next) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return next(errorHandler(400, 'Invalid pricing version'));
+    }
+    const pricing = await activatePricingVersion(version, req.user.id);
+    logger.info(`[LISTING_PRICING] Version ${version} activated by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: `Pricing version ${version} is now active`,
+      data: pricing
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getListingPricing,
+  getListingPricingVersion,
+  createListingPricingVersion,
+  activateListingPricingVersion
+};
@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const ListingRevision = require('../models/listingRevision.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  getRestorableFields
+} = require('../utils/listingRevisions');
+
+// ==================== LISTING REVISIONS (admin) ====================
+
+// List revisions of a listing (newest first, without snapshots)
+const getListingRevisions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    const listing = await Listing.findById(id).select('propertyId approvalStatus').lean();
+    if (!listing) {
+      return next(errorHandler(404, 'Property not found'));
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const query = { listingId: listing._id };
+
+    const [revisions, total] = await Promise.all([
+      ListingRevision.find(query)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('changedBy', 'username email role')
+        .lean(),
+      ListingRevision.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        listingId: listing._id,
+        propertyId: listing.propertyId,
+        approvalStatus: listing.approvalStatus,
+        revisions
+      },
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    logger.error('[ADMIN_GET_LISTING_REVISIONS_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Get one revision with its full snapshot
+const getListingRevision = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    const revision = await ListingRevision.findOne({ listingId: id, version: parseInt(version) })
+      .populate('changedBy', 'username email role')
+      .lean();
+    if (!revision) {
+      return next(errorHandler(404, 'Revision not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    logger.error('[ADMIN_GET_LISTING_REVISION_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Field-level diff between two revisions
+// GET /api/admin/properties/:id/revisions/diff?from=2&to=5
+// Defaults: to = latest version, from = the version before "to"
+const getListingRevisionDiff = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    let toVersion = req.query.to !== undefined ? parseInt(req.query.to) : null;
+    if (toVersion === null) {
+      const latest = await ListingRevision.findOne({ listingId: id }).sort({ version: -1 }).select('version').lean();
+      if (!latest) {
+        return next(errorHandler(404, 'No revisions found for this property'));
+      }
+      toVersion = latest.version;
+    }
+    const fromVersion = req.query.from !== undefined ? parseInt(req.query.from) : toVersion - 1;
+
+    if (isNaN(fromVersion) || isNaN(toVersion) || fromVersion < 1 || toVersion < 1) {
+      return next(errorHandler(400, 'from and to must be revision numbers (1 or higher)'));
+    }
+    if (fromVersion === toVersion) {
+      return next(errorHandler(400, 'from and to must be different revisions'));
+    }
+
+    const revisions = await ListingRevision.find({
+      listingId: id,
+      version: { $in: [fromVersion, toVersion] }
+    })
+      .populate('changedBy', 'username email role')
+      .lean();
+
+    const fromRevision = revisions.find((r) => r.version === fromVersion);
+    const toRevision = revisions.find((r) => r.version === toVersion);
+    if (!fromRevision || !toRevision) {
+      return next(errorHandler(404, 'Revision not found'));
+    }
+
+    const changes = diffSnapshots(fromRevision.snapshot, toRevision.snapshot);
+    const summarize = (revision) => ({
+      version: revision.version,
+      action: revision.action,
+      changedBy: revision.changedBy,
+      changedByRole: revision.changedByRole,
+      note: revision.note,
+      createdAt: revision.createdAt
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        listingId: id,
+        from: summarize(fromRevision),
+        to: summarize(toRevision),
+        changes,
+        hasSensitiveChanges: changes.some((c) => c.sensitive)
+      }
+    });
+  } catch (error) {
+    logger.error('[ADMIN_GET_LISTING_REVISION_DIFF_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+// Restore listing content from an earlier revision
+// Approval, sold/deleted and featured/VIP state are left as they are now
+const restoreListingRevision = async (req, res, next) => {
+  try {
+    const { id, version } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return next(errorHandler(400, 'Invalid listing ID'));
+    }
+
+    const listing = await Listing.findById(id);
+    if (!listing) {
+      return next(errorHandler(404, 'Property not found'));
+    }
+
+    const revision = await ListingRevision.findOne({ listingId: id, version: parseInt(version) }).lean();
+    if (!revision) {
+      return next(errorHandler(404, 'Revision not found'));
+    }
+
+    await ensureBaselineRevision(listing);
+
+    const { buildPriceChange, recordPriceHistory } = require('../utils/priceHistory');
+    const restoredFields = getRestorableFields(revision.snapshot);
+    const priceChange = buildPriceChange(listing, restoredFields);
+
+    // Clear content fields added after that revision, then apply the snapshot
+    const currentFields = getRestorableFields(listing.toObject());
+    Object.keys(currentFields).forEach((field) => {
+      if (!(field in restoredFields)) {
+        listing.set(field, undefined);
+      }
+    });
+    listing.set(restoredFields);
+    if (priceChange) {
+      listing.set(priceChange.fields);
+    }
+    await listing.save();
+
+    if (priceChange) {
+      await recordPriceHistory(listing._id, priceChange.entry, req.user, 'update');
+    }
+    const newRevision = await recordRevision(listing, 'restore', req.user, `Restored from version ${revision.version}`);
+
+    logger.info('[ADMIN_RESTORE_LISTING_REVISION]', {
+      propertyId: id,
+      restoredVersion: revision.version,
+      newVersion: newRevision?.version,
+      adminId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Property restored to version ${revision.version}`,
+      data: listing,
+      revision: newRevision ? { version: newRevision.version, changedFields: newRevision.changedFields } : null
+    });
+  } catch (error) {
+    logger.error('[ADMIN_RESTORE_LISTING_REVISION_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getListingRevisions,
+  getListingRevision,
+  getListingRevisionDiff,
+  restoreListingRevision
+};
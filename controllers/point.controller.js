@@ -1,7 +1,17 @@
+const mongoose = require('mongoose');
 const User = require('../models/user.model');
-const Point = require('../models/point.model');
 const PointTransaction = require('../models/pointTransaction.model');
 const errorHandler = require('../utils/error');
+const { ensurePointAccount, postPointTransaction, reconcilePoints } = require('../utils/pointsLedger');
+
+// Client retries send the same Idempotency-Key header; keys are scoped to the user
+const clientIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key') || req.body.idempotencyKey;
+  return key ? `client:${req.user.id}:${String(key).slice(0, 100)}` : undefined;
+};
+
+// Admin manual credits go to body.userId (the admin's own account when omitted)
+const creditTargetUserId = (req) => (req.body.userId ? String(req.body.userId) : req.user.id);
 
 // Get user's point balance
 const getPointBalance = async (req, res, next) => {
@@ -9,10 +19,7 @@ const getPointBalance = async (req, res, next) => {
     const userId = req.user.id;
     
     // Get or create point record for user
-    let userPoints = await Point.findOne({ userId });
-    if (!userPoints) {
-      userPoints = await Point.create({ userId, balance: 0 });
-    }
+    const userPoints = await ensurePointAccount(userId);
 
     // Get recent transactions
     const transactions = await PointTransaction.find({ userId })
@@ -34,12 +41,16 @@ const getPointBalance = async (req, res, next) => {
   }
 };
 
-// Charge points (purchase points)
+// Admin: record a purchase paid outside the checkout (users buy through /orders)
 const chargePoints = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = creditTargetUserId(req);
     const { amount, paymentMethod, paymentReference } = req.body;
 
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(errorHandler(400, 'Invalid user ID'));
+    }
+
     if (!amount || amount <= 0) {
       return next(errorHandler(400, 'Invalid amount'));
     }
@@ -48,30 +59,16 @@ const chargePoints = async (req, res, next) => {
       return next(errorHandler(400, 'Payment method and reference are required'));
     }
 
-    // Get or create point record for user
-    let userPoints = await Point.findOne({ userId });
-    if (!userPoints) {
-      userPoints = await Point.create({ userId, balance: 0 });
-    }
-
-    // Update point balance
-    const newBalance = userPoints.balance + amount;
-    userPoints.balance = newBalance;
-    userPoints.totalPurchased += amount;
-    await userPoints.save();
-
-    // Update user's points balance
-    await User.findByIdAndUpdate(userId, { pointsBalance: newBalance });
-
-    // Create transaction record
-    const transaction = await PointTransaction.create({
+    // The payment reference can only be credited once
+    const { transaction, balance: newBalance, replayed } = await postPointTransaction({
       userId,
       type: 'purchase',
       amount,
       description: `Purchased ${amount} points`,
       paymentMethod,
       paymentReference,
-      balanceAfter: newBalance
+      idempotencyKey: `purchase:${paymentMethod}:${paymentReference}`,
+      createdBy: req.user.id
     });
 
     res.status(200).json({
@@ -79,7 +76,8 @@ const chargePoints = async (req, res, next) => {
       message: `Successfully charged ${amount} points`,
       data: {
         newBalance,
-        transaction
+        transaction,
+        replayed
       }
     });
   } catch (error) {
@@ -119,34 +117,14 @@ const deductPoints = async (req, res, next) => {
       });
     }
 
-    // Get user's point record
-    let userPoints = await Point.findOne({ userId });
-    if (!userPoints) {
-      return next(errorHandler(400, 'No points account found'));
-    }
-
-    // Check if user has enough points
-    if (userPoints.balance < amount) {
-      return next(errorHandler(400, 'Insufficient points balance'));
-    }
-
-    // Deduct points
-    const newBalance = userPoints.balance - amount;
-    userPoints.balance = newBalance;
-    userPoints.totalUsed += amount;
-    await userPoints.save();
-
-    // Update user's points balance
-    await User.findByIdAndUpdate(userId, { pointsBalance: newBalance });
-
-    // Create transaction record
-    const transaction = await PointTransaction.create({
+    // Balance check and deduction are one atomic update (400 if the balance is too low)
+    const { transaction, balance: newBalance, replayed } = await postPointTransaction({
       userId,
       type: 'deduction',
       amount,
       description: description || `Points deducted for listing publication`,
       listingId,
-      balanceAfter: newBalance
+      idempotencyKey: clientIdempotencyKey(req)
     });
 
     res.status(200).json({
@@ -154,7 +132,8 @@ const deductPoints = async (req, res, next) => {
       message: `Successfully deducted ${amount} points`,
       data: {
         newBalance,
-        transaction
+        transaction,
+        replayed
       }
     });
   } catch (error) {
@@ -195,103 +174,48 @@ const getTransactionHistory = async (req, res, next) => {
   }
 };
 
-// Calculate points needed for listing based on factors
+// Preview the points cost of a listing (itemized, active pricing rules; optional upgrades: featured, vip)
 const calculateListingCost = async (req, res, next) => {
   try {
-    const { propertyType, bedrooms, bathrooms, size, amenities, images } = req.body;
-
-    let baseCost = 50; // Base cost for any listing
-
-    // Property type multiplier
-    const typeMultiplier = {
-      'apartment': 1.0,
-      'house': 1.2,
-      'villa': 1.5,
-      'commercial': 2.0,
-      'land': 0.8
-    };
-
-    // Size factor (larger properties cost more)
-    let sizeFactor = 1.0;
-    if (size > 200) sizeFactor += 0.2;
-    if (size > 500) sizeFactor += 0.3;
-    if (size > 1000) sizeFactor += 0.5;
-
-    // Bedroom factor
-    let bedroomFactor = 1.0;
-    if (bedrooms > 3) bedroomFactor += 0.1;
-    if (bedrooms > 5) bedroomFactor += 0.2;
-
-    // Amenities factor
-    let amenitiesFactor = 1.0;
-    if (amenities && amenities.length > 5) amenitiesFactor += 0.2;
-    if (amenities && amenities.length > 10) amenitiesFactor += 0.3;
-
-    // Images factor
-    let imagesFactor = 1.0;
-    if (images && images.length > 5) imagesFactor += 0.1;
-    if (images && images.length > 10) imagesFactor += 0.2;
-
-    const totalCost = Math.round(
-      baseCost * 
-      (typeMultiplier[propertyType] || 1.0) * 
-      sizeFactor * 
-      bedroomFactor * 
-      amenitiesFactor * 
-      imagesFactor
-    );
+    const { calculateListingCost: priceWithActiveRules, parseUpgrades } = require('../utils/listingPricing');
+    const { upgrades, error } = parseUpgrades(req.body.upgrades);
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+
+    const cost = await priceWithActiveRules(req.body, { upgrades });
 
     res.status(200).json({
       success: true,
-      data: {
-        totalCost,
-        breakdown: {
-          baseCost,
-          typeMultiplier: typeMultiplier[propertyType] || 1.0,
-          sizeFactor,
-          bedroomFactor,
-          amenitiesFactor,
-          imagesFactor
-        }
-      }
+      data: cost
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Refund points (for deleted listings)
+// Admin: refund points to a user (listing deletions are refunded automatically)
 const refundPoints = async (req, res, next) => {
   try {
-    const userId = req.user.id;
+    const userId = creditTargetUserId(req);
     const { amount, listingId, description } = req.body;
 
-    if (!amount || amount <= 0) {
-      return next(errorHandler(400, 'Invalid amount'));
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(errorHandler(400, 'Invalid user ID'));
     }
 
-    // Get user's point record
-    let userPoints = await Point.findOne({ userId });
-    if (!userPoints) {
-      userPoints = await Point.create({ userId, balance: 0 });
+    if (!amount || amount <= 0) {
+      return next(errorHandler(400, 'Invalid amount'));
     }
 
-    // Add refunded points
-    const newBalance = userPoints.balance + amount;
-    userPoints.balance = newBalance;
-    await userPoints.save();
-
-    // Update user's points balance
-    await User.findByIdAndUpdate(userId, { pointsBalance: newBalance });
-
-    // Create transaction record
-    const transaction = await PointTransaction.create({
+    const { transaction, balance: newBalance, replayed } = await postPointTransaction({
       userId,
       type: 'refund',
       amount,
       description: description || `Points refunded`,
       listingId,
-      balanceAfter: newBalance
+      idempotencyKey: clientIdempotencyKey(req),
+      createdBy: req.user.id
     });
 
     res.status(200).json({
@@ -299,7 +223,8 @@ const refundPoints = async (req, res, next) => {
       message: `Successfully refunded ${amount} points`,
       data: {
         newBalance,
-        transaction
+        transaction,
+        replayed
       }
     });
   } catch (error) {
@@ -307,11 +232,40 @@ const refundPoints = async (req, res, next) => {
   }
 };
 
+// Admin: drift between the points ledger, Point records and User.pointsBalance
+// GET /api/admin/points/reconciliation?userId=&limit=
+const getPointsReconciliation = async (req, res, next) => {
+  try {
+    const report = await reconcilePoints({ userId: req.query.userId, limit: req.query.limit });
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admin: repair the drift found by getPointsReconciliation
+// POST /api/admin/points/reconciliation { userId?, source: ledger|point, limit? }
+const repairPointsReconciliation = async (req, res, next) => {
+  try {
+    const { userId, source = 'ledger', limit } = req.body || {};
+    const result = await reconcilePoints({ userId, limit, source, repair: true, adminId: req.user.id });
+    res.status(200).json({
+      success: true,
+      message: `Repaired ${result.repaired.filter((entry) => !entry.skipped).length} of ${result.drifts.length} user(s)`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getPointBalance,
   chargePoints,
   deductPoints,
   getTransactionHistory,
   calculateListingCost,
-  refundPoints
+  refundPoints,
+  getPointsReconciliation,
+  repairPointsReconciliation
 };
@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const PointPackage = require('../models/pointPackage.model');
+const PointOrder = require('../models/pointOrder.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const { listPaymentProviders, getPaymentProvider } = require('../utils/paymentProviders');
+const {
+  createPointOrder,
+  completePointOrder,
+  closePointOrder,
+  handlePaymentWebhook
+} = require('../utils/pointPurchases');
+const { PACKAGE_TYPES, PACKAGE_CURRENCIES, POINT_ORDER_STATUSES } = require('../constants/payments');
+
+const getUserId = (req) => req.user?.id || req.user?._id?.toString();
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const toStringList = (value) => (Array.isArray(value) ? value : [value])
+  .filter((item) => item !== undefined && item !== null && String(item).trim() !== '')
+  .map((item) => String(item).trim());
+
+/**
+ * Validate package fields from an admin request
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Update (only the given fields) instead of create
+ * @returns {Object} { values } or { error }
+ */
+const readPackageInput = (body, partial = false) => {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name is required' };
+    values.name = String(body.name).trim();
+  }
+  if (!partial || has('points')) {
+    const points = Number(body.points);
+    if (!Number.isInteger(points) || points <= 0) return { error: 'points must be a positive whole number' };
+    values.points = points;
+  }
+  if (!partial || has('price')) {
+    const price = Number(body.price);
+    if (!Number.isFinite(price) || price < 0) return { error: 'price must be a number of 0 or more' };
+    values.price = price;
+  }
+  if (has('currency')) {
+    const currency = String(body.currency).toUpperCase();
+    if (!PACKAGE_CURRENCIES.includes(currency)) return { error: `currency must be one of: ${PACKAGE_CURRENCIES.join(', ')}` };
+    values.currency = currency;
+  }
+  if (has('packageType')) {
+    if (!PACKAGE_TYPES.includes(body.packageType)) return { error: `packageType must be one of: ${PACKAGE_TYPES.join(', ')}` };
+    values.packageType = body.packageType;
+  }
+  if (has('validityDays')) {
+    const validityDays = Number(body.validityDays);
+    if (!Number.isInteger(validityDays) || validityDays < 0) return { error: 'validityDays must be a whole number of 0 or more' };
+    values.validityDays = validityDays;
+  }
+  ['name_ar', 'description', 'description_ar'].forEach((field) => {
+    if (has(field)) values[field] = body[field] === null ? null : String(body[field]).trim();
+  });
+  ['perks', 'perks_ar'].forEach((field) => {
+    if (has(field)) values[field] = toStringList(body[field]);
+  });
+  if (has('isActive')) values.isActive = body.isActive === true || body.isActive === 'true';
+  if (has('sortOrder')) values.sortOrder = Number(body.sortOrder) || 0;
+
+  return { values };
+};
+
+/**
+ * Public catalogue: active packages and the configured payment providers
+ * GET /api/points/packages
+ */
+const getPointPackages = async (req, res, next) => {
+  try {
+    const packages = await PointPackage.find({ isActive: true })
+      .select('-__v')
+      .sort({ sortOrder: 1, price: 1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        packages,
+        providers: listPaymentProviders()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start buying a package
+ * POST /api/points/orders { packageId, provider? }
+ */
+const createOrder = async (req, res, next) => {
+  try {
+    const { packageId, provider } = req.body || {};
+    if (!packageId || !mongoose.Types.ObjectId.isValid(packageId)) {
+      return next(errorHandler(400, 'A valid packageId is required'));
+    }
+
+    const order = await createPointOrder({ userId: getUserId(req), packageId, provider });
+    res.status(201).json({
+      success: true,
+      message: order.status === 'awaiting_confirmation'
+        ? 'Order created. Follow the payment instructions; your points are added once the payment is confirmed.'
+        : 'Order created. Complete the payment to receive your points.',
+      data: order
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The user's orders, newest first
+ * GET /api/points/orders?status=&page=&limit=
+ */
+const getMyOrders = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { userId: getUserId(req) };
+    if (req.query.status) {
+      if (!POINT_ORDER_STATUSES.includes(req.query.status)) {
+        return next(errorHandler(400, `status must be one of: ${POINT_ORDER_STATUSES.join(', ')}`));
+      }
+      filter.status = req.query.status;
+    }
+
+    const [orders, total] = await Promise.all([
+      PointOrder.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      PointOrder.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * One of the user's orders (poll it after paying)
+ * GET /api/points/orders/:id
+ */
+const getMyOrder = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid order ID'));
+    }
+    const order = await PointOrder.findOne({ _id: req.params.id, userId: getUserId(req) }).lean();
+    if (!order) {
+      return next(errorHandler(404, 'Order not found'));
+    }
+    res.status(200).json({ success: true, data: order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel an unpaid order (manual payments only: gateway orders are closed by the webhook)
+ * POST /api/points/orders/:id/cancel
+ */
+const cancelMyOrder = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid order ID'));
+    }
+    const order = await closePointOrder(req.params.id, { status: 'cancelled', userId: getUserId(req) });
+    res.status(200).json({ success: true, message: 'Order cancelled', data: order });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Signed payment webhook (no user session; the provider signature authenticates the call)
+ * POST /api/points/webhooks/:provider
+ */
+const receivePaymentWebhook = async (req, res, next) => {
+  try {
+    const { order, outcome } = await handlePaymentWebhook(req.params.provider, req);
+    res.status(200).json({ success: true, data: { orderId: order._id, status: order.status, outcome } });
+  } catch (error) {
+    if (error.statusCode === 401) {
+      logger.warn(`[POINT_ORDER] Rejected ${req.params.provider} webhook: ${error.message}`);
+    }
+    next(error);
+  }
+};
+
+// ---------- Admin ----------
+
+/**
+ * All packages, including inactive ones
+ * GET /api/admin/point-packages
+ */
+const getAdminPointPackages = async (req, res, next) => {
+  try {
+    const packages = await PointPackage.find({}).sort({ isActive: -1, sortOrder: 1, price: 1 }).lean();
+    res.status(200).json({ success: true, data: packages });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/point-packages
+ */
+const createPointPackage = async (req, res, next) => {
+  try {
+    const { values, error } = readPackageInput(req.body || {});
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const pkg = await PointPackage.create(values);
+    logger.info(`[POINT_PACKAGE] ${pkg._id} "${pkg.name}" created by ${req.user.id}`);
+    res.status(201).json({ success: true, data: pkg });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/admin/point-packages/:id (open orders keep the package as it was when ordered)
+ */
+const updatePointPackage = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid package ID'));
+    }
+    const { values, error } = readPackageInput(req.body || {}, true);
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const pkg = await PointPackage.findByIdAndUpdate(req.params.id, { $set: values }, { new: true, runValidators: true });
+    if (!pkg) {
+      return next(errorHandler(404, 'Point package not found'));
+    }
+    logger.info(`[POINT_PACKAGE] ${pkg._id} updated by ${req.user.id}: ${Object.keys(values).join(', ')}`);
+    res.status(200).json({ success: true, data: pkg });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a package from sale (orders keep pointing to it, so it is deactivated, not deleted)
+ * DELETE /api/admin/point-packages/:id
+ */
+const deactivatePointPackage = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid package ID'));
+    }
+    const pkg = await PointPackage.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true });
+    if (!pkg) {
+      return next(errorHandler(404, 'Point package not found'));
+    }
+    logger.info(`[POINT_PACKAGE] ${pkg._id} deactivated by ${req.user.id}`);
+    res.status(200).json({ success: true, message: 'Point package deactivated', data: pkg });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Orders for admins (default: waiting for confirmation, oldest first)
+ * GET /api/admin/point-orders?status=awaiting_confirmation&page=&limit=
+ */
+const getAdminPointOrders = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const status = req.query.status || 'awaiting_confirmation';
+    if (status !== 'all' && !POINT_ORDER_STATUSES.includes(status)) {
+      return next(errorHandler(400, `status must be all or one of: ${POINT_ORDER_STATUSES.join(', ')}`));
+    }
+    const filter = status === 'all' ? {} : { status };
+
+    const [orders, total] = await Promise.all([
+      PointOrder.find(filter)
+        .populate('userId', 'username email agentName')
+        .sort({ createdAt: status === 'awaiting_confirmation' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      PointOrder.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orders,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Admins only confirm / reject orders of providers that wait for them (manual payments)
+const loadAdminConfirmableOrder = async (req) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    throw errorHandler(400, 'Invalid order ID');
+  }
+  const order = await PointOrder.findById(req.params.id).select('provider status').lean();
+  if (!order) {
+    throw errorHandler(404, 'Order not found');
+  }
+  const provider = getPaymentProvider(order.provider);
+  if (!provider || !provider.adminConfirmation) {
+    throw errorHandler(400, `Orders paid through "${order.provider}" are confirmed by the payment provider`);
+  }
+  return order;
+};
+
+/**
+ * Payment received: credit the points
+ * POST /api/admin/point-orders/:id/confirm
+ */
+const confirmPointOrder = async (req, res, next) => {
+  try {
+    const order = await loadAdminConfirmableOrder(req);
+    const { order: completed, alreadyCompleted } = await completePointOrder(order._id, { confirmedBy: req.user.id });
+    res.status(200).json({
+      success: true,
+      message: alreadyCompleted ? 'Order was already completed' : `Order confirmed, ${completed.package.points} points credited`,
+      data: completed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Payment not received / invalid
+ * POST /api/admin/point-orders/:id/reject { reason }
+ */
+const rejectPointOrder = async (req, res, next) => {
+  try {
+    const order = await loadAdminConfirmableOrder(req);
+    const reason = req.body?.reason ? String(req.body.reason).trim().slice(0, 500) : 'Payment not received';
+    const rejected = await closePointOrder(order._id, { status: 'failed', reason, confirmedBy: req.user.id });
+    res.status(200).json({ success: true, message: 'Order rejected', data: rejected });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPointPackages,
+  createOrder,
+  getMyOrders,
+  getMyOrder,
+  cancelMyOrder,
+  receivePaymentWebhook,
+  getAdminPointPackages,
+  createPointPackage,
+  updatePointPackage,
+  deactivatePointPackage,
+  getAdminPointOrders,
+  confirmPointOrder,
+  rejectPointOrder
+};
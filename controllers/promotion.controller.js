@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const PromotionProduct = require('../models/promotionProduct.model');
+const ListingPromotion = require('../models/listingPromotion.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const { purchaseListingPromotion, getPromotionReport } = require('../utils/listingPromotions');
+const { PROMOTION_TYPES, PROMOTION_STATUSES, MAX_PROMOTION_DAYS } = require('../constants/promotions');
+
+const getUserId = (req) => req.user?.id || req.user?._id?.toString();
+
+const parsePagination = (query) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Validate product fields from an admin request
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Update (only the given fields) instead of create
+ * @returns {Object} { values } or { error }
+ */
+const readProductInput = (body, partial = false) => {
+  const values = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!body.name || !String(body.name).trim()) return { error: 'name is required' };
+    values.name = String(body.name).trim();
+  }
+  if (!partial || has('type')) {
+    if (!PROMOTION_TYPES.includes(body.type)) return { error: `type must be one of: ${PROMOTION_TYPES.join(', ')}` };
+    values.type = body.type;
+  }
+  if (!partial || has('durationDays')) {
+    const durationDays = Number(body.durationDays);
+    if (!Number.isInteger(durationDays) || durationDays < 1 || durationDays > MAX_PROMOTION_DAYS) {
+      return { error: `durationDays must be a whole number from 1 to ${MAX_PROMOTION_DAYS}` };
+    }
+    values.durationDays = durationDays;
+  }
+  if (!partial || has('points')) {
+    const points = Number(body.points);
+    if (!Number.isInteger(points) || points <= 0) return { error: 'points must be a positive whole number' };
+    values.points = points;
+  }
+  ['name_ar', 'description', 'description_ar'].forEach((field) => {
+    if (has(field)) values[field] = body[field] === null ? null : String(body[field]).trim();
+  });
+  if (has('isActive')) values.isActive = body.isActive === true || body.isActive === 'true';
+  if (has('sortOrder')) values.sortOrder = Number(body.sortOrder) || 0;
+
+  return { values };
+};
+
+/**
+ * Public catalogue of promotion products
+ * GET /api/promotions/products?type=featured|vip
+ */
+const getPromotionProducts = async (req, res, next) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.type) {
+      if (!PROMOTION_TYPES.includes(req.query.type)) {
+        return next(errorHandler(400, `type must be one of: ${PROMOTION_TYPES.join(', ')}`));
+      }
+      filter.type = req.query.type;
+    }
+    const products = await PromotionProduct.find(filter)
+      .select('-__v')
+      .sort({ sortOrder: 1, points: 1 })
+      .lean();
+
+    res.status(200).json({ success: true, data: products });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Buy a promotion for one of your approved listings (starts now, paid with points)
+ * POST /api/promotions { listingId, productId }
+ */
+const purchasePromotion = async (req, res, next) => {
+  try {
+    const { listingId, productId } = req.body || {};
+    if (!listingId || !mongoose.Types.ObjectId.isValid(listingId)) {
+      return next(errorHandler(400, 'A valid listingId is required'));
+    }
+    if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+      return next(errorHandler(400, 'A valid productId is required'));
+    }
+
+    const { promotion, newBalance } = await purchaseListingPromotion({ userId: getUserId(req), listingId, productId });
+    res.status(201).json({
+      success: true,
+      message: `Promotion active until ${promotion.endsAt.toISOString()}`,
+      data: { promotion, newBalance }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * The user's promotions, newest first
+ * GET /api/promotions?status=&listingId=&page=&limit=
+ */
+const getMyPromotions = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { userId: getUserId(req) };
+    if (req.query.status) {
+      if (!PROMOTION_STATUSES.includes(req.query.status)) {
+        return next(errorHandler(400, `status must be one of: ${PROMOTION_STATUSES.join(', ')}`));
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.listingId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.listingId)) {
+        return next(errorHandler(400, 'Invalid listing ID'));
+      }
+      filter.listingId = req.query.listingId;
+    }
+
+    const [promotions, total] = await Promise.all([
+      ListingPromotion.find(filter)
+        .populate('listingId', 'propertyId propertyKeyword slug city')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ListingPromotion.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Promotion performance: visits and messages during the promotion vs the same number of days before it
+ * GET /api/promotions/:id/report (buyer or admin)
+ */
+const getPromotionPerformance = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid promotion ID'));
+    }
+    const promotion = await ListingPromotion.findById(req.params.id).lean();
+    if (!promotion || (promotion.userId.toString() !== getUserId(req) && req.user.role !== 'admin')) {
+      return next(errorHandler(404, 'Promotion not found'));
+    }
+
+    const report = await getPromotionReport(promotion);
+    res.status(200).json({ success: true, data: report });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// ---------- Admin ----------
+
+/**
+ * All promotion products, including inactive ones
+ * GET /api/admin/promotion-products
+ */
+const getAdminPromotionProducts = async (req, res, next) => {
+  try {
+    const products = await PromotionProduct.find({}).sort({ isActive: -1, sortOrder: 1, points: 1 }).lean();
+    res.status(200).json({ success: true, data: products });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * POST /api/admin/promotion-products
+ */
+const createPromotionProduct = async (req, res, next) => {
+  try {
+    const { values, error } = readProductInput(req.body || {});
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const product = await PromotionProduct.create(values);
+    logger.info(`[PROMOTION_PRODUCT] ${product._id} "${product.name}" created by ${req.user.id}`);
+    res.status(201).json({ success: true, data: product });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/admin/promotion-products/:id (running promotions keep the product as it was when bought)
+ */
+const updatePromotionProduct = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid product ID'));
+    }
+    const { values, error } = readProductInput(req.body || {}, true);
+    if (error) {
+      return next(errorHandler(400, error));
+    }
+    const product = await PromotionProduct.findByIdAndUpdate(req.params.id, { $set: values }, { new: true, runValidators: true });
+    if (!product) {
+      return next(errorHandler(404, 'Promotion product not found'));
+    }
+    logger.info(`[PROMOTION_PRODUCT] ${product._id} updated by ${req.user.id}: ${Object.keys(values).join(', ')}`);
+    res.status(200).json({ success: true, data: product });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a product from sale (promotions keep pointing to it, so it is deactivated, not deleted)
+ * DELETE /api/admin/promotion-products/:id
+ */
+const deactivatePromotionProduct = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid product ID'));
+    }
+    const product = await PromotionProduct.findByIdAndUpdate(req.params.id, { $set: { isActive: false } }, { new: true });
+    if (!product) {
+      return next(errorHandler(404, 'Promotion product not found'));
+    }
+    logger.info(`[PROMOTION_PRODUCT] ${product._id} deactivated by ${req.user.id}`);
+    res.status(200).json({ success: true, message: 'Promotion product deactivated', data: product });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * All bought promotions (default: active, ending soonest first)
+ * GET /api/admin/promotions?status=active|expired|refunded|all&type=&page=&limit=
+ */
+const getAdminPromotions = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const status = req.query.status || 'active';
+    if (status !== 'all' && !PROMOTION_STATUSES.includes(status)) {
+      return next(errorHandler(400, `status must be all or one of: ${PROMOTION_STATUSES.join(', ')}`));
+    }
+    const filter = status === 'all' ? {} : { status };
+    if (req.query.type) {
+      if (!PROMOTION_TYPES.includes(req.query.type)) {
+        return next(errorHandler(400, `type must be one of: ${PROMOTION_TYPES.join(', ')}`));
+      }
+      filter.type = req.query.type;
+    }
+
+    const [promotions, total] = await Promise.all([
+      ListingPromotion.find(filter)
+        .populate('userId', 'username email agentName')
+        .populate('listingId', 'propertyId propertyKeyword approvalStatus')
+        .sort(status === 'active' ? { endsAt: 1 } : { createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      ListingPromotion.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        promotions,
+        pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPromotionProducts,
+  purchasePromotion,
+  getMyPromotions,
+  getPromotionPerformance,
+  getAdminPromotionProducts,
+  createPromotionProduct,
+  updatePromotionProduct,
+  deactivatePromotionProduct,
+  getAdminPromotions
+};
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/savedSearch.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  normalizeSavedSearchFilters,
+  filtersFromParsedQuery,
+  buildSavedSearchQuery
+} = require('../utils/savedSearches');
+const {
+  SAVED_SEARCH_ALERT_FREQUENCIES,
+  SAVED_SEARCH_MAX_PER_USER
+} = require('../constants/savedSearch');
+
+// Internal matcher bookkeeping is not part of the API response
+const SAVED_SEARCH_PUBLIC_FIELDS = '-notifiedListingIds -__v';
+
+const getUserId = (req) => req.user?.id || req.user?._id?.toString();
+
+/**
+ * Resolve the filters of a saved search from the request body
+ * A natural-language query is parsed with the rule-based parser; explicit filters override parsed values.
+ * @returns {Promise<Object>} { query, filters } or { error }
+ */
+const resolveSearchDefinition = async ({ query, filters }) => {
+  let parsedFilters = {};
+  let cleanQuery = null;
+
+  if (query !== undefined && query !== null && String(query).trim() !== '') {
+    cleanQuery = String(query).trim();
+    try {
+      const { parseQuery } = require('../utils/ruleBasedParser');
+      parsedFilters = filtersFromParsedQuery(parseQuery(cleanQuery));
+    } catch (parseError) {
+      return { error: `Query parsing failed: ${parseError.message}` };
+    }
+  }
+
+  const resolved = { ...parsedFilters, ...normalizeSavedSearchFilters(filters) };
+  if (Object.keys(resolved).length === 0) {
+    return {
+      error: cleanQuery
+        ? 'No search criteria could be extracted from the query. Please add filters or rephrase it.'
+        : 'A saved search needs at least one filter or a query'
+    };
+  }
+
+  // Same validation as GET /api/listing/search (invalid bbox, currency, ...)
+  try {
+    await buildSavedSearchQuery(resolved);
+  } catch (filterError) {
+    return { error: filterError.message };
+  }
+
+  return { query: cleanQuery, filters: resolved };
+};
+
+const validateAlertFrequency = (alertFrequency) =>
+  alertFrequency === undefined || SAVED_SEARCH_ALERT_FREQUENCIES.includes(alertFrequency);
+
+/**
+ * Save a search
+ * POST /api/saved-searches  body: { name, filters?, query?, alertFrequency?, emailAlerts? }
+ */
+const createSavedSearch = async (req, res, next) => {
+  try {
+    const userId = getUserId(req);
+    const { name, filters, query, alertFrequency, emailAlerts } = req.body || {};
+
+    if (!name || !String(name).trim()) {
+      return next(errorHandler(400, 'name is required'));
+    }
+    if (!validateAlertFrequency(alertFrequency)) {
+      return next(errorHandler(400, `alertFrequency must be one of: ${SAVED_SEARCH_ALERT_FREQUENCIES.join(', ')}`));
+    }
+
+    const count = await SavedSearch.countDocuments({ userId });
+    if (count >= SAVED_SEARCH_MAX_PER_USER) {
+      return next(errorHandler(400, `You can save up to ${SAVED_SEARCH_MAX_PER_USER} searches. Delete one to add another.`));
+    }
+
+    const definition = await resolveSearchDefinition({ query, filters });
+    if (definition.error) {
+      return next(errorHandler(400, definition.error));
+    }
+
+    const savedSearch = await SavedSearch.create({
+      userId,
+      name: String(name).trim(),
+      query: definition.query,
+      filters: definition.filters,
+      ...(alertFrequency ? { alertFrequency } : {}),
+      ...(emailAlerts !== undefined ? { emailAlerts: emailAlerts === true || emailAlerts === 'true' } : {})
+    });
+
+    logger.info('[SAVED_SEARCH_CREATED]', { savedSearchId: savedSearch._id.toString(), userId });
+
+    const data = savedSearch.toObject();
+    delete data.notifiedListingIds;
+    res.status(201).json({
+      success: true,
+      message: 'Search saved successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current user's saved searches (newest first)
+ * GET /api/saved-searches
+ */
+const getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ userId: getUserId(req) })
+      .select(SAVED_SEARCH_PUBLIC_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: savedSearches,
+      total: savedSearches.length
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one saved search of the current user
+ * GET /api/saved-searches/:id
+ */
+const getSavedSearchById = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid saved search ID'));
+    }
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: getUserId(req) })
+      .select(SAVED_SEARCH_PUBLIC_FIELDS)
+      .lean();
+    if (!savedSearch) {
+      return next(errorHandler(404, 'Saved search not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: savedSearch
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a saved search (name, filters/query, alert settings, active flag)
+ * PUT /api/saved-searches/:id
+ */
+const updateSavedSearch = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid saved search ID'));
+    }
+    const savedSearch = await SavedSearch.findOne({ _id: req.params.id, userId: getUserId(req) });
+    if (!savedSearch) {
+      return next(errorHandler(404, 'Saved search not found'));
+    }
+
+    const { name, filters, query, alertFrequency, emailAlerts, isActive } = req.body || {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return next(errorHandler(400, 'name cannot be empty'));
+      }
+      savedSearch.name = String(name).trim();
+    }
+
+    if (filters !== undefined || query !== undefined) {
+      const definition = await resolveSearchDefinition({
+        query: query !== undefined ? query : savedSearch.query,
+        filters: filters !== undefined ? filters : (query !== undefined ? {} : savedSearch.filters)
+      });
+      if (definition.error) {
+        return next(errorHandler(400, definition.error));
+      }
+      savedSearch.query = definition.query;
+      savedSearch.filters = definition.filters;
+      savedSearch.markModified('filters');
+      // Queued digest listings were matched with the old criteria
+      savedSearch.pendingListingIds = [];
+    }
+
+    if (alertFrequency !== undefined) {
+      if (!validateAlertFrequency(alertFrequency)) {
+        return next(errorHandler(400, `alertFrequency must be one of: ${SAVED_SEARCH_ALERT_FREQUENCIES.join(', ')}`));
+      }
+      savedSearch.alertFrequency = alertFrequency;
+      if (alertFrequency !== 'daily') savedSearch.pendingListingIds = [];
+    }
+    if (emailAlerts !== undefined) savedSearch.emailAlerts = emailAlerts === true || emailAlerts === 'true';
+    if (isActive !== undefined) savedSearch.isActive = isActive === true || isActive === 'true';
+
+    await savedSearch.save();
+
+    const data = savedSearch.toObject();
+    delete data.notifiedListingIds;
+    res.status(200).json({
+      success: true,
+      message: 'Saved search updated successfully',
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a saved search
+ * DELETE /api/saved-searches/:id
+ */
+const deleteSavedSearch = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return next(errorHandler(400, 'Invalid saved search ID'));
+    }
+    const deleted = await SavedSearch.findOneAndDelete({ _id: req.params.id, userId: getUserId(req) });
+    if (!deleted) {
+      return next(errorHandler(404, 'Saved search not found'));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Saved search deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch
+};
@@ -0,0 +1,95 @@
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  parseReportOptions,
+  getSearchSummary,
+  getTopQueries,
+  getDemandVsSupply,
+  getAiParseStats
+} = require('../utils/searchAnalytics');
+const { getLLMStatus } = require('../utils/llmProviders');
+
+// ==================== SEARCH ANALYTICS (admin) ====================
+// Every report accepts ?days= (default 30) and ?limit= (default 20); endpoint=search|ai_search narrows to one endpoint
+
+const sendReport = (res, options, data) => {
+  res.status(200).json({
+    success: true,
+    data,
+    period: { days: options.days, since: options.since }
+  });
+};
+
+const handleReportError = (tag, error, next) => {
+  logger.error(tag, { error: error.message, stack: error.stack });
+  next(error);
+};
+
+// Search volume, zero-result rate and unique queries
+// GET /api/admin/search-analytics/summary
+const getSearchAnalyticsSummary = async (req, res, next) => {
+  try {
+    const options = parseReportOptions(req.query);
+    sendReport(res, options, await getSearchSummary(options));
+  } catch (error) {
+    handleReportError('[ADMIN_SEARCH_ANALYTICS_SUMMARY_ERROR]', error, next);
+  }
+};
+
+// Most searched keywords / natural-language queries
+// GET /api/admin/search-analytics/top-queries
+const getTopSearchQueries = async (req, res, next) => {
+  try {
+    const options = parseReportOptions(req.query);
+    sendReport(res, options, await getTopQueries(options));
+  } catch (error) {
+    handleReportError('[ADMIN_SEARCH_ANALYTICS_TOP_QUERIES_ERROR]', error, next);
+  }
+};
+
+// Most searched queries that returned no listings
+// GET /api/admin/search-analytics/zero-results
+const getZeroResultQueries = async (req, res, next) => {
+  try {
+    const options = parseReportOptions(req.query);
+    sendReport(res, options, await getTopQueries({ ...options, zeroResultsOnly: true }));
+  } catch (error) {
+    handleReportError('[ADMIN_SEARCH_ANALYTICS_ZERO_RESULTS_ERROR]', error, next);
+  }
+};
+
+// Searches per city / property type versus the public listings there (where to recruit agents)
+// GET /api/admin/search-analytics/demand?by=city|propertyType
+const getSearchDemand = async (req, res, next) => {
+  try {
+    const field = req.query.by || 'city';
+    if (!['city', 'propertyType'].includes(field)) {
+      return next(errorHandler(400, 'Invalid "by". Use city or propertyType'));
+    }
+    const options = parseReportOptions(req.query);
+    sendReport(res, options, await getDemandVsSupply({ ...options, field }));
+  } catch (error) {
+    handleReportError('[ADMIN_SEARCH_ANALYTICS_DEMAND_ERROR]', error, next);
+  }
+};
+
+// AI search parse outcomes: parser used, LLM failure rate, queries nothing could be understood from,
+// plus the active LLM provider and its spend today
+// GET /api/admin/search-analytics/ai-parse
+const getAiParseAnalytics = async (req, res, next) => {
+  try {
+    const options = parseReportOptions(req.query);
+    const [stats, llm] = await Promise.all([getAiParseStats(options), getLLMStatus()]);
+    sendReport(res, options, { ...stats, llm });
+  } catch (error) {
+    handleReportError('[ADMIN_SEARCH_ANALYTICS_AI_PARSE_ERROR]', error, next);
+  }
+};
+
+module.exports = {
+  getSearchAnalyticsSummary,
+  getTopSearchQueries,
+  getZeroResultQueries,
+  getSearchDemand,
+  getAiParseAnalytics
+};
@@ -0,0 +1,103 @@
+const Listing = require('../models/listing.model');
+const User = require('../models/user.model');
+const Blog = require('../models/blog.model');
+const errorHandler = require('../utils/error');
+const logger = require('../utils/logger');
+const {
+  SITEMAP_PAGE_SIZE,
+  SITEMAP_TYPES,
+  PUBLIC_LISTING_QUERY,
+  PUBLIC_AGENT_QUERY,
+  PUBLIC_BLOG_QUERY,
+  buildSitemapEntries,
+  renderUrlSet,
+  renderSitemapIndex
+} = require('../utils/sitemap');
+
+// Crawlers re-fetch sitemaps often; an hour of caching keeps the DB load low
+const SITEMAP_CACHE_CONTROL = 'public, max-age=3600';
+
+// Model, visibility query and fields needed for each sitemap type
+const SITEMAP_SOURCES = {
+  listings: { model: Listing, query: PUBLIC_LISTING_QUERY, select: 'slug slug_ar updatedAt' },
+  agents: { model: User, query: PUBLIC_AGENT_QUERY, select: 'updatedAt' },
+  blogs: { model: Blog, query: PUBLIC_BLOG_QUERY, select: 'updatedAt publishedAt' }
+};
+
+const getApiBaseUrl = (req) => `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+const sendXml = (res, xml) => {
+  res.set('Content-Type', 'application/xml; charset=utf-8');
+  res.set('Cache-Control', SITEMAP_CACHE_CONTROL);
+  res.status(200).send(xml);
+};
+
+/**
+ * Sitemap index: one paginated sitemap per page of listings, agents and blog posts
+ * GET /api/sitemap
+ */
+const getSitemapIndex = async (req, res, next) => {
+  try {
+    const baseUrl = getApiBaseUrl(req);
+    const sitemaps = [];
+
+    for (const type of SITEMAP_TYPES) {
+      const { model, query } = SITEMAP_SOURCES[type];
+      const [count, latest] = await Promise.all([
+        model.countDocuments(query),
+        model.findOne(query).sort({ updatedAt: -1 }).select('updatedAt').lean()
+      ]);
+      const pages = Math.max(1, Math.ceil(count / SITEMAP_PAGE_SIZE));
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${baseUrl}/${type}/${page}`, lastmod: latest?.updatedAt });
+      }
+    }
+
+    sendXml(res, renderSitemapIndex(sitemaps));
+  } catch (error) {
+    logger.error('[SITEMAP_INDEX_ERROR]', { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * One page of a sitemap, with en/ar hreflang alternates for every URL
+ * GET /api/sitemap/:type/:page   type: listings | agents | blogs, page starts at 1
+ */
+const getSitemapPage = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    if (!SITEMAP_TYPES.includes(type)) {
+      return next(errorHandler(404, `Unknown sitemap. Use one of: ${SITEMAP_TYPES.join(', ')}`));
+    }
+
+    const page = parseInt(req.params.page, 10);
+    if (isNaN(page) || page < 1) {
+      return next(errorHandler(400, 'page must be a positive integer'));
+    }
+
+    const { model, query, select } = SITEMAP_SOURCES[type];
+    // Sorted by _id so a page always holds the same documents while new ones are added
+    const docs = await model.find(query)
+      .select(select)
+      .sort({ _id: 1 })
+      .skip((page - 1) * SITEMAP_PAGE_SIZE)
+      .limit(SITEMAP_PAGE_SIZE)
+      .lean();
+
+    if (!docs.length && page > 1) {
+      return next(errorHandler(404, 'Sitemap page not found'));
+    }
+
+    const entries = docs.flatMap((doc) => buildSitemapEntries(type, doc, doc.updatedAt || doc.publishedAt));
+    sendXml(res, renderUrlSet(entries));
+  } catch (error) {
+    logger.error('[SITEMAP_PAGE_ERROR]', { error: error.message, stack: error.stack });
+    next(error);
+  }
+};
+
+module.exports = {
+  getSitemapIndex,
+  getSitemapPage
+};
@@ -214,7 +214,8 @@ app.use('/api/user', express.json());
 app.use('/api/review', express.json());
 app.use('/api/contacts', express.json());
 app.use('/api/favorites', express.json());
-app.use('/api/points', express.json());
+// Payment webhooks are signed over the exact bytes received, so the raw body is kept
+app.use('/api/points', express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use('/api/message', express.json());
 app.use('/api/newsletter', express.json());
 app.use('/api/blog', express.json());
@@ -225,6 +226,9 @@ app.use('/api/cities', express.json());
 app.use('/api/property-rental', express.json());
 app.use('/api/admin', express.json());
 app.use('/api/future-buyers', express.json());
+app.use('/api/saved-searches', express.json());
+app.use('/api/promotions', express.json());
+app.use('/api/coupons', express.json());
 // Apply express.json() to listing routes (but NOT to /create which uses multipart/form-data)
 // We'll handle this in the route handler itself
 app.use('/api/listing', (req, res, next) => {
@@ -259,6 +263,11 @@ const adminRoutes = require('./routes/admin.route');
 const diagnosticRoutes = require('./routes/diagnostic.route');
 const notificationRoutes = require('./routes/notification.route');
 const futureBuyerRoutes = require('./routes/futureBuyer.route');
+const exchangeRateRoutes = require('./routes/exchangeRate.route');
+const sitemapRoutes = require('./routes/sitemap.route');
+const savedSearchRoutes = require('./routes/savedSearch.route');
+const promotionRoutes = require('./routes/promotion.route');
+const couponRoutes = require('./routes/coupon.route');
 
 app.use('/api/auth', authRouter);
 app.use('/api/diagnostic', diagnosticRoutes);
@@ -281,6 +290,11 @@ app.use('/api/property-rental', propertyRentalRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/future-buyers', futureBuyerRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/sitemap', sitemapRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -359,6 +373,15 @@ const startServer = async () => {
       logger.info('✅ MongoDB connection ready');
       app.listen(PORT, () => {
         logger.info(`🚀 Server running on port ${PORT}`);
+        // Background jobs need the DB connection, so they start with the server
+        const { startListingLifecycleJob } = require('./utils/listingLifecycle');
+        const { startListingPublishScheduler } = require('./utils/listingSchedule');
+        const { startSavedSearchDigestJob } = require('./utils/savedSearches');
+        const { startPromotionScheduler } = require('./utils/listingPromotions');
+        startListingLifecycleJob();
+        startListingPublishScheduler();
+        startSavedSearchDigestJob();
+        startPromotionScheduler();
       });
     } else {
       logger.error('❌ Failed to establish MongoDB connection. Server will not start.');
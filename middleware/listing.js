@@ -1,5 +1,29 @@
 const Listing = require('../models/listing.model');
+const errorHandler = require('../utils/error');
 const logger = require('../utils/logger');
+const {
+  parseBbox,
+  buildBboxCondition,
+  parseNear,
+  parseRadiusKm,
+  buildNearCondition
+} = require('../utils/geoLocation');
+const { normalizeCurrency, getExchangeRates, convertToUSD } = require('../utils/currency');
+const { buildTextSearchString, buildTokenRegexCondition } = require('../utils/textSearch');
+
+// Arabic property type -> English value stored on listings
+const ARABIC_PROPERTY_TYPE_MAP = {
+  'شقة': 'Apartment',
+  'فيلا/مزرعة': 'Villa/farms',
+  'فيلا': 'Villa',
+  'مكتب': 'Office',
+  'تجاري': 'Commercial',
+  'أرض': 'Land',
+  'أرض/قطعة': 'Land/Plot',
+  'بيت عطلة': 'Holiday Home',
+  'بيوت عطلة': 'Holiday Homes',
+  'بناء كامل': 'Building'
+};
 
 /**
  * Convert Arabic property type to English
@@ -9,20 +33,26 @@ const logger = require('../utils/logger');
 const convertArabicPropertyType = (arabicType) => {
   if (!arabicType || typeof arabicType !== 'string') return arabicType;
   
-  const propertyTypeMap = {
-    'شقة': 'Apartment',
-    'فيلا/مزرعة': 'Villa/farms',
-    'فيلا': 'Villa',
-    'مكتب': 'Office',
-    'تجاري': 'Commercial',
-    'أرض': 'Land',
-    'أرض/قطعة': 'Land/Plot',
-    'بيت عطلة': 'Holiday Home',
-    'بيوت عطلة': 'Holiday Homes',
-    'بناء كامل': 'Building'
-  };
-  
-  return propertyTypeMap[arabicType] || arabicType;
+  return ARABIC_PROPERTY_TYPE_MAP[arabicType] || arabicType;
+};
+
+// Arabic city names and spelling variants -> English value stored on listings
+const ARABIC_CITY_MAP = {
+  'دمشق': 'Damascus',
+  'حلب': 'Aleppo',
+  'حمص': 'Homs',
+  'اللاذقية': 'Latakia',
+  'طرطوس': 'Tartus',
+  'درعا': 'Daraa',
+  'حماة': 'Hama',
+  'إدلب': 'Idlib',
+  'دير الزور': 'Deir ez-Zur',
+  'ديرالزور': 'Deir ez-Zur', // بدون فراغ
+  'الدير': 'Deir ez-Zur',
+  'ديري': 'Deir ez-Zur',
+  'Deir ez-Zor': 'Deir ez-Zur',
+  'Der El Zor': 'Deir ez-Zur',
+  'Deir ez-Zur': 'Deir ez-Zur'
 };
 
 /**
@@ -37,35 +67,17 @@ const convertArabicCity = (arabicCity) => {
   const normalized = arabicCity.trim().replace(/\s+/g, ' ');
   const normalizedNoSpaces = normalized.replace(/\s+/g, '');
   
-  const cityMap = {
-    'دمشق': 'Damascus',
-    'حلب': 'Aleppo',
-    'حمص': 'Homs',
-    'اللاذقية': 'Latakia',
-    'طرطوس': 'Tartus',
-    'درعا': 'Daraa',
-    'حماة': 'Hama',
-    'إدلب': 'Idlib',
-    'دير الزور': 'Deir ez-Zur',
-    'ديرالزور': 'Deir ez-Zur', // بدون فراغ
-    'الدير': 'Deir ez-Zur',
-    'ديري': 'Deir ez-Zur',
-    'Deir ez-Zor': 'Deir ez-Zur',
-    'Der El Zor': 'Deir ez-Zur',
-    'Deir ez-Zur': 'Deir ez-Zur'
-  };
-  
   // Try exact match first
-  if (cityMap[normalized]) return cityMap[normalized];
+  if (ARABIC_CITY_MAP[normalized]) return ARABIC_CITY_MAP[normalized];
   // Try match without spaces (for "ديرالزور" vs "دير الزور")
-  if (cityMap[normalizedNoSpaces]) return cityMap[normalizedNoSpaces];
+  if (ARABIC_CITY_MAP[normalizedNoSpaces]) return ARABIC_CITY_MAP[normalizedNoSpaces];
   // Try original input
-  if (cityMap[arabicCity]) return cityMap[arabicCity];
+  if (ARABIC_CITY_MAP[arabicCity]) return ARABIC_CITY_MAP[arabicCity];
   
   return arabicCity;
 };
 
-// Arabic → English for keyword search (backend stores English in propertyKeyword/propertyDesc)
+// Arabic → English for keyword search (most listings only have English propertyKeyword/propertyDesc)
 const ARABIC_TO_ENGLISH_KEYWORD = {
   'شقة': 'Apartment', 'شقق': 'Apartment', 'شقة سكنية': 'Apartment', 'شقق سكنية': 'Apartment',
   'فيلا': 'Villa', 'منزل': 'House', 'أرض': 'Land', 'مكتب': 'Office', 'تجاري': 'Commercial',
@@ -104,6 +116,10 @@ const filterListings = async (req, res, next) => {
       priceMax,
       sizeMin,
       sizeMax,
+      sizeSqmMin, // Size range in square metres (any sizeUnit)
+      sizeSqmMax,
+      pricePerSqmMin, // Price per square metre range, in priceCurrency
+      pricePerSqmMax,
       neighborhood,
       furnished,
       garages,
@@ -116,8 +132,22 @@ const filterListings = async (req, res, next) => {
       agentId,
       sort,
       isVip,
+      bbox, // Map viewport: minLng,minLat,maxLng,maxLat
+      near, // Map centre: lat,lng
+      radius, // Radius around "near" in km (default 5)
+      priceDropped, // true = only listings whose last price change was a reduction
+      priceCurrency, // Currency of priceMin/priceMax (default: displayCurrency, then USD)
+      displayCurrency, // Convert prices in the response into this currency (displayPrice)
     } = req.query;
 
+    let responseCurrency = null;
+    if (displayCurrency) {
+      responseCurrency = normalizeCurrency(displayCurrency);
+      if (!responseCurrency) {
+        return next(errorHandler(400, 'Invalid displayCurrency. Use USD, SYP, TRY or EUR'));
+      }
+    }
+
     const filters = {};
     if (isVip === 'true') filters.isVip = true;
 
@@ -174,15 +204,32 @@ const filterListings = async (req, res, next) => {
     if (offer !== undefined) filters.offer = offer === 'true';
     if (furnished !== undefined) filters.furnished = furnished === 'true';
     if (garages !== undefined) filters.garages = garages === 'true';
+    if (priceDropped === 'true') filters.isPriceReduced = true;
 
     // Numeric filters
     if (bedrooms) filters.bedrooms = +bedrooms;
     if (bathrooms) filters.bathrooms = +bathrooms;
 
-    if (priceMin || priceMax) {
-      filters.propertyPrice = {};
-      if (priceMin) filters.propertyPrice.$gte = +priceMin;
-      if (priceMax) filters.propertyPrice.$lte = +priceMax;
+    // Price ranges work across currencies: the bounds are converted to USD and compared with priceUSD / pricePerSqm
+    if (priceMin || priceMax || pricePerSqmMin || pricePerSqmMax) {
+      const boundsCurrency = priceCurrency ? normalizeCurrency(priceCurrency) : (responseCurrency || 'USD');
+      if (!boundsCurrency) {
+        return next(errorHandler(400, 'Invalid priceCurrency. Use USD, SYP, TRY or EUR'));
+      }
+      const rates = await getExchangeRates();
+      if (!rates[boundsCurrency]) {
+        return next(errorHandler(400, `No exchange rate available for ${boundsCurrency}`));
+      }
+      if (priceMin || priceMax) {
+        filters.priceUSD = {};
+        if (priceMin) filters.priceUSD.$gte = convertToUSD(+priceMin, boundsCurrency, rates);
+        if (priceMax) filters.priceUSD.$lte = convertToUSD(+priceMax, boundsCurrency, rates);
+      }
+      if (pricePerSqmMin || pricePerSqmMax) {
+        filters.pricePerSqm = {};
+        if (pricePerSqmMin) filters.pricePerSqm.$gte = convertToUSD(+pricePerSqmMin, boundsCurrency, rates);
+        if (pricePerSqmMax) filters.pricePerSqm.$lte = convertToUSD(+pricePerSqmMax, boundsCurrency, rates);
+      }
     }
 
     if (sizeMin || sizeMax) {
@@ -191,32 +238,30 @@ const filterListings = async (req, res, next) => {
       if (sizeMax) filters.size.$lte = +sizeMax;
     }
 
-    // Keyword: translate Arabic → English, then require ALL tokens in keyword or description
-    // So "شقق للبيع في سوريا" and "apartments for sale in Syria" produce the same results
-    if (keyword) {
-      const searchKeyword = convertArabicKeywordForSearch(keyword.trim());
-      const tokens = searchKeyword.split(/[\s,،]+/).map((t) => t.trim()).filter(Boolean);
-      const keywordTokenConditions = tokens.map((token) => {
-        const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-        return {
-          $or: [
-            { propertyKeyword: { $regex: escaped, $options: 'i' } },
-            { propertyDesc: { $regex: escaped, $options: 'i' } }
-          ]
-        };
-      });
+    // Size in square metres, comparable across sizeUnit (sqm, sqft, sqyd, dunam, feddan)
+    if (sizeSqmMin || sizeSqmMax) {
+      filters.sizeSqm = {};
+      if (sizeSqmMin) filters.sizeSqm.$gte = +sizeSqmMin;
+      if (sizeSqmMax) filters.sizeSqm.$lte = +sizeSqmMax;
+    }
 
-      if (keywordTokenConditions.length > 0) {
-        const keywordAnd = keywordTokenConditions.length === 1
-          ? keywordTokenConditions[0]
-          : { $and: keywordTokenConditions };
+    // Keyword: search the normalized English/Arabic search texts (utils/textSearch.js)
+    // Every keyword token must match; Arabic words from the dictionary may match through their English
+    // translation instead (most listings are English only), so "شقق للبيع في سوريا" also finds "Apartment sale Syria".
+    // The text index ($text) selects and scores the candidates for sort=relevance.
+    let textSearch = null;
+    if (keyword && keyword.trim()) {
+      const rawKeyword = keyword.trim();
+      const translatedKeyword = convertArabicKeywordForSearch(rawKeyword);
+      const extraTerms = translatedKeyword !== rawKeyword ? [translatedKeyword] : [];
 
-        if (filters.$or && filters.$or.length > 0) {
-          const existingConditions = filters.$or;
-          filters.$and = [{ $or: existingConditions }, keywordAnd];
-          delete filters.$or;
-        } else {
-          Object.assign(filters, keywordAnd);
+      const keywordCondition = buildTokenRegexCondition(rawKeyword, extraTerms);
+      if (keywordCondition) {
+        filters.$and = [...(filters.$and || []), keywordCondition];
+        // $geoNear pipelines (sort=distance) cannot use $text
+        if (!sort || sort.toLowerCase() !== 'distance') {
+          textSearch = buildTextSearchString(rawKeyword, extraTerms);
+          filters.$text = { $search: textSearch };
         }
       }
     }
@@ -229,6 +274,34 @@ const filterListings = async (req, res, next) => {
       filters.amenities = { $all: amenitiesArray };
     }
 
+    // Map search: bounding box (viewport) and/or circle around a point
+    // Only listings with a parsed location (from mapLocation) can match
+    let geoNear = null;
+    if (bbox) {
+      const box = parseBbox(bbox);
+      if (!box) {
+        return next(errorHandler(400, 'Invalid bbox. Expected "minLng,minLat,maxLng,maxLat"'));
+      }
+      filters.location = buildBboxCondition(box);
+    }
+    if (near) {
+      const point = parseNear(near);
+      if (!point) {
+        return next(errorHandler(400, 'Invalid near. Expected "lat,lng"'));
+      }
+      const radiusKm = parseRadiusKm(radius);
+      if (radiusKm === null) {
+        return next(errorHandler(400, 'Invalid radius. Expected a positive number of kilometres'));
+      }
+      if (filters.location) {
+        // Both bbox and near: listing must be inside the viewport AND within the radius
+        filters.$and = [...(filters.$and || []), { location: buildNearCondition(point, radiusKm) }];
+      } else {
+        filters.location = buildNearCondition(point, radiusKm);
+      }
+      geoNear = { point, radiusKm };
+    }
+
     // Handle sorting - when newest, show featured first then by date
     let sortOptions = { isFeatured: -1, createdAt: -1 }; // Default: featured first, then newest
     if (sort) {
@@ -241,10 +314,42 @@ const filterListings = async (req, res, next) => {
           sortOptions = { createdAt: 1 };
           break;
         case 'price_asc':
-          sortOptions = { propertyPrice: 1 };
+          sortOptions = { priceUSD: 1 };
           break;
         case 'price_desc':
-          sortOptions = { propertyPrice: -1 };
+          sortOptions = { priceUSD: -1 };
+          break;
+        case 'price_per_sqm_asc':
+          sortOptions = { pricePerSqm: 1 };
+          break;
+        case 'price_per_sqm_desc':
+          sortOptions = { pricePerSqm: -1 };
+          break;
+        case 'size_asc':
+          sortOptions = { sizeSqm: 1 };
+          break;
+        case 'size_desc':
+          sortOptions = { sizeSqm: -1 };
+          break;
+        case 'most_viewed':
+          sortOptions = { visitCount: -1, createdAt: -1 };
+          break;
+        case 'recently_updated':
+          sortOptions = { updatedAt: -1 };
+          break;
+        case 'distance':
+          // Nearest first - needs "near"; handled with a $geoNear stage in the controller
+          if (!geoNear) {
+            return next(errorHandler(400, 'sort=distance requires the "near" parameter'));
+          }
+          sortOptions = { distance: 1 };
+          break;
+        case 'relevance':
+          // Best text match first - needs "keyword"
+          if (!textSearch) {
+            return next(errorHandler(400, 'sort=relevance requires the "keyword" parameter'));
+          }
+          sortOptions = { score: { $meta: 'textScore' }, createdAt: -1 };
           break;
         default:
           sortOptions = { isFeatured: -1, createdAt: -1 };
@@ -252,9 +357,15 @@ const filterListings = async (req, res, next) => {
       logger.debug('Sort options applied:', sortOptions);
     }
 
+    // Scheduled listings stay out of search until the publish scheduler reaches their publishAt
+    // (approval/deleted/sold visibility is added by the controller)
+    filters.isScheduled = { $ne: true };
+
     // Store filters and sort options in request object for the controller to use
     req.filter = filters;
     req.sortOptions = sortOptions;
+    req.geoNear = geoNear;
+    req.displayCurrency = responseCurrency;
     next();
   } catch (err) {
     logger.error('Listing middleware error:', err);
@@ -264,4 +375,22 @@ const filterListings = async (req, res, next) => {
   }
 };
 
+/**
+ * Build the listing filter for a set of search parameters outside of a request
+ * (saved searches, facet counts). Uses filterListings, so the result is identical to GET /api/listing/search.
+ * @param {Object} query - Search query parameters (strings, as in req.query)
+ * @returns {Promise<Object>} MongoDB filter (rejects with the same 400 errors as the search endpoint)
+ */
+const buildListingFilter = (query) => new Promise((resolve, reject) => {
+  const req = { query: { ...query } };
+  filterListings(req, null, (err) => (err ? reject(err) : resolve(req.filter || {})));
+});
+
 module.exports = filterListings;
+module.exports.buildListingFilter = buildListingFilter;
+module.exports.convertArabicCity = convertArabicCity;
+module.exports.convertArabicPropertyType = convertArabicPropertyType;
+// Alias maps, also used by search suggestions (utils/searchSuggestions.js)
+module.exports.ARABIC_PROPERTY_TYPE_MAP = ARABIC_PROPERTY_TYPE_MAP;
+module.exports.ARABIC_CITY_MAP = ARABIC_CITY_MAP;
+module.exports.ARABIC_TO_ENGLISH_KEYWORD = ARABIC_TO_ENGLISH_KEYWORD;
@@ -0,0 +1,25 @@
+const jwt = require('jsonwebtoken');
+const getJWTSecret = require('../utils/jwtSecret');
+
+// Optional authentication for public routes - sets req.user (any role) from a valid token,
+// continues as anonymous otherwise. Same token payload as verifyToken.
+const optionalAuth = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader && authHeader.startsWith('Bearer ')
+    ? authHeader.slice(7)
+    : req.cookies?.access_token;
+
+  if (!token || token === 'null') {
+    return next();
+  }
+
+  try {
+    req.user = jwt.verify(token, getJWTSecret());
+  } catch (error) {
+    // Invalid/expired token or missing secret: continue without user
+  }
+
+  next();
+};
+
+module.exports = optionalAuth;
@@ -1,83 +1,9 @@
-const Point = require('../models/point.model');
 const PointTransaction = require('../models/pointTransaction.model');
 const User = require('../models/user.model');
-const errorHandler = require('../utils/error');
-
-// Calculate points needed for listing based on various factors
-const calculateListingPoints = (listingData) => {
-  let baseCost = 50; // Base cost for any listing
-
-  // Property type multiplier
-  const typeMultiplier = {
-    'apartment': 1.0,
-    'house': 1.2,
-    'villa': 1.5,
-    'commercial': 2.0,
-    'land': 0.8
-  };
-
-  // Parse size if it's a string (from multipart/form-data)
-  const size = listingData.size ? parseInt(listingData.size) : 0;
-  const bedrooms = listingData.bedrooms ? parseInt(listingData.bedrooms) : 0;
-
-  // Size factor (larger properties cost more)
-  let sizeFactor = 1.0;
-  if (size > 200) sizeFactor += 0.2;
-  if (size > 500) sizeFactor += 0.3;
-  if (size > 1000) sizeFactor += 0.5;
-
-  // Bedroom factor
-  let bedroomFactor = 1.0;
-  if (bedrooms > 3) bedroomFactor += 0.1;
-  if (bedrooms > 5) bedroomFactor += 0.2;
-
-  // Amenities factor
-  let amenitiesFactor = 1.0;
-  let amenitiesLength = 0;
-  
-  if (listingData.amenities) {
-    // Handle both array and comma-separated string
-    if (Array.isArray(listingData.amenities)) {
-      amenitiesLength = listingData.amenities.length;
-    } else if (typeof listingData.amenities === 'string') {
-      amenitiesLength = listingData.amenities.split(',').filter(a => a.trim()).length;
-    }
-  }
-  
-  if (amenitiesLength > 5) amenitiesFactor += 0.2;
-  if (amenitiesLength > 10) amenitiesFactor += 0.3;
-
-  // Images factor (will be calculated later after upload)
-  let imagesFactor = 1.0;
-  let imagesLength = 0;
-  
-  if (listingData.images) {
-    imagesLength = Array.isArray(listingData.images) ? listingData.images.length : 0;
-  } else if (listingData.imageNames) {
-    // Handle imageNames from multipart form
-    if (Array.isArray(listingData.imageNames)) {
-      imagesLength = listingData.imageNames.length;
-    } else if (typeof listingData.imageNames === 'string') {
-      imagesLength = listingData.imageNames.split(',').filter(n => n.trim()).length;
-    }
-  }
-  
-  if (imagesLength > 5) imagesFactor += 0.1;
-  if (imagesLength > 10) imagesFactor += 0.2;
-
-  const totalCost = Math.round(
-    baseCost * 
-    (typeMultiplier[listingData.propertyType] || 1.0) * 
-    sizeFactor * 
-    bedroomFactor * 
-    amenitiesFactor * 
-    imagesFactor
-  );
-
-  return totalCost;
-};
+const { ensurePointAccount, postPointTransaction } = require('../utils/pointsLedger');
 
-// Middleware to check and deduct points before creating a listing
+// Middleware to check points before creating a listing
+// Deduction happens in createListing via applyPointDeduction, right before the listing is saved
 const checkAndDeductPoints = async (req, res, next) => {
   try {
     const logger = require('../utils/logger');
@@ -119,16 +45,23 @@ const checkAndDeductPoints = async (req, res, next) => {
       return next();
     }
 
-    // Calculate points needed for this listing
-    const pointsNeeded = calculateListingPoints(listingData);
+    // Calculate points needed for this listing (admin pricing rules, see utils/listingPricing.js)
+    const { calculateListingCost } = require('../utils/listingPricing');
+    const { totalCost, pricingVersion } = await calculateListingCost(listingData);
+    let pointsNeeded = totalCost;
+
+    // Discount coupon (couponCode): checked here, recorded by createListing together with the charge
+    if (listingData.couponCode) {
+      const { checkListingCoupon } = require('../utils/coupons');
+      const couponCheck = await checkListingCoupon({ userId, code: listingData.couponCode, listingData, cost: totalCost });
+      pointsNeeded = totalCost - couponCheck.discountPoints;
+      req.listingCoupon = couponCheck;
+    }
 
     // Get user's point record
-    let userPoints = await Point.findOne({ userId });
-    if (!userPoints) {
-      userPoints = await Point.create({ userId, balance: 0 });
-    }
+    const userPoints = await ensurePointAccount(userId);
 
-    // Check if user has enough points
+    // Early check for a clear error; the deduction itself re-checks atomically
     if (userPoints.balance < pointsNeeded) {
       return res.status(400).json({
         success: false,
@@ -141,7 +74,7 @@ const checkAndDeductPoints = async (req, res, next) => {
 
     // Store the points needed in the request for later use
     req.pointsNeeded = pointsNeeded;
-    req.userPoints = userPoints;
+    req.pricingVersion = pricingVersion;
 
     next();
   } catch (error) {
@@ -149,47 +82,101 @@ const checkAndDeductPoints = async (req, res, next) => {
   }
 };
 
-// Middleware to actually deduct points after successful listing creation
-const deductPointsAfterListing = async (req, res, next) => {
+// Middleware to check points before renewing a listing (cost: LISTING_RENEWAL_POINTS, 0 = free)
+// The renew controller charges via applyPointDeduction before saving and reverses the charge if the save fails
+const checkRenewalPoints = async (req, res, next) => {
   try {
-    const userId = req.user.id;
-    const listingId = req.listingId || res.locals.listingId; // Assuming listing ID is available
-    const pointsNeeded = req.pointsNeeded;
-    const userPoints = req.userPoints;
+    const { LISTING_RENEWAL_POINTS } = require('../constants/listingLifecycle');
+    const userId = req.user?.id || req.user?._id || req.user?.userId;
+
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'User ID not found in token'
+      });
+    }
+
+    // Free renewals and admins never pay
+    if (LISTING_RENEWAL_POINTS <= 0 || req.user.role === 'admin') {
+      req.skipPointDeduction = true;
+      return next();
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
 
-    if (!pointsNeeded || !userPoints) {
-      return next(); // Skip if points weren't calculated
+    if (user.isTrial === true || user.hasUnlimitedPoints === true) {
+      req.skipPointDeduction = true;
+      return next();
     }
 
-    // Deduct points
-    const newBalance = userPoints.balance - pointsNeeded;
-    userPoints.balance = newBalance;
-    userPoints.totalUsed += pointsNeeded;
-    await userPoints.save();
+    const userPoints = await ensurePointAccount(userId);
 
-    // Update user's points balance
-    await User.findByIdAndUpdate(userId, { pointsBalance: newBalance });
+    if (userPoints.balance < LISTING_RENEWAL_POINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient points. You need ${LISTING_RENEWAL_POINTS} points but only have ${userPoints.balance}`,
+        requiredPoints: LISTING_RENEWAL_POINTS,
+        currentBalance: userPoints.balance,
+        shortfall: LISTING_RENEWAL_POINTS - userPoints.balance
+      });
+    }
+
+    req.pointsNeeded = LISTING_RENEWAL_POINTS;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Create transaction record
-    await PointTransaction.create({
+// Deduct points for a listing through the ledger (atomic: fails with 400 if the balance became too low)
+// idempotencyKey makes retries of the same charge return the first deduction (replayed: true).
+// A replayed deduction that reversePointDeduction gave back is charged again under a derived key.
+// Returns { amount, newBalance, transactionId, replayed }
+const applyPointDeduction = async ({ userId, pointsNeeded, listingId, description, idempotencyKey }) => {
+  let key = idempotencyKey;
+  let result;
+  for (;;) {
+    result = await postPointTransaction({
       userId,
       type: 'deduction',
       amount: pointsNeeded,
-      description: `Points deducted for listing publication`,
+      description,
       listingId,
-      balanceAfter: newBalance
+      idempotencyKey: key
     });
+    if (!result.replayed) break;
+    const reversed = await PointTransaction.exists({ idempotencyKey: `reversal:${result.transaction._id}` });
+    if (!reversed) break;
+    key = `${idempotencyKey}:retry:${result.transaction._id}`;
+  }
+  const { transaction, balance, replayed } = result;
 
-    // Add points info to response
-    res.locals.pointsDeducted = {
-      amount: pointsNeeded,
-      newBalance: newBalance
-    };
+  return {
+    amount: transaction.amount,
+    newBalance: balance,
+    transactionId: transaction._id,
+    replayed
+  };
+};
 
-    next();
-  } catch (error) {
-    next(error);
-  }
+// Give back a deduction whose listing change did not happen (failed save)
+const reversePointDeduction = async ({ userId, deduction, listingId, description }) => {
+  const { balance } = await postPointTransaction({
+    userId,
+    type: 'refund',
+    amount: deduction.amount,
+    description,
+    listingId,
+    idempotencyKey: `reversal:${deduction.transactionId}`
+  });
+  return { amount: deduction.amount, newBalance: balance };
 };
 
 // Middleware to refund points when listing is deleted
@@ -198,42 +185,31 @@ const refundPointsOnListingDelete = async (req, res, next) => {
     const userId = req.user.id;
     const listingId = req.params.id;
 
-    // Find the transaction for this listing
+    // Only the publication charge is refunded (renewals are not refunded, promotions are refunded by deleteListing)
     const transaction = await PointTransaction.findOne({
       userId,
       listingId,
-      type: 'deduction'
+      type: 'deduction',
+      idempotencyKey: `listing:${listingId}:create`
     });
 
     if (transaction) {
-      // Get user's point record
-      let userPoints = await Point.findOne({ userId });
-      if (!userPoints) {
-        userPoints = await Point.create({ userId, balance: 0 });
-      }
-
-      // Refund points
-      const newBalance = userPoints.balance + transaction.amount;
-      userPoints.balance = newBalance;
-      await userPoints.save();
-
-      // Update user's points balance
-      await User.findByIdAndUpdate(userId, { pointsBalance: newBalance });
-
-      // Create refund transaction record
-      await PointTransaction.create({
+      // One refund per listing, even if the delete is retried
+      const { balance, replayed } = await postPointTransaction({
         userId,
         type: 'refund',
         amount: transaction.amount,
         description: `Points refunded for deleted listing`,
         listingId,
-        balanceAfter: newBalance
+        idempotencyKey: `listing:${listingId}:delete-refund`
       });
 
-      res.locals.pointsRefunded = {
-        amount: transaction.amount,
-        newBalance: newBalance
-      };
+      if (!replayed) {
+        res.locals.pointsRefunded = {
+          amount: transaction.amount,
+          newBalance: balance
+        };
+      }
     }
 
     next();
@@ -243,8 +219,9 @@ const refundPointsOnListingDelete = async (req, res, next) => {
 };
 
 module.exports = {
-  calculateListingPoints,
   checkAndDeductPoints,
-  deductPointsAfterListing,
+  checkRenewalPoints,
+  applyPointDeduction,
+  reversePointDeduction,
   refundPointsOnListingDelete
 };
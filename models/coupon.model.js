@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const { COUPON_KINDS } = require('../constants/coupons');
+
+// A marketing coupon code (admin-managed). maxRedemptions 1 = single-use code, null = unlimited;
+// perUserLimit caps the uses per user (e.g. "first 3 listings free in Aleppo": listing_discount 100%, perUserLimit 3, cities ['Aleppo']).
+const couponSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, uppercase: true, trim: true },
+    description: { type: String, trim: true, maxlength: 500, default: '' },
+    campaign: { type: String, trim: true, maxlength: 100, default: null }, // Groups coupons in reports
+    kind: { type: String, enum: COUPON_KINDS, required: true },
+    points: { type: Number, min: 1, default: null }, // kind points
+    discountPercent: { type: Number, min: 1, max: 100, default: null }, // kind listing_discount
+    // Restrictions for listing_discount (empty = any); matched case-insensitively
+    cities: [{ type: String, trim: true }],
+    propertyTypes: [{ type: String, trim: true }],
+    maxRedemptions: { type: Number, min: 1, default: null },
+    perUserLimit: { type: Number, min: 1, default: 1 },
+    redemptionCount: { type: Number, default: 0, min: 0 },
+    startsAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+couponSchema.index({ code: 1 }, { unique: true });
+couponSchema.index({ campaign: 1, createdAt: -1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { REDEMPTION_SOURCES } = require('../constants/coupons');
+
+// One marketing credit: a coupon use, a referral reward or an admin grant (reporting; the points are in the ledger).
+// useIndex numbers a user's uses of a coupon (1..perUserLimit), so the unique index enforces the per-user limit.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    source: { type: String, enum: REDEMPTION_SOURCES, required: true },
+    couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon', default: null },
+    code: { type: String, default: null },
+    campaign: { type: String, default: null },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    useIndex: { type: Number, default: 1 },
+    points: { type: Number, default: 0 }, // Credited to the user
+    discountPoints: { type: Number, default: 0 }, // Taken off a listing's cost (listing_discount)
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', default: null },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointTransaction', default: null },
+    // Referrals: the user who shared the code and their reward (0 when over the reward limit)
+    referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    referrerPoints: { type: Number, default: 0 },
+    referrerTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointTransaction', default: null },
+    reason: { type: String, trim: true, maxlength: 500, default: null }, // Admin grants
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, useIndex: 1 },
+  { unique: true, partialFilterExpression: { source: 'coupon' } }
+);
+couponRedemptionSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { source: 'referral' } }
+); // One referral reward per referred user
+couponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+couponRedemptionSchema.index({ source: 1, createdAt: -1 });
+couponRedemptionSchema.index({ referrerId: 1, source: 1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema);
+
+module.exports = CouponRedemption;
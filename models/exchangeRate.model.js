@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Exchange rate of a listing currency against USD, maintained by admins
+// rate = units of the currency for 1 USD (e.g. SYP 13000, EUR 0.92). USD itself is always 1.
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      enum: ['SYP', 'TRY', 'EUR'],
+      required: true,
+      unique: true
+    },
+    rate: { type: Number, required: true, min: 0.000001 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+module.exports = ExchangeRate;
@@ -1,7 +1,12 @@
 const  mongoose = require('mongoose');
+const { parseMapLocation } = require('../utils/geoLocation');
 const listingSchema = new mongoose.Schema(
   {
     propertyId: { type: String, unique: true },  
+    // SEO slugs built from type, neighborhood, city and propertyId (see utils/listingSlug.js)
+    slug: { type: String },
+    slug_ar: { type: String },
+    previousSlugs: { type: [String], default: [] }, // Replaced slugs, redirected by GET /api/listing/by-slug/:slug
     propertyType: { type: String, required: true },           
     propertyKeyword: { type: String, required: false },
     propertyDesc: { type: String, required: false },
@@ -14,6 +19,18 @@ const listingSchema = new mongoose.Schema(
       default: 'USD',
       required: true 
     },
+    // propertyPrice converted to USD with the admin exchange rates - used for cross-currency filters/sorting
+    // null when the currency has no exchange rate yet
+    priceUSD: { type: Number, default: null },
+    // Size in square metres and USD price per square metre (see utils/listingArea.js)
+    sizeSqm: { type: Number, default: null },
+    pricePerSqm: { type: Number, default: null },
+    // Last price change (full history lives in ListingPriceHistory)
+    previousPrice: { type: Number, default: null },
+    previousCurrency: { type: String, default: null },
+    priceChangedAt: { type: Date, default: null },
+    isPriceReduced: { type: Boolean, default: false }, // Last change lowered the price (same currency)
+    priceReducedAt: { type: Date, default: null },
     status: { type: String, required: true, enum: ['sale', 'rent'] },   
     rentType: {
       type: String,
@@ -50,6 +67,12 @@ const listingSchema = new mongoose.Schema(
     neighborhood: { type: String, required: false },
     neighborhood_ar: { type: String }, // Arabic neighborhood
     mapLocation: { type: String, required: false }, // Google Maps location URL or coordinates
+    // GeoJSON point parsed from mapLocation - coordinates are [longitude, latitude]
+    // coordinates default must stay undefined: an empty array breaks the 2dsphere index
+    location: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined }
+    },
 
     agent: { type: String, required: true }, // Legacy field - keep for backward compatibility
     agentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Agent', required: false }, // New field for proper reference
@@ -61,11 +84,22 @@ const listingSchema = new mongoose.Schema(
     agentFacebook: { type: String, required: false }, // Facebook URL (optional, admin only)
     approvalStatus: { 
       type: String, 
-      enum: ['pending', 'approved', 'rejected', 'closed'], 
+      enum: ['draft', 'pending', 'approved', 'rejected', 'closed', 'expired'], // draft = not submitted for review yet
       default: 'pending',
       lowercase: true, // Always store in lowercase
       trim: true
     },
+    // Scheduled publishing: an approved listing with isScheduled stays out of public pages
+    // until the publish scheduler reaches publishAt (see utils/listingSchedule.js)
+    publishAt: { type: Date, default: null },
+    isScheduled: { type: Boolean, default: false },
+    publishedAt: { type: Date, default: null },
+    // Lifecycle: approved listings expire after a configurable lifetime (see constants/listingLifecycle.js)
+    expiresAt: { type: Date, default: null },
+    expiryReminderSentAt: { type: Date, default: null }, // Reset on renewal so the next period gets a reminder too
+    expiredAt: { type: Date, default: null },
+    renewedAt: { type: Date, default: null },
+    renewalCount: { type: Number, default: 0 },
     isSold: { type: Boolean, default: false },
     soldCharges: { type: Number, default: 0 }, // Charges/fees for sold listing record
     soldDate: { type: Date }, // Date when property was marked as sold
@@ -77,9 +111,15 @@ const listingSchema = new mongoose.Schema(
     featuredOrder: { type: Number, default: null }, // Admin-defined position (1 = first listing). Null = no order (after ordered ones, then by date)
     isVip: { type: Boolean, default: false }, // Admin can mark as VIP; shown on VIP page for time-conscious clients
     vipOrder: { type: Number, default: null }, // Admin-defined position on VIP page / home (1 = first). Null = no order (then by date)
+    featuredUntil: { type: Date, default: null }, // End of a bought featured promotion; null = set by an admin (no expiry)
+    vipUntil: { type: Date, default: null }, // End of a bought VIP promotion; null = set by an admin (no expiry)
     visitCount: { type: Number, default: 0 },
     notes: { type: String, required: false }, // Additional notes about the property
     notes_ar: { type: String, required: false }, // Arabic notes
+    // Normalized copies of the English / Arabic texts for keyword search (see utils/textSearch.js)
+    // select: false keeps them out of API responses
+    searchText: { type: String, default: '', select: false },
+    searchText_ar: { type: String, default: '', select: false },
 
     ////media -part
     imageNames: { 
@@ -93,6 +133,7 @@ const listingSchema = new mongoose.Schema(
         publicId: { type: String, required: false },
         url: { type: String, required: false },
         filename: { type: String, required: false }, // Store original filename
+        hash: { type: String, required: false }, // SHA-256 of the file, used for duplicate detection
         uploadedAt: { type: Date, default: Date.now }
       }
     ],
@@ -115,6 +156,10 @@ listingSchema.index({ isFeatured: -1, featuredOrder: 1, createdAt: -1 }); // Fea
 // Compound index for getFilteredListings (public search): match + sort in one index
 listingSchema.index({ approvalStatus: 1, isDeleted: 1, isSold: 1, isFeatured: -1, featuredOrder: 1, createdAt: -1 });
 listingSchema.index({ propertyPrice: 1 }); // Price range queries
+listingSchema.index({ priceUSD: 1 }); // Price range / sort across currencies
+listingSchema.index({ sizeSqm: 1 }); // Size range / sort across size units
+listingSchema.index({ pricePerSqm: 1 }); // Price per sqm range / sort
+listingSchema.index({ isPriceReduced: 1, priceReducedAt: -1 }); // "Price reduced" filter
 listingSchema.index({ status: 1, propertyType: 1, isDeleted: 1 }); // Common filter combination
 listingSchema.index({ city: 1, status: 1, isDeleted: 1 }); // Location + status filtering
 listingSchema.index({ agentId: 1, isDeleted: 1 }); // Agent's non-deleted listings
@@ -125,6 +170,64 @@ listingSchema.index({ isDeleted: 1, isSold: 1, approvalStatus: 1, city: 1 }); //
 listingSchema.index({ isDeleted: 1, isSold: 1, approvalStatus: 1, state: 1 }); // City stats performance (state fallback)
 listingSchema.index({ isVip: 1, isDeleted: 1, isSold: 1, approvalStatus: 1 }); // VIP page
 listingSchema.index({ isVip: 1, vipOrder: 1, createdAt: -1 }); // VIP page sort by order then newest
+listingSchema.index({ approvalStatus: 1, expiresAt: 1 }); // Lifecycle job: reminders and expiry
+listingSchema.index({ isScheduled: 1, approvalStatus: 1, publishAt: 1 }); // Publish scheduler
+listingSchema.index({ 'images.hash': 1 }, { sparse: true }); // Duplicate detection: same photos
+listingSchema.index({ location: '2dsphere' }); // Map search: bbox / near + radius / distance sort
+listingSchema.index({ slug: 1 }, { unique: true, sparse: true }); // Public page lookup by slug
+listingSchema.index({ slug_ar: 1 }, { unique: true, sparse: true }); // Public page lookup by Arabic slug
+listingSchema.index({ previousSlugs: 1 }); // Old slug -> redirect
+// Keyword search: one text index over both languages (language "none" - texts are normalized by us)
+listingSchema.index(
+  { searchText: 'text', searchText_ar: 'text' },
+  { name: 'listing_search_text', default_language: 'none', language_override: 'searchLanguage', weights: { searchText: 1, searchText_ar: 1 } }
+);
+
+// Keep location in sync with mapLocation (explicitly set location wins)
+listingSchema.pre('save', function(next) {
+  if (this.isModified('mapLocation') && !this.isModified('location')) {
+    const point = parseMapLocation(this.mapLocation);
+    this.location = point || undefined;
+  }
+  next();
+});
+
+// Keep priceUSD in sync with propertyPrice/currency (findByIdAndUpdate callers set it themselves)
+listingSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('propertyPrice') || this.isModified('currency')) {
+    const { calculatePriceUSD } = require('../utils/currency');
+    this.priceUSD = await calculatePriceUSD(this.propertyPrice, this.currency);
+  }
+});
+
+// Keep sizeSqm / pricePerSqm in sync with size, sizeUnit and priceUSD (registered after the priceUSD hook so it sees the new value)
+listingSchema.pre('save', function(next) {
+  const { AREA_SOURCE_FIELDS, buildAreaFields } = require('../utils/listingArea');
+  if (this.isNew || AREA_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+    this.set(buildAreaFields(this));
+  }
+  next();
+});
+
+// Keep slugs in sync with their source fields (findByIdAndUpdate callers use getSlugUpdate themselves)
+const SLUG_SOURCE_FIELDS = ['propertyId', 'propertyType', 'neighborhood', 'neighborhood_ar', 'city', 'state'];
+listingSchema.pre('save', function(next) {
+  if (!this.slug || SLUG_SOURCE_FIELDS.some((field) => this.isModified(field))) {
+    const { getSlugUpdate } = require('../utils/listingSlug');
+    const update = getSlugUpdate(this, this);
+    if (update) this.set(update);
+  }
+  next();
+});
+
+// Keep the normalized search texts in sync (findByIdAndUpdate callers use buildSearchText themselves)
+listingSchema.pre('save', function(next) {
+  const { SEARCH_TEXT_FIELDS, SEARCH_TEXT_AR_FIELDS, buildSearchText } = require('../utils/textSearch');
+  if (this.isNew || [...SEARCH_TEXT_FIELDS, ...SEARCH_TEXT_AR_FIELDS].some((field) => this.isModified(field))) {
+    this.set(buildSearchText(this));
+  }
+  next();
+});
 
 const Listing = mongoose.model('Listing', listingSchema);
 
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Visits of a listing per UTC day (one row per listing and day), recorded by POST /api/listing/:id/visit.
+// listing.visitCount only has the all-time total; promotion reports compare days before and during a promotion.
+const LISTING_DAILY_STAT_RETENTION_DAYS = 400;
+
+const listingDailyStatSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    date: { type: Date, required: true }, // UTC midnight
+    visits: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+listingDailyStatSchema.index({ listingId: 1, date: 1 }, { unique: true });
+listingDailyStatSchema.index({ date: 1 }, { expireAfterSeconds: LISTING_DAILY_STAT_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ListingDailyStat = mongoose.model('ListingDailyStat', listingDailyStatSchema);
+
+module.exports = ListingDailyStat;
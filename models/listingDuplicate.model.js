@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Suspected duplicate pair found at creation/import time, reviewed by admins
+// listingId = the newer listing, duplicateOfId = the existing listing it resembles
+const listingDuplicateSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    duplicateOfId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    score: { type: Number, required: true, min: 0, max: 1 }, // Similarity 0..1
+    reasons: [{ type: String }], // Matching signals, e.g. 'same_agent', 'shared_images'
+    source: { type: String, enum: ['create', 'import'], default: 'create' },
+    status: {
+      type: String,
+      enum: ['pending', 'merged', 'rejected', 'dismissed'],
+      default: 'pending'
+    },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: '' }
+  },
+  { timestamps: true }
+);
+
+listingDuplicateSchema.index({ listingId: 1, duplicateOfId: 1 }, { unique: true }); // One flag per pair
+listingDuplicateSchema.index({ status: 1, score: -1, createdAt: -1 }); // Admin queue
+
+const ListingDuplicate = mongoose.model('ListingDuplicate', listingDuplicateSchema);
+
+module.exports = ListingDuplicate;
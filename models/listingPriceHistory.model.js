@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One entry per price or currency change of a listing (first entry = price at creation)
+const listingPriceHistorySchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    propertyPrice: { type: Number, required: true },
+    currency: {
+      type: String,
+      enum: ['USD', 'SYP', 'TRY', 'EUR'],
+      required: true
+    },
+    previousPrice: { type: Number, default: null }, // null for the initial entry
+    previousCurrency: {
+      type: String,
+      enum: ['USD', 'SYP', 'TRY', 'EUR', null],
+      default: null
+    },
+    // Only set when the currency did not change (amounts in different currencies are not comparable)
+    changeAmount: { type: Number, default: null },
+    changePercent: { type: Number, default: null },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    changedByRole: { type: String, enum: ['user', 'agent', 'admin', 'system'], default: 'system' },
+    source: {
+      type: String,
+      enum: ['create', 'update', 'import'],
+      default: 'update'
+    }
+  },
+  { timestamps: true }
+);
+
+listingPriceHistorySchema.index({ listingId: 1, createdAt: 1 }); // Price history of a listing in order
+
+const ListingPriceHistory = mongoose.model('ListingPriceHistory', listingPriceHistorySchema);
+
+module.exports = ListingPriceHistory;
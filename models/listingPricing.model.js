@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One version of the listing pricing rules (constants/listingPricing.js). Versions are never edited:
+// a change saves a new version, and activating an older one rolls the pricing back.
+const multiplierRuleSchema = new mongoose.Schema(
+  {
+    value: { type: String, required: true, trim: true },
+    multiplier: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const bandSchema = new mongoose.Schema(
+  {
+    min: { type: Number, default: 0, min: 0 }, // Inclusive
+    max: { type: Number, default: null }, // Exclusive, null = no upper bound
+    multiplier: { type: Number, required: true, min: 0 }
+  },
+  { _id: false }
+);
+
+const listingPricingSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, min: 1 },
+    isActive: { type: Boolean, default: false },
+    baseCost: { type: Number, required: true, min: 0 },
+    minCost: { type: Number, default: 0, min: 0 },
+    multipliers: {
+      propertyType: [multiplierRuleSchema],
+      city: [multiplierRuleSchema],
+      status: [multiplierRuleSchema]
+    },
+    bands: {
+      sizeSqm: [bandSchema],
+      images: [bandSchema],
+      bedrooms: [bandSchema],
+      amenities: [bandSchema]
+    },
+    upgrades: {
+      featured: { type: Number, default: 0, min: 0 },
+      vip: { type: Number, default: 0, min: 0 }
+    },
+    note: { type: String, trim: true, maxlength: 500, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    activatedAt: { type: Date, default: null },
+    activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: true }
+);
+
+listingPricingSchema.index({ version: 1 }, { unique: true });
+listingPricingSchema.index({ isActive: 1 });
+
+const ListingPricing = mongoose.model('ListingPricing', listingPricingSchema);
+
+module.exports = ListingPricing;
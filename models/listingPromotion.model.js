@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { PROMOTION_TYPES, PROMOTION_STATUSES } = require('../constants/promotions');
+
+// A promotion bought for a listing. The product is copied at purchase, so later catalogue edits
+// do not change what was paid for. Ended by the promotion scheduler (utils/listingPromotions.js).
+const listingPromotionSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // Buyer (listing owner)
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionProduct', required: true },
+    product: {
+      name: { type: String, required: true },
+      type: { type: String, enum: PROMOTION_TYPES, required: true },
+      durationDays: { type: Number, required: true },
+      points: { type: Number, required: true }
+    },
+    type: { type: String, enum: PROMOTION_TYPES, required: true },
+    status: { type: String, enum: PROMOTION_STATUSES, default: 'active' },
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null }, // When it expired or was refunded
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointTransaction', default: null },
+    refundTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointTransaction', default: null },
+    refundedPoints: { type: Number, default: 0 },
+    refundReason: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+listingPromotionSchema.index({ status: 1, endsAt: 1 }); // Scheduler: due promotions
+listingPromotionSchema.index({ listingId: 1, status: 1 });
+listingPromotionSchema.index({ userId: 1, createdAt: -1 }); // Agent's promotions
+// One active promotion per listing and placement
+listingPromotionSchema.index(
+  { listingId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const ListingPromotion = mongoose.model('ListingPromotion', listingPromotionSchema);
+
+module.exports = ListingPromotion;
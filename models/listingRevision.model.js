@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Versioned snapshot of a listing, written on every create, update, image change,
+// approval transition and restore (version 1 = oldest)
+const listingRevisionSchema = new mongoose.Schema(
+  {
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    version: { type: Number, required: true, min: 1 },
+    action: {
+      type: String,
+      enum: ['baseline', 'create', 'update', 'images', 'approval', 'restore'],
+      required: true
+    },
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true }, // Listing fields at this version
+    changedFields: [{ type: String }], // Fields that differ from the previous version
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    changedByRole: { type: String, enum: ['user', 'agent', 'admin', 'system'], default: 'system' },
+    note: { type: String, default: '' } // e.g. rejection reason, "Restored from version 3"
+  },
+  { timestamps: true }
+);
+
+listingRevisionSchema.index({ listingId: 1, version: -1 }, { unique: true }); // Latest version first
+listingRevisionSchema.index({ changedBy: 1, createdAt: -1 });
+
+const ListingRevision = mongoose.model('ListingRevision', listingRevisionSchema);
+
+module.exports = ListingRevision;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Listings a logged-in user opened (one row per user and listing), used for "you may also like".
+// Recorded by POST /api/listing/:id/visit; rows expire after LISTING_VIEW_RETENTION_DAYS without a new view.
+const LISTING_VIEW_RETENTION_DAYS = 90;
+
+const listingViewSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    listingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Listing', required: true },
+    viewCount: { type: Number, default: 1 },
+    lastViewedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: true }
+);
+
+listingViewSchema.index({ userId: 1, listingId: 1 }, { unique: true });
+listingViewSchema.index({ userId: 1, lastViewedAt: -1 }); // Recent views of a user
+listingViewSchema.index({ lastViewedAt: 1 }, { expireAfterSeconds: LISTING_VIEW_RETENTION_DAYS * 24 * 60 * 60 });
+
+const ListingView = mongoose.model('ListingView', listingViewSchema);
+
+module.exports = ListingView;
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// LLM usage per UTC day, provider and model - the daily cost budget of AI search is checked against the sum of a day.
+// Only calls that reached the provider are counted (cached answers cost nothing).
+const llmUsageSchema = new mongoose.Schema(
+  {
+    day: { type: String, required: true }, // YYYY-MM-DD (UTC)
+    provider: { type: String, required: true },
+    model: { type: String, required: true },
+    requests: { type: Number, default: 0 },
+    failedRequests: { type: Number, default: 0 },
+    inputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    costUSD: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+llmUsageSchema.index({ day: 1, provider: 1, model: 1 }, { unique: true });
+
+const LlmUsage = mongoose.model('LlmUsage', llmUsageSchema);
+
+module.exports = LlmUsage;
@@ -21,13 +21,23 @@ const notificationSchema = new mongoose.Schema({
       'admin.agent_delete_listing',
       'admin.message',
       'admin.review',
+      'admin.point_order_pending',
       // Agent notifications
       'agent.listing_view',
       'agent.review',
       'agent.message',
       'agent.listing_approved',
       'agent.listing_rejected',
-      'agent.agent_approved'
+      'agent.listing_expiring',
+      'agent.listing_expired',
+      'agent.agent_approved',
+      'agent.promotion_expired',
+      'agent.promotion_refunded',
+      // User notifications
+      'user.saved_search_match',
+      'user.saved_search_digest',
+      'user.point_order_completed',
+      'user.point_order_failed'
     ],
     index: true
   },
@@ -67,7 +77,7 @@ const notificationSchema = new mongoose.Schema({
   relatedEntity: {
     entityType: {
       type: String,
-      enum: ['user', 'listing', 'message', 'review', null],
+      enum: ['user', 'listing', 'message', 'review', 'saved_search', 'point_order', null],
       default: null
     },
     entityId: {
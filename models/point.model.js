@@ -24,8 +24,8 @@ const pointSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Index for efficient queries
-pointSchema.index({ userId: 1 });
+// One point record per user (atomic upserts rely on it; reconcilePoints.js --repair merges old duplicates)
+pointSchema.index({ userId: 1 }, { unique: true });
 
 const Point = mongoose.model('Point', pointSchema);
 
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { POINT_ORDER_STATUSES, PACKAGE_TYPES } = require('../constants/payments');
+
+// Checkout of a point package. The package is copied at order time so later catalogue edits
+// do not change what the user pays or receives. Completing the order credits the points through the ledger.
+const pointOrderSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    packageId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointPackage', required: true },
+    package: {
+      name: { type: String, required: true },
+      points: { type: Number, required: true },
+      price: { type: Number, required: true },
+      currency: { type: String, required: true },
+      packageType: { type: String, enum: PACKAGE_TYPES, required: true },
+      validityDays: { type: Number, default: 0 }
+    },
+    provider: { type: String, required: true }, // Name in utils/paymentProviders.js
+    status: { type: String, enum: POINT_ORDER_STATUSES, default: 'pending' },
+    providerReference: { type: String, default: null }, // Transfer reference / gateway payment id
+    checkout: { type: mongoose.Schema.Types.Mixed, default: {} }, // What the client needs to pay (instructions, URL)
+    failureReason: { type: String, default: null },
+    transactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PointTransaction', default: null },
+    confirmedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Admin (manual payments)
+    completedAt: { type: Date, default: null },
+    closedAt: { type: Date, default: null } // failed / cancelled
+  },
+  { timestamps: true }
+);
+
+pointOrderSchema.index({ userId: 1, createdAt: -1 }); // User's orders
+pointOrderSchema.index({ status: 1, createdAt: 1 }); // Admin confirmation queue
+pointOrderSchema.index(
+  { provider: 1, providerReference: 1 },
+  { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+
+const PointOrder = mongoose.model('PointOrder', pointOrderSchema);
+
+module.exports = PointOrder;
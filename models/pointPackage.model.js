@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const { PACKAGE_TYPES, PACKAGE_CURRENCIES } = require('../constants/payments');
+
+// A point package of the catalogue (admin-managed). Buying it credits `points` and moves the user
+// to `packageType` for `validityDays` (User.packageType / packageExpiry).
+const pointPackageSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    name_ar: { type: String, trim: true, maxlength: 100, default: null },
+    description: { type: String, trim: true, maxlength: 1000, default: '' },
+    description_ar: { type: String, trim: true, maxlength: 1000, default: null },
+    points: { type: Number, required: true, min: 1 },
+    price: { type: Number, required: true, min: 0 },
+    currency: { type: String, enum: PACKAGE_CURRENCIES, default: 'USD' },
+    packageType: { type: String, enum: PACKAGE_TYPES, default: 'basic' },
+    validityDays: { type: Number, min: 0, default: 0 }, // 0 = the package type does not expire
+    perks: [{ type: String, trim: true, maxlength: 200 }],
+    perks_ar: [{ type: String, trim: true, maxlength: 200 }],
+    isActive: { type: Boolean, default: true }, // Inactive packages stay for existing orders but cannot be bought
+    sortOrder: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+pointPackageSchema.index({ isActive: 1, sortOrder: 1 }); // Public catalogue
+
+const PointPackage = mongoose.model('PointPackage', pointPackageSchema);
+
+module.exports = PointPackage;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { POINT_TRANSACTION_TYPES } = require('../constants/points');
 
 const pointTransactionSchema = new mongoose.Schema(
   {
@@ -9,7 +10,7 @@ const pointTransactionSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['purchase', 'deduction', 'refund'],
+      enum: POINT_TRANSACTION_TYPES,
       required: true,
     },
     amount: {
@@ -47,6 +48,26 @@ const pointTransactionSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Double-entry accounts (constants/points.js); transactions written before the ledger have none
+    fromAccount: {
+      type: String,
+      default: null
+    },
+    toAccount: {
+      type: String,
+      default: null
+    },
+    // Same key = same transaction: a retried request returns the first transaction instead of posting twice
+    idempotencyKey: {
+      type: String,
+      default: undefined
+    },
+    // Admin who posted an adjustment
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
   },
   { timestamps: true }
 );
@@ -54,6 +75,22 @@ const pointTransactionSchema = new mongoose.Schema(
 // Index for efficient queries
 pointTransactionSchema.index({ userId: 1, createdAt: -1 });
 pointTransactionSchema.index({ listingId: 1 });
+pointTransactionSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Ledger entries are immutable: mistakes are corrected with a new (refund / adjustment) entry
+const rejectUpdate = function (next) {
+  next(new Error('Point transactions are immutable; post a correcting transaction instead'));
+};
+pointTransactionSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectUpdate(next);
+  next();
+});
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach((operation) => {
+  pointTransactionSchema.pre(operation, rejectUpdate);
+});
 
 const PointTransaction = mongoose.model('PointTransaction', pointTransactionSchema);
 
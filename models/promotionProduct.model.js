@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { PROMOTION_TYPES, MAX_PROMOTION_DAYS } = require('../constants/promotions');
+
+// A promotion agents can buy for a listing (admin-managed): `type` placement for `durationDays`, paid with `points`
+const promotionProductSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    name_ar: { type: String, trim: true, maxlength: 100, default: null },
+    description: { type: String, trim: true, maxlength: 1000, default: '' },
+    description_ar: { type: String, trim: true, maxlength: 1000, default: null },
+    type: { type: String, enum: PROMOTION_TYPES, required: true },
+    durationDays: { type: Number, required: true, min: 1, max: MAX_PROMOTION_DAYS },
+    points: { type: Number, required: true, min: 1 },
+    isActive: { type: Boolean, default: true }, // Inactive products stay for existing promotions but cannot be bought
+    sortOrder: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+promotionProductSchema.index({ isActive: 1, sortOrder: 1 }); // Public catalogue
+
+const PromotionProduct = mongoose.model('PromotionProduct', promotionProductSchema);
+
+module.exports = PromotionProduct;
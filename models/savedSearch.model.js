@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { SAVED_SEARCH_ALERT_FREQUENCIES } = require('../constants/savedSearch');
+
+// A user's saved listing search: filterListings query parameters, or a natural-language query
+// (parsed into the same parameters when saved). New approved listings that match trigger alerts.
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    query: { type: String, trim: true, maxlength: 500, default: null }, // Natural-language query, if any
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} }, // GET /api/listing/search parameters (strings)
+    alertFrequency: {
+      type: String,
+      enum: SAVED_SEARCH_ALERT_FREQUENCIES,
+      default: 'instant'
+    },
+    emailAlerts: { type: Boolean, default: true }, // In-app alerts are always sent
+    isActive: { type: Boolean, default: true },
+    pendingListingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Listing' }], // Waiting for the daily digest
+    notifiedListingIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Listing' }], // Already alerted (capped)
+    matchCount: { type: Number, default: 0 },
+    lastMatchedAt: { type: Date, default: null },
+    lastDigestSentAt: { type: Date, default: null }
+  },
+  { timestamps: true }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 }); // User's list
+savedSearchSchema.index({ isActive: 1, alertFrequency: 1 }); // Matcher
+savedSearchSchema.index({ alertFrequency: 1, lastDigestSentAt: 1 }); // Digest job
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+module.exports = SavedSearch;
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const {
+  SEARCH_LOG_ENDPOINTS,
+  SEARCH_LOG_PARSERS,
+  SEARCH_LOG_LLM_OUTCOMES,
+  SEARCH_LOG_RETENTION_DAYS
+} = require('../constants/searchAnalytics');
+
+// One listing search (GET /api/listing/search or POST /api/listing/ai-search), for the admin search analytics.
+// Only first pages are logged, so paging through results does not count as more searches.
+const searchLogSchema = new mongoose.Schema(
+  {
+    endpoint: { type: String, enum: SEARCH_LOG_ENDPOINTS, required: true },
+    query: { type: String, default: null, maxlength: 500 }, // keyword / natural-language query as typed
+    normalizedQuery: { type: String, default: null }, // Tokens after normalization (groups spelling variants)
+    params: { type: mongoose.Schema.Types.Mixed, default: {} }, // Normalized search parameters
+    parser: { type: String, enum: SEARCH_LOG_PARSERS, default: 'none' },
+    llmOutcome: { type: String, enum: SEARCH_LOG_LLM_OUTCOMES, default: null },
+    extractedParams: { type: mongoose.Schema.Types.Mixed, default: null }, // AI search: what the parser understood
+    understood: { type: Boolean, default: true }, // AI search: false when nothing meaningful was extracted
+    city: { type: String, default: null }, // Demanded city / property type (English values)
+    propertyType: { type: String, default: null },
+    status: { type: String, default: null },
+    resultCount: { type: Number, default: 0 },
+    language: { type: String, default: 'en' }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+searchLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: SEARCH_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+searchLogSchema.index({ normalizedQuery: 1, createdAt: -1 }); // Top queries
+searchLogSchema.index({ resultCount: 1, createdAt: -1 }); // Zero-result queries
+searchLogSchema.index({ endpoint: 1, createdAt: -1 }); // Per-endpoint reports
+
+const SearchLog = mongoose.model('SearchLog', searchLogSchema);
+
+module.exports = SearchLog;
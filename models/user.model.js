@@ -197,6 +197,21 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Referral program: own code to share, who referred this user, and when the referral was rewarded
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    referralRewardedAt: {
+      type: Date,
+      default: null,
+    },
     // Blocked/Deleted flag for agents
     isBlocked: {
       type: Boolean,
@@ -30,6 +30,15 @@ const {
   getDashboardStats
 } = require('../controllers/admin.controller');
 const careerController = require('../controllers/career.controller');
+const listingRevisionController = require('../controllers/listingRevision.controller');
+const listingDuplicateController = require('../controllers/listingDuplicate.controller');
+const exchangeRateController = require('../controllers/exchangeRate.controller');
+const searchAnalyticsController = require('../controllers/searchAnalytics.controller');
+const pointController = require('../controllers/point.controller');
+const pointPurchaseController = require('../controllers/pointPurchase.controller');
+const listingPricingController = require('../controllers/listingPricing.controller');
+const promotionController = require('../controllers/promotion.controller');
+const couponController = require('../controllers/coupon.controller');
 const blogController = require('../controllers/blog.controller');
 const { body } = require('express-validator');
 
@@ -66,6 +75,63 @@ router.get('/properties-by-admin/export', exportAdminProperties);
 router.put('/properties/:id/approval', updatePropertyApproval);
 router.delete('/properties/:id', deleteProperty);
 
+// Property revisions (versioned snapshots, diff, restore)
+router.get('/properties/:id/revisions', listingRevisionController.getListingRevisions);
+router.get('/properties/:id/revisions/diff', listingRevisionController.getListingRevisionDiff);
+router.get('/properties/:id/revisions/:version', listingRevisionController.getListingRevision);
+router.post('/properties/:id/revisions/:version/restore', listingRevisionController.restoreListingRevision);
+
+// Suspected duplicate listings queue (merge / reject / dismiss)
+router.get('/duplicates', listingDuplicateController.getDuplicateQueue);
+router.post('/duplicates/:id/merge', listingDuplicateController.mergeDuplicate);
+router.post('/duplicates/:id/reject', listingDuplicateController.rejectDuplicate);
+router.post('/duplicates/:id/dismiss', listingDuplicateController.dismissDuplicate);
+
+// Exchange rates (units per 1 USD) - updating a rate re-normalizes priceUSD of that currency's listings
+router.put('/exchange-rates/:currency', exchangeRateController.updateExchangeRate);
+
+// Search analytics (?days=30&limit=20)
+router.get('/search-analytics/summary', searchAnalyticsController.getSearchAnalyticsSummary);
+router.get('/search-analytics/top-queries', searchAnalyticsController.getTopSearchQueries);
+router.get('/search-analytics/zero-results', searchAnalyticsController.getZeroResultQueries);
+router.get('/search-analytics/demand', searchAnalyticsController.getSearchDemand);
+router.get('/search-analytics/ai-parse', searchAnalyticsController.getAiParseAnalytics);
+
+// Points ledger reconciliation: GET reports drift, POST repairs it ({ userId?, source: ledger|point })
+router.get('/points/reconciliation', pointController.getPointsReconciliation);
+router.post('/points/reconciliation', pointController.repairPointsReconciliation);
+
+// Point package catalogue (DELETE deactivates) and point orders (confirm / reject manual payments)
+router.get('/point-packages', pointPurchaseController.getAdminPointPackages);
+router.post('/point-packages', pointPurchaseController.createPointPackage);
+router.put('/point-packages/:id', pointPurchaseController.updatePointPackage);
+router.delete('/point-packages/:id', pointPurchaseController.deactivatePointPackage);
+router.get('/point-orders', pointPurchaseController.getAdminPointOrders);
+router.post('/point-orders/:id/confirm', pointPurchaseController.confirmPointOrder);
+router.post('/point-orders/:id/reject', pointPurchaseController.rejectPointOrder);
+
+// Listing pricing rules: every save is a new version; activating an older version rolls back
+router.get('/listing-pricing', listingPricingController.getListingPricing);
+router.post('/listing-pricing', listingPricingController.createListingPricingVersion);
+router.get('/listing-pricing/versions/:version', listingPricingController.getListingPricingVersion);
+router.post('/listing-pricing/versions/:version/activate', listingPricingController.activateListingPricingVersion);
+
+// Promotion products agents buy with points (DELETE deactivates) and the promotions bought
+router.get('/promotion-products', promotionController.getAdminPromotionProducts);
+router.post('/promotion-products', promotionController.createPromotionProduct);
+router.put('/promotion-products/:id', promotionController.updatePromotionProduct);
+router.delete('/promotion-products/:id', promotionController.deactivatePromotionProduct);
+router.get('/promotions', promotionController.getAdminPromotions);
+
+// Coupons (DELETE deactivates), redemption reporting and promotional point grants
+router.get('/coupons', couponController.getAdminCoupons);
+router.post('/coupons', couponController.createCoupon);
+router.get('/coupons/report', couponController.getCouponReport);
+router.put('/coupons/:id', couponController.updateCoupon);
+router.delete('/coupons/:id', couponController.deactivateCoupon);
+router.get('/coupons/:id/redemptions', couponController.getCouponRedemptions);
+router.post('/points/grants', couponController.createPointGrant);
+
 // Sold Properties
 router.get('/sold-properties', getSoldProperties);
 router.put('/sold-properties/:id/charges', updateSoldPropertyCharges);
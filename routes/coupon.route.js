@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../utils/verifyUser');
+const {
+  redeem,
+  checkCoupon,
+  getMyReferral
+} = require('../controllers/coupon.controller');
+
+/**
+ * Coupons and referrals of the logged-in user
+ * Points coupons are redeemed here; discount coupons are sent as couponCode when creating a listing
+ */
+router.post('/redeem', verifyToken, redeem);
+router.post('/check', verifyToken, checkCoupon);
+router.get('/referral', verifyToken, getMyReferral);
+
+module.exports = router;
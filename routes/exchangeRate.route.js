@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getExchangeRatesList } = require('../controllers/exchangeRate.controller');
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Current exchange rates (units per 1 USD) used for priceUSD and displayCurrency
+ * @access  Public
+ * Rates are updated by admins: PUT /api/admin/exchange-rates/:currency
+ */
+router.get('/', getExchangeRatesList);
+
+module.exports = router;
@@ -3,10 +3,11 @@ const router = express.Router();
 const ListingController = require('../controllers/listing.controller.js');
 const verifyToken = require('../utils/verifyUser');
 const filterListings = require('../middleware/listing.js');
+const optionalAuth = require('../middleware/optionalAuth.js');
 const {uploadListingImages, uploadListingImagesMiddleware, handleMulterError} = require('../utils/uploadListingImages.js');
 const { 
   checkAndDeductPoints, 
-  deductPointsAfterListing, 
+  checkRenewalPoints,
   refundPointsOnListingDelete 
 } = require('../middleware/pointDeduction.js');
 const upload = require('../utils/multer');
@@ -14,13 +15,23 @@ const upload = require('../utils/multer');
 // Multer automatically parses form fields into req.body for multipart/form-data
 // But we need to ensure it's available before other middleware
 
+// keyword= searches English and Arabic texts (Arabic letters/diacritics normalized); sort=relevance ranks by text match
+// sort also accepts price_per_sqm_asc|desc, size_asc|desc, most_viewed, recently_updated;
+// sizeSqmMin/Max and pricePerSqmMin/Max (in priceCurrency) filter on the normalized area fields
+// ?facets=true (or a list like facets=propertyType,city) adds sidebar counts to the response
+// ?cursor= (empty for the first page, then pagination.nextCursor) pages without duplicates; page still works
 router.get('/search', filterListings, ListingController.getFilteredListings);
+// Typeahead: ?q= (Arabic or English) -> cities/neighborhoods with counts, property types, agents, propertyIds
+router.get('/suggest', ListingController.getSearchSuggestions);
+// "You may also like" from the user's favorites and recent views
+router.get('/recommendations', verifyToken, ListingController.getRecommendedListings);
 // AI-powered natural language search endpoint - Available for all users (no authentication required)
 // All roles can use this: user, agent, admin, and anonymous users
 router.post('/ai-search', ListingController.aiSearch);
 // Multer parses both files and form fields automatically
 // Middleware order: verifyToken -> multer (parses files + fields) -> error handler -> upload to Cloudinary -> check points -> create listing
-router.post('/create', verifyToken, uploadListingImages, handleMulterError, uploadListingImagesMiddleware, checkAndDeductPoints, ListingController.createListing, deductPointsAfterListing);
+// createListing deducts the points (atomically, through the ledger) right before saving the listing
+router.post('/create', verifyToken, uploadListingImages, handleMulterError, uploadListingImagesMiddleware, checkAndDeductPoints, ListingController.createListing);
 router.get('/stateCount',ListingController.getEachStateListing);
 // Specific routes must come before parameterized routes (/:id, /:agentId, etc.)
 router.get('/export', verifyToken, ListingController.exportProperties);
@@ -30,10 +41,21 @@ router.post('/update/:id/images', verifyToken, uploadListingImages, handleMulter
 router.post('/update/:id', verifyToken, ListingController.updateListing);
 router.patch('/:id/featured', verifyToken, ListingController.setListingFeatured);
 router.patch('/:id/vip', verifyToken, ListingController.setListingVip);
+router.post('/:id/submit', verifyToken, ListingController.submitListing);
+// Renewal cost (LISTING_RENEWAL_POINTS) is checked first, charged before the save and reversed if the save fails
+router.post('/:id/renew', verifyToken, checkRenewalPoints, ListingController.renewListing);
+// SEO URL: English or Arabic slug, old slugs answer with a 301 to the current one
+router.get('/by-slug/:slug', optionalAuth, ListingController.getListingBySlug);
+// Also accepts ?cursor= (newest first) instead of page
 router.get('/agent/:agentId', ListingController.getListingsByAgent);
 router.get('/agent/:agentId/mostVisited', ListingController.getMostVisitedListings);
 router.get('/:id/images', ListingController.getListingImages);
-router.post('/:id/visit', ListingController.incrementVisitCount);
-router.get('/:id', ListingController.getListingById);
+router.get('/:id/price-history', optionalAuth, ListingController.getListingPriceHistory);
+router.get('/:id/similar', ListingController.getSimilarListings);
+// schema.org RealEstateListing structured data (id or slug) for the public listing page
+router.get('/:id/json-ld', ListingController.getListingJsonLd);
+router.post('/:id/visit', optionalAuth, ListingController.incrementVisitCount);
+// optionalAuth: drafts and scheduled listings are only returned to their agent and admins
+router.get('/:id', optionalAuth, ListingController.getListingById);
 
 module.exports = router;
@@ -8,16 +8,33 @@ const {
   calculateListingCost,
   refundPoints
 } = require('../controllers/point.controller');
+const pointPurchaseController = require('../controllers/pointPurchase.controller');
 const verifyToken = require('../utils/verifyUser');
+const adminAuth = require('../middleware/adminAuth');
 
-// All routes require authentication
+// Public: package catalogue and payment provider webhooks (authenticated by their signature)
+router.get('/packages', pointPurchaseController.getPointPackages);
+router.post('/webhooks/:provider', pointPurchaseController.receivePaymentWebhook);
+
+// Public: points cost preview of a listing with an itemized breakdown (/calculateCost is the old path)
+router.post('/calculate', calculateListingCost);
+router.post('/calculateCost', calculateListingCost);
+
+// All other routes require authentication
 router.use(verifyToken);
 
+// Buy a package: create an order, then pay it (manual orders are confirmed by an admin)
+router.post('/orders', pointPurchaseController.createOrder);
+router.get('/orders', pointPurchaseController.getMyOrders);
+router.get('/orders/:id', pointPurchaseController.getMyOrder);
+router.post('/orders/:id/cancel', pointPurchaseController.cancelMyOrder);
+
 // Get user's point balance and recent transactions
 router.get('/balance', getPointBalance);
 
-// Charge points (purchase points)
-router.post('/charge', chargePoints);
+// Admin only: credit points paid outside the checkout (body.userId, default the admin).
+// Users buy points through /orders, credited by completePointOrder
+router.post('/charge', adminAuth, chargePoints);
 
 // Deduct points (for listing publication)
 router.post('/deduct', deductPoints);
@@ -25,10 +42,7 @@ router.post('/deduct', deductPoints);
 // Get transaction history with pagination
 router.get('/transactions', getTransactionHistory);
 
-// Calculate points needed for a listing
-router.post('/calculateCost', calculateListingCost);
-
-// Refund points (for deleted listings)
-router.post('/refund', refundPoints);
+// Admin only: refund points to a user (body.userId, default the admin)
+router.post('/refund', adminAuth, refundPoints);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../utils/verifyUser');
+const {
+  getPromotionProducts,
+  purchasePromotion,
+  getMyPromotions,
+  getPromotionPerformance
+} = require('../controllers/promotion.controller');
+
+// Public: promotion products (featured / VIP placement for N days, paid with points)
+router.get('/products', getPromotionProducts);
+
+/**
+ * Promotions of the logged-in agent
+ * POST buys a product for one of their approved listings; it ends by itself (promotion scheduler)
+ * and the unused days are refunded if the listing is rejected or deleted
+ */
+router.post('/', verifyToken, purchasePromotion);
+router.get('/', verifyToken, getMyPromotions);
+router.get('/:id/report', verifyToken, getPromotionPerformance);
+
+module.exports = router;
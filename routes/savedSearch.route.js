@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../utils/verifyUser');
+const {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch
+} = require('../controllers/savedSearch.controller');
+
+/**
+ * Saved searches of the logged-in user
+ * filters = GET /api/listing/search parameters, query = natural-language search (parsed when saved)
+ * alertFrequency: instant | daily | off - new approved listings that match are notified in-app and by email
+ */
+router.post('/', verifyToken, createSavedSearch);
+router.get('/', verifyToken, getSavedSearches);
+router.get('/:id', verifyToken, getSavedSearchById);
+router.put('/:id', verifyToken, updateSavedSearch);
+router.delete('/:id', verifyToken, deleteSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const { getSitemapIndex, getSitemapPage } = require('../controllers/sitemap.controller');
+
+/**
+ * @route   GET /api/sitemap
+ * @desc    Sitemap index listing every page of the listings, agents and blogs sitemaps
+ * @access  Public
+ */
+router.get('/', getSitemapIndex);
+
+/**
+ * @route   GET /api/sitemap/:type/:page
+ * @desc    XML sitemap page (type: listings | agents | blogs) with en/ar hreflang alternates
+ * @access  Public
+ */
+router.get('/:type/:page', getSitemapPage);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * Backfill Listing.sizeSqm / pricePerSqm from size, sizeUnit and priceUSD.
+ * Needed once after the fields were added, so size / price-per-sqm filters and sorting include old listings.
+ * Run backfill:price-usd first if priceUSD is not set yet.
+ *
+ * Run:
+ *   node scripts/backfillListingArea.js            (recompute every listing)
+ *   node scripts/backfillListingArea.js --dry-run  (report only, no writes)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const { buildAreaFields } = require('../utils/listingArea');
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to backfill.');
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const listings = await Listing.find({}).select('size sizeUnit priceUSD sizeSqm pricePerSqm').lean();
+  console.log(`Found ${listings.length} listing(s) to check`);
+
+  let updated = 0;
+  let unchanged = 0;
+  let noSize = 0;
+
+  for (const doc of listings) {
+    const update = buildAreaFields(doc);
+    if (update.sizeSqm === null) noSize++;
+    if (update.sizeSqm === (doc.sizeSqm ?? null) && update.pricePerSqm === (doc.pricePerSqm ?? null)) {
+      unchanged++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${doc._id}: ${doc.size} ${doc.sizeUnit || 'sqm'} -> ${update.sizeSqm} sqm, ${update.pricePerSqm} USD/sqm`);
+    } else {
+      await Listing.updateOne({ _id: doc._id }, { $set: update });
+    }
+    updated++;
+  }
+
+  if (!dryRun) {
+    await Listing.syncIndexes();
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'}: ${updated}`);
+  console.log(`Unchanged: ${unchanged}`);
+  if (noSize) console.log(`Without a size: ${noSize}`);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
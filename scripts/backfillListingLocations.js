@@ -0,0 +1,96 @@
+/**
+ * Backfill Listing.location (GeoJSON point) from the free-text mapLocation field.
+ * Needed once after the location field was added, so old listings show up in map search.
+ *
+ * Run:
+ *   node scripts/backfillListingLocations.js            (only listings without location)
+ *   node scripts/backfillListingLocations.js --all      (re-parse every listing with mapLocation)
+ *   node scripts/backfillListingLocations.js --dry-run  (report only, no writes)
+ *
+ * Listings whose mapLocation cannot be parsed (e.g. maps.app.goo.gl short links) are listed
+ * at the end so they can be fixed by hand.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const { parseMapLocation } = require('../utils/geoLocation');
+
+const BATCH_SIZE = 500;
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to backfill.');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const reparseAll = args.includes('--all');
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const query = { mapLocation: { $exists: true, $nin: [null, ''] } };
+  if (!reparseAll) {
+    query['location.coordinates'] = { $exists: false };
+  }
+
+  const cursor = Listing.find(query).select('_id propertyId mapLocation').lean().cursor();
+
+  let scanned = 0;
+  let updated = 0;
+  const unparsed = [];
+  let ops = [];
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    if (!dryRun) {
+      await Listing.bulkWrite(ops, { ordered: false });
+    }
+    updated += ops.length;
+    ops = [];
+  };
+
+  for await (const listing of cursor) {
+    scanned++;
+    const point = parseMapLocation(listing.mapLocation);
+    if (!point) {
+      unparsed.push({ id: listing._id.toString(), propertyId: listing.propertyId, mapLocation: listing.mapLocation });
+      continue;
+    }
+    ops.push({
+      updateOne: {
+        filter: { _id: listing._id },
+        update: { $set: { location: point } }
+      }
+    });
+    if (ops.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Make sure the 2dsphere index exists before the API starts using $geoNear
+  if (!dryRun) {
+    await Listing.syncIndexes();
+  }
+
+  console.log(`Scanned ${scanned} listing(s) with mapLocation.`);
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} listing(s).`);
+  if (unparsed.length > 0) {
+    console.log(`Could not parse ${unparsed.length} mapLocation value(s):`);
+    unparsed.forEach((item) => {
+      console.log(`  - ${item.propertyId || item.id}: ${item.mapLocation}`);
+    });
+  }
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
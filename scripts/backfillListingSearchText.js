@@ -0,0 +1,74 @@
+/**
+ * Backfill Listing.searchText / searchText_ar (normalized texts behind keyword search).
+ * Needed once for listings created before text search, and again after changing utils/textSearch.js
+ * (stop words, normalization) so stored texts match the new keyword processing.
+ *
+ * Run:
+ *   node scripts/backfillListingSearchText.js            (rebuild every listing)
+ *   node scripts/backfillListingSearchText.js --dry-run  (report only, no writes)
+ *
+ * Also creates the text index (Listing.syncIndexes).
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const { SEARCH_TEXT_FIELDS, SEARCH_TEXT_AR_FIELDS, buildSearchText } = require('../utils/textSearch');
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to backfill.');
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const listings = await Listing.find({})
+    .select([...SEARCH_TEXT_FIELDS, ...SEARCH_TEXT_AR_FIELDS, '+searchText', '+searchText_ar'].join(' '))
+    .lean();
+  console.log(`Found ${listings.length} listing(s) to check`);
+
+  let updated = 0;
+  let unchanged = 0;
+  let failed = 0;
+
+  for (const doc of listings) {
+    const update = buildSearchText(doc);
+    if (update.searchText === (doc.searchText || '') && update.searchText_ar === (doc.searchText_ar || '')) {
+      unchanged++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${doc._id}: ${update.searchText.slice(0, 60)} | ${update.searchText_ar.slice(0, 60)}`);
+      updated++;
+      continue;
+    }
+    try {
+      await Listing.updateOne({ _id: doc._id }, { $set: update });
+      updated++;
+    } catch (err) {
+      console.error(`  ${doc._id}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (!dryRun) {
+    await Listing.syncIndexes();
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'}: ${updated}`);
+  console.log(`Unchanged: ${unchanged}`);
+  if (failed) console.log(`Failed: ${failed}`);
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
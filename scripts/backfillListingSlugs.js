@@ -0,0 +1,86 @@
+/**
+ * Backfill Listing.slug / slug_ar for listings created before slugs existed.
+ * Needed once so GET /api/listing/by-slug/:slug can resolve old listings.
+ *
+ * Run:
+ *   node scripts/backfillListingSlugs.js            (only listings without a slug)
+ *   node scripts/backfillListingSlugs.js --all      (rebuild every slug, replaced ones become redirects)
+ *   node scripts/backfillListingSlugs.js --dry-run  (report only, no writes)
+ *
+ * Listings without a propertyId cannot get a slug and are reported.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const { getSlugUpdate } = require('../utils/listingSlug');
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to backfill.');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const all = args.includes('--all');
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const filter = all ? {} : { $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] };
+  const listings = await Listing.find(filter)
+    .select('propertyId propertyType neighborhood neighborhood_ar city state slug slug_ar previousSlugs')
+    .lean();
+  console.log(`Found ${listings.length} listing(s) to check`);
+
+  let updated = 0;
+  let unchanged = 0;
+  let failed = 0;
+  const noPropertyId = [];
+
+  for (const doc of listings) {
+    if (!doc.propertyId) {
+      noPropertyId.push(doc._id.toString());
+      continue;
+    }
+    const update = getSlugUpdate(doc, doc);
+    if (!update) {
+      unchanged++;
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${doc._id}: ${update.slug} | ${update.slug_ar}`);
+      updated++;
+      continue;
+    }
+    try {
+      await Listing.updateOne({ _id: doc._id }, { $set: update });
+      updated++;
+    } catch (err) {
+      // Duplicate key: two listings share a propertyId
+      console.error(`  ${doc._id}: ${err.message}`);
+      failed++;
+    }
+  }
+
+  if (!dryRun) {
+    await Listing.syncIndexes();
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'}: ${updated}`);
+  console.log(`Unchanged: ${unchanged}`);
+  if (failed) console.log(`Failed: ${failed}`);
+  if (noPropertyId.length) {
+    console.log(`No propertyId (${noPropertyId.length}):`, noPropertyId.slice(0, 20).join(', '));
+  }
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
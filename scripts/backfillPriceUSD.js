@@ -0,0 +1,62 @@
+/**
+ * Backfill Listing.priceUSD from propertyPrice + currency using the current exchange rates.
+ * Needed once after priceUSD was added (and after setting rates for the first time),
+ * so price filters and sorting include old listings.
+ *
+ * Run:
+ *   node scripts/backfillPriceUSD.js            (recompute every listing)
+ *   node scripts/backfillPriceUSD.js --dry-run  (report only, no writes)
+ *
+ * Rates come from the ExchangeRate collection (PUT /api/admin/exchange-rates/:currency)
+ * or EXCHANGE_RATE_<CODE> env variables. Currencies without a rate are reported and skipped.
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const { SUPPORTED_CURRENCIES, getExchangeRates, recalculatePriceUSD } = require('../utils/currency');
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to backfill.');
+    process.exit(1);
+  }
+
+  const dryRun = process.argv.slice(2).includes('--dry-run');
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const rates = await getExchangeRates();
+  console.log('Rates (units per 1 USD):', rates);
+
+  for (const currency of SUPPORTED_CURRENCIES) {
+    const filter = currency === 'USD' ? { $or: [{ currency: 'USD' }, { currency: null }] } : { currency };
+    const count = await Listing.countDocuments(filter);
+    if (count === 0) continue;
+
+    if (!rates[currency]) {
+      console.log(`  ${currency}: ${count} listing(s) skipped - no exchange rate set`);
+      continue;
+    }
+    if (dryRun) {
+      console.log(`  ${currency}: would update ${count} listing(s) at rate ${rates[currency]}`);
+      continue;
+    }
+    const updated = await recalculatePriceUSD(currency, rates[currency]);
+    console.log(`  ${currency}: updated ${updated} of ${count} listing(s) at rate ${rates[currency]}`);
+  }
+
+  if (!dryRun) {
+    await Listing.syncIndexes();
+  }
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * Parser Corpus Harness
+ * Shared code of the rule-based parser regression tests (scripts/test-parser-corpus.js) and of the
+ * command that records new cases from the search analytics log (scripts/recordParserCorpusCases.js).
+ *
+ * corpus.json   - versioned cases: { id, query, lang, expected, source, reviewed? }
+ *                 expected lists every scored field the parser should return; fields left out must stay empty
+ * baseline.json - parser output of the last accepted run (per case: scored output and failing fields)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CORPUS_PATH = path.join(__dirname, 'corpus.json');
+const BASELINE_PATH = path.join(__dirname, 'baseline.json');
+
+// keywords are free-form search hints (synonym lists), so they are not scored
+const SCORED_FIELDS = [
+  'propertyType', 'status', 'rentType', 'bedrooms', 'bathrooms', 'city', 'neighborhood',
+  'priceMin', 'priceMax', 'sizeMin', 'sizeMax', 'furnished', 'garages', 'amenities', 'viewType'
+];
+const LANGUAGES = ['en', 'ar', 'mixed'];
+
+const readJson = (filePath, fallback) => (fs.existsSync(filePath)
+  ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  : fallback);
+
+// Stable, diff-friendly output (2 spaces, Arabic kept readable, trailing newline)
+const writeJson = (filePath, data) => fs.writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+
+const loadCorpus = () => readJson(CORPUS_PATH, { version: 1, cases: [] });
+const saveCorpus = (corpus) => writeJson(CORPUS_PATH, corpus);
+const loadBaseline = () => readJson(BASELINE_PATH, null);
+const saveBaseline = (baseline) => writeJson(BASELINE_PATH, baseline);
+
+/**
+ * @param {string} query - Query text
+ * @returns {string} 'ar', 'en' or 'mixed'
+ */
+const detectLanguage = (query) => {
+  const hasArabic = /[\u0600-\u06FF]/.test(query);
+  const hasLatin = /[a-zA-Z]/.test(query);
+  if (hasArabic && hasLatin) return 'mixed';
+  return hasArabic ? 'ar' : 'en';
+};
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Non-empty scored fields of a parser result (the shape of a case's expected)
+ * @param {Object} params - parseQuery result
+ * @returns {Object} Scored fields
+ */
+const pickScoredFields = (params) => {
+  const picked = {};
+  SCORED_FIELDS.forEach((field) => {
+    const value = params ? params[field] : null;
+    if (isEmptyValue(value)) return;
+    picked[field] = Array.isArray(value) ? [...new Set(value)].sort() : value;
+  });
+  return picked;
+};
+
+// Strings compare case-insensitively, arrays as sets
+const valuesEqual = (a, b) => {
+  if (isEmptyValue(a) || isEmptyValue(b)) return isEmptyValue(a) && isEmptyValue(b);
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const normalize = (list) => JSON.stringify([...new Set([].concat(list).map((v) => String(v).toLowerCase()))].sort());
+    return normalize(a) === normalize(b);
+  }
+  if (typeof a === 'string' && typeof b === 'string') return a.trim().toLowerCase() === b.trim().toLowerCase();
+  return a === b;
+};
+
+/**
+ * Score one case
+ * Per field: tp (expected and returned), fn (expected, missing), fp (returned, not expected),
+ * wrong (returned a different value - counts against both precision and recall), tn (both empty)
+ * @param {Object} testCase - Corpus case
+ * @param {Function} parse - parseQuery
+ * @returns {Object} { id, query, lang, actual, outcomes, failedFields, passed, error? }
+ */
+const evaluateCase = (testCase, parse) => {
+  let actual = {};
+  let error = null;
+  try {
+    actual = pickScoredFields(parse(testCase.query));
+  } catch (err) {
+    error = err.message;
+  }
+  const expected = testCase.expected || {};
+  const outcomes = {};
+  SCORED_FIELDS.forEach((field) => {
+    const want = expected[field];
+    const got = actual[field];
+    if (isEmptyValue(want) && isEmptyValue(got)) outcomes[field] = 'tn';
+    else if (isEmptyValue(want)) outcomes[field] = 'fp';
+    else if (isEmptyValue(got)) outcomes[field] = 'fn';
+    else outcomes[field] = valuesEqual(want, got) ? 'tp' : 'wrong';
+  });
+  const failedFields = SCORED_FIELDS.filter((field) => !['tp', 'tn'].includes(outcomes[field]));
+  return {
+    id: testCase.id,
+    query: testCase.query,
+    lang: testCase.lang || detectLanguage(testCase.query),
+    expected,
+    actual,
+    outcomes,
+    failedFields,
+    passed: !error && failedFields.length === 0,
+    error
+  };
+};
+
+const ratio = (part, total) => (total > 0 ? part / total : null);
+
+/**
+ * Per-field precision / recall and per-language pass rates
+ * @param {Array} results - evaluateCase results
+ * @returns {Object} { fields: { [field]: { precision, recall, support } }, languages, total, passed }
+ */
+const computeMetrics = (results) => {
+  const fields = {};
+  SCORED_FIELDS.forEach((field) => {
+    const count = { tp: 0, fp: 0, fn: 0, wrong: 0, tn: 0 };
+    results.forEach((result) => { count[result.outcomes[field]] += 1; });
+    fields[field] = {
+      precision: ratio(count.tp, count.tp + count.fp + count.wrong),
+      recall: ratio(count.tp, count.tp + count.fn + count.wrong),
+      support: count.tp + count.fn + count.wrong
+    };
+  });
+  const languages = {};
+  LANGUAGES.forEach((lang) => {
+    const inLanguage = results.filter((result) => result.lang === lang);
+    if (inLanguage.length === 0) return;
+    const passed = inLanguage.filter((result) => result.passed).length;
+    languages[lang] = { total: inLanguage.length, passed, passRate: ratio(passed, inLanguage.length) };
+  });
+  const passed = results.filter((result) => result.passed).length;
+  return { fields, languages, total: results.length, passed, passRate: ratio(passed, results.length) };
+};
+
+/**
+ * Compare a run with the accepted baseline
+ * @param {Array} results - evaluateCase results
+ * @param {Object|null} baseline - loadBaseline()
+ * @returns {Object} { regressions, fixes, changedOutputs, newCases, removedCases }
+ *   regressions / fixes: [{ id, query, field, expected, got, baseline }]
+ */
+const diffAgainstBaseline = (results, baseline) => {
+  const accepted = (baseline && baseline.cases) || {};
+  const regressions = [];
+  const fixes = [];
+  const changedOutputs = [];
+  const newCases = [];
+
+  results.forEach((result) => {
+    const previous = accepted[result.id];
+    if (!previous) {
+      newCases.push(result.id);
+      return;
+    }
+    const previousFailed = new Set(previous.failedFields || []);
+    const currentFailed = new Set(result.failedFields);
+    SCORED_FIELDS.forEach((field) => {
+      const entry = {
+        id: result.id,
+        query: result.query,
+        field,
+        expected: result.expected[field] ?? null,
+        got: result.actual[field] ?? null,
+        baseline: (previous.actual || {})[field] ?? null
+      };
+      if (currentFailed.has(field) && !previousFailed.has(field)) regressions.push(entry);
+      else if (!currentFailed.has(field) && previousFailed.has(field)) fixes.push(entry);
+    });
+    const outputChanged = SCORED_FIELDS.some((field) =>
+      !valuesEqual((previous.actual || {})[field], result.actual[field]));
+    if (outputChanged) changedOutputs.push(result.id);
+  });
+
+  const currentIds = new Set(results.map((result) => result.id));
+  const removedCases = Object.keys(accepted).filter((id) => !currentIds.has(id));
+  return { regressions, fixes, changedOutputs, newCases, removedCases };
+};
+
+/**
+ * Baseline document for a run
+ * @param {Array} results - evaluateCase results
+ * @param {Object} corpus - loadCorpus()
+ * @returns {Object} Baseline
+ */
+const buildBaseline = (results, corpus) => {
+  const metrics = computeMetrics(results);
+  const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+  const cases = {};
+  results.forEach((result) => {
+    cases[result.id] = { actual: result.actual, failedFields: result.failedFields };
+  });
+  return {
+    corpusVersion: corpus.version,
+    acceptedAt: new Date().toISOString(),
+    summary: {
+      total: metrics.total,
+      passed: metrics.passed,
+      fields: Object.fromEntries(Object.entries(metrics.fields).map(([field, m]) =>
+        [field, { precision: round(m.precision), recall: round(m.recall), support: m.support }]))
+    },
+    cases
+  };
+};
+
+/**
+ * Next free case id for a language (en-001, ar-014 ...)
+ * @param {Array} cases - Corpus cases
+ * @param {string} lang - 'en', 'ar' or 'mixed'
+ * @returns {string} Id
+ */
+const nextCaseId = (cases, lang) => {
+  const numbers = cases
+    .map((testCase) => testCase.id.match(new RegExp(`^${lang}-(\\d+)$`)))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1], 10));
+  const next = (numbers.length > 0 ? Math.max(...numbers) : 0) + 1;
+  return `${lang}-${String(next).padStart(3, '0')}`;
+};
+
+module.exports = {
+  CORPUS_PATH,
+  BASELINE_PATH,
+  SCORED_FIELDS,
+  LANGUAGES,
+  loadCorpus,
+  saveCorpus,
+  loadBaseline,
+  saveBaseline,
+  detectLanguage,
+  pickScoredFields,
+  valuesEqual,
+  evaluateCase,
+  computeMetrics,
+  diffAgainstBaseline,
+  buildBaseline,
+  nextCaseId
+};
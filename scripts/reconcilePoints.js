@@ -0,0 +1,74 @@
+/**
+ * Reconcile the points ledger (PointTransaction) with the Point records and User.pointsBalance.
+ * Reports users whose balances or totals drifted from the ledger; with --repair fixes them.
+ * Repair also merges duplicate Point records and then creates the unique { userId } index.
+ *
+ * Run:
+ *   node scripts/reconcilePoints.js                         (report only)
+ *   node scripts/reconcilePoints.js --user=<userId>         (one user)
+ *   node scripts/reconcilePoints.js --repair                (Point / User set from the ledger)
+ *   node scripts/reconcilePoints.js --repair --source=point (keep Point balances, post adjustment entries)
+ *   node scripts/reconcilePoints.js --limit=500             (max users reported / repaired per run, default 100)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const Point = require('../models/point.model');
+const { reconcilePoints } = require('../utils/pointsLedger');
+
+const readOption = (args, name) => {
+  const arg = args.find((value) => value.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : undefined;
+};
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB you want to reconcile.');
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const repair = args.includes('--repair');
+  const source = readOption(args, 'source') || 'ledger';
+  const userId = readOption(args, 'user');
+  const limit = readOption(args, 'limit');
+
+  // The ledger logs every repaired user; the script prints its own report
+  logger.info = () => {};
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const result = await reconcilePoints({ userId, limit, repair, source });
+  const { summary } = result;
+  console.log(`Users checked: ${summary.usersChecked}`);
+  console.log(`Users with drift: ${summary.usersWithDrift}`);
+  console.log(`Ledger total: ${summary.ledgerBalance} points, Point records total: ${summary.pointBalance} points`);
+
+  result.drifts.forEach((drift) => {
+    const point = drift.point ? `${drift.point.balance} (${drift.point.records} record(s))` : '-';
+    const user = drift.user ? drift.user.pointsBalance : '-';
+    console.log(`  ${drift.userId}: ledger ${drift.ledger.balance}, point ${point}, user ${user} [${drift.issues.join(', ')}]`);
+  });
+
+  if (repair) {
+    const skipped = result.repaired.filter((entry) => entry.skipped);
+    console.log(`Repaired: ${result.repaired.length - skipped.length}`);
+    skipped.forEach((entry) => console.log(`  Skipped ${entry.userId}: ${entry.skipped}`));
+    if (!userId) {
+      await Point.syncIndexes();
+    }
+  } else if (summary.usersWithDrift > 0) {
+    console.log('Run again with --repair to fix the drift.');
+  }
+
+  console.log('Done.');
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,114 @@
+/**
+ * Record new parser corpus cases from the search analytics log (SearchLog, endpoint ai_search).
+ * The most frequent natural-language queries that are not in scripts/parser-corpus/corpus.json yet are
+ * added with the CURRENT parser output as expected and reviewed: false. Review them (fix what the
+ * parser got wrong, then drop the reviewed flag) and run npm run test:parser-corpus:accept.
+ *
+ * Run:
+ *   node scripts/recordParserCorpusCases.js                    (top 20 queries of the last 30 days)
+ *   node scripts/recordParserCorpusCases.js --days=90 --limit=50
+ *   node scripts/recordParserCorpusCases.js --not-understood   (only queries the parser understood nothing of)
+ *   node scripts/recordParserCorpusCases.js --dry-run          (list the cases, do not write the corpus)
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const SearchLog = require('../models/searchLog.model');
+const { normalizeSearchQuery } = require('../utils/searchAnalytics');
+const {
+  loadCorpus,
+  saveCorpus,
+  detectLanguage,
+  pickScoredFields,
+  nextCaseId
+} = require('./parser-corpus/harness');
+
+// The parser logs every query and match at info level
+logger.info = () => {};
+
+const DEFAULT_DAYS = 30;
+const DEFAULT_LIMIT = 20;
+
+function parseArgs(argv) {
+  const args = { days: DEFAULT_DAYS, limit: DEFAULT_LIMIT, notUnderstood: false, dryRun: false };
+  argv.forEach((arg) => {
+    if (arg.startsWith('--days=')) args.days = parseInt(arg.slice('--days='.length), 10) || DEFAULT_DAYS;
+    else if (arg.startsWith('--limit=')) args.limit = parseInt(arg.slice('--limit='.length), 10) || DEFAULT_LIMIT;
+    else if (arg === '--not-understood') args.notUnderstood = true;
+    else if (arg === '--dry-run') args.dryRun = true;
+  });
+  return args;
+}
+
+async function run() {
+  const mongoUri = process.env.MONGO_URI;
+  if (!mongoUri) {
+    console.error('MONGO_URI not set. Set it to the DB whose search log you want to record from.');
+    process.exit(1);
+  }
+
+  const args = parseArgs(process.argv.slice(2));
+  const { parseQuery } = require('../utils/ruleBasedParser');
+  const corpus = loadCorpus();
+  const knownKeys = new Set(corpus.cases.map((testCase) => normalizeSearchQuery(testCase.query)));
+
+  await mongoose.connect(mongoUri);
+  console.log('Connected to DB');
+
+  const match = {
+    endpoint: 'ai_search',
+    query: { $nin: [null, ''] },
+    normalizedQuery: { $nin: [null, ''] },
+    createdAt: { $gte: new Date(Date.now() - args.days * 24 * 60 * 60 * 1000) }
+  };
+  if (args.notUnderstood) match.understood = false;
+
+  // Grouped like the top-queries report (spelling variants count together).
+  // Over-fetch: some of the top queries are already in the corpus
+  const rows = await SearchLog.aggregate([
+    { $match: match },
+    { $group: { _id: '$normalizedQuery', query: { $last: '$query' }, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: args.limit * 5 }
+  ]);
+  console.log(`Found ${rows.length} distinct AI search queries in the last ${args.days} day(s)`);
+
+  const added = [];
+  for (const row of rows) {
+    if (added.length >= args.limit) break;
+    const query = row.query.trim();
+    const key = normalizeSearchQuery(query);
+    if (!key || knownKeys.has(key)) continue;
+    knownKeys.add(key);
+
+    const lang = detectLanguage(query);
+    const testCase = {
+      id: nextCaseId([...corpus.cases, ...added], lang),
+      query,
+      lang,
+      expected: pickScoredFields(parseQuery(query)),
+      source: 'search_log',
+      reviewed: false
+    };
+    added.push(testCase);
+    console.log(`  ${testCase.id} (${row.count}x) "${query}" -> ${JSON.stringify(testCase.expected)}`);
+  }
+
+  if (added.length === 0) {
+    console.log('No new queries to record.');
+  } else if (args.dryRun) {
+    console.log(`Would add ${added.length} case(s)`);
+  } else {
+    corpus.cases.push(...added);
+    saveCorpus(corpus);
+    console.log(`Added ${added.length} case(s) to the corpus - review their expected values before accepting the baseline`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(0);
+}
+
+run().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 /**
  * Test: Arabic and English keyword search return the same results.
+ * Listings without English text can only be found in Arabic: they are left out of that comparison
+ * and checked separately (the Arabic search must find every one whose Arabic text has all the words).
  * Run with backend DB available: node scripts/test-arabic-english-same-results.js
  *
  * Usage: from aqaarGateBE2 folder:
@@ -11,6 +13,7 @@ require('dotenv').config();
 const dbConnect = require('../db/connect');
 const filterListings = require('../middleware/listing.js');
 const Listing = require('../models/listing.model.js');
+const { tokenizeSearchText } = require('../utils/textSearch');
 const connectionPromise = dbConnect.ready || Promise.resolve(dbConnect);
 
 const PAIRS = [
@@ -37,17 +40,34 @@ function runMiddleware(keyword) {
   });
 }
 
-async function getListingIds(filter) {
+const PUBLIC_QUERY = {
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  approvalStatus: 'approved'
+};
+const HAS_ENGLISH_TEXT = { searchText: { $nin: ['', null] } };
+const ARABIC_ONLY = { searchText: { $in: ['', null] }, searchText_ar: { $nin: ['', null] } };
+
+async function getListingIds(filter, textQuery = HAS_ENGLISH_TEXT) {
   const fullFilter = {
     ...filter,
-    isDeleted: { $ne: true },
-    isSold: { $ne: true },
-    approvalStatus: 'approved'
+    ...PUBLIC_QUERY,
+    ...textQuery
   };
   const list = await Listing.find(fullFilter).select('_id').lean();
   return list.map((d) => d._id.toString()).sort();
 }
 
+// Arabic-only listings whose Arabic text has every word of the keyword (as a word prefix, like the search)
+async function getArabicOnlyMatches(keyword) {
+  const tokens = tokenizeSearchText(keyword);
+  const list = await Listing.find({ ...PUBLIC_QUERY, ...ARABIC_ONLY }).select('_id +searchText_ar').lean();
+  return list
+    .filter((d) => tokens.every((token) => ` ${d.searchText_ar}`.includes(` ${token}`)))
+    .map((d) => d._id.toString())
+    .sort();
+}
+
 async function main() {
   await connectionPromise;
   let passed = 0;
@@ -76,6 +96,20 @@ async function main() {
         if (onlyEn.length) console.log('   Only in English:', onlyEn.slice(0, 3).join(', '), onlyEn.length > 3 ? '...' : '');
         failed++;
       }
+
+      const [arOnlyIds, expectedArOnlyIds] = await Promise.all([
+        getListingIds(arResult.filter, ARABIC_ONLY),
+        getArabicOnlyMatches(arabic)
+      ]);
+      const missing = expectedArOnlyIds.filter((id) => !arOnlyIds.includes(id));
+      if (missing.length === 0) {
+        console.log(`✅ "${arabic}" → finds all ${expectedArOnlyIds.length} Arabic-only listings with these words`);
+        passed++;
+      } else {
+        console.log(`❌ "${arabic}" misses ${missing.length} of ${expectedArOnlyIds.length} Arabic-only listings with these words`);
+        console.log('   Missing:', missing.slice(0, 3).join(', '), missing.length > 3 ? '...' : '');
+        failed++;
+      }
     } catch (e) {
       console.log(`❌ Error for "${arabic}" / "${english}":`, e.message);
       failed++;
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Golden-corpus regression tests for the rule-based query parser (offline - no server, no DB)
+ * Runs every case of scripts/parser-corpus/corpus.json through parseQuery, reports per-field
+ * precision / recall and per-language pass rates, and diffs the result against the accepted baseline.
+ * Fails (exit 1) when a field that was right in the baseline is now wrong.
+ *
+ * Run:
+ *   node scripts/test-parser-corpus.js             (compare with the baseline)
+ *   node scripts/test-parser-corpus.js --verbose   (also list every failing case)
+ *   node scripts/test-parser-corpus.js --lang=ar   (only Arabic cases: en, ar or mixed)
+ *   node scripts/test-parser-corpus.js --accept    (accept the current output as the new baseline)
+ */
+
+const logger = require('../utils/logger');
+// The parser logs every query and match at info level - keep the report readable
+logger.info = () => {};
+logger.debug = () => {};
+
+const { parseQuery } = require('../utils/ruleBasedParser');
+const {
+  LANGUAGES,
+  loadCorpus,
+  loadBaseline,
+  saveBaseline,
+  evaluateCase,
+  computeMetrics,
+  diffAgainstBaseline,
+  buildBaseline
+} = require('./parser-corpus/harness');
+
+const percent = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+const show = (value) => JSON.stringify(value ?? null);
+
+function parseArgs(argv) {
+  const args = { accept: false, verbose: false, lang: null };
+  argv.forEach((arg) => {
+    if (arg === '--accept') args.accept = true;
+    else if (arg === '--verbose') args.verbose = true;
+    else if (arg.startsWith('--lang=')) args.lang = arg.slice('--lang='.length);
+  });
+  return args;
+}
+
+function printMetrics(metrics) {
+  console.log('Field            Precision  Recall  Support');
+  Object.entries(metrics.fields).forEach(([field, m]) => {
+    console.log(`  ${field.padEnd(14)} ${percent(m.precision)}   ${percent(m.recall)}  ${String(m.support).padStart(5)}`);
+  });
+  console.log('');
+  Object.entries(metrics.languages).forEach(([lang, m]) => {
+    console.log(`  ${lang.padEnd(6)} ${m.passed}/${m.total} cases pass (${percent(m.passRate).trim()})`);
+  });
+  console.log(`  all    ${metrics.passed}/${metrics.total} cases pass (${percent(metrics.passRate).trim()})\n`);
+}
+
+function printFieldChanges(title, entries) {
+  if (entries.length === 0) return;
+  console.log(`${title} (${entries.length}):`);
+  entries.forEach((entry) => {
+    console.log(`  [${entry.id}] "${entry.query}" ${entry.field}: expected ${show(entry.expected)}, got ${show(entry.got)} (baseline ${show(entry.baseline)})`);
+  });
+  console.log('');
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.lang && !LANGUAGES.includes(args.lang)) {
+    console.error(`Unknown --lang "${args.lang}". Use: ${LANGUAGES.join(', ')}`);
+    process.exit(1);
+  }
+  if (args.accept && args.lang) {
+    console.error('--accept records the whole corpus; run it without --lang');
+    process.exit(1);
+  }
+
+  const corpus = loadCorpus();
+  const cases = corpus.cases.filter((testCase) => !args.lang || testCase.lang === args.lang);
+  const unreviewed = cases.filter((testCase) => testCase.reviewed === false).length;
+  console.log(`\n🧪 Parser corpus v${corpus.version}: ${cases.length} case(s)${unreviewed ? ` (${unreviewed} not reviewed yet)` : ''}\n`);
+
+  const results = cases.map((testCase) => evaluateCase(testCase, parseQuery));
+  printMetrics(computeMetrics(results));
+
+  if (args.verbose) {
+    results.filter((result) => !result.passed).forEach((result) => {
+      console.log(`  ✗ [${result.id}] "${result.query}"`);
+      if (result.error) console.log(`      error: ${result.error}`);
+      result.failedFields.forEach((field) => {
+        console.log(`      ${field}: expected ${show(result.expected[field])}, got ${show(result.actual[field])}`);
+      });
+    });
+    console.log('');
+  }
+
+  if (args.accept) {
+    saveBaseline(buildBaseline(results, corpus));
+    console.log(`✅ Baseline accepted (${results.length} cases)\n`);
+    process.exit(0);
+  }
+
+  const baseline = loadBaseline();
+  if (!baseline) {
+    console.log('No baseline yet - review the output and run with --accept to record one\n');
+    process.exit(1);
+  }
+
+  const diff = diffAgainstBaseline(results, baseline);
+  // With --lang the other languages are simply not run
+  const removedCases = args.lang ? [] : diff.removedCases;
+  printFieldChanges('❌ Regressions', diff.regressions);
+  printFieldChanges('✅ Fixed since baseline', diff.fixes);
+  if (diff.newCases.length > 0) console.log(`New cases not in the baseline: ${diff.newCases.join(', ')}`);
+  if (removedCases.length > 0) console.log(`Baseline cases no longer in the corpus: ${removedCases.join(', ')}`);
+  console.log(`Cases whose output changed: ${diff.changedOutputs.length}\n`);
+
+  if (diff.regressions.length > 0) {
+    console.log(`${diff.regressions.length} regression(s) against the baseline of ${baseline.acceptedAt}`);
+    process.exit(1);
+  }
+  if (diff.fixes.length > 0 || diff.newCases.length > 0 || removedCases.length > 0) {
+    console.log('No regressions. Run with --accept to record the improvements / corpus changes in the baseline');
+  } else {
+    console.log('No regressions');
+  }
+  process.exit(0);
+}
+
+main();
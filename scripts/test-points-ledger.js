@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Test: points ledger (utils/pointsLedger.js) and promotion refunds.
+ * Run from aqaarGateBE2: node scripts/test-points-ledger.js
+ * Or: npm run test:points-ledger
+ * Requires: DB connection (MONGO_URI). Works on a replica set and on a standalone server.
+ * Creates throwaway users (username TEST_LEDGER_*) and deletes them and their points, ledger entries,
+ * promotions and notifications at the end.
+ *
+ * Covered:
+ * 1. An idempotency key posted again (one after the other and concurrently) is replayed, not posted twice.
+ * 2. Concurrent debits can never spend more than the balance.
+ * 3. Without transactions, a balance change whose ledger entry fails is undone (revertBalanceChange).
+ * 4. A promotion refunded by two callers at once is paid only once.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const dbConnect = require('../db/connect');
+const User = require('../models/user.model');
+const Point = require('../models/point.model');
+const PointTransaction = require('../models/pointTransaction.model');
+const ListingPromotion = require('../models/listingPromotion.model');
+const Notification = require('../models/notification.model');
+const { postPointTransaction, getLedgerTotals } = require('../utils/pointsLedger');
+const { refundPromotion, refundListingPromotions } = require('../utils/listingPromotions');
+
+const connectionPromise = dbConnect.ready || Promise.resolve(dbConnect);
+const RUN_ID = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+const createdUserIds = [];
+
+let totalRun = 0;
+let totalPass = 0;
+function pass(name) {
+  totalRun++;
+  totalPass++;
+  console.log('PASS:', name);
+}
+function fail(name, detail) {
+  totalRun++;
+  console.error('FAIL:', name, detail ? `- ${detail}` : '');
+}
+
+async function createTestUser(label) {
+  const user = await User.create({
+    username: `TEST_LEDGER_${label}_${RUN_ID}`,
+    email: `test_ledger_${label}_${RUN_ID}@example.com`,
+    password: 'not-a-real-password',
+    role: 'user'
+  });
+  createdUserIds.push(user._id);
+  return user._id;
+}
+
+// Point record, User.pointsBalance and the ledger of one user
+async function getState(userId) {
+  const [point, user, totals] = await Promise.all([
+    Point.findOne({ userId }).lean(),
+    User.findById(userId).select('pointsBalance').lean(),
+    getLedgerTotals({ userId })
+  ]);
+  const ledger = totals.get(userId.toString()) || { balance: 0, totalPurchased: 0, totalUsed: 0, entries: 0 };
+  return {
+    balance: point ? point.balance : 0,
+    totalPurchased: point ? point.totalPurchased || 0 : 0,
+    userBalance: user ? user.pointsBalance || 0 : 0,
+    ledger
+  };
+}
+
+// The Point record and User.pointsBalance must match the ledger
+function checkNoDrift(name, state) {
+  if (state.balance !== state.ledger.balance || state.userBalance !== state.ledger.balance) {
+    fail(name, `point ${state.balance}, user ${state.userBalance}, ledger ${state.ledger.balance}`);
+    return false;
+  }
+  pass(name);
+  return true;
+}
+
+// --- 1. Idempotency key replay ---
+async function testReplayedKey() {
+  const userId = await createTestUser('replay');
+  const key = `test:${RUN_ID}:purchase`;
+  const entry = { userId, type: 'purchase', amount: 50, paymentMethod: 'test', paymentReference: RUN_ID, idempotencyKey: key };
+
+  const first = await postPointTransaction(entry);
+  const second = await postPointTransaction(entry);
+  if (first.replayed || !second.replayed) {
+    fail('replay: second post is replayed', `replayed ${first.replayed} / ${second.replayed}`);
+    return;
+  }
+  if (second.transaction._id.toString() !== first.transaction._id.toString() || second.balance !== 50) {
+    fail('replay: returns the first transaction', `balance ${second.balance}`);
+    return;
+  }
+  pass('replay: same key returns the first transaction (replayed: true)');
+
+  try {
+    await postPointTransaction({ ...entry, amount: 60 });
+    fail('replay: key reused for a different amount', 'no error');
+  } catch (err) {
+    if (err.statusCode === 409) pass('replay: key reused for a different amount -> 409');
+    else fail('replay: key reused for a different amount', err.message);
+  }
+
+  const concurrentKey = `test:${RUN_ID}:concurrent`;
+  const results = await Promise.all([1, 2, 3].map(() => postPointTransaction({ ...entry, idempotencyKey: concurrentKey })));
+  const posted = results.filter((result) => !result.replayed).length;
+  const entries = await PointTransaction.countDocuments({ idempotencyKey: concurrentKey });
+  if (posted !== 1 || entries !== 1) {
+    fail('replay: concurrent posts with one key', `${posted} posted, ${entries} entries`);
+    return;
+  }
+  pass('replay: concurrent posts with one key -> one entry, the others replayed');
+
+  const state = await getState(userId);
+  if (state.balance !== 100) {
+    fail('replay: balance counts each key once', `expected 100, got ${state.balance}`);
+    return;
+  }
+  pass('replay: balance counts each key once (100)');
+  checkNoDrift('replay: point, user and ledger agree', state);
+}
+
+// --- 2. Concurrent overspend ---
+async function testConcurrentOverspend() {
+  const userId = await createTestUser('overspend');
+  await postPointTransaction({ userId, type: 'purchase', amount: 100, paymentMethod: 'test', paymentReference: `${RUN_ID}:overspend` });
+
+  // 5 x 30 against a balance of 100: only 3 fit
+  const results = await Promise.allSettled([1, 2, 3, 4, 5].map((n) => postPointTransaction({
+    userId,
+    type: 'deduction',
+    amount: 30,
+    description: `Concurrent deduction ${n}`
+  })));
+  const succeeded = results.filter((result) => result.status === 'fulfilled').length;
+  const rejected = results.filter((result) => result.status === 'rejected');
+  const otherErrors = rejected.filter((result) => result.reason.code !== 'INSUFFICIENT_POINTS');
+  if (otherErrors.length > 0) {
+    fail('overspend: rejections are INSUFFICIENT_POINTS', otherErrors[0].reason.message);
+    return;
+  }
+  if (succeeded !== 3 || rejected.length !== 2) {
+    fail('overspend: 3 of 5 concurrent debits succeed', `${succeeded} succeeded, ${rejected.length} rejected`);
+    return;
+  }
+  pass('overspend: 3 of 5 concurrent debits succeed, 2 rejected with INSUFFICIENT_POINTS');
+
+  const state = await getState(userId);
+  if (state.balance !== 10) {
+    fail('overspend: balance never below zero', `expected 10, got ${state.balance}`);
+    return;
+  }
+  pass('overspend: final balance 10');
+  checkNoDrift('overspend: point, user and ledger agree', state);
+}
+
+// --- 3. revertBalanceChange (no transactions) ---
+// Runs last among the ledger tests: once the server "rejects" transactions the ledger stops using them
+async function testRevertWithoutTransactions() {
+  const userId = await createTestUser('revert');
+  await postPointTransaction({ userId, type: 'purchase', amount: 40, paymentMethod: 'test', paymentReference: `${RUN_ID}:revert` });
+  const before = await getState(userId);
+
+  // Answer like a standalone server so withSession falls back to writes without a session
+  const originalStartSession = mongoose.startSession;
+  mongoose.startSession = async () => ({
+    withTransaction: async () => {
+      const error = new Error('Transaction numbers are only allowed on a replica set member or mongos');
+      error.code = 20;
+      throw error;
+    },
+    endSession: async () => {}
+  });
+  // The ledger entry fails after the balance $inc
+  const originalCreate = PointTransaction.create;
+  PointTransaction.create = async () => {
+    throw new Error('simulated ledger write failure');
+  };
+
+  const attempts = [
+    { name: 'credit', entry: { userId, type: 'purchase', amount: 25, paymentMethod: 'test', paymentReference: `${RUN_ID}:revert:credit` } },
+    { name: 'debit', entry: { userId, type: 'deduction', amount: 15, description: 'Deduction that fails' } }
+  ];
+  try {
+    for (const { name, entry } of attempts) {
+      try {
+        await postPointTransaction(entry);
+        fail(`revert: failed ${name} entry throws`, 'no error');
+        continue;
+      } catch (err) {
+        if (err.message !== 'simulated ledger write failure') {
+          fail(`revert: failed ${name} entry throws`, err.message);
+          continue;
+        }
+      }
+      const after = await getState(userId);
+      if (after.balance !== before.balance || after.userBalance !== before.userBalance || after.totalPurchased !== before.totalPurchased) {
+        fail(`revert: failed ${name} is undone`, `balance ${before.balance} -> ${after.balance}, user ${before.userBalance} -> ${after.userBalance}`);
+        continue;
+      }
+      pass(`revert: failed ${name} entry -> balance, totals and user balance restored`);
+    }
+  } finally {
+    PointTransaction.create = originalCreate;
+    mongoose.startSession = originalStartSession;
+  }
+
+  const state = await getState(userId);
+  if (state.ledger.entries !== 1) {
+    fail('revert: no ledger entry for the failed posts', `${state.ledger.entries} entries`);
+    return;
+  }
+  pass('revert: no ledger entry for the failed posts');
+  checkNoDrift('revert: point, user and ledger agree', state);
+}
+
+// --- 4. Promotion refund paid once ---
+async function testPromotionRefundOnce() {
+  const userId = await createTestUser('promotion');
+  const listingId = new mongoose.Types.ObjectId();
+  const now = Date.now();
+  const promotion = await ListingPromotion.create({
+    listingId,
+    userId,
+    productId: new mongoose.Types.ObjectId(),
+    product: { name: 'Test featured', type: 'featured', durationDays: 10, points: 100 },
+    type: 'featured',
+    startsAt: new Date(now - 5 * 24 * 60 * 60 * 1000),
+    endsAt: new Date(now + 5 * 24 * 60 * 60 * 1000)
+  });
+  const lean = promotion.toObject();
+
+  const results = await Promise.all([
+    refundPromotion(lean, 'test refund'),
+    refundPromotion(lean, 'test refund'),
+    refundListingPromotions(listingId, 'test refund')
+  ]);
+  const winners = [results[0], results[1]].filter(Boolean).length + results[2];
+  if (winners !== 1) {
+    fail('promotion: one of three concurrent refunds wins', `${winners} won`);
+    return;
+  }
+  pass('promotion: one of three concurrent refunds wins');
+
+  if (await refundListingPromotions(listingId, 'test refund again') !== 0) {
+    fail('promotion: refunding again does nothing', 'refunded twice');
+    return;
+  }
+  pass('promotion: refunding again does nothing');
+
+  const refunds = await PointTransaction.find({ idempotencyKey: `promotion:${promotion._id}:refund` }).lean();
+  const stored = await ListingPromotion.findById(promotion._id).lean();
+  if (refunds.length !== 1 || stored.status !== 'refunded') {
+    fail('promotion: one refund entry, status refunded', `${refunds.length} entries, status ${stored.status}`);
+    return;
+  }
+  if (refunds[0].amount !== stored.refundedPoints || stored.refundedPoints < 49 || stored.refundedPoints > 51) {
+    fail('promotion: half the time left -> about half the points', `entry ${refunds[0].amount}, stored ${stored.refundedPoints}`);
+    return;
+  }
+  pass(`promotion: one refund entry of ${refunds[0].amount} points, status refunded`);
+
+  const state = await getState(userId);
+  if (state.balance !== stored.refundedPoints) {
+    fail('promotion: balance credited once', `expected ${stored.refundedPoints}, got ${state.balance}`);
+    return;
+  }
+  pass('promotion: balance credited once');
+}
+
+async function cleanup() {
+  if (createdUserIds.length === 0) return;
+  await Promise.all([
+    PointTransaction.deleteMany({ userId: { $in: createdUserIds } }),
+    Point.deleteMany({ userId: { $in: createdUserIds } }),
+    ListingPromotion.deleteMany({ userId: { $in: createdUserIds } }),
+    Notification.deleteMany({ recipientId: { $in: createdUserIds } }),
+    User.deleteMany({ _id: { $in: createdUserIds } })
+  ]);
+}
+
+async function main() {
+  console.log('=== Points ledger test suite ===\n');
+  await connectionPromise;
+
+  const tests = [
+    testReplayedKey,
+    testConcurrentOverspend,
+    testPromotionRefundOnce,
+    testRevertWithoutTransactions
+  ];
+  try {
+    for (const test of tests) {
+      try {
+        await test();
+      } catch (err) {
+        fail(test.name, err.message);
+      }
+    }
+  } finally {
+    await cleanup();
+  }
+
+  console.log('\n--- Summary ---');
+  console.log(`${totalPass}/${totalRun} passed`);
+  if (totalPass < totalRun) {
+    console.error('Some tests failed.');
+    process.exit(1);
+  }
+  console.log('All tests passed.');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error(e);
+  process.exit(1);
+});
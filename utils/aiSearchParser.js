@@ -1,34 +1,11 @@
-const OpenAI = require('openai');
 const logger = require('./logger');
+const { getLLMProvider, completeLLM } = require('./llmProviders');
+const { normalizeArabic } = require('./textSearch');
+const { normalizeCurrency } = require('./currency');
 
-// LLM provider: DeepSeek (preferred when key set) or OpenAI. Both use OpenAI-compatible API.
-const DEEPSEEK_BASE_URL = 'https://api.deepseek.com';
-const DEEPSEEK_CHAT_MODEL = 'deepseek-chat';
-
-function getLLMClient() {
-  if (process.env.DEEPSEEK_API_KEY) {
-    return {
-      client: new OpenAI({
-        apiKey: process.env.DEEPSEEK_API_KEY,
-        baseURL: DEEPSEEK_BASE_URL,
-      }),
-      model: DEEPSEEK_CHAT_MODEL,
-      provider: 'DeepSeek',
-    };
-  }
-  if (process.env.OPENAI_API_KEY) {
-    return {
-      client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
-      model: 'gpt-3.5-turbo',
-      provider: 'OpenAI',
-    };
-  }
-  return null;
-}
-
-/** True if either DeepSeek or OpenAI is configured for AI search */
+/** True if an LLM provider is configured for AI search (see constants/llm.js) */
 function isAIConfigured() {
-  return Boolean(process.env.DEEPSEEK_API_KEY || process.env.OPENAI_API_KEY);
+  return Boolean(getLLMProvider());
 }
 
 // Available property types in the system
@@ -125,6 +102,15 @@ const mapAmenityToSystem = (amenityText) => {
   return [];
 };
 
+/**
+ * LLM cache key for a query: only case, Arabic letter variants and spacing are unified.
+ * Digits, negations and short words all change the parse, so nothing is dropped or stemmed.
+ */
+const buildParseCacheKey = (query) => normalizeArabic(String(query || '').normalize('NFKC'))
+  .toLowerCase()
+  .replace(/\s+/g, ' ')
+  .trim();
+
 /**
  * Parse natural language query using OpenAI
  * @param {string} query - User's natural language query
@@ -132,10 +118,10 @@ const mapAmenityToSystem = (amenityText) => {
  */
 const parseAIQuery = async (query) => {
   try {
-    const llm = getLLMClient();
+    const llm = getLLMProvider();
     if (!llm) {
-      logger.error('No AI provider configured (set DEEPSEEK_API_KEY or OPENAI_API_KEY)');
-      throw new Error('AI search is not configured. Please set DEEPSEEK_API_KEY or OPENAI_API_KEY in environment variables.');
+      logger.error('No AI provider configured (set LLM_PROVIDER, DEEPSEEK_API_KEY or OPENAI_API_KEY)');
+      throw new Error('AI search is not configured. Please set LLM_PROVIDER, DEEPSEEK_API_KEY or OPENAI_API_KEY in environment variables.');
     }
 
     if (!query || typeof query !== 'string' || query.trim().length === 0) {
@@ -193,6 +179,7 @@ Your task is to extract structured search parameters from the user's query. Retu
   "sizeMax": number | null,
   "priceMin": number | null,
   "priceMax": number | null,
+  "priceCurrency": "USD" | "SYP" | null,
   "status": "rent" | "sale" | null,
   "city": string | null,
   "neighborhood": string | null,
@@ -218,7 +205,8 @@ Rules:
 8. For status: "rent"/"rental"/"for rent"/"للإيجار"/"للايجار" → "rent"; "sale"/"buy"/"for sale"/"للبيع" → "sale"
 9. Set null for fields that cannot be determined from the query
 10. For keywords, extract descriptive words that might be in property descriptions (e.g., "nice view", "spacious", "modern")
-11. Return ONLY the JSON object, no additional text or explanation
+11. For priceCurrency, give the currency the prices are stated in: "ليرة"/"ل.س"/"lira"/"SYP" → "SYP"; "دولار"/"dollar"/"USD"/"$" → "USD"; null if no price or no currency is mentioned. Never convert the amounts
+12. Return ONLY the JSON object, no additional text or explanation
 
 Examples:
 Query: "I want one apartment 2 room 1 bedroom with nice view"
@@ -239,24 +227,18 @@ Response: {"propertyType": "Villa/farms", "bedrooms": null, "bathrooms": null, "
 Query: "فلل مزارع مزرعة"
 Response: {"propertyType": "Villa/farms", "bedrooms": null, "bathrooms": null, "amenities": [], "keywords": [], "viewType": null, "status": null, "city": null, "neighborhood": null, "furnished": null, "garages": null, "sizeMin": null, "sizeMax": null, "priceMin": null, "priceMax": null}`;
 
-    logger.info(`🤖 Parsing AI query (${llm.provider}): "${query}"`);
+    logger.info(`🤖 Parsing AI query (${llm.label}): "${query}"`);
 
-    const completion = await llm.client.chat.completions.create({
-      model: llm.model,
-      messages: [
-        { role: 'system', content: systemPrompt },
-        { role: 'user', content: query }
-      ],
+    const completion = await completeLLM({
+      system: systemPrompt,
+      user: query,
+      cacheKey: buildParseCacheKey(query),
       temperature: 0.3,
-      max_tokens: 500,
-      response_format: { type: 'json_object' }
+      maxTokens: 500,
+      json: true
     });
 
-    const responseText = completion.choices[0]?.message?.content;
-    
-    if (!responseText) {
-      throw new Error('No response from AI service');
-    }
+    const responseText = completion.text;
 
     logger.debug(`🤖 AI raw response: ${responseText}`);
 
@@ -277,18 +259,6 @@ Response: {"propertyType": "Villa/farms", "bedrooms": null, "bathrooms": null, "
     return normalizedParams;
   } catch (error) {
     logger.error('Error parsing AI query:', error);
-    
-    // If it's an OpenAI API error, provide more context
-    if (error instanceof OpenAI.APIError) {
-      if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key. Please check your configuration.');
-      } else if (error.status === 429) {
-        throw new Error('OpenAI API rate limit exceeded. Please try again later.');
-      } else if (error.status === 500) {
-        throw new Error('OpenAI API service error. Please try again later.');
-      }
-    }
-    
     throw error;
   }
 };
@@ -305,6 +275,7 @@ const normalizeExtractedParams = (params) => {
     sizeMax: null,
     priceMin: null,
     priceMax: null,
+    priceCurrency: null,
     status: null,
     city: null,
     neighborhood: null,
@@ -462,6 +433,8 @@ const normalizeExtractedParams = (params) => {
     }
   }
 
+  normalized.priceCurrency = normalizeCurrency(params.priceCurrency);
+
   // Normalize status
   if (params.status) {
     const status = params.status.toLowerCase().trim();
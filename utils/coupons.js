@@ -0,0 +1,412 @@
+/**
+ * Coupons, Referrals & Promotional Grants
+ * - points coupons credit points when redeemed (POST /api/coupons/redeem)
+ * - listing_discount coupons take a percentage off a new listing's points cost (couponCode on listing create)
+ * - referral codes: a user who signs up with someone's code is linked to them, and both are credited
+ *   once the new agent account is verified by an admin
+ * - admins grant points to users directly (campaigns, goodwill)
+ * Credits are `grant` PointTransactions; every use is also a CouponRedemption row for reporting.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon.model');
+const CouponRedemption = require('../models/couponRedemption.model');
+const User = require('../models/user.model');
+const errorHandler = require('./error');
+const logger = require('./logger');
+const { postPointTransaction } = require('./pointsLedger');
+const {
+  COUPON_CODE_PATTERN,
+  REFERRAL_REFERRER_POINTS,
+  REFERRAL_REFEREE_POINTS,
+  REFERRAL_MAX_REWARDS,
+  REFERRAL_CODE_LENGTH
+} = require('../constants/coupons');
+
+// No 0/O or 1/I, so codes can be read out and typed
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+// Empty restriction = any value
+const matchesRestriction = (allowed, value) => !allowed || allowed.length === 0
+  || (!!value && allowed.some((item) => item.toLowerCase() === String(value).trim().toLowerCase()));
+
+/**
+ * Find a coupon the user can use now, and the number of this use
+ * @param {string} code - Coupon code (any case)
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} { coupon, useIndex }
+ * @throws 404 unknown / inactive coupon, 400 not started, expired, used up or per-user limit reached
+ */
+const loadUsableCoupon = async (code, userId) => {
+  const normalized = normalizeCouponCode(code);
+  if (!COUPON_CODE_PATTERN.test(normalized)) {
+    throw errorHandler(400, 'Invalid coupon code');
+  }
+  const coupon = await Coupon.findOne({ code: normalized }).lean();
+  if (!coupon || !coupon.isActive) {
+    throw errorHandler(404, 'Coupon not found');
+  }
+
+  const now = new Date();
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw errorHandler(400, 'This coupon is not valid yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw errorHandler(400, 'This coupon has expired');
+  }
+  if (coupon.maxRedemptions && coupon.redemptionCount >= coupon.maxRedemptions) {
+    throw errorHandler(400, 'This coupon has been fully redeemed');
+  }
+
+  // First free use number: released uses (failed listing creation) leave gaps
+  const used = await CouponRedemption.find({ source: 'coupon', couponId: coupon._id, userId }).select('useIndex').lean();
+  const taken = new Set(used.map((redemption) => redemption.useIndex));
+  let useIndex = 1;
+  while (taken.has(useIndex)) useIndex++;
+  if (useIndex > coupon.perUserLimit) {
+    throw errorHandler(400, coupon.perUserLimit === 1
+      ? 'You have already used this coupon'
+      : `You have already used this coupon ${coupon.perUserLimit} times`);
+  }
+  return { coupon, useIndex };
+};
+
+/**
+ * Record a use of a coupon. The unique (coupon, user, useIndex) index enforces the per-user limit,
+ * the conditional $inc the global one.
+ * @param {Object} params - { coupon, useIndex, userId, points, discountPoints, listingId }
+ * @returns {Promise<Object>} CouponRedemption
+ * @throws 409 concurrent use of the same slot, 400 used up meanwhile
+ */
+const claimCouponRedemption = async ({ coupon, useIndex, userId, points = 0, discountPoints = 0, listingId = null }) => {
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      source: 'coupon',
+      couponId: coupon._id,
+      code: coupon.code,
+      campaign: coupon.campaign,
+      userId,
+      useIndex,
+      points,
+      discountPoints,
+      listingId
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw errorHandler(409, 'This coupon is already being redeemed. Try again');
+    }
+    throw error;
+  }
+
+  const claimed = await Coupon.updateOne(
+    {
+      _id: coupon._id,
+      isActive: true,
+      $or: [{ maxRedemptions: null }, { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }]
+    },
+    { $inc: { redemptionCount: 1 } }
+  );
+  if (claimed.modifiedCount === 0) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    throw errorHandler(400, 'This coupon has been fully redeemed');
+  }
+  return redemption;
+};
+
+/**
+ * Give a use back (the listing it discounted could not be created, or the credit failed)
+ * @param {Object} redemption - CouponRedemption
+ */
+const releaseCouponRedemption = async (redemption) => {
+  await CouponRedemption.deleteOne({ _id: redemption._id });
+  await Coupon.updateOne({ _id: redemption.couponId, redemptionCount: { $gt: 0 } }, { $inc: { redemptionCount: -1 } });
+};
+
+/**
+ * Redeem a points coupon
+ * @param {Object} params - { userId, code }
+ * @returns {Promise<Object>} { code, points, newBalance }
+ */
+const redeemCoupon = async ({ userId, code }) => {
+  const { coupon, useIndex } = await loadUsableCoupon(code, userId);
+  if (coupon.kind === 'listing_discount') {
+    throw errorHandler(400, 'This coupon gives a discount on new listings. Enter it when you publish a listing');
+  }
+
+  const redemption = await claimCouponRedemption({ coupon, useIndex, userId, points: coupon.points });
+  let credit;
+  try {
+    credit = await postPointTransaction({
+      userId,
+      type: 'grant',
+      amount: coupon.points,
+      description: `Coupon ${coupon.code}`,
+      idempotencyKey: `coupon:${redemption._id}`
+    });
+  } catch (error) {
+    await releaseCouponRedemption(redemption);
+    throw error;
+  }
+  await CouponRedemption.updateOne({ _id: redemption._id }, { $set: { transactionId: credit.transaction._id } });
+
+  logger.info(`[COUPON] ${coupon.code} redeemed by ${userId}: +${coupon.points} points`);
+  return { code: coupon.code, points: coupon.points, newBalance: credit.balance };
+};
+
+/**
+ * Check a listing_discount coupon against a new listing (nothing is recorded yet)
+ * @param {Object} params - { userId, code, listingData, cost }
+ * @returns {Promise<Object>} { coupon, useIndex, discountPoints }
+ * @throws 400 if the coupon does not apply to this listing
+ */
+const checkListingCoupon = async ({ userId, code, listingData, cost }) => {
+  const { coupon, useIndex } = await loadUsableCoupon(code, userId);
+  if (coupon.kind !== 'listing_discount') {
+    throw errorHandler(400, 'This coupon credits points. Redeem it from your points page');
+  }
+  if (!matchesRestriction(coupon.cities, listingData.city)) {
+    throw errorHandler(400, `This coupon is only valid for listings in: ${coupon.cities.join(', ')}`);
+  }
+  if (!matchesRestriction(coupon.propertyTypes, listingData.propertyType)) {
+    throw errorHandler(400, `This coupon is only valid for: ${coupon.propertyTypes.join(', ')}`);
+  }
+  const discountPoints = Math.min(cost, Math.round((cost * coupon.discountPercent) / 100));
+  return { coupon, useIndex, discountPoints };
+};
+
+const generateReferralCode = () => Array.from(
+  crypto.randomBytes(REFERRAL_CODE_LENGTH),
+  (byte) => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]
+).join('');
+
+/**
+ * The user's referral code (created on first use)
+ * @param {string} userId - User id
+ * @returns {Promise<string>} Referral code
+ */
+const getOrCreateReferralCode = async (userId) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const user = await User.findById(userId).select('referralCode').lean();
+    if (!user) {
+      throw errorHandler(404, 'User not found');
+    }
+    if (user.referralCode) return user.referralCode;
+
+    try {
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, referralCode: null },
+        { $set: { referralCode: generateReferralCode() } },
+        { new: true }
+      ).select('referralCode').lean();
+      if (updated) return updated.referralCode;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // Code taken: try another one
+    }
+  }
+  throw errorHandler(500, 'Could not create a referral code. Try again');
+};
+
+/**
+ * Referrer for a code given at signup
+ * @param {string} code - Referral code
+ * @returns {Promise<Object|null>} User (lean, _id only), or null for an unknown code
+ */
+const findReferrer = (code) => {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return Promise.resolve(null);
+  return User.findOne({ referralCode: normalized, isBlocked: { $ne: true } }).select('_id').lean();
+};
+
+/**
+ * Credit a referral once the referred agent is verified (safe to call again: pays only once).
+ * Never throws, so it cannot fail the verification.
+ * @param {string} refereeId - The referred user
+ * @returns {Promise<Object|null>} CouponRedemption, or null if nothing was paid
+ */
+const rewardReferral = async (refereeId) => {
+  let claimed = false;
+  try {
+    const referee = await User.findOneAndUpdate(
+      { _id: refereeId, referredBy: { $ne: null }, referralRewardedAt: null },
+      { $set: { referralRewardedAt: new Date() } },
+      { new: true }
+    ).select('referredBy').lean();
+    if (!referee) return null;
+    claimed = true;
+
+    const referrerId = referee.referredBy;
+    const rewarded = await CouponRedemption.countDocuments({ source: 'referral', referrerId, referrerPoints: { $gt: 0 } });
+    const referrerPoints = rewarded < REFERRAL_MAX_REWARDS ? REFERRAL_REFERRER_POINTS : 0;
+
+    // Ledger keys make a retry after a partial failure pay each side once
+    const refereeCredit = REFERRAL_REFEREE_POINTS > 0 ? await postPointTransaction({
+      userId: refereeId,
+      type: 'grant',
+      amount: REFERRAL_REFEREE_POINTS,
+      description: 'Referral welcome bonus',
+      idempotencyKey: `referral:${refereeId}:referee`
+    }) : null;
+    const referrerCredit = referrerPoints > 0 ? await postPointTransaction({
+      userId: referrerId,
+      type: 'grant',
+      amount: referrerPoints,
+      description: 'Referral reward',
+      idempotencyKey: `referral:${refereeId}:referrer`
+    }) : null;
+
+    const redemption = await CouponRedemption.create({
+      source: 'referral',
+      userId: refereeId,
+      points: refereeCredit ? REFERRAL_REFEREE_POINTS : 0,
+      transactionId: refereeCredit ? refereeCredit.transaction._id : null,
+      referrerId,
+      referrerPoints,
+      referrerTransactionId: referrerCredit ? referrerCredit.transaction._id : null
+    });
+    logger.info(`[REFERRAL] ${refereeId} referred by ${referrerId}: +${redemption.points} / +${referrerPoints} points`);
+    return redemption;
+  } catch (error) {
+    // Let the next verification try again
+    if (claimed) {
+      await User.updateOne({ _id: refereeId }, { $set: { referralRewardedAt: null } }).catch(() => {});
+    }
+    logger.error('[REFERRAL_REWARD_ERROR]', { refereeId: String(refereeId), error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Referral code and earnings of a user
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} { code, referred, rewarded, pointsEarned, rewards }
+ */
+const getReferralSummary = async (userId) => {
+  const code = await getOrCreateReferralCode(userId);
+  const [referred, [earned]] = await Promise.all([
+    User.countDocuments({ referredBy: userId }),
+    CouponRedemption.aggregate([
+      { $match: { source: 'referral', referrerId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, rewarded: { $sum: 1 }, points: { $sum: '$referrerPoints' } } }
+    ])
+  ]);
+  return {
+    code,
+    referred,
+    rewarded: earned ? earned.rewarded : 0,
+    pointsEarned: earned ? earned.points : 0,
+    rewards: { referrer: REFERRAL_REFERRER_POINTS, referee: REFERRAL_REFEREE_POINTS }
+  };
+};
+
+/**
+ * Promotional grant from an admin to one or more users
+ * @param {Object} params - { userIds, points, reason, campaign, adminId, batchKey }
+ *   batchKey identifies the request: a retry with the same key credits nobody twice
+ * @returns {Promise<Object>} { granted, replayed, missing }
+ */
+const grantPoints = async ({ userIds, points, reason, campaign = null, adminId, batchKey }) => {
+  const users = await User.find({ _id: { $in: userIds } }).select('_id').lean();
+  const found = new Set(users.map((user) => user._id.toString()));
+  const missing = userIds.filter((id) => !found.has(String(id)));
+
+  let granted = 0;
+  let replayed = 0;
+  for (const user of users) {
+    const credit = await postPointTransaction({
+      userId: user._id,
+      type: 'grant',
+      amount: points,
+      description: `Promotional grant: ${reason}`,
+      idempotencyKey: `grant:${batchKey}:${user._id}`,
+      createdBy: adminId
+    });
+    if (credit.replayed) {
+      replayed++;
+      continue;
+    }
+    await CouponRedemption.create({
+      source: 'grant',
+      campaign,
+      userId: user._id,
+      points,
+      transactionId: credit.transaction._id,
+      reason,
+      createdBy: adminId
+    });
+    granted++;
+  }
+
+  logger.info(`[POINT_GRANT] ${points} points to ${granted} user(s) by ${adminId}: ${reason}`);
+  return { granted, replayed, missing };
+};
+
+/**
+ * Redemptions per coupon / referral / grant campaign in a period
+ * @param {Object} options - { since, campaign, source }
+ * @returns {Promise<Object>} { rows, totals }
+ */
+const getRedemptionReport = async ({ since, campaign, source }) => {
+  const match = { createdAt: { $gte: since } };
+  if (campaign) match.campaign = campaign;
+  if (source) match.source = source;
+
+  const rows = await CouponRedemption.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { source: '$source', couponId: '$couponId', code: '$code', campaign: '$campaign' },
+        redemptions: { $sum: 1 },
+        users: { $addToSet: '$userId' },
+        points: { $sum: '$points' },
+        discountPoints: { $sum: '$discountPoints' },
+        referrerPoints: { $sum: '$referrerPoints' },
+        firstAt: { $min: '$createdAt' },
+        lastAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        source: '$_id.source',
+        couponId: '$_id.couponId',
+        code: '$_id.code',
+        campaign: '$_id.campaign',
+        redemptions: 1,
+        uniqueUsers: { $size: '$users' },
+        points: 1,
+        discountPoints: 1,
+        referrerPoints: 1,
+        firstAt: 1,
+        lastAt: 1
+      }
+    },
+    { $sort: { redemptions: -1 } }
+  ]);
+
+  const totals = rows.reduce((sum, row) => ({
+    redemptions: sum.redemptions + row.redemptions,
+    pointsCredited: sum.pointsCredited + row.points + row.referrerPoints,
+    discountPoints: sum.discountPoints + row.discountPoints
+  }), { redemptions: 0, pointsCredited: 0, discountPoints: 0 });
+
+  return { rows, totals };
+};
+
+module.exports = {
+  normalizeCouponCode,
+  loadUsableCoupon,
+  claimCouponRedemption,
+  releaseCouponRedemption,
+  redeemCoupon,
+  checkListingCoupon,
+  getOrCreateReferralCode,
+  findReferrer,
+  rewardReferral,
+  getReferralSummary,
+  grantPoints,
+  getRedemptionReport
+};
@@ -0,0 +1,134 @@
+/**
+ * Currency Utility
+ * Exchange rates (ExchangeRate collection, cached) and price conversion between the listing currencies.
+ * Listings store priceUSD so price filters and sorting work across currencies.
+ */
+
+const ExchangeRate = require('../models/exchangeRate.model');
+const cache = require('./cache');
+const logger = require('./logger');
+
+const SUPPORTED_CURRENCIES = ['USD', 'SYP', 'TRY', 'EUR'];
+const RATES_CACHE_KEY = 'exchange_rates';
+const RATES_CACHE_TTL = 300; // 5 minutes
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @param {string} currency - Currency code (any case)
+ * @returns {string|null} Upper-case code if supported, otherwise null
+ */
+const normalizeCurrency = (currency) => {
+  if (!currency || typeof currency !== 'string') return null;
+  const code = currency.trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+/**
+ * Current rates (units per 1 USD). Collection values win over EXCHANGE_RATE_<CODE> env fallbacks.
+ * A currency without any rate is left out - its prices cannot be converted.
+ * @returns {Promise<Object>} e.g. { USD: 1, SYP: 13000, EUR: 0.92 }
+ */
+const getExchangeRates = async () => {
+  const cached = cache.get(RATES_CACHE_KEY);
+  if (cached) return cached;
+
+  const rates = { USD: 1 };
+  SUPPORTED_CURRENCIES.forEach((code) => {
+    const envRate = parseFloat(process.env[`EXCHANGE_RATE_${code}`]);
+    if (code !== 'USD' && envRate > 0) rates[code] = envRate;
+  });
+
+  try {
+    const stored = await ExchangeRate.find().select('currency rate').lean();
+    stored.forEach((doc) => {
+      rates[doc.currency] = doc.rate;
+    });
+  } catch (error) {
+    logger.error('[EXCHANGE_RATES_LOAD_ERROR]', { error: error.message });
+  }
+
+  cache.set(RATES_CACHE_KEY, rates, RATES_CACHE_TTL);
+  return rates;
+};
+
+const clearExchangeRatesCache = () => cache.delete(RATES_CACHE_KEY);
+
+/**
+ * @returns {number|null} Amount in USD, or null if the currency has no rate
+ */
+const convertToUSD = (amount, currency, rates) => {
+  const rate = rates[normalizeCurrency(currency) || 'USD'];
+  if (amount === null || amount === undefined || isNaN(amount) || !rate) return null;
+  return round2(Number(amount) / rate);
+};
+
+/**
+ * @returns {number|null} USD amount converted into currency, or null if the currency has no rate
+ */
+const convertFromUSD = (amountUSD, currency, rates) => {
+  const rate = rates[normalizeCurrency(currency)];
+  if (amountUSD === null || amountUSD === undefined || isNaN(amountUSD) || !rate) return null;
+  return round2(Number(amountUSD) * rate);
+};
+
+/**
+ * Normalized USD price for a listing price
+ * @returns {Promise<number|null>}
+ */
+const calculatePriceUSD = async (price, currency) => convertToUSD(price, currency, await getExchangeRates());
+
+/**
+ * Add displayPrice/displayCurrency to listings (plain objects) for a client-requested currency
+ * Listings already in that currency keep their exact price. displayPrice is null when no rate exists.
+ * @param {Array|Object} listings - Listing(s) to annotate in place
+ * @param {string} displayCurrency - Supported currency code
+ * @param {Object} rates - Result of getExchangeRates
+ */
+const applyDisplayCurrency = (listings, displayCurrency, rates) => {
+  const list = Array.isArray(listings) ? listings : [listings];
+  list.forEach((listing) => {
+    if (!listing) return;
+    const currency = listing.currency || 'USD';
+    listing.displayCurrency = displayCurrency;
+    if (currency === displayCurrency) {
+      listing.displayPrice = listing.propertyPrice;
+    } else {
+      const usd = listing.priceUSD ?? convertToUSD(listing.propertyPrice, currency, rates);
+      listing.displayPrice = convertFromUSD(usd, displayCurrency, rates);
+    }
+  });
+  return listings;
+};
+
+/**
+ * Recompute priceUSD (and pricePerSqm) of every listing in a currency (after its rate changed)
+ * @returns {Promise<number>} Number of listings updated
+ */
+const recalculatePriceUSD = async (currency, rate) => {
+  const Listing = require('../models/listing.model');
+  const code = normalizeCurrency(currency);
+  const filter = code === 'USD' ? { $or: [{ currency: 'USD' }, { currency: null }] } : { currency: code };
+  const priceUSD = { $divide: ['$propertyPrice', rate] };
+  const result = await Listing.updateMany(filter, [
+    {
+      $set: {
+        priceUSD: { $round: [priceUSD, 2] },
+        pricePerSqm: { $cond: [{ $gt: ['$sizeSqm', 0] }, { $round: [{ $divide: [priceUSD, '$sizeSqm'] }, 2] }, null] }
+      }
+    }
+  ]);
+  return result.modifiedCount || 0;
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  normalizeCurrency,
+  getExchangeRates,
+  clearExchangeRatesCache,
+  convertToUSD,
+  convertFromUSD,
+  calculatePriceUSD,
+  applyDisplayCurrency,
+  recalculatePriceUSD
+};
@@ -0,0 +1,254 @@
+/**
+ * Duplicate Listing Detection
+ * Compares a new or imported listing with existing ones (agent, city/neighborhood, type,
+ * size, price band, bedrooms, image hashes) and gives each candidate a similarity score 0..1.
+ * createListing warns about matches, importProperties blocks rows above the block score.
+ */
+
+const crypto = require('crypto');
+const Listing = require('../models/listing.model');
+const ListingDuplicate = require('../models/listingDuplicate.model');
+const logger = require('./logger');
+
+// Score from which a candidate is reported as a suspected duplicate
+const DUPLICATE_WARN_SCORE = parseFloat(process.env.DUPLICATE_WARN_SCORE) || 0.7;
+// Score from which an imported row is not created
+const DUPLICATE_BLOCK_SCORE = parseFloat(process.env.DUPLICATE_BLOCK_SCORE) || 0.85;
+
+// Price band used to pick candidates (relative difference, same currency)
+const PRICE_BAND = 0.15;
+const MAX_CANDIDATES = 50;
+
+// Signal weights (sum = 1). Image weight only counts when both listings have image hashes.
+const WEIGHTS = {
+  agent: 0.15,
+  neighborhood: 0.15,
+  propertyType: 0.1,
+  size: 0.15,
+  price: 0.15,
+  bedrooms: 0.1,
+  images: 0.2
+};
+
+const CANDIDATE_FIELDS = 'propertyId propertyType propertyKeyword status city neighborhood size propertyPrice currency bedrooms agentId agent images.hash images.url approvalStatus isSold isScheduled createdAt';
+
+/**
+ * Hash an image buffer (exact re-uploads of the same photo get the same hash)
+ * @param {Buffer} buffer - Image file buffer
+ * @returns {string} SHA-256 hex digest
+ */
+const hashImage = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalizeText = (value) => (value ? String(value).trim().toLowerCase().replace(/\s+/g, ' ') : '');
+const relativeDiff = (a, b) => {
+  const max = Math.max(Math.abs(a), Math.abs(b));
+  return max === 0 ? 0 : Math.abs(a - b) / max;
+};
+const getImageHashes = (listing) =>
+  (Array.isArray(listing.images) ? listing.images : []).map((img) => img && img.hash).filter(Boolean);
+const getAgentKey = (listing) => (listing.agentId ? listing.agentId.toString() : normalizeText(listing.agent));
+
+/**
+ * Similarity between a new listing and an existing one
+ * @param {Object} listing - New / imported listing data
+ * @param {Object} existing - Existing listing
+ * @returns {Object} { score (0..1), reasons }
+ */
+const scoreDuplicate = (listing, existing) => {
+  const reasons = [];
+  let earned = 0;
+  let possible = 0;
+
+  const add = (weight, matched, reason) => {
+    possible += weight;
+    if (matched > 0) {
+      earned += weight * matched;
+      reasons.push(reason);
+    }
+  };
+
+  const agentKey = getAgentKey(listing);
+  add(WEIGHTS.agent, agentKey && agentKey === getAgentKey(existing) ? 1 : 0, 'same_agent');
+
+  const neighborhood = normalizeText(listing.neighborhood);
+  add(WEIGHTS.neighborhood, neighborhood && neighborhood === normalizeText(existing.neighborhood) ? 1 : 0, 'same_neighborhood');
+
+  add(WEIGHTS.propertyType, normalizeText(listing.propertyType) === normalizeText(existing.propertyType) ? 1 : 0, 'same_type');
+
+  const size = Number(listing.size) || 0;
+  const existingSize = Number(existing.size) || 0;
+  if (size > 0 && existingSize > 0) {
+    const diff = relativeDiff(size, existingSize);
+    add(WEIGHTS.size, diff <= 0.05 ? 1 : diff <= 0.1 ? 0.5 : 0, 'similar_size');
+  }
+
+  const price = Number(listing.propertyPrice) || 0;
+  const existingPrice = Number(existing.propertyPrice) || 0;
+  if (price > 0 && existingPrice > 0 && (listing.currency || 'USD') === (existing.currency || 'USD')) {
+    const diff = relativeDiff(price, existingPrice);
+    add(WEIGHTS.price, diff <= 0.05 ? 1 : diff <= PRICE_BAND ? 0.5 : 0, 'similar_price');
+  }
+
+  add(WEIGHTS.bedrooms, Number(listing.bedrooms) === Number(existing.bedrooms) ? 1 : 0, 'same_bedrooms');
+
+  const hashes = getImageHashes(listing);
+  const existingHashes = getImageHashes(existing);
+  if (hashes.length > 0 && existingHashes.length > 0) {
+    const existingSet = new Set(existingHashes);
+    const shared = hashes.filter((h) => existingSet.has(h)).length;
+    add(WEIGHTS.images, shared / Math.min(hashes.length, existingHashes.length), 'shared_images');
+  }
+
+  const score = possible > 0 ? Math.round((earned / possible) * 100) / 100 : 0;
+  return { score, reasons };
+};
+
+/**
+ * Find existing listings that look like duplicates of the given listing
+ * Candidates: same city + type + status within the price band, or sharing an image hash
+ * @param {Object} listing - New listing (document or plain data)
+ * @param {Object} options - { excludeId, minScore }
+ * @returns {Promise<Array>} [{ listing, score, reasons }] best match first
+ */
+const findDuplicates = async (listing, { excludeId = null, minScore = DUPLICATE_WARN_SCORE } = {}) => {
+  const or = [];
+  const city = listing.city ? String(listing.city).trim() : '';
+  if (city && listing.propertyType) {
+    const condition = {
+      city: { $regex: new RegExp(`^${escapeRegex(city)}$`, 'i') },
+      propertyType: listing.propertyType,
+      status: listing.status
+    };
+    const price = Number(listing.propertyPrice) || 0;
+    if (price > 0) {
+      condition.propertyPrice = { $gte: price * (1 - PRICE_BAND), $lte: price * (1 + PRICE_BAND) };
+    }
+    or.push(condition);
+  }
+  const hashes = getImageHashes(listing);
+  if (hashes.length > 0) {
+    or.push({ 'images.hash': { $in: hashes } });
+  }
+  if (or.length === 0) {
+    return [];
+  }
+
+  // Drafts are private to their agent and never count as the original
+  const query = { $or: or, isDeleted: { $ne: true }, approvalStatus: { $ne: 'draft' } };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+
+  const candidates = await Listing.find(query)
+    .select(CANDIDATE_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  return candidates
+    .map((candidate) => ({ listing: candidate, ...scoreDuplicate(listing, candidate) }))
+    .filter((match) => match.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Add suspected duplicates of a listing to the admin queue
+ * Never throws - a failed flag must not fail the listing save
+ * @param {Object} listing - Saved listing
+ * @param {Array} matches - Result of findDuplicates
+ * @param {string} source - 'create' | 'import'
+ */
+const flagDuplicates = async (listing, matches, source = 'create') => {
+  try {
+    await Promise.all(matches.map((match) =>
+      ListingDuplicate.updateOne(
+        { listingId: listing._id, duplicateOfId: match.listing._id },
+        {
+          $set: { score: match.score, reasons: match.reasons, source },
+          $setOnInsert: { status: 'pending' }
+        },
+        { upsert: true }
+      )
+    ));
+  } catch (error) {
+    logger.error('[DUPLICATE_FLAG_ERROR]', {
+      listingId: listing?._id?.toString(),
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find duplicates of a saved listing and (optionally) queue them for admin review
+ * Never throws - returns [] when detection fails
+ * @param {Object} listing - Saved listing
+ * @param {Object} options - { source: 'create' | 'import', flag: add matches to the admin queue }
+ * @returns {Promise<Array>} Matches (see findDuplicates)
+ */
+const checkListingForDuplicates = async (listing, { source = 'create', flag = true } = {}) => {
+  try {
+    const matches = await findDuplicates(listing, { excludeId: listing._id });
+    if (flag && matches.length > 0) {
+      await flagDuplicates(listing, matches, source);
+    }
+    return matches;
+  } catch (error) {
+    logger.error('[DUPLICATE_CHECK_ERROR]', {
+      listingId: listing?._id?.toString(),
+      error: error.message
+    });
+    return [];
+  }
+};
+
+/**
+ * Short form of a match for API responses
+ */
+const summarizeMatch = (match) => ({
+  listingId: match.listing._id,
+  propertyId: match.listing.propertyId,
+  propertyKeyword: match.listing.propertyKeyword,
+  city: match.listing.city,
+  neighborhood: match.listing.neighborhood,
+  propertyPrice: match.listing.propertyPrice,
+  currency: match.listing.currency,
+  approvalStatus: match.listing.approvalStatus,
+  score: match.score,
+  reasons: match.reasons
+});
+
+// Another agent's listing is only described when it is public
+const isPublicListing = (listing) => listing.approvalStatus === 'approved' && !listing.isSold && !listing.isScheduled;
+
+/**
+ * Duplicate warning for the agent of a listing: their own and public matches are described,
+ * other agents' pending / rejected / scheduled / sold listings only count towards `count` and `topScore`
+ * @param {Object} listing - The agent's new / imported listing
+ * @param {Array} matches - Result of findDuplicates
+ * @param {number} limit - Max matches described
+ * @returns {Object} { count, topScore, matches }
+ */
+const summarizeMatchesFor = (listing, matches, limit = 5) => {
+  const agentKey = getAgentKey(listing);
+  return {
+    count: matches.length,
+    topScore: matches.length > 0 ? matches[0].score : 0,
+    matches: matches
+      .filter((match) => (agentKey && getAgentKey(match.listing) === agentKey) || isPublicListing(match.listing))
+      .slice(0, limit)
+      .map(summarizeMatch)
+  };
+};
+
+module.exports = {
+  DUPLICATE_WARN_SCORE,
+  DUPLICATE_BLOCK_SCORE,
+  hashImage,
+  scoreDuplicate,
+  findDuplicates,
+  flagDuplicates,
+  checkListingForDuplicates,
+  summarizeMatch,
+  summarizeMatchesFor
+};
@@ -241,9 +241,70 @@ const sendOtpEmail = async ({ to, otp, type }) => {
   });
 };
 
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Email the listings that matched a saved search (instant alert or daily digest)
+ * @param {Object} options - { to, name, searchName, listings: [{ title, slug, propertyPrice, currency, city }] }
+ */
+const sendSavedSearchAlertEmail = async ({ to, name, searchName, listings }) => {
+  const { SITE_URL, buildPageUrl } = require('./sitemap');
+  const count = listings.length;
+  const subject = count === 1
+    ? `New listing for your saved search "${searchName}"`
+    : `${count} new listings for your saved search "${searchName}"`;
+
+  const items = listings.map((listing) => ({
+    title: listing.title,
+    price: listing.propertyPrice != null ? `${Number(listing.propertyPrice).toLocaleString('en-US')} ${listing.currency || 'USD'}` : '',
+    city: listing.city || '',
+    url: buildPageUrl('listings', 'en', listing.slug || String(listing._id))
+  }));
+
+  const plainText = [
+    `Hello${name ? ` ${name}` : ''},`,
+    '',
+    `${subject}:`,
+    '',
+    ...items.map((item) => `- ${item.title}${item.price ? ` (${item.price})` : ''}${item.city ? ` - ${item.city}` : ''}\n  ${item.url}`),
+    '',
+    `You can change or turn off these alerts from your saved searches on ${SITE_URL}.`,
+  ].join('\n');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; line-height: 1.5; color: #333;">
+      <h2 style="color: #0f172a; margin-bottom: 16px;">${escapeHtml(subject)}</h2>
+      <p style="margin-bottom: 12px;">Hello${name ? ` ${escapeHtml(name)}` : ''},</p>
+      <ul style="padding-left: 20px;">
+        ${items.map((item) => `
+        <li style="margin-bottom: 12px;">
+          <a href="${escapeHtml(item.url)}" style="color: #0f172a; font-weight: bold;">${escapeHtml(item.title)}</a><br/>
+          ${escapeHtml([item.price, item.city].filter(Boolean).join(' - '))}
+        </li>`).join('')}
+      </ul>
+      <p style="margin-top: 24px; color: #64748b;">
+        You can change or turn off these alerts from your saved searches.
+      </p>
+      <p style="margin-top: 24px;">Regards,<br/>Aqaar Gate</p>
+    </div>
+  `;
+
+  await sendMail({
+    to,
+    subject,
+    text: plainText,
+    html,
+  });
+};
+
 module.exports = {
   sendMail,
   sendOtpEmail,
+  sendSavedSearchAlertEmail,
 };
 
 
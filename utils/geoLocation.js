@@ -0,0 +1,181 @@
+/**
+ * Geo Location Utility
+ *
+ * Turns the free-text Listing.mapLocation (Google Maps URL or "lat, lng" string)
+ * into a GeoJSON Point and parses the map query parameters (bbox, near, radius)
+ * used by the listing search.
+ *
+ * NOTE: GeoJSON stores coordinates as [longitude, latitude] (not lat/lng!)
+ */
+
+// Default and maximum search radius for "near" queries (in km)
+const DEFAULT_RADIUS_KM = 5;
+const MAX_RADIUS_KM = 500;
+const EARTH_RADIUS_KM = 6378.1;
+
+const isValidLatitude = (lat) => typeof lat === 'number' && !isNaN(lat) && lat >= -90 && lat <= 90;
+const isValidLongitude = (lng) => typeof lng === 'number' && !isNaN(lng) && lng >= -180 && lng <= 180;
+
+/**
+ * Build a GeoJSON Point from latitude/longitude
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {Object|null} GeoJSON Point or null if coordinates are invalid
+ */
+const toGeoPoint = (lat, lng) => {
+  const latitude = parseFloat(lat);
+  const longitude = parseFloat(lng);
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) return null;
+  // 0,0 is what broken map pickers send - never a real Syrian listing
+  if (latitude === 0 && longitude === 0) return null;
+  return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+/**
+ * Parse a mapLocation value into a GeoJSON Point
+ * Supported formats:
+ * - "33.5138, 36.2765" or "33.5138 36.2765"
+ * - https://www.google.com/maps/@33.5138,36.2765,15z
+ * - https://www.google.com/maps/place/.../@33.5138,36.2765,17z/data=...!3d33.5138!4d36.2765
+ * - https://maps.google.com/?q=33.5138,36.2765 (also ll=, query=, center=, destination=)
+ * Short links (maps.app.goo.gl) cannot be resolved offline and return null.
+ * @param {string} mapLocation - Free-text map location
+ * @returns {Object|null} GeoJSON Point or null if no coordinates were found
+ */
+const parseMapLocation = (mapLocation) => {
+  if (!mapLocation || typeof mapLocation !== 'string') return null;
+  let value = mapLocation.trim();
+  if (!value) return null;
+
+  try {
+    value = decodeURIComponent(value);
+  } catch (error) {
+    // Malformed escape sequences - keep the raw value
+  }
+
+  const number = '(-?\\d{1,3}(?:\\.\\d+)?)';
+  const patterns = [
+    // Exact place pin: !3d<lat>!4d<lng> (more precise than the viewport centre)
+    new RegExp(`!3d${number}!4d${number}`),
+    // Query parameters: ?q=lat,lng / ll= / query= / center= / destination=
+    new RegExp(`[?&](?:q|ll|query|center|destination|daddr)=(?:loc:)?${number}\\s*,\\s*${number}`),
+    // Viewport centre: /@lat,lng,zoom
+    new RegExp(`@${number},${number}`),
+    // Plain coordinates: "lat, lng" or "lat lng"
+    new RegExp(`^${number}\\s*[,\\s]\\s*${number}$`)
+  ];
+
+  for (const pattern of patterns) {
+    const match = value.match(pattern);
+    if (match) {
+      const point = toGeoPoint(match[1], match[2]);
+      if (point) return point;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse a bbox query parameter: "minLng,minLat,maxLng,maxLat" (same order as GeoJSON/Mapbox)
+ * @param {string} bbox - Bounding box string
+ * @returns {Array|null} [minLng, minLat, maxLng, maxLat] or null if invalid
+ */
+const parseBbox = (bbox) => {
+  if (!bbox || typeof bbox !== 'string') return null;
+  const parts = bbox.split(',').map((p) => parseFloat(p.trim()));
+  if (parts.length !== 4 || parts.some((p) => isNaN(p))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (!isValidLongitude(minLng) || !isValidLongitude(maxLng)) return null;
+  if (!isValidLatitude(minLat) || !isValidLatitude(maxLat)) return null;
+  if (minLat >= maxLat || minLng >= maxLng) return null;
+  return [minLng, minLat, maxLng, maxLat];
+};
+
+/**
+ * Build a $geoWithin condition for a bounding box
+ * Uses a GeoJSON polygon so it works with the 2dsphere index
+ * @param {Array} bbox - [minLng, minLat, maxLng, maxLat]
+ * @returns {Object} MongoDB condition for the location field
+ */
+const buildBboxCondition = ([minLng, minLat, maxLng, maxLat]) => ({
+  $geoWithin: {
+    $geometry: {
+      type: 'Polygon',
+      coordinates: [[
+        [minLng, minLat],
+        [maxLng, minLat],
+        [maxLng, maxLat],
+        [minLng, maxLat],
+        [minLng, minLat]
+      ]]
+    }
+  }
+});
+
+/**
+ * Parse a near query parameter: "lat,lng" (same order as Google Maps)
+ * @param {string} near - Centre point string
+ * @returns {Object|null} GeoJSON Point or null if invalid
+ */
+const parseNear = (near) => {
+  if (!near || typeof near !== 'string') return null;
+  const parts = near.split(',').map((p) => p.trim());
+  if (parts.length !== 2) return null;
+  return toGeoPoint(parts[0], parts[1]);
+};
+
+/**
+ * Parse a radius query parameter (km), clamped to MAX_RADIUS_KM
+ * @param {string|number} radius - Radius in kilometres
+ * @returns {number|null} Radius in km, default when not provided, null if invalid
+ */
+const parseRadiusKm = (radius) => {
+  if (radius === undefined || radius === null || radius === '') return DEFAULT_RADIUS_KM;
+  const km = parseFloat(radius);
+  if (isNaN(km) || km <= 0) return null;
+  return Math.min(km, MAX_RADIUS_KM);
+};
+
+/**
+ * Build a $geoWithin condition for a circle around a point
+ * $centerSphere (unlike $near) is allowed in countDocuments, so it is used for filtering;
+ * distance sorting is done separately with a $geoNear stage.
+ * @param {Object} point - GeoJSON Point
+ * @param {number} radiusKm - Radius in kilometres
+ * @returns {Object} MongoDB condition for the location field
+ */
+const buildNearCondition = (point, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM]
+  }
+});
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {Object} a - GeoJSON Point
+ * @param {Object} b - GeoJSON Point
+ * @returns {number} Distance in kilometres
+ */
+const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+};
+
+module.exports = {
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  toGeoPoint,
+  parseMapLocation,
+  parseBbox,
+  buildBboxCondition,
+  parseNear,
+  parseRadiusKm,
+  buildNearCondition,
+  distanceKm
+};
@@ -0,0 +1,51 @@
+/**
+ * Listing Area
+ * Listings store their size in square metres (sizeSqm) and their USD price per square metre (pricePerSqm),
+ * so size / price-per-area filters and sorting work across size units and currencies.
+ */
+
+// Square metres per unit (dunam = Syrian/Levant dunam, feddan = Egyptian feddan)
+const SIZE_UNIT_TO_SQM = {
+  sqm: 1,
+  sqft: 0.092903,
+  sqyd: 0.836127,
+  dunam: 1000,
+  feddan: 4200
+};
+
+// Fields that sizeSqm / pricePerSqm are derived from
+const AREA_SOURCE_FIELDS = ['size', 'sizeUnit', 'priceUSD'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Convert a size to square metres (unknown units are treated as sqm)
+ * @param {number} size - Size in its unit
+ * @param {string} unit - sqm | sqft | sqyd | dunam | feddan
+ * @returns {number|null} Size in sqm, or null without a size
+ */
+const convertSizeToSqm = (size, unit) => {
+  if (!size || !unit) return null;
+  return size * (SIZE_UNIT_TO_SQM[unit] || 1);
+};
+
+/**
+ * sizeSqm and pricePerSqm of a listing
+ * @param {Object} listing - Listing document or plain data (size, sizeUnit, priceUSD)
+ * @returns {Object} { sizeSqm, pricePerSqm } (null when they cannot be computed)
+ */
+const buildAreaFields = (listing) => {
+  const size = Number(listing.size);
+  const sqm = size > 0 ? convertSizeToSqm(size, listing.sizeUnit || 'sqm') : null;
+  const sizeSqm = sqm ? round2(sqm) : null;
+  const priceUSD = listing.priceUSD == null ? null : Number(listing.priceUSD);
+  const pricePerSqm = sizeSqm && priceUSD != null && !Number.isNaN(priceUSD) ? round2(priceUSD / sizeSqm) : null;
+  return { sizeSqm, pricePerSqm };
+};
+
+module.exports = {
+  SIZE_UNIT_TO_SQM,
+  AREA_SOURCE_FIELDS,
+  convertSizeToSqm,
+  buildAreaFields
+};
@@ -0,0 +1,226 @@
+/**
+ * Listing Cursor Pagination
+ * Keyset pagination for listing lists: the cursor holds the sort values of the last listing returned,
+ * and the next page starts strictly after it. Unlike page/skip, new (or newly featured / VIP) listings
+ * cannot shift the results, so infinite scroll never shows a listing twice, and deep pages stay cheap.
+ * Cursors are opaque base64url tokens (EJSON inside, so dates and ObjectIds survive the round trip).
+ * _id is always the last sort key, so every listing has a unique position.
+ */
+
+const mongoose = require('mongoose');
+const errorHandler = require('./error');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// Same ranks as the legacy VIP / featured pipelines in listing.controller.js
+const VIP_ORDER_FIELD = {
+  _vipOrder: { $cond: [
+    { $and: [{ $eq: ['$isVip', true] }, { $gte: [{ $toInt: { $ifNull: ['$vipOrder', 0] } }, 1] }] },
+    { $subtract: [{ $toInt: { $ifNull: ['$vipOrder', 999999] } }, 1] },
+    999999
+  ] }
+};
+
+/**
+ * VIP page: vipOrder, then newest
+ */
+const VIP_ORDER_SORT = {
+  addFields: VIP_ORDER_FIELD,
+  keys: [['_vipOrder', 1], ['createdAt', -1]]
+};
+
+/**
+ * Default search order: VIP (by vipOrder), then featured (by featuredOrder), then the rest, newest first
+ */
+const TIERED_SORT = {
+  addFields: {
+    _tier: { $cond: [{ $eq: ['$isVip', true] }, 0, { $cond: [{ $eq: ['$isFeatured', true] }, 1, 2] }] },
+    ...VIP_ORDER_FIELD,
+    _featuredOrder: { $cond: [
+      { $and: [{ $eq: ['$isFeatured', true] }, { $gte: [{ $toInt: { $ifNull: ['$featuredOrder', 0] } }, 1] }] },
+      { $toInt: { $ifNull: ['$featuredOrder', 999999] } },
+      999999
+    ] }
+  },
+  keys: [['_tier', 1], ['_vipOrder', 1], ['_featuredOrder', 1], ['createdAt', -1]]
+};
+
+/**
+ * Map search: nearest first (distanceKm is added by $geoNear)
+ */
+const DISTANCE_SORT = {
+  addFields: {},
+  keys: [['distanceKm', 1]]
+};
+
+/**
+ * Newest first (agent listings); no computed fields, so it also works with Listing.find
+ */
+const NEWEST_SORT = {
+  addFields: {},
+  keys: [['createdAt', -1]]
+};
+
+/**
+ * Cursor sort for a plain sort object ({ priceUSD: 1 }, { createdAt: -1 }, text score ...)
+ * Missing values become a "has value" key plus a non-null value key, so they keep MongoDB's
+ * order (first when ascending, last when descending) and can still be compared.
+ * @param {Object} sortOptions - Mongo sort object
+ * @returns {Object} { addFields, keys }
+ */
+const buildFieldSort = (sortOptions) => {
+  const addFields = {};
+  const keys = [];
+  Object.entries(sortOptions || {}).forEach(([field, direction], index) => {
+    if (direction && direction.$meta === 'textScore') {
+      addFields._score = { $meta: 'textScore' };
+      keys.push(['_score', -1]);
+      return;
+    }
+    const dir = direction === -1 || direction === 'desc' ? -1 : 1;
+    addFields[`_has${index}`] = { $cond: [{ $eq: [{ $ifNull: [`$${field}`, null] }, null] }, 0, 1] };
+    addFields[`_key${index}`] = { $ifNull: [`$${field}`, 0] };
+    keys.push([`_has${index}`, dir], [`_key${index}`, dir]);
+  });
+  return { addFields, keys };
+};
+
+const withIdKey = (keys) => [...keys, ['_id', 1]];
+
+// Cursor values end up in $match: anything but a plain value (e.g. an object with operators) is rejected
+const isCursorValue = (value) => value === null
+  || typeof value === 'string'
+  || typeof value === 'boolean'
+  || (typeof value === 'number' && Number.isFinite(value))
+  || (value instanceof Date && !Number.isNaN(value.getTime()))
+  || value instanceof mongoose.Types.ObjectId;
+
+const sortSignature = (keys) => keys.map(([field, dir]) => `${field}:${dir}`).join(',');
+
+/**
+ * Cursor pointing after a listing
+ * @param {Object} sort - { addFields, keys }
+ * @param {Object} doc - Last listing of the page (with the computed sort fields)
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (sort, doc) => {
+  const keys = withIdKey(sort.keys);
+  const payload = { s: sortSignature(keys), v: keys.map(([field]) => doc[field] ?? null) };
+  return Buffer.from(EJSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor for the given sort
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @param {Object} sort - { addFields, keys }
+ * @returns {Array} Sort values of the last listing
+ * @throws 400 if the cursor is malformed, holds anything but scalars / dates / ObjectIds, or was made for another sort order
+ */
+const decodeCursor = (cursor, sort) => {
+  const keys = withIdKey(sort.keys);
+  let payload;
+  try {
+    payload = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw errorHandler(400, 'Invalid cursor');
+  }
+  if (!payload || !Array.isArray(payload.v)) {
+    throw errorHandler(400, 'Invalid cursor');
+  }
+  if (payload.s !== sortSignature(keys)) {
+    throw errorHandler(400, 'Cursor does not match the current sort. Start again without a cursor');
+  }
+  if (payload.v.length !== keys.length || !payload.v.every(isCursorValue)) {
+    throw errorHandler(400, 'Invalid cursor');
+  }
+  return payload.v;
+};
+
+/**
+ * Condition matching the listings after the cursor position
+ * (a > x) OR (a = x AND b > y) OR ... with $lt for descending keys
+ */
+const buildAfterCondition = (keys, values) => ({
+  $or: keys.map(([field, dir], i) => {
+    const condition = {};
+    for (let j = 0; j < i; j++) {
+      condition[keys[j][0]] = values[j];
+    }
+    condition[field] = { [dir === 1 ? '$gt' : '$lt']: values[i] };
+    return condition;
+  })
+});
+
+/**
+ * Filter for the listings after a cursor
+ * @param {Object} sort - { addFields, keys }
+ * @param {string} cursor - Opaque cursor (empty for the first page)
+ * @returns {Object|null} Condition, or null on the first page
+ * @throws 400 for an invalid cursor
+ */
+const buildCursorMatch = (sort, cursor) => {
+  if (!cursor) return null;
+  return buildAfterCondition(withIdKey(sort.keys), decodeCursor(cursor, sort));
+};
+
+/**
+ * @param {Object} sort - { addFields, keys }
+ * @returns {Object} Mongo sort object (with the _id tie-breaker)
+ */
+const getCursorSortOrder = (sort) => Object.fromEntries(withIdKey(sort.keys));
+
+/**
+ * Aggregation pipeline for one cursor page (fetches limit + 1 to know whether there is a next page)
+ * @param {Object} params - { firstStages: [$match or $geoNear], sort, cursor, limit }
+ * @returns {Array} Pipeline
+ * @throws 400 for an invalid cursor
+ */
+const buildCursorPipeline = ({ firstStages, sort, cursor, limit }) => {
+  const pipeline = [...firstStages];
+  if (Object.keys(sort.addFields).length > 0) {
+    pipeline.push({ $addFields: sort.addFields });
+  }
+  const afterCursor = buildCursorMatch(sort, cursor);
+  if (afterCursor) {
+    pipeline.push({ $match: afterCursor });
+  }
+  pipeline.push(
+    { $sort: getCursorSortOrder(sort) },
+    { $limit: limit + 1 }
+  );
+  return pipeline;
+};
+
+/**
+ * Split a fetched page into listings and the next cursor, and drop the computed sort fields
+ * @param {Array} docs - Result of buildCursorPipeline (or a find with limit + 1)
+ * @param {Object} sort - { addFields, keys }
+ * @param {number} limit - Page size
+ * @returns {Object} { listings, nextCursor, hasNextPage }
+ */
+const finishCursorPage = (docs, sort, limit) => {
+  const hasNextPage = docs.length > limit;
+  const page = hasNextPage ? docs.slice(0, limit) : docs;
+  const nextCursor = hasNextPage ? encodeCursor(sort, page[page.length - 1]) : null;
+  const computedFields = Object.keys(sort.addFields);
+  const listings = page.map((doc) => {
+    const listing = { ...doc };
+    computedFields.forEach((field) => delete listing[field]);
+    return listing;
+  });
+  return { listings, nextCursor, hasNextPage };
+};
+
+module.exports = {
+  VIP_ORDER_SORT,
+  TIERED_SORT,
+  DISTANCE_SORT,
+  NEWEST_SORT,
+  buildFieldSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorMatch,
+  getCursorSortOrder,
+  buildCursorPipeline,
+  finishCursorPage
+};
@@ -0,0 +1,160 @@
+/**
+ * Listing Lifecycle Job
+ * Runs on an interval (see LISTING_LIFECYCLE_INTERVAL_MINUTES):
+ * 1. gives approved listings without an expiry date a fresh lifetime (legacy listings are not expired at once)
+ * 2. reminds agents about listings expiring within LISTING_EXPIRY_REMINDER_DAYS
+ * 3. moves approved listings past their expiry date to the "expired" approval status
+ */
+
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const logger = require('./logger');
+const { recordRevision } = require('./listingRevisions');
+const { notifyAgentListingExpiring, notifyAgentListingExpired } = require('./notifications');
+const {
+  LISTING_EXPIRY_REMINDER_DAYS,
+  LISTING_LIFECYCLE_INTERVAL_MINUTES,
+  LISTING_LIFECYCLE_BATCH_SIZE,
+  DAY_MS,
+  getListingLifetimeDays
+} = require('../constants/listingLifecycle');
+
+// Live listings the lifecycle applies to (sold and deleted listings keep their state,
+// scheduled listings get their expiry date when the publish scheduler publishes them)
+const LIVE_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+
+const getListingTitle = (listing) =>
+  listing.propertyTitle || listing.propertyDesc || listing.propertyKeyword || 'Untitled Property';
+
+let isRunning = false;
+let intervalId = null;
+
+// 1. Approved listings without expiresAt (approved before expiry tracking) start a full lifetime now
+const backfillExpiryDates = async (now) => {
+  let updated = 0;
+  for (const status of ['sale', 'rent']) {
+    const expiresAt = new Date(now.getTime() + getListingLifetimeDays(status) * DAY_MS);
+    const statusQuery = status === 'rent' ? 'rent' : { $ne: 'rent' };
+    const result = await Listing.updateMany(
+      { ...LIVE_LISTING_QUERY, status: statusQuery, expiresAt: null },
+      { $set: { expiresAt } }
+    );
+    updated += result.modifiedCount || 0;
+  }
+  return updated;
+};
+
+// 2. One reminder per lifetime period (expiryReminderSentAt is reset on renewal)
+const sendExpiryReminders = async (now) => {
+  const reminderLimit = new Date(now.getTime() + LISTING_EXPIRY_REMINDER_DAYS * DAY_MS);
+  const listings = await Listing.find({
+    ...LIVE_LISTING_QUERY,
+    expiresAt: { $gt: now, $lte: reminderLimit },
+    expiryReminderSentAt: null
+  })
+    .select('_id agentId expiresAt propertyTitle propertyDesc propertyKeyword')
+    .limit(LISTING_LIFECYCLE_BATCH_SIZE)
+    .lean();
+
+  for (const listing of listings) {
+    if (listing.agentId) {
+      await notifyAgentListingExpiring(
+        listing.agentId.toString(),
+        listing._id.toString(),
+        getListingTitle(listing),
+        listing.expiresAt
+      );
+    }
+    await Listing.updateOne({ _id: listing._id }, { $set: { expiryReminderSentAt: now } });
+  }
+  return listings.length;
+};
+
+// 3. Expire listings one by one so each gets a revision and a notification
+const expireListings = async (now) => {
+  const dueQuery = { ...LIVE_LISTING_QUERY, expiresAt: { $lte: now } };
+  const listings = await Listing.find(dueQuery)
+    .limit(LISTING_LIFECYCLE_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const listing of listings) {
+    try {
+      // Atomic status change: no validation of the whole (possibly old) document that could fail every run
+      const result = await Listing.updateOne(
+        { _id: listing._id, ...dueQuery },
+        { $set: { approvalStatus: 'expired', expiredAt: now } }
+      );
+      if (!result.modifiedCount) continue;
+      listing.approvalStatus = 'expired';
+      listing.expiredAt = now;
+      expired++;
+
+      await recordRevision(listing, 'approval', null, 'approved -> expired');
+
+      if (listing.agentId) {
+        await notifyAgentListingExpired(listing.agentId.toString(), listing._id.toString(), getListingTitle(listing));
+      }
+    } catch (error) {
+      logger.error('[LISTING_LIFECYCLE_EXPIRE_ERROR]', {
+        listingId: listing._id.toString(),
+        error: error.message
+      });
+    }
+  }
+  return expired;
+};
+
+/**
+ * Run one pass of the lifecycle job
+ * Skipped while a previous run is still busy or the database is not connected
+ * @returns {Promise<Object|null>} { backfilled, reminded, expired } or null if skipped
+ */
+const runListingLifecycle = async () => {
+  if (isRunning || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+  isRunning = true;
+  try {
+    const now = new Date();
+    const backfilled = await backfillExpiryDates(now);
+    const reminded = await sendExpiryReminders(now);
+    const expired = await expireListings(now);
+
+    if (backfilled || reminded || expired) {
+      logger.info('[LISTING_LIFECYCLE]', { backfilled, reminded, expired });
+    }
+    return { backfilled, reminded, expired };
+  } catch (error) {
+    logger.error('[LISTING_LIFECYCLE_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the lifecycle job (runs once now, then every LISTING_LIFECYCLE_INTERVAL_MINUTES)
+ * Set DISABLE_LISTING_LIFECYCLE_JOB=true to turn it off (e.g. on extra instances)
+ */
+const startListingLifecycleJob = () => {
+  if (intervalId || process.env.DISABLE_LISTING_LIFECYCLE_JOB === 'true') {
+    return;
+  }
+  runListingLifecycle();
+  intervalId = setInterval(runListingLifecycle, LISTING_LIFECYCLE_INTERVAL_MINUTES * 60 * 1000);
+  logger.info(`⏰ Listing lifecycle job started (every ${LISTING_LIFECYCLE_INTERVAL_MINUTES} min)`);
+};
+
+module.exports = {
+  runListingLifecycle,
+  startListingLifecycleJob
+};
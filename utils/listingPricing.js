@@ -0,0 +1,336 @@
+/**
+ * Listing Pricing
+ * Points cost of a listing from the active pricing rules (models/listingPricing.model.js):
+ * baseCost x the multiplier of every matching rule (property type, city, status, size / image /
+ * bedroom / amenity bands), rounded, plus flat upgrade prices (featured, VIP).
+ * Rules are versioned: saving creates a new version, and any version can be re-activated.
+ * The active version is cached; DEFAULT_LISTING_PRICING applies until an admin saves one.
+ */
+
+const ListingPricing = require('../models/listingPricing.model');
+const cache = require('./cache');
+const errorHandler = require('./error');
+const { convertSizeToSqm } = require('./listingArea');
+const {
+  PRICING_MULTIPLIER_FIELDS,
+  PRICING_BAND_FIELDS,
+  PRICING_UPGRADES,
+  LISTING_PRICING_CACHE_TTL,
+  DEFAULT_LISTING_PRICING
+} = require('../constants/listingPricing');
+
+const ACTIVE_CACHE_KEY = 'listing-pricing:active';
+const MAX_MULTIPLIER = 100;
+const MAX_RULES_PER_FIELD = 200;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Number of entries in an array or a comma-separated string (multipart/form-data sends strings)
+const countEntries = (value) => {
+  if (Array.isArray(value)) return value.length;
+  if (typeof value === 'string') return value.split(',').filter((entry) => entry.trim()).length;
+  return 0;
+};
+
+const toNumberOrNull = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Values of a listing that the pricing rules look at
+ * @param {Object} listingData - Listing document or request body
+ * @returns {Object} { propertyType, city, status, sizeSqm, images, bedrooms, amenities }
+ */
+const extractPricingInput = (listingData = {}) => {
+  const size = toNumberOrNull(listingData.size);
+  const sizeSqm = toNumberOrNull(listingData.sizeSqm)
+    ?? (size > 0 ? round2(convertSizeToSqm(size, listingData.sizeUnit || 'sqm')) : null);
+  // Images are uploaded after the check, so imageNames / imageCount stand in for them
+  const images = countEntries(listingData.images)
+    || countEntries(listingData.imageNames)
+    || toNumberOrNull(listingData.imageCount)
+    || 0;
+
+  return {
+    propertyType: listingData.propertyType ? String(listingData.propertyType).trim() : null,
+    city: listingData.city ? String(listingData.city).trim() : null,
+    status: listingData.status ? String(listingData.status).trim() : null,
+    sizeSqm,
+    images,
+    bedrooms: toNumberOrNull(listingData.bedrooms) ?? 0,
+    amenities: countEntries(listingData.amenities)
+  };
+};
+
+const findMultiplierRule = (rules, value) => {
+  if (!value) return null;
+  const needle = value.toLowerCase();
+  return (rules || []).find((rule) => rule.value.toLowerCase() === needle) || null;
+};
+
+const findBand = (bands, value) => {
+  if (value === null || value === undefined) return null;
+  return (bands || []).find((band) => value >= band.min && (band.max === null || band.max === undefined || value < band.max)) || null;
+};
+
+const formatBand = (band) => (band.max === null || band.max === undefined ? `${band.min}+` : `${band.min}-${band.max}`);
+
+/**
+ * Upgrade names from a request: ['featured'], 'featured,vip', or { featured: true, vip: false }
+ * @returns {Object} { upgrades: string[] } or { error }
+ */
+const parseUpgrades = (value) => {
+  if (value === undefined || value === null || value === '') return { upgrades: [] };
+  let names;
+  if (Array.isArray(value)) {
+    names = value;
+  } else if (typeof value === 'object') {
+    names = Object.keys(value).filter((name) => value[name] === true || value[name] === 'true');
+  } else {
+    names = String(value).split(',');
+  }
+  const upgrades = [...new Set(names.map((name) => String(name).trim()).filter(Boolean))];
+  const unknown = upgrades.filter((name) => !PRICING_UPGRADES.includes(name));
+  if (unknown.length > 0) {
+    return { error: `Unknown upgrade(s): ${unknown.join(', ')}. Use: ${PRICING_UPGRADES.join(', ')}` };
+  }
+  return { upgrades };
+};
+
+/**
+ * Itemized cost of a listing under the given rules
+ * @param {Object} listingData - Listing document or request body
+ * @param {Object} pricing - Pricing rules (a version or DEFAULT_LISTING_PRICING)
+ * @param {Object} options - { upgrades: string[] }
+ * @returns {Object} { pricingVersion, listingCost, upgradesCost, totalCost, items, upgrades }
+ */
+const priceListing = (listingData, pricing, { upgrades = [] } = {}) => {
+  const input = extractPricingInput(listingData);
+  let running = pricing.baseCost;
+  const items = [{ rule: 'base', label: 'Base cost', points: pricing.baseCost }];
+
+  const applyMultiplier = (rule, value, label, multiplier) => {
+    const before = running;
+    running *= multiplier;
+    items.push({ rule, value, label, multiplier, points: round2(running - before) });
+  };
+
+  PRICING_MULTIPLIER_FIELDS.forEach((field) => {
+    const match = findMultiplierRule(pricing.multipliers?.[field], input[field]);
+    if (match) applyMultiplier(field, input[field], `${field}: ${match.value}`, match.multiplier);
+  });
+  PRICING_BAND_FIELDS.forEach((field) => {
+    const band = findBand(pricing.bands?.[field], input[field]);
+    if (band) applyMultiplier(field, input[field], `${field}: ${formatBand(band)}`, band.multiplier);
+  });
+
+  const listingCost = Math.max(Math.round(running), pricing.minCost || 0);
+  const upgradeItems = upgrades.map((upgrade) => ({ upgrade, points: pricing.upgrades?.[upgrade] || 0 }));
+  const upgradesCost = upgradeItems.reduce((sum, item) => sum + item.points, 0);
+
+  return {
+    pricingVersion: pricing.version,
+    listingCost,
+    upgradesCost,
+    totalCost: listingCost + upgradesCost,
+    items,
+    upgrades: upgradeItems
+  };
+};
+
+/**
+ * The active pricing rules (cached)
+ * @returns {Promise<Object>} Plain rules object; version 0 = built-in defaults
+ */
+const getActivePricing = async () => {
+  const cached = cache.get(ACTIVE_CACHE_KEY);
+  if (cached) return cached;
+
+  const active = await ListingPricing.findOne({ isActive: true }).sort({ activatedAt: -1, version: -1 }).lean();
+  const pricing = active || DEFAULT_LISTING_PRICING;
+  cache.set(ACTIVE_CACHE_KEY, pricing, LISTING_PRICING_CACHE_TTL);
+  return pricing;
+};
+
+/**
+ * Cost of a listing under the active pricing rules
+ * @param {Object} listingData - Listing document or request body
+ * @param {Object} options - { upgrades: string[] }
+ * @returns {Promise<Object>} See priceListing
+ */
+const calculateListingCost = async (listingData, options = {}) => priceListing(listingData, await getActivePricing(), options);
+
+const validateMultiplierRules = (field, rules) => {
+  if (!Array.isArray(rules)) return { error: `multipliers.${field} must be an array` };
+  if (rules.length > MAX_RULES_PER_FIELD) return { error: `multipliers.${field} has more than ${MAX_RULES_PER_FIELD} rules` };
+  const seen = new Set();
+  const values = [];
+  for (const rule of rules) {
+    const value = typeof rule?.value === 'string' ? rule.value.trim() : '';
+    const multiplier = Number(rule?.multiplier);
+    if (!value) return { error: `multipliers.${field}: every rule needs a value` };
+    if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > MAX_MULTIPLIER) {
+      return { error: `multipliers.${field}: multiplier of "${value}" must be between 0 and ${MAX_MULTIPLIER}` };
+    }
+    if (seen.has(value.toLowerCase())) return { error: `multipliers.${field}: "${value}" is listed twice` };
+    seen.add(value.toLowerCase());
+    values.push({ value, multiplier });
+  }
+  return { values };
+};
+
+const validateBands = (field, bands) => {
+  if (!Array.isArray(bands)) return { error: `bands.${field} must be an array` };
+  const values = [];
+  for (const band of bands) {
+    const min = toNumberOrNull(band?.min) ?? 0;
+    const max = toNumberOrNull(band?.max);
+    const multiplier = Number(band?.multiplier);
+    if (min < 0 || (max !== null && max <= min)) {
+      return { error: `bands.${field}: each band needs 0 <= min < max (max null = no upper bound)` };
+    }
+    if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > MAX_MULTIPLIER) {
+      return { error: `bands.${field}: multiplier must be between 0 and ${MAX_MULTIPLIER}` };
+    }
+    values.push({ min, max, multiplier });
+  }
+  values.sort((a, b) => a.min - b.min);
+  for (let i = 1; i < values.length; i++) {
+    const previousMax = values[i - 1].max;
+    if (previousMax === null || previousMax > values[i].min) {
+      return { error: `bands.${field}: bands must not overlap` };
+    }
+  }
+  return { values };
+};
+
+/**
+ * Validate a new pricing version; sections left out are copied from the base rules
+ * @param {Object} body - { baseCost, minCost, multipliers, bands, upgrades, note }
+ * @param {Object} base - Rules to start from (the active version)
+ * @returns {Object} { values } or { error }
+ */
+const validatePricingInput = (body = {}, base = DEFAULT_LISTING_PRICING) => {
+  const values = {
+    baseCost: base.baseCost,
+    minCost: base.minCost || 0,
+    multipliers: {},
+    bands: {},
+    upgrades: { ...base.upgrades },
+    note: body.note ? String(body.note).trim().slice(0, 500) : null
+  };
+
+  for (const field of ['baseCost', 'minCost']) {
+    if (body[field] !== undefined) {
+      const number = Number(body[field]);
+      if (!Number.isFinite(number) || number < 0) return { error: `${field} must be a number >= 0` };
+      values[field] = number;
+    }
+  }
+
+  for (const field of PRICING_MULTIPLIER_FIELDS) {
+    const rules = body.multipliers?.[field];
+    if (rules === undefined) {
+      values.multipliers[field] = base.multipliers?.[field] || [];
+      continue;
+    }
+    const result = validateMultiplierRules(field, rules);
+    if (result.error) return result;
+    values.multipliers[field] = result.values;
+  }
+
+  for (const field of PRICING_BAND_FIELDS) {
+    const bands = body.bands?.[field];
+    if (bands === undefined) {
+      values.bands[field] = base.bands?.[field] || [];
+      continue;
+    }
+    const result = validateBands(field, bands);
+    if (result.error) return result;
+    values.bands[field] = result.values;
+  }
+
+  for (const upgrade of PRICING_UPGRADES) {
+    const points = body.upgrades?.[upgrade];
+    if (points === undefined) continue;
+    const number = Number(points);
+    if (!Number.isInteger(number) || number < 0) return { error: `upgrades.${upgrade} must be a whole number >= 0` };
+    values.upgrades[upgrade] = number;
+  }
+
+  const unknownSections = Object.keys(body).filter((key) => !['baseCost', 'minCost', 'multipliers', 'bands', 'upgrades', 'note', 'activate'].includes(key));
+  if (unknownSections.length > 0) return { error: `Unknown field(s): ${unknownSections.join(', ')}` };
+
+  return { values };
+};
+
+const clearPricingCache = () => cache.delete(ACTIVE_CACHE_KEY);
+
+/**
+ * Make a version the active one
+ * @param {number} version - Version number
+ * @param {string} adminId - Admin user id
+ * @returns {Promise<Object>} Activated version
+ * @throws 404 if the version does not exist
+ */
+const activatePricingVersion = async (version, adminId) => {
+  const activated = await ListingPricing.findOneAndUpdate(
+    { version },
+    { $set: { isActive: true, activatedAt: new Date(), activatedBy: adminId || null } },
+    { new: true }
+  ).lean();
+  if (!activated) {
+    throw errorHandler(404, `Pricing version ${version} not found`);
+  }
+  // Activate first, then deactivate the rest: readers always find an active version
+  await ListingPricing.updateMany({ _id: { $ne: activated._id }, isActive: true }, { $set: { isActive: false } });
+  clearPricingCache();
+  return activated;
+};
+
+/**
+ * Save new pricing rules as the next version
+ * @param {Object} body - Request body (see validatePricingInput); activate: false saves without activating
+ * @param {string} adminId - Admin user id
+ * @returns {Promise<Object>} Saved version
+ * @throws 400 for invalid rules, 409 if another version was saved at the same time
+ */
+const createPricingVersion = async (body, adminId) => {
+  const { values, error } = validatePricingInput(body, await getActivePricing());
+  if (error) {
+    throw errorHandler(400, error);
+  }
+
+  const latest = await ListingPricing.findOne().sort({ version: -1 }).select('version').lean();
+  let created;
+  try {
+    created = await ListingPricing.create({
+      ...values,
+      version: (latest?.version || 0) + 1,
+      createdBy: adminId || null
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw errorHandler(409, 'Another pricing version was saved at the same time. Reload and try again');
+    }
+    throw err;
+  }
+
+  if (body.activate === false || body.activate === 'false') {
+    return created.toObject();
+  }
+  return activatePricingVersion(created.version, adminId);
+};
+
+module.exports = {
+  extractPricingInput,
+  parseUpgrades,
+  priceListing,
+  getActivePricing,
+  calculateListingCost,
+  validatePricingInput,
+  createPricingVersion,
+  activatePricingVersion
+};
@@ -0,0 +1,373 @@
+/**
+ * Listing Promotions
+ * Agents buy featured / VIP placement for their own approved listings with points (PromotionProduct catalogue).
+ * A purchase debits the ledger, records a ListingPromotion and sets the listing flag with an expiry
+ * (featuredUntil / vipUntil). The promotion scheduler ends due promotions and refunds the unused days
+ * of promotions whose listing was rejected or deleted (the reject / delete paths also refund right away).
+ */
+
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const ListingPromotion = require('../models/listingPromotion.model');
+const ListingDailyStat = require('../models/listingDailyStat.model');
+const PromotionProduct = require('../models/promotionProduct.model');
+const Message = require('../models/message.model');
+const errorHandler = require('./error');
+const logger = require('./logger');
+const { postPointTransaction } = require('./pointsLedger');
+const { DAY_MS } = require('../constants/listingLifecycle');
+const {
+  PROMOTION_LISTING_FIELDS,
+  PROMOTION_SCHEDULER_INTERVAL_MINUTES,
+  PROMOTION_BATCH_SIZE
+} = require('../constants/promotions');
+
+let isRunning = false;
+let intervalId = null;
+
+const startOfUtcDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+/**
+ * Count a visit in the listing's daily stats (for promotion reports)
+ * @param {string} listingId - Listing id
+ * @returns {Promise}
+ */
+const recordListingVisit = (listingId) => ListingDailyStat.updateOne(
+  { listingId, date: startOfUtcDay(new Date()) },
+  { $inc: { visits: 1 } },
+  { upsert: true }
+);
+
+/**
+ * Buy a promotion for one of the user's listings
+ * @param {Object} params - { userId, listingId, productId }
+ * @returns {Promise<Object>} { promotion, newBalance }
+ * @throws 404 listing / product not found, 403 not the owner, 400 not promotable or not enough points,
+ *   409 the listing already has this placement
+ */
+const purchaseListingPromotion = async ({ userId, listingId, productId }) => {
+  const product = await PromotionProduct.findOne({ _id: productId, isActive: true }).lean();
+  if (!product) {
+    throw errorHandler(404, 'Promotion product not found');
+  }
+
+  const listing = await Listing.findById(listingId)
+    .select('agentId approvalStatus isDeleted isSold isScheduled isFeatured isVip featuredUntil vipUntil')
+    .lean();
+  if (!listing || listing.isDeleted) {
+    throw errorHandler(404, 'Listing not found');
+  }
+  if (listing.agentId?.toString() !== String(userId)) {
+    throw errorHandler(403, 'You can only promote your own listings');
+  }
+  if (listing.approvalStatus !== 'approved' || listing.isSold || listing.isScheduled) {
+    throw errorHandler(400, 'Only approved, published listings that are not sold can be promoted');
+  }
+
+  const fields = PROMOTION_LISTING_FIELDS[product.type];
+  const active = await ListingPromotion.findOne({ listingId, type: product.type, status: 'active' }).select('endsAt').lean();
+  if (active) {
+    throw errorHandler(409, `This listing already has a ${product.type} promotion until ${active.endsAt.toISOString()}`);
+  }
+  // Set by an admin (no expiry): buying would not change anything
+  if (listing[fields.flag] && !listing[fields.until]) {
+    throw errorHandler(409, `This listing is already ${product.type === 'vip' ? 'VIP' : 'featured'}`);
+  }
+
+  const { applyPointDeduction, reversePointDeduction } = require('../middleware/pointDeduction');
+  const promotionId = new mongoose.Types.ObjectId();
+  const startsAt = new Date();
+  const endsAt = new Date(startsAt.getTime() + product.durationDays * DAY_MS);
+
+  const deduction = await applyPointDeduction({
+    userId,
+    pointsNeeded: product.points,
+    listingId,
+    description: `Promotion: ${product.name} (${product.durationDays} days)`,
+    idempotencyKey: `promotion:${promotionId}`
+  });
+
+  let promotion;
+  try {
+    promotion = await ListingPromotion.create({
+      _id: promotionId,
+      listingId,
+      userId,
+      productId: product._id,
+      product: {
+        name: product.name,
+        type: product.type,
+        durationDays: product.durationDays,
+        points: product.points
+      },
+      type: product.type,
+      startsAt,
+      endsAt,
+      transactionId: deduction.transactionId
+    });
+    await Listing.updateOne({ _id: listingId }, { $set: { [fields.flag]: true, [fields.until]: endsAt } });
+  } catch (error) {
+    await reversePointDeduction({
+      userId,
+      deduction,
+      listingId,
+      description: 'Promotion could not be started'
+    });
+    if (promotion) {
+      await ListingPromotion.deleteOne({ _id: promotionId });
+    }
+    if (error.code === 11000) {
+      throw errorHandler(409, `This listing already has a ${product.type} promotion`);
+    }
+    throw error;
+  }
+
+  logger.info(`[PROMOTION] ${promotion._id} ${product.type} for listing ${listingId} until ${endsAt.toISOString()} (${product.points} points)`);
+  return { promotion: promotion.toObject(), newBalance: deduction.newBalance };
+};
+
+// Turn the listing flag off, unless an admin has set it since (the expiry no longer belongs to this promotion)
+const clearPromotionFlag = (promotion) => {
+  const fields = PROMOTION_LISTING_FIELDS[promotion.type];
+  return Listing.updateOne(
+    { _id: promotion.listingId, [fields.until]: promotion.endsAt },
+    { $set: { [fields.flag]: false, [fields.order]: null, [fields.until]: null } }
+  );
+};
+
+/**
+ * End an active promotion early and refund its unused time (pro rata, rounded)
+ * @param {Object} promotion - ListingPromotion (lean)
+ * @param {string} reason - Shown to the agent
+ * @returns {Promise<Object|null>} Refunded promotion, or null if it was no longer active
+ */
+const refundPromotion = async (promotion, reason) => {
+  const now = new Date();
+  const totalMs = promotion.endsAt - promotion.startsAt;
+  const remainingMs = Math.max(0, promotion.endsAt - now);
+  const refundedPoints = totalMs > 0 ? Math.round((promotion.product.points * remainingMs) / totalMs) : 0;
+
+  // Claim first: only the caller that moved it out of active pays the refund
+  const claimed = await ListingPromotion.findOneAndUpdate(
+    { _id: promotion._id, status: 'active' },
+    { $set: { status: 'refunding', endedAt: now, refundedPoints, refundReason: reason } },
+    { new: true }
+  ).lean();
+  if (!claimed) return null;
+
+  await clearPromotionFlag(claimed);
+  return completeRefund(claimed);
+};
+
+/**
+ * Post the refund of a claimed (refunding) promotion and mark it refunded.
+ * The ledger key makes a retry after a failure pay only once.
+ * @param {Object} promotion - ListingPromotion in status refunding (lean)
+ * @returns {Promise<Object|null>} Refunded promotion, or null if another run finished it
+ */
+const completeRefund = async (promotion) => {
+  let refund = null;
+  if (promotion.refundedPoints > 0) {
+    refund = await postPointTransaction({
+      userId: promotion.userId,
+      type: 'refund',
+      amount: promotion.refundedPoints,
+      description: `Promotion refund: ${promotion.product.name} (${promotion.refundReason})`,
+      listingId: promotion.listingId,
+      idempotencyKey: `promotion:${promotion._id}:refund`
+    });
+  }
+
+  const refunded = await ListingPromotion.findOneAndUpdate(
+    { _id: promotion._id, status: 'refunding' },
+    { $set: { status: 'refunded', refundTransactionId: refund ? refund.transaction._id : null } },
+    { new: true }
+  ).lean();
+  if (!refunded) return null;
+
+  logger.info(`[PROMOTION] ${refunded._id} refunded ${refunded.refundedPoints} points: ${refunded.refundReason}`);
+
+  const { notifyAgentPromotionRefunded } = require('./notifications');
+  await notifyAgentPromotionRefunded(refunded);
+  return refunded;
+};
+
+/**
+ * Refund the active promotions of a listing (rejected, deleted or overridden by an admin).
+ * Never throws: listing changes must not fail on it.
+ * @param {string} listingId - Listing id
+ * @param {string} reason - e.g. 'listing rejected'
+ * @param {Object} options - { type: only promotions of this type (featured | vip) }
+ * @returns {Promise<number>} Number of promotions refunded
+ */
+const refundListingPromotions = async (listingId, reason, { type } = {}) => {
+  try {
+    const promotions = await ListingPromotion.find({ listingId, status: 'active', ...(type ? { type } : {}) }).lean();
+    let refunded = 0;
+    for (const promotion of promotions) {
+      if (await refundPromotion(promotion, reason)) refunded++;
+    }
+    return refunded;
+  } catch (error) {
+    logger.error('[PROMOTION_REFUND_ERROR]', { listingId: String(listingId), error: error.message });
+    return 0;
+  }
+};
+
+const expireDuePromotions = async (now) => {
+  const due = await ListingPromotion.find({ status: 'active', endsAt: { $lte: now } })
+    .limit(PROMOTION_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  for (const promotion of due) {
+    const ended = await ListingPromotion.findOneAndUpdate(
+      { _id: promotion._id, status: 'active' },
+      { $set: { status: 'expired', endedAt: now } },
+      { new: true }
+    ).lean();
+    if (!ended) continue;
+    await clearPromotionFlag(ended);
+    const { notifyAgentPromotionExpired } = require('./notifications');
+    await notifyAgentPromotionExpired(ended);
+    expired++;
+  }
+  return expired;
+};
+
+// Safety net for reject / delete paths that did not refund themselves
+// Refunds claimed by a run that failed before posting them (older than one scheduler interval)
+const completeStuckRefunds = async (now) => {
+  const stuck = await ListingPromotion.find({
+    status: 'refunding',
+    endedAt: { $lte: new Date(now.getTime() - PROMOTION_SCHEDULER_INTERVAL_MINUTES * 60 * 1000) }
+  })
+    .limit(PROMOTION_BATCH_SIZE)
+    .lean();
+
+  let refunded = 0;
+  for (const promotion of stuck) {
+    try {
+      if (await completeRefund(promotion)) refunded++;
+    } catch (error) {
+      logger.error('[PROMOTION_REFUND_ERROR]', { promotionId: promotion._id.toString(), error: error.message });
+    }
+  }
+  return refunded;
+};
+
+const refundPromotionsOfRemovedListings = async () => {
+  const listingIds = await ListingPromotion.distinct('listingId', { status: 'active' });
+  if (listingIds.length === 0) return 0;
+
+  const removed = await Listing.find({
+    _id: { $in: listingIds },
+    $or: [{ isDeleted: true }, { approvalStatus: 'rejected' }]
+  })
+    .select('_id isDeleted')
+    .limit(PROMOTION_BATCH_SIZE)
+    .lean();
+
+  let refunded = 0;
+  for (const listing of removed) {
+    refunded += await refundListingPromotions(listing._id, listing.isDeleted ? 'listing deleted' : 'listing rejected');
+  }
+  return refunded;
+};
+
+/**
+ * End due promotions, finish interrupted refunds and refund promotions of rejected / deleted listings
+ * @returns {Promise<Object|null>} { expired, refunded }, or null if skipped
+ */
+const runPromotionScheduler = async () => {
+  if (isRunning || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+  isRunning = true;
+  try {
+    const now = new Date();
+    const expired = await expireDuePromotions(now);
+    const refunded = await completeStuckRefunds(now) + await refundPromotionsOfRemovedListings();
+    if (expired > 0 || refunded > 0) {
+      logger.info('[PROMOTION_SCHEDULER]', { expired, refunded });
+    }
+    return { expired, refunded };
+  } catch (error) {
+    logger.error('[PROMOTION_SCHEDULER_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the promotion scheduler (runs once now, then every PROMOTION_SCHEDULER_INTERVAL_MINUTES)
+ * Set DISABLE_PROMOTION_SCHEDULER=true to turn it off (e.g. on extra instances)
+ */
+const startPromotionScheduler = () => {
+  if (intervalId || process.env.DISABLE_PROMOTION_SCHEDULER === 'true') {
+    return;
+  }
+  runPromotionScheduler();
+  intervalId = setInterval(runPromotionScheduler, PROMOTION_SCHEDULER_INTERVAL_MINUTES * 60 * 1000);
+  logger.info(`⏰ Promotion scheduler started (every ${PROMOTION_SCHEDULER_INTERVAL_MINUTES} min)`);
+};
+
+const percentChange = (before, during) => (before > 0 ? Math.round(((during - before) / before) * 1000) / 10 : null);
+
+const sumVisits = async (listingId, from, to) => {
+  const [row] = await ListingDailyStat.aggregate([
+    { $match: { listingId: new mongoose.Types.ObjectId(String(listingId)), date: { $gte: from, $lt: to } } },
+    { $group: { _id: null, visits: { $sum: '$visits' } } }
+  ]);
+  return row ? row.visits : 0;
+};
+
+/**
+ * Visits and messages during a promotion compared with the same number of days right before it.
+ * Both periods are whole UTC days (visits are counted per day); a running promotion is compared up to today.
+ * @param {Object} promotion - ListingPromotion (lean)
+ * @returns {Promise<Object>} { promotion, periods, visits, messages }
+ */
+const getPromotionReport = async (promotion) => {
+  const end = promotion.endedAt || (promotion.endsAt < new Date() ? promotion.endsAt : new Date());
+  const duringFrom = startOfUtcDay(promotion.startsAt);
+  const days = Math.round((startOfUtcDay(end) - duringFrom) / DAY_MS) + 1;
+  const duringTo = new Date(duringFrom.getTime() + days * DAY_MS);
+  const beforeFrom = new Date(duringFrom.getTime() - days * DAY_MS);
+
+  const [visitsBefore, visitsDuring, messagesBefore, messagesDuring] = await Promise.all([
+    sumVisits(promotion.listingId, beforeFrom, duringFrom),
+    sumVisits(promotion.listingId, duringFrom, duringTo),
+    Message.countDocuments({ propertyId: promotion.listingId, createdAt: { $gte: beforeFrom, $lt: duringFrom } }),
+    Message.countDocuments({ propertyId: promotion.listingId, createdAt: { $gte: duringFrom, $lt: duringTo } })
+  ]);
+
+  return {
+    promotion,
+    periods: {
+      days,
+      before: { from: beforeFrom, to: duringFrom },
+      during: { from: duringFrom, to: duringTo }
+    },
+    visits: { before: visitsBefore, during: visitsDuring, changePercent: percentChange(visitsBefore, visitsDuring) },
+    messages: { before: messagesBefore, during: messagesDuring, changePercent: percentChange(messagesBefore, messagesDuring) }
+  };
+};
+
+module.exports = {
+  recordListingVisit,
+  purchaseListingPromotion,
+  refundPromotion,
+  refundListingPromotions,
+  runPromotionScheduler,
+  startPromotionScheduler,
+  getPromotionReport
+};
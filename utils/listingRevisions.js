@@ -0,0 +1,200 @@
+/**
+ * Listing Revisions Utility
+ * Stores versioned listing snapshots (ListingRevision) and computes field-level diffs
+ * so admins can re-review what an agent changed after approval.
+ */
+
+const ListingRevision = require('../models/listingRevision.model');
+const logger = require('./logger');
+
+// Not part of the snapshot: identity, bookkeeping, counters that change without an edit
+// and the normalized search texts (derived from the description/address/notes fields)
+const SNAPSHOT_EXCLUDED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'visitCount', 'searchText', 'searchText_ar'];
+
+// Never written back on restore: moderation/lifecycle state stays as it is now
+const RESTORE_EXCLUDED_FIELDS = [
+  'propertyId',
+  'approvalStatus',
+  'isDeleted',
+  'deletedReason',
+  'deletedAt',
+  'isSold',
+  'soldDate',
+  'soldCharges',
+  'isFeatured',
+  'featuredOrder',
+  'featuredUntil',
+  'isVip',
+  'vipOrder',
+  'vipUntil',
+  'agent',
+  'agentId',
+  'expiresAt',
+  'expiryReminderSentAt',
+  'expiredAt',
+  'renewedAt',
+  'renewalCount',
+  'publishAt',
+  'isScheduled',
+  'publishedAt',
+  // Derived fields: recomputed from mapLocation / propertyPrice / size / type+location when those are restored
+  'location',
+  'priceUSD',
+  'sizeSqm',
+  'pricePerSqm',
+  'slug',
+  'slug_ar',
+  'previousSlugs',
+  'previousPrice',
+  'previousCurrency',
+  'priceChangedAt',
+  'isPriceReduced',
+  'priceReducedAt'
+];
+
+// Fields moderators should look at first when they change after approval
+const SENSITIVE_FIELDS = [
+  'propertyPrice',
+  'currency',
+  'agentNumber',
+  'agentWhatsapp',
+  'agentEmail',
+  'agentFacebook',
+  'mapLocation',
+  'images'
+];
+
+const toRole = (user) => (user && ['user', 'agent', 'admin'].includes(user.role) ? user.role : 'system');
+const toUserId = (user) => (user ? (user.id || user._id || null) : null);
+
+/**
+ * Build a plain JSON snapshot of a listing (ObjectIds and Dates become strings)
+ * @param {Object} listing - Listing document or lean object
+ * @returns {Object} Snapshot
+ */
+const buildSnapshot = (listing) => {
+  const plain = typeof listing.toObject === 'function' ? listing.toObject() : { ...listing };
+  SNAPSHOT_EXCLUDED_FIELDS.forEach((field) => delete plain[field]);
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff between two snapshots
+ * @param {Object} fromSnapshot - Older snapshot
+ * @param {Object} toSnapshot - Newer snapshot
+ * @returns {Array} [{ field, from, to, sensitive }]
+ */
+const diffSnapshots = (fromSnapshot = {}, toSnapshot = {}) => {
+  const fields = new Set([...Object.keys(fromSnapshot || {}), ...Object.keys(toSnapshot || {})]);
+  const changes = [];
+  for (const field of fields) {
+    const from = fromSnapshot ? fromSnapshot[field] : undefined;
+    const to = toSnapshot ? toSnapshot[field] : undefined;
+    if (!isSameValue(from, to)) {
+      changes.push({
+        field,
+        from: from === undefined ? null : from,
+        to: to === undefined ? null : to,
+        sensitive: SENSITIVE_FIELDS.includes(field)
+      });
+    }
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+};
+
+/**
+ * Save a new revision of a listing
+ * Never throws - a failed revision write must not fail the listing save
+ * @param {Object} listing - Listing after the change
+ * @param {string} action - 'create' | 'update' | 'images' | 'approval' | 'restore' | 'baseline'
+ * @param {Object} user - req.user of whoever made the change (optional)
+ * @param {string} note - Optional note (rejection reason, restore source...)
+ * @returns {Promise<ListingRevision|null>} Created revision (null if unchanged or failed)
+ */
+const recordRevision = async (listing, action, user = null, note = '') => {
+  try {
+    const snapshot = buildSnapshot(listing);
+    const latest = await ListingRevision.findOne({ listingId: listing._id })
+      .sort({ version: -1 })
+      .select('version snapshot')
+      .lean();
+
+    const changedFields = latest ? diffSnapshots(latest.snapshot, snapshot).map((c) => c.field) : [];
+    // Skip no-op updates (e.g. agent pressed "save" without editing) - approvals are always kept
+    if (latest && changedFields.length === 0 && action === 'update') {
+      return null;
+    }
+
+    const data = {
+      listingId: listing._id,
+      action,
+      snapshot,
+      changedFields,
+      changedBy: toUserId(user),
+      changedByRole: toRole(user),
+      note: note || ''
+    };
+
+    try {
+      return await ListingRevision.create({ ...data, version: latest ? latest.version + 1 : 1 });
+    } catch (error) {
+      // Two concurrent edits picked the same version - retry once with a fresh number
+      if (error.code !== 11000) throw error;
+      const newest = await ListingRevision.findOne({ listingId: listing._id }).sort({ version: -1 }).select('version').lean();
+      return await ListingRevision.create({ ...data, version: (newest ? newest.version : 0) + 1 });
+    }
+  } catch (error) {
+    logger.error('[LISTING_REVISION_RECORD_ERROR]', {
+      listingId: listing?._id?.toString(),
+      action,
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Make sure a listing created before revision tracking has a starting point,
+ * so its first tracked edit produces a real diff. Call with the listing BEFORE the change.
+ * @param {Object} listingBefore - Listing document or lean object before the change
+ */
+const ensureBaselineRevision = async (listingBefore) => {
+  try {
+    const exists = await ListingRevision.exists({ listingId: listingBefore._id });
+    if (!exists) {
+      await recordRevision(listingBefore, 'baseline', null, 'Snapshot taken before the first tracked change');
+    }
+  } catch (error) {
+    logger.error('[LISTING_REVISION_BASELINE_ERROR]', {
+      listingId: listingBefore?._id?.toString(),
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pick the fields of a snapshot that may be written back on restore
+ * @param {Object} snapshot - Revision snapshot
+ * @returns {Object} Fields to apply to the listing
+ */
+const getRestorableFields = (snapshot = {}) => {
+  const fields = {};
+  Object.entries(snapshot).forEach(([field, value]) => {
+    if (!RESTORE_EXCLUDED_FIELDS.includes(field) && !SNAPSHOT_EXCLUDED_FIELDS.includes(field)) {
+      fields[field] = value;
+    }
+  });
+  return fields;
+};
+
+module.exports = {
+  SENSITIVE_FIELDS,
+  RESTORE_EXCLUDED_FIELDS,
+  buildSnapshot,
+  diffSnapshots,
+  recordRevision,
+  ensureBaselineRevision,
+  getRestorableFields
+};
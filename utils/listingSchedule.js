@@ -0,0 +1,125 @@
+/**
+ * Listing Schedule
+ * Drafts and scheduled publishing: parses publishAt from requests and runs the publish scheduler
+ * that moves approved listings with a due publishAt into public search.
+ */
+
+const mongoose = require('mongoose');
+const Listing = require('../models/listing.model');
+const logger = require('./logger');
+const {
+  LISTING_PUBLISH_INTERVAL_MINUTES,
+  LISTING_LIFECYCLE_BATCH_SIZE,
+  calculateExpiresAt
+} = require('../constants/listingLifecycle');
+
+let isRunning = false;
+let intervalId = null;
+
+/**
+ * Parse publishAt from a request body
+ * @param {*} value - ISO date string / timestamp, or '' / null to clear
+ * @returns {Object} { publishAt } (Date, or null to clear) or { error }
+ */
+const parsePublishAt = (value) => {
+  if (value === null || value === '' || value === 'null') {
+    return { publishAt: null };
+  }
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return { error: 'Invalid publishAt date' };
+  }
+  if (date <= new Date()) {
+    return { error: 'publishAt must be in the future' };
+  }
+  return { publishAt: date };
+};
+
+/**
+ * Whether a listing is shown on public pages right now
+ * (approved, not deleted/sold, and not waiting for its publishAt)
+ * @param {Object} listing - Listing document or lean object
+ * @returns {boolean}
+ */
+const isListingPublic = (listing) =>
+  listing.approvalStatus === 'approved' && !listing.isDeleted && !listing.isSold && !listing.isScheduled;
+
+/**
+ * Publish approved listings whose publishAt has passed
+ * Their lifetime (expiresAt) starts at publication, not at approval
+ * @returns {Promise<number|null>} Number of listings published, or null if skipped
+ */
+const runScheduledPublishing = async () => {
+  if (isRunning || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+  isRunning = true;
+  try {
+    const now = new Date();
+    const listings = await Listing.find({
+      isScheduled: true,
+      approvalStatus: 'approved',
+      publishAt: { $lte: now }
+    })
+      .select('_id status')
+      .limit(LISTING_LIFECYCLE_BATCH_SIZE)
+      .lean();
+
+    for (const listing of listings) {
+      await Listing.updateOne(
+        { _id: listing._id, isScheduled: true },
+        {
+          $set: {
+            isScheduled: false,
+            publishedAt: now,
+            expiresAt: calculateExpiresAt(listing.status, now),
+            expiredAt: null,
+            expiryReminderSentAt: null
+          }
+        }
+      );
+    }
+
+    if (listings.length > 0) {
+      // Now public: alert matching saved searches (required here to avoid a circular import)
+      const { matchListingToSavedSearches } = require('./savedSearches');
+      for (const listing of listings) {
+        await matchListingToSavedSearches(listing._id);
+      }
+
+      logger.info('[LISTING_SCHEDULED_PUBLISH]', {
+        published: listings.length,
+        listingIds: listings.map((l) => l._id.toString())
+      });
+    }
+    return listings.length;
+  } catch (error) {
+    logger.error('[LISTING_SCHEDULED_PUBLISH_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the publish scheduler (runs once now, then every LISTING_PUBLISH_INTERVAL_MINUTES)
+ * Set DISABLE_LISTING_PUBLISH_SCHEDULER=true to turn it off (e.g. on extra instances)
+ */
+const startListingPublishScheduler = () => {
+  if (intervalId || process.env.DISABLE_LISTING_PUBLISH_SCHEDULER === 'true') {
+    return;
+  }
+  runScheduledPublishing();
+  intervalId = setInterval(runScheduledPublishing, LISTING_PUBLISH_INTERVAL_MINUTES * 60 * 1000);
+  logger.info(`⏰ Listing publish scheduler started (every ${LISTING_PUBLISH_INTERVAL_MINUTES} min)`);
+};
+
+module.exports = {
+  parsePublishAt,
+  isListingPublic,
+  runScheduledPublishing,
+  startListingPublishScheduler
+};
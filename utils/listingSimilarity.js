@@ -0,0 +1,298 @@
+/**
+ * Similar Listings / Recommendations
+ * "Similar listings" under a listing page and personalized "you may also like" lists.
+ * Both score candidates against a profile: for similar listings the profile is the listing itself,
+ * for recommendations it is built from the user's favorites (counted twice) and recent views.
+ * Signals are the ones of the future buyer matching (type, status, city, price, size, bedrooms, amenities),
+ * but as weighted soft scores 0..1 instead of hard filters, so close alternatives still rank.
+ */
+
+const Listing = require('../models/listing.model');
+const cache = require('./cache');
+const { distanceKm } = require('./geoLocation');
+
+const PUBLIC_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+
+// Signal weights (sum = 1). A signal only counts when the profile has a value for it.
+const WEIGHTS = {
+  propertyType: 0.2,
+  status: 0.15,
+  location: 0.2,
+  price: 0.15,
+  size: 0.1,
+  bedrooms: 0.1,
+  amenities: 0.1
+};
+
+// Types that are close enough to count half
+const RELATED_TYPES = [['Villa', 'Villa/farms'], ['Apartment', 'Holiday Home']];
+// Price / size similarity falls to 0 at this relative difference
+const MAX_RELATIVE_DIFF = 0.5;
+// Listings this close count as nearby even in another neighborhood
+const NEARBY_KM = 2;
+// An amenity belongs to a multi-listing profile when at least this share of its listings has it
+const PROFILE_AMENITY_SHARE = 0.5;
+
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 24;
+const MAX_CANDIDATES = 300;
+const MAX_SEED_LISTINGS = 20;
+const MAX_PROFILE_POINTS = 20;
+const FAVORITE_SEED_WEIGHT = 2;
+const SIMILAR_CACHE_TTL = 600; // 10 minutes
+
+const SCORING_FIELDS = 'propertyType status city neighborhood priceUSD sizeSqm bedrooms amenities location createdAt';
+
+const normalizeText = (value) => (value ? String(value).trim().toLowerCase().replace(/\s+/g, ' ') : '');
+const neighborhoodKey = (listing) => (listing.neighborhood
+  ? `${normalizeText(listing.city)}|${normalizeText(listing.neighborhood)}`
+  : null);
+const relatedTypes = (type) => (RELATED_TYPES.find((group) => group.includes(type)) || []).filter((t) => t !== type);
+const hasPoint = (listing) => Array.isArray(listing.location?.coordinates) && listing.location.coordinates.length === 2;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const median = (values) => {
+  const sorted = values.filter(isNumber).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// 1 when equal, 0 at MAX_RELATIVE_DIFF apart or more
+const closeness = (value, target) => {
+  if (!isNumber(value) || !isNumber(target)) return 0;
+  const max = Math.max(Math.abs(value), Math.abs(target));
+  if (max === 0) return 1;
+  return Math.max(0, 1 - Math.abs(value - target) / max / MAX_RELATIVE_DIFF);
+};
+
+/**
+ * Weighted value counts, scaled so the most frequent value is 1
+ */
+const shareMap = (seeds, keyOf) => {
+  const counts = new Map();
+  seeds.forEach(({ listing, weight }) => {
+    const key = keyOf(listing);
+    if (key) counts.set(key, (counts.get(key) || 0) + weight);
+  });
+  const max = Math.max(0, ...counts.values());
+  return new Map([...counts].map(([key, count]) => [key, count / max]));
+};
+
+/**
+ * Profile of one or more listings
+ * @param {Array} seeds - [{ listing, weight }]
+ * @returns {Object} Profile
+ */
+const buildProfile = (seeds) => {
+  const totalWeight = seeds.reduce((sum, seed) => sum + seed.weight, 0);
+  const amenityCounts = new Map();
+  seeds.forEach(({ listing, weight }) => {
+    [...new Set(listing.amenities || [])].forEach((amenity) => {
+      amenityCounts.set(amenity, (amenityCounts.get(amenity) || 0) + weight);
+    });
+  });
+  // Rentals and sales live on different price scales
+  const priceOf = (status) => median(seeds.filter(({ listing }) => listing.status === status).map(({ listing }) => listing.priceUSD));
+
+  return {
+    propertyTypes: shareMap(seeds, (listing) => listing.propertyType),
+    statuses: shareMap(seeds, (listing) => listing.status),
+    cities: shareMap(seeds, (listing) => normalizeText(listing.city)),
+    neighborhoods: shareMap(seeds, neighborhoodKey),
+    prices: { sale: priceOf('sale'), rent: priceOf('rent') },
+    sizeSqm: median(seeds.map(({ listing }) => listing.sizeSqm)),
+    bedrooms: median(seeds.map(({ listing }) => listing.bedrooms)),
+    amenities: [...amenityCounts].filter(([, count]) => count / totalWeight >= PROFILE_AMENITY_SHARE).map(([amenity]) => amenity),
+    points: seeds.filter(({ listing }) => hasPoint(listing)).slice(0, MAX_PROFILE_POINTS).map(({ listing }) => listing.location)
+  };
+};
+
+/**
+ * Similarity of a listing to a profile
+ * @param {Object} profile - buildProfile result
+ * @param {Object} listing - Candidate listing
+ * @returns {Object} { score (0..1), reasons }
+ */
+const scoreAgainstProfile = (profile, listing) => {
+  const reasons = [];
+  let earned = 0;
+  let possible = 0;
+
+  const add = (weight, matched, reason) => {
+    possible += weight;
+    if (matched > 0) {
+      earned += weight * matched;
+      reasons.push(reason);
+    }
+  };
+
+  if (profile.propertyTypes.size > 0) {
+    const exact = profile.propertyTypes.get(listing.propertyType) || 0;
+    const related = Math.max(0, ...relatedTypes(listing.propertyType).map((type) => profile.propertyTypes.get(type) || 0));
+    add(WEIGHTS.propertyType, Math.max(exact, related / 2), exact > 0 ? 'same_type' : 'related_type');
+  }
+
+  if (profile.statuses.size > 0) {
+    add(WEIGHTS.status, profile.statuses.get(listing.status) || 0, 'same_status');
+  }
+
+  if (profile.cities.size > 0) {
+    const neighborhood = profile.neighborhoods.get(neighborhoodKey(listing)) || 0;
+    const nearby = hasPoint(listing) && profile.points.some((point) => distanceKm(point, listing.location) <= NEARBY_KM) ? 0.8 : 0;
+    const city = (profile.cities.get(normalizeText(listing.city)) || 0) * 0.5;
+    const matched = Math.max(neighborhood, nearby, city);
+    let reason = 'same_city';
+    if (matched === neighborhood) reason = 'same_neighborhood';
+    else if (matched === nearby) reason = 'nearby';
+    add(WEIGHTS.location, matched, reason);
+  }
+
+  const targetPrice = profile.prices[listing.status];
+  if (isNumber(targetPrice)) {
+    add(WEIGHTS.price, closeness(listing.priceUSD, targetPrice), 'similar_price');
+  }
+
+  if (isNumber(profile.sizeSqm)) {
+    add(WEIGHTS.size, closeness(listing.sizeSqm, profile.sizeSqm), 'similar_size');
+  }
+
+  if (isNumber(profile.bedrooms) && profile.bedrooms > 0) {
+    const diff = isNumber(listing.bedrooms) ? Math.abs(listing.bedrooms - profile.bedrooms) : Infinity;
+    add(WEIGHTS.bedrooms, diff < 1 ? 1 : (diff < 2 ? 0.5 : 0), 'similar_bedrooms');
+  }
+
+  if (profile.amenities.length > 0) {
+    const amenities = new Set(listing.amenities || []);
+    const shared = profile.amenities.filter((amenity) => amenities.has(amenity)).length;
+    add(WEIGHTS.amenities, shared / profile.amenities.length, 'shared_amenities');
+  }
+
+  return { score: possible > 0 ? Math.round((earned / possible) * 1000) / 1000 : 0, reasons };
+};
+
+const parseLimit = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+/**
+ * Best public listings for a profile (full documents, with a similarity field)
+ * Candidates share a city or a (related) property type with the profile.
+ * @param {Object} profile - buildProfile result
+ * @param {Array} excludeIds - Listing ids never returned (the listing itself, favorites ...)
+ * @param {number} limit - Max listings
+ * @returns {Promise<Array>} Listings sorted by similarity
+ */
+const findBestMatches = async (profile, excludeIds, limit) => {
+  const types = [...profile.propertyTypes.keys()];
+  const or = [];
+  if (types.length > 0) {
+    or.push({ propertyType: { $in: [...new Set([...types, ...types.flatMap(relatedTypes)])] } });
+  }
+  if (profile.cities.size > 0) {
+    // Cities are compared lower-cased; listing cities are stored with their usual capitalization
+    or.push({ city: { $in: [...profile.cities.keys()].map((city) => new RegExp(`^${city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')) } });
+  }
+  const candidates = await Listing.find({
+    ...PUBLIC_LISTING_QUERY,
+    _id: { $nin: excludeIds },
+    ...(or.length > 0 ? { $or: or } : {})
+  })
+    .select(SCORING_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+  const ranked = candidates
+    .map((candidate) => ({ candidate, ...scoreAgainstProfile(profile, candidate) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.candidate.createdAt - a.candidate.createdAt)
+    .slice(0, limit);
+  if (ranked.length === 0) return [];
+
+  const listings = await Listing.find({ _id: { $in: ranked.map(({ candidate }) => candidate._id) } }).lean();
+  const byId = new Map(listings.map((listing) => [listing._id.toString(), listing]));
+  return ranked
+    .map(({ candidate, score, reasons }) => {
+      const listing = byId.get(candidate._id.toString());
+      return listing ? { ...listing, similarity: { score, reasons } } : null;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Listings similar to a listing (cached for SIMILAR_CACHE_TTL)
+ * @param {string} listingId - Listing id
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array|null>} Listings, or null if the listing does not exist
+ */
+const getSimilarListings = async (listingId, { limit } = {}) => {
+  const maxResults = parseLimit(limit);
+  const cacheKey = `similar:${listingId}:${maxResults}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const listing = await Listing.findOne({ _id: listingId, isDeleted: { $ne: true } }).select(SCORING_FIELDS).lean();
+  if (!listing) return null;
+
+  const similar = await findBestMatches(buildProfile([{ listing, weight: 1 }]), [listing._id], maxResults);
+  cache.set(cacheKey, similar, SIMILAR_CACHE_TTL);
+  return similar;
+};
+
+/**
+ * "You may also like" for a user, from their favorites and recently viewed listings.
+ * Users without any falls back to the most visited listings (personalized: false).
+ * @param {string} userId - User id
+ * @param {Object} options - { limit }
+ * @returns {Promise<Object>} { personalized, basedOn: { favorites, recentViews }, listings }
+ */
+const getRecommendedListings = async (userId, { limit } = {}) => {
+  const Favorite = require('../models/favorite.model');
+  const ListingView = require('../models/listingView.model');
+  const maxResults = parseLimit(limit);
+
+  const [favorites, views] = await Promise.all([
+    Favorite.find({ userId }).sort({ createdAt: -1 }).limit(MAX_SEED_LISTINGS).select('propertyId').lean(),
+    ListingView.find({ userId }).sort({ lastViewedAt: -1 }).limit(MAX_SEED_LISTINGS).select('listingId').lean()
+  ]);
+  const favoriteIds = favorites.map((favorite) => favorite.propertyId.toString());
+  const viewedIds = views.map((view) => view.listingId.toString());
+  const seedIds = [...new Set([...favoriteIds, ...viewedIds])];
+
+  const seedListings = seedIds.length > 0
+    ? await Listing.find({ _id: { $in: seedIds }, isDeleted: { $ne: true } }).select(SCORING_FIELDS).lean()
+    : [];
+
+  if (seedListings.length === 0) {
+    const popular = await Listing.find(PUBLIC_LISTING_QUERY)
+      .sort({ visitCount: -1, createdAt: -1 })
+      .limit(maxResults)
+      .lean();
+    return { personalized: false, basedOn: { favorites: 0, recentViews: 0 }, listings: popular };
+  }
+
+  const favoriteSet = new Set(favoriteIds);
+  const seeds = seedListings.map((listing) => ({
+    listing,
+    weight: favoriteSet.has(listing._id.toString()) ? FAVORITE_SEED_WEIGHT : 1
+  }));
+  // Listings the user already saved or opened are not recommended again
+  const listings = await findBestMatches(buildProfile(seeds), seedIds, maxResults);
+  return {
+    personalized: true,
+    basedOn: { favorites: favoriteIds.length, recentViews: viewedIds.length },
+    listings
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  buildProfile,
+  scoreAgainstProfile,
+  getSimilarListings,
+  getRecommendedListings
+};
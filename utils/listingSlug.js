@@ -0,0 +1,90 @@
+/**
+ * Listing Slugs
+ * Readable, stable URLs for public listing pages in English and Arabic:
+ *   apartment-mazzeh-damascus-PROP1234 / شقة-المزة-دمشق-PROP1234
+ * propertyId keeps every slug unique. When type/neighborhood/city change, the old slugs
+ * are kept in previousSlugs so GET /api/listing/by-slug/:slug can redirect them.
+ */
+
+const arTranslations = require('../locales/ar/translation.json');
+
+const MAX_PART_LENGTH = 40;
+const ARABIC_CHARS = /[\u0600-\u06FF]/;
+
+/**
+ * Turn free text into a URL-safe slug part (keeps Latin letters, digits and Arabic letters)
+ * @param {string} text - Source text
+ * @returns {string} Lower-case, dash-separated slug part ('' if nothing usable)
+ */
+const slugify = (text) => {
+  if (!text) return '';
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // Latin accents
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, '') // Arabic diacritics and tatweel
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0600-\u06FF]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_PART_LENGTH)
+    .replace(/-+$/g, '');
+};
+
+// propertyId is kept as-is (minus separators) so it stays recognisable: PROP_1234 -> PROP1234
+const slugifyPropertyId = (propertyId) => String(propertyId || '').replace(/[^A-Za-z0-9]/g, '');
+
+const translateAr = (group, value) => (value && arTranslations[group] && arTranslations[group][value]) || value;
+
+const joinParts = (parts, propertyId) => {
+  const id = slugifyPropertyId(propertyId);
+  return [...parts.map(slugify).filter(Boolean), id].filter(Boolean).join('-');
+};
+
+/**
+ * Build the English and Arabic slugs of a listing
+ * @param {Object} listing - Listing document or plain data
+ * @returns {Object} { slug, slug_ar } (empty strings if the listing has no propertyId yet)
+ */
+const buildListingSlugs = (listing) => {
+  if (!listing || !listing.propertyId) {
+    return { slug: '', slug_ar: '' };
+  }
+  const city = listing.city || listing.state;
+  return {
+    slug: joinParts([listing.propertyType, listing.neighborhood, city], listing.propertyId),
+    slug_ar: joinParts([
+      translateAr('propertyType', listing.propertyType),
+      listing.neighborhood_ar || listing.neighborhood,
+      translateAr('cities', city)
+    ], listing.propertyId)
+  };
+};
+
+/**
+ * Slug fields to save when a listing changes: new slugs, plus the replaced ones in previousSlugs
+ * @param {Object} current - Listing as stored now (slug, slug_ar, previousSlugs)
+ * @param {Object} next - Listing data after the change (merged)
+ * @returns {Object|null} { slug, slug_ar, previousSlugs } or null if nothing changed
+ */
+const getSlugUpdate = (current, next) => {
+  const slugs = buildListingSlugs(next);
+  if (!slugs.slug || (slugs.slug === current.slug && slugs.slug_ar === current.slug_ar)) {
+    return null;
+  }
+  const previousSlugs = new Set(current.previousSlugs || []);
+  [current.slug, current.slug_ar].forEach((old) => {
+    if (old && old !== slugs.slug && old !== slugs.slug_ar) previousSlugs.add(old);
+  });
+  // A listing moving back to an earlier slug no longer needs the redirect
+  previousSlugs.delete(slugs.slug);
+  previousSlugs.delete(slugs.slug_ar);
+  return { ...slugs, previousSlugs: [...previousSlugs] };
+};
+
+const isArabicSlug = (slug) => ARABIC_CHARS.test(slug || '');
+
+module.exports = {
+  slugify,
+  buildListingSlugs,
+  getSlugUpdate,
+  isArabicSlug
+};
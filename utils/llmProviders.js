@@ -0,0 +1,378 @@
+/**
+ * LLM Providers
+ * Registry of the chat-completion providers behind AI search. Callers use completeLLM() and never see
+ * which provider answers; switching is configuration only (constants/llm.js):
+ * - deepseek / openai: hosted APIs (DEEPSEEK_API_KEY / OPENAI_API_KEY)
+ * - local: any OpenAI-compatible server at LLM_BASE_URL (Ollama, LM Studio, vLLM ...)
+ * - mock: deterministic and offline - answers with the rule-based parse of the user message
+ * completeLLM adds the timeout, retries, answer cache and the daily cost budget for every provider.
+ */
+
+const crypto = require('crypto');
+const OpenAI = require('openai');
+const logger = require('./logger');
+const cache = require('./cache');
+const {
+  LLM_PROVIDER,
+  LLM_AUTO_PROVIDER_ORDER,
+  LLM_MODEL,
+  LLM_BASE_URL,
+  LLM_TIMEOUT_MS,
+  LLM_MAX_RETRIES,
+  LLM_RETRY_DELAY_MS,
+  LLM_CACHE_TTL_SECONDS,
+  LLM_DAILY_BUDGET_USD,
+  LLM_DEFAULT_PRICING,
+  LLM_PRICE_INPUT_PER_1M,
+  LLM_PRICE_OUTPUT_PER_1M,
+  LLM_MOCK_LATENCY_MS,
+  LLM_MOCK_FAIL
+} = require('../constants/llm');
+
+const DEEPSEEK_BASE_URL = 'https://api.deepseek.com';
+
+// The spend of the day is re-read from the database this often (other instances spend too)
+const SPENT_REFRESH_MS = 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rough token count for providers that do not report usage
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+/**
+ * Error of an LLM call
+ * @param {string} message - Message
+ * @param {Object} details - { code, status, retryable }
+ * @returns {Error}
+ */
+const llmError = (message, { code = 'LLM_ERROR', status = null, retryable = false } = {}) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+};
+
+/**
+ * Provider for an OpenAI-compatible chat completions API
+ * @param {Object} options - { name, label, apiKey, baseURL, model, jsonMode }
+ * @returns {Object} Provider { name, label, model, complete }
+ */
+const createOpenAICompatibleProvider = ({ name, label, apiKey, baseURL, model, jsonMode = true }) => {
+  // Retries and timeouts are handled by completeLLM, the same way for every provider
+  const client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: LLM_TIMEOUT_MS, maxRetries: 0 });
+  return {
+    name,
+    label,
+    model,
+    complete: async ({ system, user, temperature, maxTokens, json }) => {
+      try {
+        const completion = await client.chat.completions.create({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: user }
+          ],
+          temperature,
+          max_tokens: maxTokens,
+          ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {})
+        });
+        const text = completion.choices[0]?.message?.content || null;
+        return {
+          text,
+          usage: {
+            inputTokens: completion.usage?.prompt_tokens ?? estimateTokens(system) + estimateTokens(user),
+            outputTokens: completion.usage?.completion_tokens ?? estimateTokens(text)
+          }
+        };
+      } catch (error) {
+        if (error instanceof OpenAI.APIConnectionTimeoutError) {
+          throw llmError(`${label} request timed out`, { code: 'LLM_TIMEOUT', retryable: true });
+        }
+        if (error instanceof OpenAI.APIConnectionError) {
+          throw llmError(`Could not reach ${label}: ${error.message}`, { code: 'LLM_UNREACHABLE', retryable: true });
+        }
+        if (error instanceof OpenAI.APIError) {
+          if (error.status === 401) {
+            throw llmError(`Invalid ${label} API key. Please check your configuration.`, { status: 401 });
+          }
+          if (error.status === 429) {
+            throw llmError(`${label} rate limit exceeded. Please try again later.`, { status: 429, retryable: true });
+          }
+          if (error.status >= 500) {
+            throw llmError(`${label} service error. Please try again later.`, { status: error.status, retryable: true });
+          }
+          throw llmError(`${label} request failed: ${error.message}`, { status: error.status });
+        }
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Deterministic offline provider: the answer is the rule-based parse of the user message as JSON
+ * (the system prompt is ignored), so AI search runs end to end without network or API keys
+ * @param {string} model - Model name reported in usage / status
+ * @returns {Object} Provider
+ */
+const createMockProvider = (model) => ({
+  name: 'mock',
+  label: 'Mock (offline)',
+  model,
+  complete: async ({ user }) => {
+    if (LLM_MOCK_LATENCY_MS > 0) await sleep(LLM_MOCK_LATENCY_MS);
+    if (LLM_MOCK_FAIL) {
+      throw llmError('Mock LLM failure (LLM_MOCK_FAIL=true)', { code: 'LLM_MOCK_FAILURE' });
+    }
+    const { parseQuery } = require('./ruleBasedParser');
+    const text = JSON.stringify(parseQuery(user));
+    return { text, usage: { inputTokens: estimateTokens(user), outputTokens: estimateTokens(text) } };
+  }
+});
+
+// name -> { label, defaultModel, isConfigured(), create(model), pricing? }
+const PROVIDERS = {
+  deepseek: {
+    label: 'DeepSeek',
+    defaultModel: 'deepseek-chat',
+    isConfigured: () => Boolean(process.env.DEEPSEEK_API_KEY),
+    create: (model) => createOpenAICompatibleProvider({
+      name: 'deepseek', label: 'DeepSeek', apiKey: process.env.DEEPSEEK_API_KEY, baseURL: DEEPSEEK_BASE_URL, model
+    })
+  },
+  openai: {
+    label: 'OpenAI',
+    defaultModel: 'gpt-3.5-turbo',
+    isConfigured: () => Boolean(process.env.OPENAI_API_KEY),
+    create: (model) => createOpenAICompatibleProvider({
+      name: 'openai', label: 'OpenAI', apiKey: process.env.OPENAI_API_KEY, model
+    })
+  },
+  local: {
+    label: 'Local (OpenAI-compatible)',
+    defaultModel: 'llama3.1',
+    isConfigured: () => Boolean(LLM_BASE_URL),
+    // Not every local server supports response_format - the prompt asks for JSON only anyway
+    create: (model) => createOpenAICompatibleProvider({
+      name: 'local', label: 'Local LLM', apiKey: process.env.LLM_API_KEY, baseURL: LLM_BASE_URL, model, jsonMode: false
+    })
+  },
+  mock: {
+    label: 'Mock (offline)',
+    defaultModel: 'mock-rule-based',
+    isConfigured: () => true,
+    create: createMockProvider
+  }
+};
+
+const instances = new Map();
+const warned = new Set();
+const warnOnce = (message) => {
+  if (warned.has(message)) return;
+  warned.add(message);
+  logger.warn(`[LLM] ${message}`);
+};
+
+/**
+ * Add or replace a provider (e.g. another hosted API)
+ * @param {string} name - Provider name, selectable with LLM_PROVIDER
+ * @param {Object} definition - { label, defaultModel, isConfigured(), create(model), pricing?: { input, output } }
+ */
+const registerLLMProvider = (name, definition) => {
+  PROVIDERS[name] = definition;
+  [...instances.keys()].filter((key) => key.startsWith(`${name}:`)).forEach((key) => instances.delete(key));
+};
+
+const resolveProviderName = () => {
+  if (LLM_PROVIDER) {
+    if (LLM_PROVIDER === 'none') return null;
+    const definition = PROVIDERS[LLM_PROVIDER];
+    if (!definition) {
+      warnOnce(`Unknown LLM_PROVIDER "${LLM_PROVIDER}" - AI search uses the rule-based parser only`);
+      return null;
+    }
+    if (!definition.isConfigured()) {
+      warnOnce(`LLM_PROVIDER "${LLM_PROVIDER}" is not configured - AI search uses the rule-based parser only`);
+      return null;
+    }
+    return LLM_PROVIDER;
+  }
+  return LLM_AUTO_PROVIDER_ORDER.find((name) => PROVIDERS[name] && PROVIDERS[name].isConfigured()) || null;
+};
+
+/**
+ * The active provider, or null when no LLM is configured
+ * @returns {Object|null} { name, label, model, complete }
+ */
+const getLLMProvider = () => {
+  const name = resolveProviderName();
+  if (!name) return null;
+  const model = LLM_MODEL || PROVIDERS[name].defaultModel;
+  const key = `${name}:${model}`;
+  if (!instances.has(key)) {
+    instances.set(key, PROVIDERS[name].create(model));
+  }
+  return instances.get(key);
+};
+
+/**
+ * USD per 1M input / output tokens of a provider
+ * @param {string} name - Provider name
+ * @returns {Object} { input, output }
+ */
+const getProviderPricing = (name) => {
+  const defaults = (PROVIDERS[name] && PROVIDERS[name].pricing) || LLM_DEFAULT_PRICING[name] || { input: 0, output: 0 };
+  return {
+    input: LLM_PRICE_INPUT_PER_1M ?? defaults.input,
+    output: LLM_PRICE_OUTPUT_PER_1M ?? defaults.output
+  };
+};
+
+// Free providers (local, mock) are not metered, so they also work without a database
+const isMetered = (name) => {
+  const pricing = getProviderPricing(name);
+  return pricing.input > 0 || pricing.output > 0;
+};
+
+const utcDay = () => new Date().toISOString().slice(0, 10);
+
+let spentToday = { day: null, costUSD: 0, refreshedAt: 0 };
+
+/**
+ * LLM spend of the current UTC day in USD (all instances, refreshed every minute)
+ * @returns {Promise<number>}
+ */
+const getSpentTodayUSD = async () => {
+  const day = utcDay();
+  if (spentToday.day === day && Date.now() - spentToday.refreshedAt < SPENT_REFRESH_MS) {
+    return spentToday.costUSD;
+  }
+  try {
+    const LlmUsage = require('../models/llmUsage.model');
+    const [row] = await LlmUsage.aggregate([
+      { $match: { day } },
+      { $group: { _id: null, costUSD: { $sum: '$costUSD' } } }
+    ]);
+    spentToday = { day, costUSD: row ? row.costUSD : 0, refreshedAt: Date.now() };
+  } catch (error) {
+    // Keep the local count (never blocks AI search on a database problem)
+    logger.warn('[LLM] Could not read today\'s LLM usage:', error.message);
+    if (spentToday.day !== day) spentToday = { day, costUSD: 0, refreshedAt: Date.now() };
+  }
+  return spentToday.costUSD;
+};
+
+/**
+ * Count a provider call towards today's usage (fire-and-forget)
+ */
+const recordUsage = (provider, usage, failed = false) => {
+  if (!isMetered(provider.name)) return;
+  const pricing = getProviderPricing(provider.name);
+  const inputTokens = usage ? usage.inputTokens : 0;
+  const outputTokens = usage ? usage.outputTokens : 0;
+  const costUSD = (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+  const day = utcDay();
+  if (spentToday.day === day) spentToday.costUSD += costUSD;
+
+  const LlmUsage = require('../models/llmUsage.model');
+  LlmUsage.updateOne(
+    { day, provider: provider.name, model: provider.model },
+    { $inc: { requests: 1, failedRequests: failed ? 1 : 0, inputTokens, outputTokens, costUSD } },
+    { upsert: true }
+  ).catch((error) => logger.warn('[LLM] Could not record LLM usage:', error.message));
+};
+
+const withTimeout = (promise, ms, label) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(llmError(`${label} request timed out`, { code: 'LLM_TIMEOUT', retryable: true })), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex').slice(0, 16);
+
+/**
+ * Run a chat completion on the active provider
+ * @param {Object} params - { system, user, cacheKey, temperature = 0.3, maxTokens = 500, json = true }
+ *   cacheKey: normalized form of the user message - equal keys share one cached answer (omit to skip the cache)
+ * @returns {Promise<Object>} { text, usage, cached, provider, model }
+ * @throws Error with code LLM_NOT_CONFIGURED, LLM_BUDGET_EXCEEDED, LLM_TIMEOUT ... when no answer was obtained
+ */
+const completeLLM = async ({ system, user, cacheKey, temperature = 0.3, maxTokens = 500, json = true }) => {
+  const provider = getLLMProvider();
+  if (!provider) {
+    throw llmError('No LLM provider configured', { code: 'LLM_NOT_CONFIGURED' });
+  }
+
+  const key = LLM_CACHE_TTL_SECONDS > 0 && cacheKey
+    ? `llm:${provider.name}:${provider.model}:${hashText(`${system}\n${cacheKey}`)}`
+    : null;
+  const cached = key ? cache.get(key) : null;
+  if (cached) {
+    return { ...cached, cached: true, provider: provider.name, model: provider.model };
+  }
+
+  if (LLM_DAILY_BUDGET_USD > 0 && isMetered(provider.name)) {
+    const spent = await getSpentTodayUSD();
+    if (spent >= LLM_DAILY_BUDGET_USD) {
+      warnOnce(`Daily LLM budget of ${LLM_DAILY_BUDGET_USD} USD reached on ${utcDay()} - using the rule-based parser only`);
+      throw llmError(`Daily LLM budget of ${LLM_DAILY_BUDGET_USD} USD reached`, { code: 'LLM_BUDGET_EXCEEDED' });
+    }
+  }
+
+  let result;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      result = await withTimeout(
+        provider.complete({ system, user, temperature, maxTokens, json }),
+        LLM_TIMEOUT_MS,
+        provider.label
+      );
+      break;
+    } catch (error) {
+      recordUsage(provider, null, true);
+      if (!error.retryable || attempt >= LLM_MAX_RETRIES) throw error;
+      logger.warn(`[LLM] ${error.message} - retry ${attempt + 1}/${LLM_MAX_RETRIES}`);
+      await sleep(LLM_RETRY_DELAY_MS * 2 ** attempt);
+    }
+  }
+
+  recordUsage(provider, result.usage);
+  if (!result.text) {
+    throw llmError('No response from AI service', { code: 'LLM_EMPTY_RESPONSE' });
+  }
+
+  const answer = { text: result.text, usage: result.usage };
+  if (key) cache.set(key, answer, LLM_CACHE_TTL_SECONDS);
+  return { ...answer, cached: false, provider: provider.name, model: provider.model };
+};
+
+/**
+ * Active provider and today's spend (admin reports)
+ * @returns {Promise<Object>} { provider, label, model, metered, dailyBudgetUSD, spentTodayUSD }
+ */
+const getLLMStatus = async () => {
+  const provider = getLLMProvider();
+  if (!provider) {
+    return { provider: null, label: null, model: null, metered: false, dailyBudgetUSD: LLM_DAILY_BUDGET_USD, spentTodayUSD: 0 };
+  }
+  const metered = isMetered(provider.name);
+  return {
+    provider: provider.name,
+    label: provider.label,
+    model: provider.model,
+    metered,
+    dailyBudgetUSD: LLM_DAILY_BUDGET_USD,
+    spentTodayUSD: metered ? Math.round((await getSpentTodayUSD()) * 10000) / 10000 : 0
+  };
+};
+
+module.exports = {
+  registerLLMProvider,
+  getLLMProvider,
+  getProviderPricing,
+  completeLLM,
+  getLLMStatus
+};
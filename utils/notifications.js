@@ -7,6 +7,7 @@ const Notification = require('../models/notification.model');
 const {
   ADMIN_NOTIFICATION_TYPES,
   AGENT_NOTIFICATION_TYPES,
+  USER_NOTIFICATION_TYPES,
   NOTIFICATION_TYPE_TO_ALERT,
   NOTIFICATION_TYPE_TO_PRIORITY,
   NOTIFICATION_TYPE_LABELS
@@ -227,8 +228,9 @@ const notifyAdminAgentNewListing = async (listingId, agentId, listingTitle, prop
 
 /**
  * Create notification for admin when agent updates a listing
+ * @param {Object} revision - Optional { version, changedFields } from the listing revision history
  */
-const notifyAdminAgentUpdateListing = async (listingId, agentId, listingTitle, propertyId = null) => {
+const notifyAdminAgentUpdateListing = async (listingId, agentId, listingTitle, propertyId = null, revision = null) => {
   try {
     const User = require('../models/user.model');
     const admins = await User.find({ role: 'admin' }).select('_id').lean();
@@ -236,13 +238,20 @@ const notifyAdminAgentUpdateListing = async (listingId, agentId, listingTitle, p
     // Use propertyId if provided, otherwise use listingId
     const displayId = propertyId || listingId;
 
+    // Keep the message under the 500 character limit of the notification model
+    const changedFieldsText = revision?.changedFields?.length
+      ? revision.changedFields.slice(0, 10).join(', ') + (revision.changedFields.length > 10 ? '...' : '')
+      : '';
+
     const notifications = await Promise.all(
       admins.map(admin =>
         createNotification({
           recipientId: admin._id,
           type: ADMIN_NOTIFICATION_TYPES.AGENT_UPDATE_LISTING,
           title: 'Listing Updated',
-          message: `Agent has updated listing: ${listingTitle} (ID: ${displayId})`,
+          message: changedFieldsText
+            ? `Agent has updated listing: ${listingTitle} (ID: ${displayId}). Changed: ${changedFieldsText}`
+            : `Agent has updated listing: ${listingTitle} (ID: ${displayId})`,
           relatedEntity: {
             entityType: 'listing',
             entityId: listingId
@@ -251,7 +260,9 @@ const notifyAdminAgentUpdateListing = async (listingId, agentId, listingTitle, p
             listingId,
             propertyId: displayId,
             agentId,
-            listingTitle
+            listingTitle,
+            revisionVersion: revision?.version || null,
+            changedFields: revision?.changedFields || []
           },
           metadata: {
             senderId: agentId,
@@ -581,6 +592,79 @@ const notifyAgentListingRejected = async (agentId, listingId, listingTitle, reje
   }
 };
 
+/**
+ * Create notification for agent when an approved listing is about to expire
+ */
+const notifyAgentListingExpiring = async (agentId, listingId, listingTitle, expiresAt) => {
+  try {
+    const daysLeft = Math.max(0, Math.ceil((new Date(expiresAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+    const notification = await createNotification({
+      recipientId: agentId,
+      type: AGENT_NOTIFICATION_TYPES.LISTING_EXPIRING,
+      title: 'Listing Expiring Soon',
+      message: `Your listing "${listingTitle}" expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}. Renew it to keep it live.`,
+      relatedEntity: {
+        entityType: 'listing',
+        entityId: listingId
+      },
+      data: {
+        listingId,
+        listingTitle,
+        expiresAt,
+        daysLeft
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_AGENT_LISTING_EXPIRING]', {
+      agentId,
+      listingId
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_AGENT_LISTING_EXPIRING_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create notification for agent when a listing has expired
+ */
+const notifyAgentListingExpired = async (agentId, listingId, listingTitle) => {
+  try {
+    const notification = await createNotification({
+      recipientId: agentId,
+      type: AGENT_NOTIFICATION_TYPES.LISTING_EXPIRED,
+      title: 'Listing Expired',
+      message: `Your listing "${listingTitle}" has expired and is no longer visible. Renew it to publish it again.`,
+      relatedEntity: {
+        entityType: 'listing',
+        entityId: listingId
+      },
+      data: {
+        listingId,
+        listingTitle
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_AGENT_LISTING_EXPIRED]', {
+      agentId,
+      listingId
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_AGENT_LISTING_EXPIRED_ERROR]', error);
+    return null;
+  }
+};
+
 /**
  * Create notification for agent when agent account is approved
  */
@@ -728,6 +812,271 @@ const notifyAdminFutureBuyerRequest = async (futureBuyerId, buyerName, buyerEmai
   }
 };
 
+/**
+ * Create notification for a user when a new listing matches one of their saved searches (instant alerts)
+ */
+const notifyUserSavedSearchMatch = async (userId, savedSearchId, searchName, listingId, listingTitle) => {
+  try {
+    const notification = await createNotification({
+      recipientId: userId,
+      type: USER_NOTIFICATION_TYPES.SAVED_SEARCH_MATCH,
+      title: 'New Listing For Your Saved Search',
+      message: `"${listingTitle}" matches your saved search "${searchName}".`,
+      relatedEntity: {
+        entityType: 'listing',
+        entityId: listingId
+      },
+      data: {
+        savedSearchId,
+        searchName,
+        listingId,
+        listingTitle
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_USER_SAVED_SEARCH_MATCH]', {
+      userId,
+      savedSearchId,
+      listingId
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_USER_SAVED_SEARCH_MATCH_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create the daily digest notification of a saved search
+ */
+const notifyUserSavedSearchDigest = async (userId, savedSearchId, searchName, listingIds) => {
+  try {
+    const count = listingIds.length;
+    const notification = await createNotification({
+      recipientId: userId,
+      type: USER_NOTIFICATION_TYPES.SAVED_SEARCH_DIGEST,
+      title: 'Saved Search Daily Digest',
+      message: `${count} new listing${count === 1 ? '' : 's'} match${count === 1 ? 'es' : ''} your saved search "${searchName}".`,
+      relatedEntity: {
+        entityType: 'saved_search',
+        entityId: savedSearchId
+      },
+      data: {
+        savedSearchId,
+        searchName,
+        listingIds
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_USER_SAVED_SEARCH_DIGEST]', {
+      userId,
+      savedSearchId,
+      count
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_USER_SAVED_SEARCH_DIGEST_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create notification for admins when a manual (bank transfer / cash) point order waits for confirmation
+ */
+const notifyAdminPointOrderPending = async (order) => {
+  try {
+    const User = require('../models/user.model');
+    const admins = await User.find({ role: 'admin' }).select('_id').lean();
+    const { points, price, currency } = order.package;
+
+    const notifications = await Promise.all(admins.map((admin) => createNotification({
+      recipientId: admin._id,
+      type: ADMIN_NOTIFICATION_TYPES.POINT_ORDER_PENDING,
+      title: 'Payment Awaiting Confirmation',
+      message: `Order ${order.providerReference}: ${points} points for ${price} ${currency}. Confirm it once the payment arrives.`,
+      relatedEntity: {
+        entityType: 'point_order',
+        entityId: order._id
+      },
+      data: {
+        orderId: order._id,
+        userId: order.userId,
+        reference: order.providerReference,
+        points,
+        price,
+        currency
+      },
+      metadata: {
+        source: 'system'
+      }
+    }).catch(() => null)));
+
+    logger.info('[NOTIFICATION_ADMIN_POINT_ORDER_PENDING]', {
+      orderId: order._id,
+      adminCount: admins.length
+    });
+
+    return notifications.filter(Boolean);
+  } catch (error) {
+    logger.error('[NOTIFICATION_ADMIN_POINT_ORDER_PENDING_ERROR]', error);
+    return [];
+  }
+};
+
+/**
+ * Create notification for a user when their point order is paid and the points are credited
+ */
+const notifyUserPointOrderCompleted = async (order) => {
+  try {
+    const notification = await createNotification({
+      recipientId: order.userId,
+      type: USER_NOTIFICATION_TYPES.POINT_ORDER_COMPLETED,
+      title: 'Points Added',
+      message: `${order.package.points} points from "${order.package.name}" were added to your balance.`,
+      relatedEntity: {
+        entityType: 'point_order',
+        entityId: order._id
+      },
+      data: {
+        orderId: order._id,
+        points: order.package.points,
+        packageName: order.package.name
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_USER_POINT_ORDER_COMPLETED]', {
+      userId: order.userId,
+      orderId: order._id
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_USER_POINT_ORDER_COMPLETED_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create notification for a user when the payment of their point order failed or was rejected
+ */
+const notifyUserPointOrderFailed = async (order) => {
+  try {
+    const notification = await createNotification({
+      recipientId: order.userId,
+      type: USER_NOTIFICATION_TYPES.POINT_ORDER_FAILED,
+      title: 'Payment Failed',
+      message: `The payment for "${order.package.name}" was not completed${order.failureReason ? `: ${order.failureReason}` : '.'}`,
+      relatedEntity: {
+        entityType: 'point_order',
+        entityId: order._id
+      },
+      data: {
+        orderId: order._id,
+        reason: order.failureReason
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_USER_POINT_ORDER_FAILED]', {
+      userId: order.userId,
+      orderId: order._id
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_USER_POINT_ORDER_FAILED_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create notification for agent when a bought promotion has run its full duration
+ */
+const notifyAgentPromotionExpired = async (promotion) => {
+  try {
+    const placement = promotion.type === 'vip' ? 'VIP' : 'featured';
+    const notification = await createNotification({
+      recipientId: promotion.userId,
+      type: AGENT_NOTIFICATION_TYPES.PROMOTION_EXPIRED,
+      title: 'Promotion Ended',
+      message: `Your "${promotion.product.name}" promotion has ended and the listing is no longer ${placement}. See the promotion report for its results.`,
+      relatedEntity: {
+        entityType: 'listing',
+        entityId: promotion.listingId
+      },
+      data: {
+        promotionId: promotion._id,
+        listingId: promotion.listingId,
+        type: promotion.type
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_AGENT_PROMOTION_EXPIRED]', {
+      agentId: promotion.userId,
+      promotionId: promotion._id
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_AGENT_PROMOTION_EXPIRED_ERROR]', error);
+    return null;
+  }
+};
+
+/**
+ * Create notification for agent when a promotion was ended early (listing rejected / deleted) and refunded
+ */
+const notifyAgentPromotionRefunded = async (promotion) => {
+  try {
+    const notification = await createNotification({
+      recipientId: promotion.userId,
+      type: AGENT_NOTIFICATION_TYPES.PROMOTION_REFUNDED,
+      title: 'Promotion Refunded',
+      message: `Your "${promotion.product.name}" promotion was stopped (${promotion.refundReason}). ${promotion.refundedPoints} points for the unused days were returned to your balance.`,
+      relatedEntity: {
+        entityType: 'listing',
+        entityId: promotion.listingId
+      },
+      data: {
+        promotionId: promotion._id,
+        listingId: promotion.listingId,
+        refundedPoints: promotion.refundedPoints,
+        reason: promotion.refundReason
+      },
+      metadata: {
+        source: 'system'
+      }
+    });
+
+    logger.info('[NOTIFICATION_AGENT_PROMOTION_REFUNDED]', {
+      agentId: promotion.userId,
+      promotionId: promotion._id,
+      refundedPoints: promotion.refundedPoints
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error('[NOTIFICATION_AGENT_PROMOTION_REFUNDED_ERROR]', error);
+    return null;
+  }
+};
+
 module.exports = {
   createNotification,
   notifyAdminNewAgent,
@@ -742,6 +1091,15 @@ module.exports = {
   notifyAgentMessage,
   notifyAgentListingApproved,
   notifyAgentListingRejected,
-  notifyAgentApproved
+  notifyAgentListingExpiring,
+  notifyAgentListingExpired,
+  notifyAgentApproved,
+  notifyUserSavedSearchMatch,
+  notifyUserSavedSearchDigest,
+  notifyAdminPointOrderPending,
+  notifyUserPointOrderCompleted,
+  notifyUserPointOrderFailed,
+  notifyAgentPromotionExpired,
+  notifyAgentPromotionRefunded
 };
 
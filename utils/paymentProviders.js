@@ -0,0 +1,151 @@
+/**
+ * Payment Providers
+ * Registry of the checkout providers behind point purchases (utils/pointPurchases.js). A provider only talks
+ * about payments - crediting points and updating the user's package is done by the purchase flow:
+ * - manual: bank transfer / cash. The user gets a reference and the bank details, an admin confirms the order.
+ * - webhook: external gateway (stub). The user pays on PAYMENT_WEBHOOK_CHECKOUT_URL, the gateway calls
+ *   POST /api/points/webhooks/webhook signed with HMAC-SHA256 (PAYMENT_WEBHOOK_SECRET).
+ *
+ * Provider definition:
+ *   label, paymentMethod (PointTransaction.paymentMethod), adminConfirmation (admins may confirm / reject),
+ *   isConfigured(), createCheckout(order) -> { status, providerReference, checkout },
+ *   parseWebhook(req) -> { providerReference, status: completed|failed, amount, currency, reason } (optional)
+ */
+
+const crypto = require('crypto');
+const errorHandler = require('./error');
+const {
+  PAYMENT_BANK_DETAILS,
+  PAYMENT_WEBHOOK_SECRET,
+  PAYMENT_WEBHOOK_CHECKOUT_URL,
+  PAYMENT_WEBHOOK_TOLERANCE_SECONDS
+} = require('../constants/payments');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+
+/**
+ * Signature header value for a webhook body: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds (default now)
+ * @returns {string} Header value
+ */
+const signWebhookPayload = (body, secret, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check a webhook signature header
+ * @throws 401 if missing, malformed, too old or not matching
+ */
+const verifyWebhookSignature = (body, header, secret) => {
+  const parts = Object.fromEntries(String(header || '').split(',').map((part) => part.trim().split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    throw errorHandler(401, 'Missing or malformed payment signature');
+  }
+  if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > PAYMENT_WEBHOOK_TOLERANCE_SECONDS) {
+    throw errorHandler(401, 'Payment signature expired');
+  }
+  const expected = signWebhookPayload(body, secret, timestamp).split('v1=')[1];
+  const given = Buffer.from(parts.v1, 'hex');
+  if (given.length !== expected.length / 2 || !crypto.timingSafeEqual(given, Buffer.from(expected, 'hex'))) {
+    throw errorHandler(401, 'Invalid payment signature');
+  }
+};
+
+const PROVIDERS = {
+  manual: {
+    label: 'Bank transfer / cash (confirmed by an admin)',
+    paymentMethod: 'bank_transfer',
+    adminConfirmation: true,
+    isConfigured: () => true,
+    createCheckout: (order) => {
+      const reference = `PTS-${order._id.toString().slice(-10).toUpperCase()}`;
+      return {
+        status: 'awaiting_confirmation',
+        providerReference: reference,
+        checkout: {
+          reference,
+          amount: order.package.price,
+          currency: order.package.currency,
+          bankDetails: PAYMENT_BANK_DETAILS,
+          instructions: `Pay ${order.package.price} ${order.package.currency} and mention the reference ${reference}. Your points are added once an admin confirms the payment.`
+        }
+      };
+    }
+  },
+  webhook: {
+    label: 'Online payment (gateway webhook)',
+    paymentMethod: 'credit_card',
+    adminConfirmation: false,
+    isConfigured: () => Boolean(PAYMENT_WEBHOOK_SECRET),
+    createCheckout: (order) => {
+      const reference = `wh_${crypto.randomBytes(12).toString('hex')}`;
+      let url = null;
+      if (PAYMENT_WEBHOOK_CHECKOUT_URL) {
+        const checkoutUrl = new URL(PAYMENT_WEBHOOK_CHECKOUT_URL);
+        checkoutUrl.searchParams.set('reference', reference);
+        checkoutUrl.searchParams.set('amount', String(order.package.price));
+        checkoutUrl.searchParams.set('currency', order.package.currency);
+        url = checkoutUrl.toString();
+      }
+      return {
+        status: 'pending',
+        providerReference: reference,
+        checkout: { reference, amount: order.package.price, currency: order.package.currency, url }
+      };
+    },
+    // Body: { reference, status: succeeded|failed, amount, currency, reason? }
+    parseWebhook: (req) => {
+      if (!req.rawBody) {
+        throw errorHandler(400, 'Webhook body is missing');
+      }
+      verifyWebhookSignature(req.rawBody.toString('utf8'), req.get(SIGNATURE_HEADER), PAYMENT_WEBHOOK_SECRET);
+      const { reference, status, amount, currency, reason } = req.body || {};
+      if (!reference || !['succeeded', 'failed'].includes(status)) {
+        throw errorHandler(400, 'Webhook needs a reference and a status (succeeded or failed)');
+      }
+      return {
+        providerReference: String(reference),
+        status: status === 'succeeded' ? 'completed' : 'failed',
+        amount: amount !== undefined ? Number(amount) : null,
+        currency: currency ? String(currency).toUpperCase() : null,
+        reason: reason ? String(reason).slice(0, 200) : null
+      };
+    }
+  }
+};
+
+/**
+ * Add or replace a provider (e.g. a real gateway)
+ * @param {string} name - Provider name, used in orders and in the webhook URL
+ * @param {Object} definition - See the file header
+ */
+const registerPaymentProvider = (name, definition) => {
+  PROVIDERS[name] = definition;
+};
+
+/**
+ * Provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|null} Definition (with its name), or null if unknown
+ */
+const getPaymentProvider = (name) => (Object.hasOwn(PROVIDERS, name) ? { name, ...PROVIDERS[name] } : null);
+
+/**
+ * Configured providers for the checkout page
+ * @returns {Array} [{ name, label, adminConfirmation }]
+ */
+const listPaymentProviders = () => Object.entries(PROVIDERS)
+  .filter(([, definition]) => definition.isConfigured())
+  .map(([name, definition]) => ({ name, label: definition.label, adminConfirmation: Boolean(definition.adminConfirmation) }));
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signWebhookPayload,
+  registerPaymentProvider,
+  getPaymentProvider,
+  listPaymentProviders
+};
@@ -0,0 +1,251 @@
+/**
+ * Point Purchases
+ * Checkout flow for the point package catalogue: an order copies the package, the payment provider
+ * (utils/paymentProviders.js) says how to pay, and completing the order - by an admin for manual payments,
+ * by a signed webhook for gateways - credits the points through the ledger and updates User.packageType /
+ * packageExpiry in the same MongoDB transaction. Completing twice (webhook retries, double clicks) is a no-op.
+ */
+
+const PointPackage = require('../models/pointPackage.model');
+const PointOrder = require('../models/pointOrder.model');
+const User = require('../models/user.model');
+const errorHandler = require('./error');
+const logger = require('./logger');
+const { withSession, postPointTransaction } = require('./pointsLedger');
+const { getPaymentProvider } = require('./paymentProviders');
+const {
+  PACKAGE_TYPES,
+  DEFAULT_PAYMENT_PROVIDER,
+  POINT_ORDER_OPEN_STATUSES,
+  MAX_OPEN_POINT_ORDERS
+} = require('../constants/payments');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Package type and expiry of a user after buying a package.
+ * A lower package never replaces a higher one that is still active (the points are credited anyway);
+ * buying the same type again extends it from the current expiry.
+ * @param {Object} user - { packageType, packageExpiry }
+ * @param {Object} pkg - Order package snapshot
+ * @param {Date} now - Purchase time
+ * @returns {Object|null} { packageType, packageExpiry }, or null to keep the current package
+ */
+const computeUserPackage = (user, pkg, now = new Date()) => {
+  const currentActive = !user.packageExpiry || user.packageExpiry > now;
+  const rank = (type) => PACKAGE_TYPES.indexOf(type);
+  if (currentActive && rank(user.packageType) > rank(pkg.packageType)) {
+    return null;
+  }
+
+  let packageExpiry = null;
+  if (pkg.validityDays > 0) {
+    const extendsCurrent = user.packageType === pkg.packageType && user.packageExpiry && user.packageExpiry > now;
+    const from = extendsCurrent ? user.packageExpiry : now;
+    packageExpiry = new Date(from.getTime() + pkg.validityDays * DAY_MS);
+  }
+  return { packageType: pkg.packageType, packageExpiry };
+};
+
+/**
+ * Start a checkout for a package
+ * @param {Object} params - { userId, packageId, provider }
+ * @returns {Promise<Object>} Saved order (with checkout instructions)
+ * @throws 400/404 for unknown packages or providers, too many open orders
+ */
+const createPointOrder = async ({ userId, packageId, provider: providerName }) => {
+  const provider = getPaymentProvider(providerName || DEFAULT_PAYMENT_PROVIDER);
+  if (!provider || !provider.isConfigured()) {
+    throw errorHandler(400, `Payment provider "${providerName || DEFAULT_PAYMENT_PROVIDER}" is not available`);
+  }
+
+  const pkg = await PointPackage.findOne({ _id: packageId, isActive: true }).lean();
+  if (!pkg) {
+    throw errorHandler(404, 'Point package not found');
+  }
+
+  const openOrders = await PointOrder.countDocuments({ userId, status: { $in: POINT_ORDER_OPEN_STATUSES } });
+  if (openOrders >= MAX_OPEN_POINT_ORDERS) {
+    throw errorHandler(400, `You already have ${openOrders} unpaid orders. Pay or cancel one before starting another.`);
+  }
+
+  const order = new PointOrder({
+    userId,
+    packageId: pkg._id,
+    package: {
+      name: pkg.name,
+      points: pkg.points,
+      price: pkg.price,
+      currency: pkg.currency,
+      packageType: pkg.packageType,
+      validityDays: pkg.validityDays
+    },
+    provider: provider.name
+  });
+  const { status, providerReference, checkout } = await provider.createCheckout(order);
+  order.status = status;
+  order.providerReference = providerReference || null;
+  order.checkout = checkout || {};
+  await order.save();
+
+  logger.info(`[POINT_ORDER] ${order._id} created: ${pkg.points} points for ${pkg.price} ${pkg.currency} via ${provider.name}`);
+  if (status === 'awaiting_confirmation') {
+    const { notifyAdminPointOrderPending } = require('./notifications');
+    notifyAdminPointOrderPending(order).catch(() => {});
+  }
+  return order;
+};
+
+/**
+ * Mark an order paid: credit the points and update the user's package (one transaction where supported)
+ * @param {string} orderId - Order id
+ * @param {Object} options - { confirmedBy } (admin id for manual payments)
+ * @returns {Promise<Object>} { order, alreadyCompleted }
+ * @throws 404 unknown order, 400 order already failed / cancelled
+ */
+const completePointOrder = async (orderId, { confirmedBy = null } = {}) => {
+  const result = await withSession(async (session) => {
+    const completion = { status: 'completed', completedAt: new Date(), confirmedBy };
+    const openOrder = await PointOrder.findOneAndUpdate(
+      { _id: orderId, status: { $in: POINT_ORDER_OPEN_STATUSES } },
+      { $set: completion },
+      { session }
+    );
+    if (!openOrder) {
+      return { order: await PointOrder.findById(orderId).session(session), alreadyCompleted: true };
+    }
+    const previousStatus = openOrder.status;
+    const order = openOrder.set(completion);
+
+    const provider = getPaymentProvider(order.provider);
+    let transaction;
+    try {
+      ({ transaction } = await postPointTransaction({
+        userId: order.userId,
+        type: 'purchase',
+        amount: order.package.points,
+        description: `Purchased package "${order.package.name}" (${order.package.points} points)`,
+        paymentMethod: provider ? provider.paymentMethod : 'bank_transfer',
+        paymentReference: order.providerReference || order._id.toString(),
+        idempotencyKey: `order:${order._id}`,
+        session
+      }));
+    } catch (error) {
+      // Without a transaction (standalone server) reopen the order so it can be completed again
+      if (!session) {
+        await PointOrder.updateOne(
+          { _id: order._id, status: 'completed' },
+          { $set: { status: previousStatus, completedAt: null, confirmedBy: null } }
+        );
+      }
+      throw error;
+    }
+    order.transactionId = transaction._id;
+    await order.save({ session });
+
+    const user = await User.findById(order.userId).select('packageType packageExpiry').session(session);
+    const userPackage = user ? computeUserPackage(user, order.package, order.completedAt) : null;
+    if (userPackage) {
+      await User.updateOne({ _id: order.userId }, { $set: userPackage }, { session });
+    }
+    return { order, alreadyCompleted: false };
+  });
+
+  if (!result.order) {
+    throw errorHandler(404, 'Order not found');
+  }
+  if (result.alreadyCompleted) {
+    if (result.order.status !== 'completed') {
+      throw errorHandler(400, `Order is ${result.order.status} and cannot be completed`);
+    }
+    return result;
+  }
+
+  logger.info(`[POINT_ORDER] ${result.order._id} completed: ${result.order.package.points} points credited to ${result.order.userId}`);
+  const { notifyUserPointOrderCompleted } = require('./notifications');
+  notifyUserPointOrderCompleted(result.order).catch(() => {});
+  return result;
+};
+
+/**
+ * Close an open order without crediting anything
+ * @param {string} orderId - Order id
+ * @param {Object} options - { status: failed|cancelled, reason, userId (only this user's order), confirmedBy }
+ * @returns {Promise<Object>} Updated order
+ * @throws 404 unknown order, 400 order no longer open or paid through a gateway (user cancellation)
+ */
+const closePointOrder = async (orderId, { status, reason = null, userId = null, confirmedBy = null }) => {
+  const filter = { _id: orderId, ...(userId ? { userId } : {}) };
+  // The payment may be in flight at the gateway: its webhook decides, a user cannot cancel the order
+  if (userId) {
+    const existing = await PointOrder.findOne(filter).select('provider').lean();
+    if (!existing) throw errorHandler(404, 'Order not found');
+    const provider = getPaymentProvider(existing.provider);
+    if (provider && typeof provider.parseWebhook === 'function') {
+      throw errorHandler(400, 'Orders paid through a payment gateway cannot be cancelled. They close when the gateway reports the payment');
+    }
+  }
+  const order = await PointOrder.findOneAndUpdate(
+    { ...filter, status: { $in: POINT_ORDER_OPEN_STATUSES } },
+    { $set: { status, failureReason: reason, closedAt: new Date(), ...(confirmedBy ? { confirmedBy } : {}) } },
+    { new: true }
+  );
+  if (!order) {
+    const existing = await PointOrder.findOne(filter).select('status').lean();
+    if (!existing) throw errorHandler(404, 'Order not found');
+    throw errorHandler(400, `Order is already ${existing.status}`);
+  }
+
+  logger.info(`[POINT_ORDER] ${order._id} ${status}${reason ? `: ${reason}` : ''}`);
+  if (status === 'failed') {
+    const { notifyUserPointOrderFailed } = require('./notifications');
+    notifyUserPointOrderFailed(order).catch(() => {});
+  }
+  return order;
+};
+
+/**
+ * Apply a payment webhook
+ * @param {string} providerName - Provider from the webhook URL
+ * @param {Object} req - Express request (raw body for the signature)
+ * @returns {Promise<Object>} { order, outcome: completed|failed|already_processed }
+ * @throws 404 unknown provider / order, 401 bad signature
+ */
+const handlePaymentWebhook = async (providerName, req) => {
+  const provider = getPaymentProvider(providerName);
+  if (!provider || typeof provider.parseWebhook !== 'function' || !provider.isConfigured()) {
+    throw errorHandler(404, 'Unknown payment provider');
+  }
+  const event = provider.parseWebhook(req);
+
+  const order = await PointOrder.findOne({ provider: provider.name, providerReference: event.providerReference }).lean();
+  if (!order) {
+    throw errorHandler(404, 'Order not found');
+  }
+  if (!POINT_ORDER_OPEN_STATUSES.includes(order.status)) {
+    return { order, outcome: 'already_processed' };
+  }
+
+  // A gateway paying another amount than the order is treated as a failed payment
+  const amountMismatch = event.status === 'completed' && (
+    (event.amount !== null && event.amount !== order.package.price)
+    || (event.currency !== null && event.currency !== order.package.currency)
+  );
+  if (event.status === 'failed' || amountMismatch) {
+    const reason = amountMismatch
+      ? `Paid ${event.amount} ${event.currency || order.package.currency} instead of ${order.package.price} ${order.package.currency}`
+      : (event.reason || 'Payment failed');
+    return { order: await closePointOrder(order._id, { status: 'failed', reason }), outcome: 'failed' };
+  }
+
+  const { order: completed, alreadyCompleted } = await completePointOrder(order._id);
+  return { order: completed, outcome: alreadyCompleted ? 'already_processed' : 'completed' };
+};
+
+module.exports = {
+  computeUserPackage,
+  createPointOrder,
+  completePointOrder,
+  closePointOrder,
+  handlePaymentWebhook
+};
@@ -0,0 +1,411 @@
+/**
+ * Points Ledger
+ * The only place that changes points. Each change is one immutable PointTransaction (double entry between the
+ * user's account and a system account, see constants/points.js) written in the same MongoDB transaction as the
+ * Point record and User.pointsBalance, so the three cannot drift apart and a debit can never overspend:
+ * the balance check is part of the update ($gte), not a separate read.
+ * Posting with an idempotency key twice returns the first transaction (replayed: true) instead of posting again.
+ * Transactions need a replica set (MongoDB Atlas always is one). On a standalone server the writes run one by one:
+ * the conditional $inc alone still keeps a debit from overspending, and a balance change whose entry fails is undone.
+ */
+
+const mongoose = require('mongoose');
+const Point = require('../models/point.model');
+const PointTransaction = require('../models/pointTransaction.model');
+const User = require('../models/user.model');
+const errorHandler = require('./error');
+const logger = require('./logger');
+const {
+  USER_ACCOUNT_PREFIX,
+  POINT_TRANSACTION_RULES,
+  RECONCILE_SOURCES,
+  RECONCILE_DEFAULT_LIMIT,
+  RECONCILE_MAX_LIMIT,
+  userAccount
+} = require('../constants/points');
+
+const COUNTERS = ['totalPurchased', 'totalUsed'];
+
+const isDuplicateKeyError = (error, field) => error && error.code === 11000
+  && (!field || Object.keys(error.keyPattern || error.keyValue || {}).includes(field));
+
+/**
+ * Point record of a user, created empty if missing
+ * @param {string} userId - User id
+ * @returns {Promise<Object>} Point document
+ */
+const ensurePointAccount = async (userId) => {
+  try {
+    return await Point.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { userId, balance: 0 } },
+      { new: true, upsert: true }
+    );
+  } catch (error) {
+    // Two concurrent first requests: the other one created it
+    if (isDuplicateKeyError(error)) return Point.findOne({ userId });
+    throw error;
+  }
+};
+
+const insufficientPointsError = (amount, balance) => {
+  const error = errorHandler(400, `Insufficient points. You need ${amount} points but only have ${balance}`);
+  error.code = 'INSUFFICIENT_POINTS';
+  error.details = { requiredPoints: amount, currentBalance: balance, shortfall: amount - balance };
+  return error;
+};
+
+// A replayed key must describe the same transaction
+const checkReplay = (existing, entry) => {
+  if (existing.userId.toString() !== String(entry.userId) || existing.type !== entry.type || existing.amount !== entry.amount) {
+    throw errorHandler(409, 'Idempotency key was already used for a different points transaction');
+  }
+  return { transaction: existing, balance: existing.balanceAfter, replayed: true };
+};
+
+// Set once the server rejects transactions (standalone); later calls go straight to the fallback
+let transactionsUnsupported = false;
+
+const isTransactionUnsupportedError = (error) => Boolean(error) && error.code === 20
+  && /Transaction numbers are only allowed/i.test(error.message || '');
+
+/**
+ * Run a function in a MongoDB transaction (or in the caller's session when one is given).
+ * Without transaction support fn runs with a null session; it is only retried that way when the first
+ * command was rejected, so nothing has been written yet.
+ * @param {Function} fn - async (session) => result
+ * @param {Object} session - Existing session, optional
+ */
+const withSession = async (fn, session) => {
+  if (session) return fn(session);
+  if (transactionsUnsupported) return fn(null);
+  const newSession = await mongoose.startSession();
+  try {
+    let result;
+    await newSession.withTransaction(async () => {
+      result = await fn(newSession);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupportedError(error)) throw error;
+    transactionsUnsupported = true;
+    logger.warn('[POINTS] MongoDB server does not support transactions (not a replica set); points writes run without one');
+    return fn(null);
+  } finally {
+    await newSession.endSession();
+  }
+};
+
+// Compensates a non-transactional $inc whose ledger entry could not be written
+const revertBalanceChange = async (userId, inc) => {
+  try {
+    const undo = Object.fromEntries(Object.entries(inc).map(([field, value]) => [field, -value]));
+    const point = await Point.findOneAndUpdate({ userId }, { $inc: undo }, { new: true });
+    if (point) await User.updateOne({ _id: userId }, { $set: { pointsBalance: point.balance } });
+  } catch (error) {
+    logger.error(`[POINTS] Could not undo balance change for user ${userId}; run reconciliation:`, error);
+  }
+};
+
+/**
+ * Post one points transaction
+ * @param {Object} entry - { userId, type, amount, direction (adjustments only: credit|debit), description, listingId,
+ *   paymentMethod, paymentReference, idempotencyKey, createdBy, session }
+ * @returns {Promise<Object>} { transaction, balance, replayed }
+ * @throws 400 for invalid amounts / insufficient points (error.code INSUFFICIENT_POINTS), 409 for a reused key
+ */
+const postPointTransaction = async (entry) => {
+  const rule = POINT_TRANSACTION_RULES[entry.type];
+  if (!rule) {
+    throw errorHandler(400, `Unknown points transaction type: ${entry.type}`);
+  }
+  const amount = Number(entry.amount);
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw errorHandler(400, 'Points amount must be a positive whole number');
+  }
+  const direction = rule.direction || entry.direction;
+  if (!['credit', 'debit'].includes(direction)) {
+    throw errorHandler(400, 'Adjustments need a direction (credit or debit)');
+  }
+  if (!entry.userId) {
+    throw errorHandler(400, 'User ID is required');
+  }
+
+  const { idempotencyKey } = entry;
+  if (idempotencyKey) {
+    const existing = await PointTransaction.findOne({ idempotencyKey }).lean();
+    if (existing) return checkReplay(existing, { ...entry, amount });
+  }
+
+  const isCredit = direction === 'credit';
+  const account = userAccount(entry.userId);
+  const inc = { balance: isCredit ? amount : -amount };
+  if (rule.counter) inc[rule.counter] = amount;
+
+  try {
+    return await withSession(async (session) => {
+      const point = await Point.findOneAndUpdate(
+        isCredit ? { userId: entry.userId } : { userId: entry.userId, balance: { $gte: amount } },
+        { $inc: inc },
+        { new: true, upsert: isCredit, session }
+      );
+      if (!point) {
+        const current = await Point.findOne({ userId: entry.userId }).select('balance').session(session).lean();
+        throw insufficientPointsError(amount, current ? current.balance : 0);
+      }
+
+      try {
+        await User.updateOne({ _id: entry.userId }, { $set: { pointsBalance: point.balance } }, { session });
+
+        const [transaction] = await PointTransaction.create([{
+          userId: entry.userId,
+          type: entry.type,
+          amount,
+          description: entry.description || `${entry.type} of ${amount} points`,
+          listingId: entry.listingId || null,
+          paymentMethod: entry.paymentMethod,
+          paymentReference: entry.paymentReference,
+          balanceAfter: point.balance,
+          fromAccount: isCredit ? rule.systemAccount : account,
+          toAccount: isCredit ? account : rule.systemAccount,
+          idempotencyKey: idempotencyKey || undefined,
+          createdBy: entry.createdBy || null
+        }], { session });
+
+        return { transaction: transaction.toObject(), balance: point.balance, replayed: false };
+      } catch (error) {
+        // No transaction to roll back: undo the balance change so it never exists without its entry
+        if (!session) await revertBalanceChange(entry.userId, inc);
+        throw error;
+      }
+    }, entry.session);
+  } catch (error) {
+    // Same key posted concurrently: the other request won, return its transaction
+    if (idempotencyKey && isDuplicateKeyError(error, 'idempotencyKey')) {
+      const existing = await PointTransaction.findOne({ idempotencyKey }).lean();
+      if (existing) return checkReplay(existing, { ...entry, amount });
+    }
+    throw error;
+  }
+};
+
+// Aggregation expression: true when the entry adds points to its user
+const creditExpression = () => ({
+  $cond: [
+    { $ifNull: ['$toAccount', false] },
+    { $eq: ['$toAccount', { $concat: [USER_ACCOUNT_PREFIX, { $toString: '$userId' }] }] },
+    // Entries from before the ledger: direction follows the type
+    { $in: ['$type', Object.keys(POINT_TRANSACTION_RULES).filter((type) => POINT_TRANSACTION_RULES[type].direction === 'credit')] }
+  ]
+});
+
+const counterTypes = (counter) => Object.keys(POINT_TRANSACTION_RULES).filter((type) => POINT_TRANSACTION_RULES[type].counter === counter);
+
+/**
+ * Balance and counters of users derived from the ledger
+ * @param {Object} match - PointTransaction filter (e.g. { userId })
+ * @param {Object} session - Session to read in, optional
+ * @returns {Promise<Map>} userId -> { balance, totalPurchased, totalUsed, entries, malformed }
+ */
+const getLedgerTotals = async (match = {}, session = null) => {
+  const rows = await PointTransaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$userId',
+        credits: { $sum: { $cond: [creditExpression(), '$amount', 0] } },
+        debits: { $sum: { $cond: [creditExpression(), 0, '$amount'] } },
+        ...Object.fromEntries(COUNTERS.map((counter) => [
+          counter,
+          { $sum: { $cond: [{ $in: ['$type', counterTypes(counter)] }, '$amount', 0] } }
+        ])),
+        entries: { $sum: 1 },
+        // Entries with accounts where neither side is the user's own account
+        malformed: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $ifNull: ['$toAccount', false] },
+                  { $ne: ['$toAccount', { $concat: [USER_ACCOUNT_PREFIX, { $toString: '$userId' }] }] },
+                  { $ne: ['$fromAccount', { $concat: [USER_ACCOUNT_PREFIX, { $toString: '$userId' }] }] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        }
+      }
+    }
+  ]).session(session);
+  return new Map(rows.map((row) => [row._id.toString(), {
+    balance: row.credits - row.debits,
+    totalPurchased: row.totalPurchased,
+    totalUsed: row.totalUsed,
+    entries: row.entries,
+    malformed: row.malformed
+  }]));
+};
+
+/**
+ * Compare the ledger with the Point records and User.pointsBalance
+ * @param {Object} options - { userId, limit }
+ * @returns {Promise<Object>} { summary, drifts: [{ userId, ledger, point, user, issues }] }
+ */
+const findPointDrift = async ({ userId, limit } = {}) => {
+  const maxResults = Math.min(Math.max(parseInt(limit, 10) || RECONCILE_DEFAULT_LIMIT, 1), RECONCILE_MAX_LIMIT);
+  const userMatch = userId ? { userId: new mongoose.Types.ObjectId(String(userId)) } : {};
+
+  const [ledger, points] = await Promise.all([
+    getLedgerTotals(userMatch),
+    Point.find(userMatch).select('userId balance totalPurchased totalUsed createdAt').sort({ createdAt: 1 }).lean()
+  ]);
+  const pointsByUser = new Map();
+  points.forEach((point) => {
+    const key = point.userId.toString();
+    pointsByUser.set(key, [...(pointsByUser.get(key) || []), point]);
+  });
+
+  const ids = new Set([...ledger.keys(), ...pointsByUser.keys()]);
+  const users = await User.find(userId
+    ? { _id: userMatch.userId }
+    : { $or: [{ _id: { $in: [...ids] } }, { pointsBalance: { $gt: 0 } }] })
+    .select('pointsBalance')
+    .lean();
+  const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+  users.forEach((user) => ids.add(user._id.toString()));
+
+  const drifts = [];
+  ids.forEach((id) => {
+    const expected = ledger.get(id) || { balance: 0, totalPurchased: 0, totalUsed: 0, entries: 0, malformed: 0 };
+    const records = pointsByUser.get(id) || [];
+    const point = records[0] || null;
+    const user = usersById.get(id) || null;
+    const issues = [];
+
+    if (records.length > 1) issues.push('duplicate_point_records');
+    if (!point && expected.balance !== 0) issues.push('point_missing');
+    if (point && point.balance !== expected.balance) issues.push('point_balance_drift');
+    if (point && COUNTERS.some((counter) => (point[counter] || 0) !== expected[counter])) issues.push('point_totals_drift');
+    if (!user) issues.push('user_missing');
+    if (user && (user.pointsBalance || 0) !== expected.balance) issues.push('user_balance_drift');
+    if (expected.balance < 0) issues.push('negative_ledger_balance');
+    if (expected.malformed > 0) issues.push('malformed_entries');
+
+    if (issues.length > 0) {
+      drifts.push({
+        userId: id,
+        ledger: expected,
+        point: point ? { balance: point.balance, totalPurchased: point.totalPurchased, totalUsed: point.totalUsed, records: records.length } : null,
+        user: user ? { pointsBalance: user.pointsBalance || 0 } : null,
+        issues
+      });
+    }
+  });
+
+  return {
+    summary: {
+      usersChecked: ids.size,
+      usersWithDrift: drifts.length,
+      ledgerBalance: [...ledger.values()].reduce((sum, row) => sum + row.balance, 0),
+      pointBalance: points.reduce((sum, point) => sum + (point.balance || 0), 0)
+    },
+    drifts: drifts.slice(0, maxResults)
+  };
+};
+
+/**
+ * Repair one user's drift
+ * source ledger: the Point record (duplicates merged into the oldest) and User.pointsBalance are set from the ledger.
+ * source point: same, then an adjustment entry moves the ledger to the previous Point balance.
+ * @param {Object} drift - Entry of findPointDrift
+ * @param {Object} options - { source, adminId }
+ * @returns {Promise<Object>} { userId, balance, adjustment } or { userId, skipped }
+ */
+const repairUserDrift = async (drift, { source = 'ledger', adminId = null } = {}) => {
+  const fromPoint = source === 'point' && Boolean(drift.point);
+  if (drift.issues.includes('user_missing') && !drift.point) {
+    return { userId: drift.userId, skipped: 'user_missing' };
+  }
+  if (fromPoint && drift.point.balance < 0) {
+    return { userId: drift.userId, skipped: 'negative_ledger_balance' };
+  }
+
+  // The report may be stale: entries posted since then must be part of the values written here
+  const ledgerValues = await withSession(async (session) => {
+    const userId = new mongoose.Types.ObjectId(String(drift.userId));
+    const totals = (await getLedgerTotals({ userId }, session)).get(userId.toString());
+    const values = {
+      balance: totals ? totals.balance : 0,
+      totalPurchased: totals ? totals.totalPurchased : 0,
+      totalUsed: totals ? totals.totalUsed : 0
+    };
+    if (!fromPoint && values.balance < 0) return null;
+
+    const records = await Point.find({ userId }).sort({ createdAt: 1 }).session(session);
+    if (records.length > 1) {
+      await Point.deleteMany({ _id: { $in: records.slice(1).map((record) => record._id) } }, { session });
+    }
+    if (records.length > 0) {
+      await Point.updateOne({ _id: records[0]._id }, { $set: values }, { session });
+    } else {
+      await Point.create([{ userId, ...values }], { session });
+    }
+    await User.updateOne({ _id: userId }, { $set: { pointsBalance: values.balance } }, { session });
+    return values;
+  });
+
+  if (!ledgerValues) {
+    return { userId: drift.userId, skipped: 'negative_ledger_balance' };
+  }
+
+  const target = fromPoint ? drift.point.balance : ledgerValues.balance;
+  let adjustment = null;
+  const difference = target - ledgerValues.balance;
+  if (difference !== 0) {
+    const { transaction } = await postPointTransaction({
+      userId: drift.userId,
+      type: 'adjustment',
+      direction: difference > 0 ? 'credit' : 'debit',
+      amount: Math.abs(difference),
+      description: `Reconciliation: ledger aligned with point balance ${target}`,
+      createdBy: adminId
+    });
+    adjustment = transaction;
+  }
+
+  logger.info(`[POINTS] Reconciled user ${drift.userId} (${drift.issues.join(', ')}) -> balance ${target} from ${source}`);
+  return { userId: drift.userId, balance: target, adjustment };
+};
+
+/**
+ * Report (and optionally repair) drift between the ledger, Point and User
+ * @param {Object} options - { userId, limit, repair, source: ledger|point, adminId }
+ * @returns {Promise<Object>} { summary, drifts, repaired }
+ */
+const reconcilePoints = async ({ userId, limit, repair = false, source = 'ledger', adminId = null } = {}) => {
+  if (!RECONCILE_SOURCES.includes(source)) {
+    throw errorHandler(400, `Invalid source. Use: ${RECONCILE_SOURCES.join(', ')}`);
+  }
+  if (userId && !mongoose.Types.ObjectId.isValid(String(userId))) {
+    throw errorHandler(400, 'Invalid user ID');
+  }
+
+  const report = await findPointDrift({ userId, limit });
+  if (!repair) return report;
+
+  const repaired = [];
+  for (const drift of report.drifts) {
+    repaired.push(await repairUserDrift(drift, { source, adminId }));
+  }
+  return { ...report, repaired };
+};
+
+module.exports = {
+  withSession,
+  ensurePointAccount,
+  postPointTransaction,
+  getLedgerTotals,
+  reconcilePoints
+};
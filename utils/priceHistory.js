@@ -0,0 +1,99 @@
+/**
+ * Price History Utility
+ * Tracks listing price/currency changes in ListingPriceHistory
+ * and keeps the denormalized "price reduced" fields on the listing in sync
+ */
+
+const ListingPriceHistory = require('../models/listingPriceHistory.model');
+const logger = require('./logger');
+
+const toRole = (user) => (user && ['user', 'agent', 'admin'].includes(user.role) ? user.role : 'system');
+const toUserId = (user) => (user ? (user.id || user._id || null) : null);
+
+/**
+ * Compare the current listing price with the incoming update
+ * @param {Object} listing - Current listing (document or lean object)
+ * @param {Object} updateData - Fields about to be saved (propertyPrice and/or currency)
+ * @returns {Object|null} { fields, entry } or null if price and currency are unchanged
+ *   - fields: denormalized fields to $set on the listing
+ *   - entry: data for the ListingPriceHistory record (without listingId/changedBy)
+ */
+const buildPriceChange = (listing, updateData) => {
+  const oldPrice = listing.propertyPrice;
+  const oldCurrency = listing.currency || 'USD';
+  const newPrice = updateData.propertyPrice !== undefined ? updateData.propertyPrice : oldPrice;
+  const newCurrency = updateData.currency ? updateData.currency : oldCurrency;
+
+  if (newPrice === oldPrice && newCurrency === oldCurrency) {
+    return null;
+  }
+
+  const now = new Date();
+  const sameCurrency = newCurrency === oldCurrency;
+  const changeAmount = sameCurrency ? newPrice - oldPrice : null;
+  const changePercent = sameCurrency && oldPrice
+    ? Math.round((changeAmount / oldPrice) * 10000) / 100
+    : null;
+  const isPriceReduced = sameCurrency && newPrice < oldPrice;
+
+  return {
+    fields: {
+      previousPrice: oldPrice,
+      previousCurrency: oldCurrency,
+      priceChangedAt: now,
+      isPriceReduced,
+      priceReducedAt: isPriceReduced ? now : null
+    },
+    entry: {
+      propertyPrice: newPrice,
+      currency: newCurrency,
+      previousPrice: oldPrice,
+      previousCurrency: oldCurrency,
+      changeAmount,
+      changePercent
+    }
+  };
+};
+
+/**
+ * Record a price history entry
+ * Never throws - a failed history write must not fail the listing save
+ * @param {string|ObjectId} listingId - Listing ID
+ * @param {Object} entry - Entry data (from buildPriceChange, or initial price)
+ * @param {Object} user - req.user of whoever made the change (optional)
+ * @param {string} source - 'create' | 'update' | 'import'
+ */
+const recordPriceHistory = async (listingId, entry, user = null, source = 'update') => {
+  try {
+    return await ListingPriceHistory.create({
+      listingId,
+      ...entry,
+      changedBy: toUserId(user),
+      changedByRole: toRole(user),
+      source
+    });
+  } catch (error) {
+    logger.error('[PRICE_HISTORY_RECORD_ERROR]', {
+      listingId: listingId?.toString(),
+      error: error.message
+    });
+    return null;
+  }
+};
+
+/**
+ * Record the initial price of a newly created listing
+ */
+const recordInitialPrice = (listing, user = null, source = 'create') =>
+  recordPriceHistory(
+    listing._id,
+    { propertyPrice: listing.propertyPrice, currency: listing.currency || 'USD' },
+    user,
+    source
+  );
+
+module.exports = {
+  buildPriceChange,
+  recordPriceHistory,
+  recordInitialPrice
+};
@@ -130,6 +130,7 @@ const parseQuery = (query) => {
       sizeMax: null,
       priceMin: null,
       priceMax: null,
+      priceCurrency: null, // Currency the prices were given in (USD, SYP), null = not stated
       status: null,
       rentType: null, // monthly, weekly, daily, three-month, six-month, yearly
       city: null,
@@ -1872,6 +1873,10 @@ const parseQuery = (query) => {
       }
     }
 
+    if (extractedParams.priceMin !== null || extractedParams.priceMax !== null) {
+      extractedParams.priceCurrency = detectPriceCurrency(query);
+    }
+
     logger.info(`✅ Extracted parameters:`, extractedParams);
 
     return extractedParams;
@@ -1917,6 +1922,16 @@ const wordToNumber = (word) => {
   return wordMap[String(word || '').toLowerCase()] ?? null;
 };
 
+/**
+ * Currency named in the query: Syrian lira wins over dollar, null when neither is mentioned
+ */
+const detectPriceCurrency = (query) => {
+  const lowerQuery = String(query || '').toLowerCase();
+  if (/ليرة|ليره|ل\.س/.test(lowerQuery) || /\b(?:lira|liras|syp|s\.p)\b/.test(lowerQuery)) return 'SYP';
+  if (/دولار|دولر/.test(lowerQuery) || /\$|\b(?:usd|dollars?)\b/.test(lowerQuery)) return 'USD';
+  return null;
+};
+
 module.exports = {
   parseQuery,
   PROPERTY_TYPES,
@@ -0,0 +1,322 @@
+/**
+ * Saved Searches
+ * Normalizes saved search filters, matches newly public listings against active saved searches
+ * (instant alerts, or queued for the daily digest) and runs the digest job.
+ * Matching reuses filterListings, so a saved search matches exactly what GET /api/listing/search returns.
+ */
+
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/savedSearch.model');
+const Listing = require('../models/listing.model');
+const User = require('../models/user.model');
+const { buildListingFilter, ARABIC_CITY_MAP, ARABIC_PROPERTY_TYPE_MAP } = require('../middleware/listing');
+const logger = require('./logger');
+const { isListingPublic } = require('./listingSchedule');
+const { notifyUserSavedSearchMatch, notifyUserSavedSearchDigest } = require('./notifications');
+const {
+  SAVED_SEARCH_FILTER_PARAMS,
+  SAVED_SEARCH_NOTIFIED_HISTORY,
+  SAVED_SEARCH_DIGEST_INTERVAL_MINUTES,
+  SAVED_SEARCH_DIGEST_PERIOD_HOURS,
+  SAVED_SEARCH_DIGEST_MAX_LISTINGS,
+  SAVED_SEARCH_BATCH_SIZE
+} = require('../constants/savedSearch');
+
+const PUBLIC_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+
+const LISTING_ALERT_FIELDS = '_id propertyId slug slug_ar propertyType propertyKeyword propertyDesc propertyPrice currency city neighborhood status';
+
+let isRunning = false;
+let intervalId = null;
+
+/**
+ * Keep only the filterListings parameters a saved search can store, as query-string values
+ * @param {Object} input - Raw filters from the request body
+ * @returns {Object} Clean filters (legacy cities/state are stored as city)
+ */
+const normalizeSavedSearchFilters = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return {};
+  const source = { ...input };
+  if (!source.city && (source.cities || source.state)) {
+    source.city = source.cities || source.state;
+  }
+
+  const filters = {};
+  SAVED_SEARCH_FILTER_PARAMS.forEach((param) => {
+    let value = source[param];
+    if (value === undefined || value === null || value === '') return;
+    if (Array.isArray(value)) value = value.map(String).join(',');
+    filters[param] = String(value).trim();
+  });
+  return filters;
+};
+
+/**
+ * Turn parseQuery output into filterListings parameters
+ * Like aiSearch, neighborhood is ignored (city only) and free keywords are not required.
+ * @param {Object} params - Result of parseQuery
+ * @returns {Object} Saved search filters
+ */
+const filtersFromParsedQuery = (params) => {
+  if (!params) return {};
+  const filters = {
+    propertyType: params.propertyType,
+    status: params.status,
+    rentType: params.status === 'rent' ? params.rentType : null,
+    city: params.city,
+    bedrooms: params.bedrooms,
+    bathrooms: params.bathrooms,
+    sizeMin: params.sizeMin,
+    sizeMax: params.sizeMax,
+    // Parsed prices are in the currency named in the query (USD when none)
+    priceMin: params.priceMin,
+    priceMax: params.priceMax,
+    priceCurrency: params.priceMin != null || params.priceMax != null ? (params.priceCurrency || 'USD') : null,
+    furnished: params.furnished,
+    garages: params.garages,
+    amenities: params.amenities && params.amenities.length ? params.amenities : null,
+    keyword: params.viewType
+  };
+  return normalizeSavedSearchFilters(filters);
+};
+
+/**
+ * Build the MongoDB filter of a saved search by running filterListings on its parameters
+ * @param {Object} filters - Saved search filters
+ * @returns {Promise<Object>} Listing filter (rejects with the same 400 errors as the search endpoint)
+ */
+const buildSavedSearchQuery = (filters) => buildListingFilter(filters);
+
+const getListingTitle = (listing) =>
+  listing.propertyKeyword || listing.propertyDesc || [listing.propertyType, listing.neighborhood, listing.city].filter(Boolean).join(', ');
+
+/**
+ * Email with the listings that matched a saved search (instant alert or digest)
+ */
+const sendSavedSearchEmail = async (userId, savedSearch, listings) => {
+  try {
+    const user = await User.findById(userId).select('email username').lean();
+    if (!user || !user.email) return;
+    const { sendSavedSearchAlertEmail } = require('./email');
+    await sendSavedSearchAlertEmail({
+      to: user.email,
+      name: user.username,
+      searchName: savedSearch.name,
+      listings: listings.map((listing) => ({ ...listing, title: getListingTitle(listing) }))
+    });
+  } catch (error) {
+    // Email failures must not stop the other alerts
+    logger.error('[SAVED_SEARCH_EMAIL_ERROR]', {
+      savedSearchId: savedSearch._id.toString(),
+      error: error.message
+    });
+  }
+};
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Saved search condition: the filter is not set, or set to a value filterListings turns into one of the targets
+ * (same value in any case, or an Arabic / spelling alias of it)
+ */
+const unsetOrAlias = (field, targets, aliasMap) => {
+  const lowerTargets = targets.filter(Boolean).map((target) => String(target).toLowerCase());
+  const values = [
+    ...lowerTargets,
+    ...Object.keys(aliasMap).filter((alias) => lowerTargets.includes(String(aliasMap[alias]).toLowerCase()))
+  ];
+  return {
+    $or: [
+      { [`filters.${field}`]: { $exists: false } },
+      ...(values.length > 0 ? [{ [`filters.${field}`]: { $in: values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i')) } }] : [])
+    ]
+  };
+};
+
+/**
+ * Saved searches whose status, city and property type filters can match the listing.
+ * Only these are checked with the full filter, so a new listing does not run a query per saved search.
+ */
+const candidateSearchesQuery = (listing) => {
+  // filterListings matches any villa / farm listing for a Villa/farms search
+  const propertyTypes = [listing.propertyType];
+  if (/villa|farm/i.test(listing.propertyType || '')) propertyTypes.push('villa/farms', 'villa/farm');
+  return {
+    $and: [
+      { $or: [{ 'filters.status': { $exists: false } }, ...(listing.status ? [{ 'filters.status': listing.status }] : [])] },
+      unsetOrAlias('city', [listing.city], ARABIC_CITY_MAP),
+      unsetOrAlias('propertyType', propertyTypes, ARABIC_PROPERTY_TYPE_MAP)
+    ]
+  };
+};
+
+/**
+ * Match a listing that just went public against all active saved searches
+ * Instant searches are notified now, daily searches queue the listing for their digest.
+ * Never throws - alert failures must not break approval or publishing.
+ * @param {string|ObjectId} listingId - Listing id
+ * @returns {Promise<number>} Number of saved searches matched
+ */
+const matchListingToSavedSearches = async (listingId) => {
+  try {
+    const listing = await Listing.findById(listingId).lean();
+    if (!listing || !isListingPublic(listing)) return 0;
+
+    const searches = await SavedSearch.find({
+      isActive: true,
+      alertFrequency: { $ne: 'off' },
+      notifiedListingIds: { $ne: listing._id },
+      ...(listing.agentId ? { userId: { $ne: listing.agentId } } : {}), // Agents don't get alerts for their own listings
+      ...candidateSearchesQuery(listing)
+    }).lean();
+
+    let matched = 0;
+    for (const search of searches) {
+      try {
+        const { $text, ...filter } = await buildSavedSearchQuery(search.filters || {});
+        // Keep $text at the top level of the query, where the text index can serve it
+        const isMatch = await Listing.exists({
+          ...($text ? { $text } : {}),
+          $and: [{ _id: listing._id }, PUBLIC_LISTING_QUERY, filter]
+        });
+        if (!isMatch) continue;
+
+        matched++;
+        const update = {
+          $inc: { matchCount: 1 },
+          $set: { lastMatchedAt: new Date() },
+          $push: { notifiedListingIds: { $each: [listing._id], $slice: -SAVED_SEARCH_NOTIFIED_HISTORY } }
+        };
+        if (search.alertFrequency === 'daily') {
+          update.$addToSet = { pendingListingIds: listing._id };
+        }
+        await SavedSearch.updateOne({ _id: search._id }, update);
+
+        if (search.alertFrequency === 'instant') {
+          const listingTitle = getListingTitle(listing);
+          await notifyUserSavedSearchMatch(search.userId.toString(), search._id.toString(), search.name, listing._id.toString(), listingTitle);
+          if (search.emailAlerts) {
+            await sendSavedSearchEmail(search.userId, search, [listing]);
+          }
+        }
+      } catch (error) {
+        logger.error('[SAVED_SEARCH_MATCH_ERROR]', {
+          savedSearchId: search._id.toString(),
+          listingId: listing._id.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    if (matched > 0) {
+      logger.info('[SAVED_SEARCH_MATCH]', { listingId: listing._id.toString(), matched });
+    }
+    return matched;
+  } catch (error) {
+    logger.error('[SAVED_SEARCH_MATCH_ERROR]', {
+      listingId: String(listingId),
+      error: error.message,
+      stack: error.stack
+    });
+    return 0;
+  }
+};
+
+/**
+ * Send the daily digests that are due (one per search with queued listings)
+ * Listings that stopped being public since they matched are left out.
+ * @returns {Promise<number|null>} Number of digests sent, or null if skipped
+ */
+const runSavedSearchDigest = async () => {
+  if (isRunning || mongoose.connection.readyState !== 1) {
+    return null;
+  }
+  isRunning = true;
+  try {
+    const now = new Date();
+    const dueBefore = new Date(now.getTime() - SAVED_SEARCH_DIGEST_PERIOD_HOURS * 60 * 60 * 1000);
+    const searches = await SavedSearch.find({
+      isActive: true,
+      alertFrequency: 'daily',
+      'pendingListingIds.0': { $exists: true },
+      $or: [{ lastDigestSentAt: null }, { lastDigestSentAt: { $lte: dueBefore } }]
+    })
+      .limit(SAVED_SEARCH_BATCH_SIZE)
+      .lean();
+
+    let sent = 0;
+    for (const search of searches) {
+      try {
+        const listings = await Listing.find({ _id: { $in: search.pendingListingIds }, ...PUBLIC_LISTING_QUERY })
+          .select(LISTING_ALERT_FIELDS)
+          .sort({ createdAt: -1 })
+          .limit(SAVED_SEARCH_DIGEST_MAX_LISTINGS)
+          .lean();
+
+        if (listings.length > 0) {
+          await notifyUserSavedSearchDigest(
+            search.userId.toString(),
+            search._id.toString(),
+            search.name,
+            listings.map((listing) => listing._id.toString())
+          );
+          if (search.emailAlerts) {
+            await sendSavedSearchEmail(search.userId, search, listings);
+          }
+          sent++;
+        }
+
+        // Only the ids read above: listings queued while the digest was sent wait for the next one
+        await SavedSearch.updateOne(
+          { _id: search._id },
+          { $pullAll: { pendingListingIds: search.pendingListingIds }, $set: { lastDigestSentAt: now } }
+        );
+      } catch (error) {
+        logger.error('[SAVED_SEARCH_DIGEST_ERROR]', {
+          savedSearchId: search._id.toString(),
+          error: error.message
+        });
+      }
+    }
+
+    if (sent > 0) {
+      logger.info('[SAVED_SEARCH_DIGEST]', { sent });
+    }
+    return sent;
+  } catch (error) {
+    logger.error('[SAVED_SEARCH_DIGEST_ERROR]', {
+      error: error.message,
+      stack: error.stack
+    });
+    return null;
+  } finally {
+    isRunning = false;
+  }
+};
+
+/**
+ * Start the digest job (runs once now, then every SAVED_SEARCH_DIGEST_INTERVAL_MINUTES)
+ * Set DISABLE_SAVED_SEARCH_DIGEST_JOB=true to turn it off (e.g. on extra instances)
+ */
+const startSavedSearchDigestJob = () => {
+  if (intervalId || process.env.DISABLE_SAVED_SEARCH_DIGEST_JOB === 'true') {
+    return;
+  }
+  runSavedSearchDigest();
+  intervalId = setInterval(runSavedSearchDigest, SAVED_SEARCH_DIGEST_INTERVAL_MINUTES * 60 * 1000);
+  logger.info(`⏰ Saved search digest job started (every ${SAVED_SEARCH_DIGEST_INTERVAL_MINUTES} min)`);
+};
+
+module.exports = {
+  normalizeSavedSearchFilters,
+  filtersFromParsedQuery,
+  buildSavedSearchQuery,
+  matchListingToSavedSearches,
+  runSavedSearchDigest,
+  startSavedSearchDigestJob
+};
@@ -0,0 +1,328 @@
+/**
+ * Search Analytics
+ * Logs listing searches (SearchLog) and builds the admin reports: top queries, zero-result queries,
+ * demand versus supply per city / property type, and AI parse outcomes.
+ * Logging is fire-and-forget - it never slows down or breaks a search.
+ */
+
+const SearchLog = require('../models/searchLog.model');
+const Listing = require('../models/listing.model');
+const logger = require('./logger');
+const { tokenizeSearchText } = require('./textSearch');
+const { SAVED_SEARCH_FILTER_PARAMS } = require('../constants/savedSearch');
+const {
+  SEARCH_ANALYTICS_DEFAULT_DAYS,
+  SEARCH_ANALYTICS_MAX_DAYS,
+  SEARCH_ANALYTICS_DEFAULT_LIMIT,
+  SEARCH_ANALYTICS_MAX_LIMIT
+} = require('../constants/searchAnalytics');
+
+const PUBLIC_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+
+// Logged search parameters: everything that selects listings, plus the sort
+const SEARCH_LOG_PARAMS = [...SAVED_SEARCH_FILTER_PARAMS, 'sort'];
+
+const MAX_QUERY_LENGTH = 500;
+
+const toText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, MAX_QUERY_LENGTH) : null;
+};
+
+/**
+ * Normalize a query for grouping: "Apartments in Damascus" and "apartment damascus" count as the same query
+ * @param {string} query - Query as typed
+ * @returns {string|null} Normalized tokens
+ */
+const normalizeSearchQuery = (query) => {
+  const tokens = tokenizeSearchText(toText(query) || '');
+  return tokens.length > 0 ? tokens.join(' ') : null;
+};
+
+/**
+ * Search parameters as they are logged (known parameters only, trimmed strings, cities/state -> city)
+ * @param {Object} query - req.query
+ * @returns {Object} Parameters
+ */
+const normalizeSearchLogParams = (query = {}) => {
+  const source = { ...query };
+  if (!source.city && (source.cities || source.state)) {
+    source.city = source.cities || source.state;
+  }
+  const params = {};
+  SEARCH_LOG_PARAMS.forEach((param) => {
+    let value = source[param];
+    if (Array.isArray(value)) value = value.join(',');
+    const text = toText(value);
+    if (text !== null) params[param] = text;
+  });
+  return params;
+};
+
+const saveSearchLog = (entry) => {
+  SearchLog.create(entry).catch((error) => {
+    logger.error('[SEARCH_LOG_ERROR]', { endpoint: entry.endpoint, error: error.message });
+  });
+};
+
+/**
+ * Log a GET /api/listing/search request (first pages only)
+ * @param {Object} req - Request (query, language)
+ * @param {number} resultCount - Total matching listings
+ */
+const logListingSearch = (req, resultCount) => {
+  const query = req.query || {};
+  const isFollowUpPage = (query.cursor !== undefined && query.cursor !== '') || parseInt(query.page) > 1;
+  if (isFollowUpPage) return;
+
+  const { convertArabicCity, convertArabicPropertyType } = require('../middleware/listing');
+  const params = normalizeSearchLogParams(query);
+  saveSearchLog({
+    endpoint: 'search',
+    query: toText(query.keyword),
+    normalizedQuery: normalizeSearchQuery(query.keyword),
+    params,
+    parser: 'none',
+    city: params.city ? convertArabicCity(params.city) : null,
+    propertyType: params.propertyType ? convertArabicPropertyType(params.propertyType) : null,
+    status: params.status || null,
+    resultCount: resultCount || 0,
+    language: req.language || 'en'
+  });
+};
+
+/**
+ * Log a POST /api/listing/ai-search request (first pages only)
+ * @param {Object} req - Request (query, language)
+ * @param {Object} outcome - { query, parser, llmOutcome, extractedParams, understood, resultCount }
+ */
+const logAiSearch = (req, { query, parser, llmOutcome, extractedParams, understood, resultCount }) => {
+  if (parseInt(req.query && req.query.page) > 1) return;
+
+  const params = extractedParams || {};
+  saveSearchLog({
+    endpoint: 'ai_search',
+    query: toText(query),
+    normalizedQuery: normalizeSearchQuery(query),
+    params: {},
+    parser,
+    llmOutcome,
+    extractedParams: extractedParams || null,
+    understood,
+    city: params.city || null,
+    propertyType: params.propertyType || null,
+    status: params.status || null,
+    resultCount: resultCount || 0,
+    language: req.language || 'en'
+  });
+};
+
+/**
+ * Report window and size from the query string
+ * @param {Object} query - { days, limit, endpoint }
+ * @returns {Object} { since, days, limit, endpoint }
+ */
+const parseReportOptions = (query = {}) => {
+  const days = Math.min(Math.max(parseInt(query.days) || SEARCH_ANALYTICS_DEFAULT_DAYS, 1), SEARCH_ANALYTICS_MAX_DAYS);
+  const limit = Math.min(Math.max(parseInt(query.limit) || SEARCH_ANALYTICS_DEFAULT_LIMIT, 1), SEARCH_ANALYTICS_MAX_LIMIT);
+  const endpoint = ['search', 'ai_search'].includes(query.endpoint) ? query.endpoint : null;
+  return { since: new Date(Date.now() - days * 24 * 60 * 60 * 1000), days, limit, endpoint };
+};
+
+const windowMatch = ({ since, endpoint }) => ({
+  createdAt: { $gte: since },
+  ...(endpoint ? { endpoint } : {})
+});
+
+const rate = (part, total) => (total > 0 ? Math.round((part / total) * 10000) / 100 : 0);
+
+/**
+ * Totals for the window
+ * @returns {Promise<Object>} { searches, zeroResultSearches, zeroResultRate, uniqueQueries, byEndpoint, byLanguage }
+ */
+const getSearchSummary = async (options) => {
+  const [result] = await SearchLog.aggregate([
+    { $match: windowMatch(options) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: 1 },
+              zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } }
+            }
+          }
+        ],
+        uniqueQueries: [
+          { $match: { normalizedQuery: { $nin: [null, ''] } } },
+          { $group: { _id: '$normalizedQuery' } },
+          { $count: 'count' }
+        ],
+        byEndpoint: [{ $group: { _id: '$endpoint', count: { $sum: 1 } } }],
+        byLanguage: [{ $group: { _id: '$language', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const totals = (result && result.totals[0]) || { searches: 0, zeroResultSearches: 0 };
+  const toMap = (rows) => Object.fromEntries((rows || []).map((row) => [row._id, row.count]));
+  return {
+    searches: totals.searches,
+    zeroResultSearches: totals.zeroResultSearches,
+    zeroResultRate: rate(totals.zeroResultSearches, totals.searches),
+    uniqueQueries: (result && result.uniqueQueries[0] && result.uniqueQueries[0].count) || 0,
+    byEndpoint: toMap(result && result.byEndpoint),
+    byLanguage: toMap(result && result.byLanguage)
+  };
+};
+
+/**
+ * Most searched queries (optionally only searches that returned nothing)
+ * @param {Object} options - Report options + { zeroResultsOnly }
+ * @returns {Promise<Array>} [{ query, example, searches, zeroResultSearches, avgResults, lastSearchedAt }]
+ */
+const getTopQueries = async ({ zeroResultsOnly = false, ...options }) => {
+  const rows = await SearchLog.aggregate([
+    {
+      $match: {
+        ...windowMatch(options),
+        normalizedQuery: { $nin: [null, ''] },
+        ...(zeroResultsOnly ? { resultCount: 0 } : {})
+      }
+    },
+    {
+      $group: {
+        _id: '$normalizedQuery',
+        example: { $last: '$query' },
+        searches: { $sum: 1 },
+        zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } },
+        avgResults: { $avg: '$resultCount' },
+        lastSearchedAt: { $max: '$createdAt' }
+      }
+    },
+    { $sort: { searches: -1, lastSearchedAt: -1 } },
+    { $limit: options.limit }
+  ]);
+
+  return rows.map((row) => ({
+    query: row._id,
+    example: row.example,
+    searches: row.searches,
+    zeroResultSearches: row.zeroResultSearches,
+    avgResults: Math.round(row.avgResults * 10) / 10,
+    lastSearchedAt: row.lastSearchedAt
+  }));
+};
+
+/**
+ * Searches per city or property type compared with the public listings available there
+ * A high searchesPerListing means buyers look for it but agents don't list it.
+ * @param {Object} options - Report options + { field: 'city' | 'propertyType' }
+ * @returns {Promise<Array>} [{ value, searches, zeroResultSearches, listings, searchesPerListing }]
+ */
+const getDemandVsSupply = async ({ field, ...options }) => {
+  const [demand, supply] = await Promise.all([
+    SearchLog.aggregate([
+      { $match: { ...windowMatch(options), [field]: { $nin: [null, ''] } } },
+      {
+        $group: {
+          _id: { $toLower: `$${field}` },
+          value: { $first: `$${field}` },
+          searches: { $sum: 1 },
+          zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } }
+        }
+      },
+      { $sort: { searches: -1 } },
+      { $limit: options.limit }
+    ]),
+    Listing.aggregate([
+      { $match: { ...PUBLIC_LISTING_QUERY, [field]: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: `$${field}` }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const listingsByValue = new Map(supply.map((row) => [row._id, row.count]));
+  return demand.map((row) => {
+    const listings = listingsByValue.get(row._id) || 0;
+    return {
+      value: row.value,
+      searches: row.searches,
+      zeroResultSearches: row.zeroResultSearches,
+      listings,
+      searchesPerListing: listings > 0 ? Math.round((row.searches / listings) * 100) / 100 : null
+    };
+  });
+};
+
+/**
+ * AI search parse outcomes: parser used, LLM failures and queries nothing could be extracted from
+ * @param {Object} options - Report options
+ * @returns {Promise<Object>} Rates and the most common not-understood queries
+ */
+const getAiParseStats = async (options) => {
+  const [result] = await SearchLog.aggregate([
+    { $match: windowMatch({ ...options, endpoint: 'ai_search' }) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: 1 },
+              notUnderstood: { $sum: { $cond: [{ $eq: ['$understood', false] }, 1, 0] } },
+              zeroResultSearches: { $sum: { $cond: [{ $eq: ['$resultCount', 0] }, 1, 0] } }
+            }
+          }
+        ],
+        byParser: [{ $group: { _id: '$parser', count: { $sum: 1 } } }],
+        byLlmOutcome: [{ $group: { _id: '$llmOutcome', count: { $sum: 1 } } }],
+        notUnderstoodQueries: [
+          { $match: { understood: false, normalizedQuery: { $nin: [null, ''] } } },
+          { $group: { _id: '$normalizedQuery', example: { $last: '$query' }, searches: { $sum: 1 } } },
+          { $sort: { searches: -1 } },
+          { $limit: options.limit }
+        ]
+      }
+    }
+  ]);
+
+  const totals = (result && result.totals[0]) || { searches: 0, notUnderstood: 0, zeroResultSearches: 0 };
+  const toMap = (rows) => Object.fromEntries((rows || []).map((row) => [row._id || 'unknown', row.count]));
+  const llmOutcomes = toMap(result && result.byLlmOutcome);
+  const llmAttempts = (llmOutcomes.success || 0) + (llmOutcomes.failed || 0);
+
+  return {
+    searches: totals.searches,
+    notUnderstood: totals.notUnderstood,
+    notUnderstoodRate: rate(totals.notUnderstood, totals.searches),
+    zeroResultSearches: totals.zeroResultSearches,
+    zeroResultRate: rate(totals.zeroResultSearches, totals.searches),
+    byParser: toMap(result && result.byParser),
+    llmOutcomes,
+    llmFailureRate: rate(llmOutcomes.failed || 0, llmAttempts),
+    notUnderstoodQueries: ((result && result.notUnderstoodQueries) || []).map((row) => ({
+      query: row._id,
+      example: row.example,
+      searches: row.searches
+    }))
+  };
+};
+
+module.exports = {
+  normalizeSearchQuery,
+  normalizeSearchLogParams,
+  logListingSearch,
+  logAiSearch,
+  parseReportOptions,
+  getSearchSummary,
+  getTopQueries,
+  getDemandVsSupply,
+  getAiParseStats
+};
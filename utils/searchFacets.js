@@ -0,0 +1,175 @@
+/**
+ * Search Facets
+ * Live counts for the search filter sidebar (GET /api/listing/search?facets=...).
+ * Each facet is counted against all OTHER active filters (its own parameters are left out),
+ * so selecting "Damascus" still shows how many listings every other city has.
+ * All facets are computed in one $facet aggregation.
+ */
+
+const { buildListingFilter } = require('../middleware/listing');
+
+// Query parameters that belong to each facet (removed when counting that facet)
+const FACET_PARAMS = {
+  propertyType: ['propertyType'],
+  city: ['city', 'cities', 'state'],
+  neighborhood: ['neighborhood'],
+  bedrooms: ['bedrooms'],
+  furnished: ['furnished'],
+  amenities: ['amenities'],
+  price: ['priceMin', 'priceMax'],
+  rentType: ['rentType']
+};
+
+const FACET_NAMES = Object.keys(FACET_PARAMS);
+
+// Long-tail facets only return their most common values
+const MAX_FACET_VALUES = 50;
+
+// Price buckets in USD (compared with priceUSD); rentals get their own scale
+const PRICE_BUCKETS_USD = {
+  sale: [0, 25000, 50000, 100000, 200000, 500000, 1000000],
+  rent: [0, 100, 250, 500, 1000, 2000, 5000]
+};
+const OPEN_END = Number.MAX_SAFE_INTEGER;
+
+/**
+ * Parse the facets parameter
+ * @param {string} value - 'true' / 'all' for every facet, or a comma-separated list of facet names
+ * @returns {Object} { facets: string[] } (empty when not requested) or { error }
+ */
+const parseFacetsParam = (value) => {
+  if (value === undefined || value === null || value === '' || value === 'false') {
+    return { facets: [] };
+  }
+  const raw = String(value).trim();
+  if (raw === 'true' || raw === 'all' || raw === '1') {
+    return { facets: FACET_NAMES };
+  }
+  const requested = [...new Set(raw.split(',').map((name) => name.trim()).filter(Boolean))];
+  const unknown = requested.filter((name) => !FACET_PARAMS[name]);
+  if (unknown.length > 0) {
+    return { error: `Unknown facet(s): ${unknown.join(', ')}. Use: ${FACET_NAMES.join(', ')}` };
+  }
+  return { facets: requested };
+};
+
+const groupStages = (field, limit = MAX_FACET_VALUES) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: limit }
+];
+
+const getPriceBoundaries = (query) => {
+  const buckets = query.status === 'rent' ? PRICE_BUCKETS_USD.rent : PRICE_BUCKETS_USD.sale;
+  return [...buckets, OPEN_END];
+};
+
+// Stages counting one facet (run after that facet's own $match)
+const FACET_STAGES = {
+  propertyType: () => groupStages('propertyType'),
+  city: () => groupStages('city'),
+  neighborhood: () => groupStages('neighborhood'),
+  bedrooms: () => [
+    { $match: { bedrooms: { $ne: null } } },
+    { $group: { _id: '$bedrooms', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ],
+  furnished: () => [
+    { $match: { furnished: { $in: [true, false] } } },
+    { $group: { _id: '$furnished', count: { $sum: 1 } } },
+    { $sort: { _id: -1 } }
+  ],
+  amenities: () => [
+    { $unwind: '$amenities' },
+    ...groupStages('amenities')
+  ],
+  price: (query) => [
+    { $match: { priceUSD: { $ne: null } } },
+    { $bucket: { groupBy: '$priceUSD', boundaries: getPriceBoundaries(query), default: 'other', output: { count: { $sum: 1 } } } },
+    { $match: { _id: { $ne: 'other' } } }
+  ],
+  rentType: () => groupStages('rentType')
+};
+
+/**
+ * Build the $facet aggregation pipeline
+ * @param {Object} query - Search query parameters (req.query)
+ * @param {string[]} facets - Facets to count
+ * @param {Object} visibility - Public visibility conditions (approved, not deleted/sold)
+ * @returns {Promise<Array>} Aggregation pipeline
+ */
+const buildFacetPipeline = async (query, facets, visibility) => {
+  const stages = {};
+  let textSearch = null;
+  for (const facet of facets) {
+    const otherParams = { ...query };
+    FACET_PARAMS[facet].forEach((param) => delete otherParams[param]);
+    // $text is only allowed in the first $match: the keyword is shared by all facets, so it moves there
+    const { $text, ...filter } = await buildListingFilter(otherParams);
+    textSearch = $text || textSearch;
+    stages[facet] = [{ $match: filter }, ...FACET_STAGES[facet](query)];
+  }
+  const match = textSearch ? { ...visibility, $text: textSearch } : visibility;
+  return [{ $match: match }, { $facet: stages }];
+};
+
+/**
+ * Shape the aggregation result for the client ({ value, label, count } per facet value)
+ * @param {Object} result - First document of the $facet aggregation
+ * @param {Function} t - Translation function (req.t), optional
+ * @returns {Object} Facet counts keyed by facet name
+ */
+const formatFacets = (result, t) => {
+  const translate = (group, value) => {
+    if (!t || typeof value !== 'string') return value;
+    const key = `${group}.${value}`;
+    const translated = t(key);
+    return translated && translated !== key ? translated : value;
+  };
+  const labelGroups = { propertyType: 'propertyType', city: 'cities', rentType: 'rentType' };
+
+  const facets = {};
+  Object.entries(result || {}).forEach(([facet, rows]) => {
+    if (facet === 'price') {
+      facets.price = {
+        currency: 'USD',
+        buckets: rows.map((row) => ({ min: row._id, max: row.max, count: row.count }))
+      };
+      return;
+    }
+    facets[facet] = rows.map((row) => ({
+      value: row._id,
+      label: labelGroups[facet] ? translate(labelGroups[facet], row._id) : row._id,
+      count: row.count
+    }));
+  });
+  return facets;
+};
+
+/**
+ * Count the requested facets for a search
+ * @param {Object} params - { Listing, query, facets, visibility, t }
+ * @returns {Promise<Object>} Facet counts
+ */
+const getSearchFacets = async ({ Listing, query, facets, visibility, t }) => {
+  if (!facets || facets.length === 0) return {};
+  const pipeline = await buildFacetPipeline(query, facets, visibility);
+  const [result] = await Listing.aggregate(pipeline);
+
+  // $bucket only returns lower bounds: add the upper bound of each price bucket
+  if (result && result.price) {
+    const boundaries = getPriceBoundaries(query);
+    result.price = result.price.map((row) => {
+      const next = boundaries[boundaries.indexOf(row._id) + 1];
+      return { ...row, max: next === OPEN_END ? null : next };
+    });
+  }
+  return formatFacets(result, t);
+};
+
+module.exports = {
+  FACET_NAMES,
+  parseFacetsParam,
+  getSearchFacets
+};
@@ -0,0 +1,444 @@
+/**
+ * AI Search Interpretation
+ * Explains how a natural-language query was understood: every extracted field with its source
+ * (rule_based or llm) and a confidence, plus an English / Arabic summary of the search that ran.
+ * The client can send the interpretation back with a refinement sentence ("cheaper", "in Mezzeh instead",
+ * "أكبر") and gets the updated search, so the AI search works as a conversation.
+ */
+
+const logger = require('./logger');
+const errorHandler = require('./error');
+const { normalizeArabic } = require('./textSearch');
+const { normalizeCurrency } = require('./currency');
+const { getTranslator } = require('../i18n');
+
+// Fields returned by parseQuery / parseAIQuery
+const INTERPRETATION_FIELDS = [
+  'propertyType', 'status', 'rentType', 'bedrooms', 'bathrooms', 'city', 'neighborhood',
+  'priceMin', 'priceMax', 'priceCurrency', 'sizeMin', 'sizeMax', 'furnished', 'garages', 'amenities', 'viewType', 'keywords'
+];
+const NUMERIC_FIELDS = ['bedrooms', 'bathrooms', 'sizeMin', 'sizeMax', 'priceMin', 'priceMax'];
+const BOOLEAN_FIELDS = ['furnished', 'garages'];
+const LIST_FIELDS = ['amenities', 'keywords'];
+
+const SOURCES = ['rule_based', 'llm'];
+
+// Both parsers agree > only the rule-based parser > only the LLM > the parsers disagree (LLM value wins)
+const CONFIDENCE = {
+  agreed: 0.95,
+  rule_based: 0.8,
+  llm: 0.7,
+  conflict: 0.6,
+  refinement: 0.9
+};
+
+// Relative refinements, matched as whole phrases on the normalized sentence (Arabic stored normalized)
+const REFINEMENT_PHRASES = {
+  cheaper: ['cheaper', 'less expensive', 'lower price', 'lower budget', 'ارخص', 'اقل سعر', 'سعر اقل'],
+  more_expensive: ['more expensive', 'pricier', 'higher price', 'higher budget', 'اغلي', 'اعلي سعر', 'سعر اعلي'],
+  bigger: ['bigger', 'larger', 'more space', 'more spacious', 'اكبر', 'اوسع', 'مساحه اكبر'],
+  smaller: ['smaller', 'less space', 'اصغر', 'مساحه اصغر'],
+  more_rooms: ['more rooms', 'more bedrooms', 'extra room', 'extra bedroom', 'غرف اكثر', 'غرفه اضافيه', 'غرفه زياده'],
+  fewer_rooms: ['fewer rooms', 'fewer bedrooms', 'less rooms', 'less bedrooms', 'غرف اقل'],
+  any_price: ['any price', 'any budget', 'اي سعر'],
+  anywhere: ['anywhere', 'any city', 'any location', 'any area', 'اي مكان', 'اي مدينه', 'اي منطقه']
+};
+
+// "cheaper" / "bigger" move the range by this factor
+const RANGE_STEP = 0.8;
+const MAX_QUERY_LENGTH = 500;
+const MAX_REFINEMENTS = 10;
+const MAX_TEXT_VALUE_LENGTH = 100;
+const MAX_LIST_VALUES = 20;
+
+const isEmptyValue = (value) => value === null || value === undefined || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const WORD_NUMBERS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12 };
+
+// LLM values may be "three" or "3"
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+  const text = String(value).toLowerCase().trim();
+  if (WORD_NUMBERS[text] != null) return WORD_NUMBERS[text];
+  const number = parseFloat(text);
+  return Number.isFinite(number) && number >= 0 ? number : null;
+};
+
+const sameValue = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const normalize = (list) => JSON.stringify([...(list || [])].map((v) => String(v).toLowerCase()).sort());
+    return normalize(a) === normalize(b);
+  }
+  if (typeof a === 'string' && typeof b === 'string') return a.trim().toLowerCase() === b.trim().toLowerCase();
+  if (a === b) return true;
+  if (isEmptyValue(a) || isEmptyValue(b)) return false;
+  return toNumber(a) !== null && toNumber(a) === toNumber(b);
+};
+
+/**
+ * Parse a sentence with the rule-based parser and, when configured, the LLM
+ * (the LLM enriches, rule-based keeps the values the LLM returns null for)
+ * @param {string} query - Natural-language query
+ * @returns {Promise<Object>} { params, ruleParams, aiParams, parser, llmOutcome }
+ * @throws if the rule-based parser fails
+ */
+const parseSearchQuery = async (query) => {
+  const { parseQuery } = require('./ruleBasedParser');
+  const { parseAIQuery, isAIConfigured } = require('./aiSearchParser');
+
+  const ruleParams = parseQuery(query);
+  let params = ruleParams;
+  let aiParams = null;
+  let parser = 'rule_based';
+  let llmOutcome = 'not_configured';
+
+  if (isAIConfigured()) {
+    try {
+      aiParams = await parseAIQuery(query);
+      const mergeValue = (ruleVal, aiVal) => (aiVal != null && aiVal !== '') ? aiVal : ruleVal;
+      params = {
+        ...ruleParams,
+        ...Object.fromEntries(
+          Object.entries(aiParams || {}).map(([k, v]) => [k, mergeValue(ruleParams[k], v)])
+        )
+      };
+      parser = 'llm';
+      llmOutcome = 'success';
+      logger.info('✅ Using LLM for enhanced parsing');
+    } catch (aiError) {
+      aiParams = null;
+      llmOutcome = 'failed';
+      logger.warn('LLM parsing failed, using rule-based only:', aiError.message);
+    }
+  }
+
+  return { params, ruleParams, aiParams, parser, llmOutcome };
+};
+
+/**
+ * Source and confidence of every non-empty field of a parse
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} { [field]: { value, source, confidence } }
+ */
+const describeParsedFields = (parsed) => {
+  const fields = {};
+  INTERPRETATION_FIELDS.forEach((field) => {
+    const value = parsed.params[field];
+    if (isEmptyValue(value)) return;
+    const ruleValue = parsed.ruleParams[field];
+    const aiValue = parsed.aiParams ? parsed.aiParams[field] : null;
+
+    let source = 'rule_based';
+    let confidence = CONFIDENCE.rule_based;
+    if (!isEmptyValue(aiValue)) {
+      source = 'llm';
+      if (isEmptyValue(ruleValue)) confidence = CONFIDENCE.llm;
+      else confidence = sameValue(ruleValue, aiValue) ? CONFIDENCE.agreed : CONFIDENCE.conflict;
+    }
+    fields[field] = {
+      value: NUMERIC_FIELDS.includes(field) ? toNumber(value) : value,
+      source,
+      confidence
+    };
+  });
+  return fields;
+};
+
+// Whether the search actually filters on a field (see aiSearch)
+const isApplied = (field, fields) => {
+  if (field === 'neighborhood') return fields.neighborhood.fromRefinement === true;
+  if (field === 'rentType') return fields.status?.value === 'rent';
+  return true;
+};
+
+const formatNumber = (value) => Number(value).toLocaleString('en-US');
+
+/**
+ * One-line summary of the search in a language
+ * @param {Object} params - Search parameters
+ * @param {string} lng - 'en' or 'ar'
+ * @param {boolean} withNeighborhood - Whether the neighborhood is filtered on
+ * @returns {string} Summary
+ */
+const summarize = (params, lng, withNeighborhood) => {
+  const t = getTranslator(lng);
+  const translate = (group, value) => {
+    const key = `${group}.${value}`;
+    const translated = t(key);
+    return translated && translated !== key ? translated : value;
+  };
+  const separator = t('aiSearch.separator');
+  const parts = [params.propertyType ? translate('propertyType', params.propertyType) : t('aiSearch.properties')];
+
+  if (params.status) {
+    parts.push(params.status === 'rent' && params.rentType
+      ? `${translate('status', params.status)} ${t('aiSearch.rent_type', { rentType: translate('rentType', params.rentType) })}`
+      : translate('status', params.status));
+  }
+  if (!isEmptyValue(params.bedrooms)) parts.push(t('aiSearch.bedrooms', { count: params.bedrooms }));
+  if (!isEmptyValue(params.bathrooms)) parts.push(t('aiSearch.bathrooms', { count: params.bathrooms }));
+
+  const place = [withNeighborhood ? params.neighborhood : null, params.city ? translate('cities', params.city) : null]
+    .filter(Boolean)
+    .join(separator);
+  if (place) parts.push(t('aiSearch.in_place', { place }));
+
+  const addRange = (prefix, min, max, extra = {}) => {
+    if (!isEmptyValue(min) && !isEmptyValue(max)) parts.push(t(`aiSearch.${prefix}_between`, { min: formatNumber(min), max: formatNumber(max), ...extra }));
+    else if (!isEmptyValue(min)) parts.push(t(`aiSearch.${prefix}_from`, { min: formatNumber(min), ...extra }));
+    else if (!isEmptyValue(max)) parts.push(t(`aiSearch.${prefix}_up_to`, { max: formatNumber(max), ...extra }));
+  };
+  addRange('price', params.priceMin, params.priceMax, { currency: translate('aiSearch.currencies', params.priceCurrency || 'USD') });
+  addRange('size', params.sizeMin, params.sizeMax);
+
+  if (!isEmptyValue(params.furnished)) parts.push(t(params.furnished ? 'aiSearch.furnished' : 'aiSearch.unfurnished'));
+  if (!isEmptyValue(params.garages)) parts.push(t(params.garages ? 'aiSearch.with_parking' : 'aiSearch.without_parking'));
+  if (!isEmptyValue(params.amenities)) parts.push(t('aiSearch.with_amenities', { list: params.amenities.join(separator) }));
+  if (params.viewType) parts.push(t('aiSearch.view', { view: params.viewType }));
+
+  return parts.join(separator);
+};
+
+/**
+ * Interpretation returned to the client (and accepted back as previousInterpretation)
+ * @param {Object} params - { query, refinements, fields, changes, ignoredRefinements }
+ * @returns {Object} { query, refinements, fields, summary: { en, ar }, changes?, ignoredRefinements? }
+ */
+const buildInterpretation = ({ query, refinements = [], fields, changes, ignoredRefinements }) => {
+  const described = {};
+  Object.entries(fields).forEach(([field, entry]) => {
+    described[field] = { ...entry, applied: isApplied(field, fields) };
+  });
+  const params = paramsFromFields(described);
+  const withNeighborhood = Boolean(described.neighborhood && described.neighborhood.applied);
+
+  const interpretation = {
+    query,
+    refinements,
+    fields: described,
+    summary: {
+      en: summarize(params, 'en', withNeighborhood),
+      ar: summarize(params, 'ar', withNeighborhood)
+    }
+  };
+  if (changes) interpretation.changes = changes;
+  if (ignoredRefinements && ignoredRefinements.length > 0) interpretation.ignoredRefinements = ignoredRefinements;
+  return interpretation;
+};
+
+/**
+ * Search parameters (parser shape) from interpretation fields
+ * @param {Object} fields - Interpretation fields
+ * @returns {Object} Parameters with null / [] for missing fields
+ */
+const paramsFromFields = (fields) => {
+  const params = {};
+  INTERPRETATION_FIELDS.forEach((field) => {
+    const entry = fields[field];
+    params[field] = entry ? entry.value : (LIST_FIELDS.includes(field) ? [] : null);
+  });
+  return params;
+};
+
+/**
+ * Interpretation of a one-shot query
+ * @param {string} query - Natural-language query
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @returns {Object} Interpretation
+ */
+const interpretQuery = (query, parsed) => buildInterpretation({ query, fields: describeParsedFields(parsed) });
+
+const sanitizeValue = (field, value) => {
+  if (NUMERIC_FIELDS.includes(field)) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : undefined;
+  }
+  if (BOOLEAN_FIELDS.includes(field)) {
+    return typeof value === 'boolean' ? value : undefined;
+  }
+  if (LIST_FIELDS.includes(field)) {
+    const valid = Array.isArray(value) && value.length <= MAX_LIST_VALUES &&
+      value.every((item) => typeof item === 'string' && item.length <= MAX_TEXT_VALUE_LENGTH);
+    return valid ? value : undefined;
+  }
+  if (field === 'status') {
+    return ['sale', 'rent'].includes(value) ? value : undefined;
+  }
+  if (field === 'priceCurrency') {
+    return normalizeCurrency(value) || undefined;
+  }
+  return typeof value === 'string' && value.trim() && value.length <= MAX_TEXT_VALUE_LENGTH ? value.trim() : undefined;
+};
+
+/**
+ * Validate an interpretation sent back by the client
+ * @param {Object} previous - previousInterpretation from the request body
+ * @returns {Object} { query, refinements, fields }
+ * @throws 400 if it is not a valid interpretation
+ */
+const readInterpretation = (previous) => {
+  if (!previous || typeof previous !== 'object' || Array.isArray(previous) ||
+      !previous.fields || typeof previous.fields !== 'object' || Array.isArray(previous.fields)) {
+    throw errorHandler(400, 'previousInterpretation must be an interpretation returned by a previous AI search');
+  }
+  const query = typeof previous.query === 'string' ? previous.query.slice(0, MAX_QUERY_LENGTH) : '';
+  const refinements = Array.isArray(previous.refinements)
+    ? previous.refinements.filter((item) => typeof item === 'string').map((item) => item.slice(0, MAX_QUERY_LENGTH))
+    : [];
+
+  const fields = {};
+  for (const field of INTERPRETATION_FIELDS) {
+    const entry = previous.fields[field];
+    if (entry === undefined || entry === null) continue;
+    const value = entry && typeof entry === 'object' ? sanitizeValue(field, entry.value) : undefined;
+    if (value === undefined) {
+      throw errorHandler(400, `previousInterpretation has an invalid value for "${field}"`);
+    }
+    if (isEmptyValue(value)) continue;
+    const confidence = Number(entry.confidence);
+    fields[field] = {
+      value,
+      source: SOURCES.includes(entry.source) ? entry.source : 'rule_based',
+      confidence: Number.isFinite(confidence) && confidence >= 0 && confidence <= 1 ? confidence : CONFIDENCE.rule_based
+    };
+    if (entry.fromRefinement === true) fields[field].fromRefinement = true;
+  }
+  return { query, refinements, fields };
+};
+
+/**
+ * Relative refinements found in a sentence
+ * @param {string} sentence - Refinement sentence
+ * @returns {string[]} Keys of REFINEMENT_PHRASES
+ */
+const detectRefinements = (sentence) => {
+  const text = ` ${normalizeArabic(sentence).toLowerCase().replace(/[^a-z0-9\u0621-\u064A]+/g, ' ').trim()} `;
+  return Object.keys(REFINEMENT_PHRASES).filter((key) =>
+    REFINEMENT_PHRASES[key].some((phrase) => text.includes(` ${phrase} `)));
+};
+
+/**
+ * Move a min/max range down (factor < 1) or up (factor > 1).
+ * A one-sided range flips: "up to 500" + more expensive = "from 500", "from 100" + cheaper = "up to 100".
+ * @returns {Object|null} { min, max }, or null if there is no range to move
+ */
+const shiftRange = (min, max, factor) => {
+  if (isEmptyValue(min) && isEmptyValue(max)) return null;
+  const scale = (value) => Math.round(value * factor);
+  if (!isEmptyValue(min) && !isEmptyValue(max)) return { min: scale(min), max: scale(max) };
+  if (factor < 1) return isEmptyValue(max) ? { min: null, max: min } : { min: null, max: scale(max) };
+  return isEmptyValue(min) ? { min: max, max: null } : { min: scale(min), max: null };
+};
+
+/**
+ * Apply a refinement sentence to a previous interpretation
+ * @param {Object} previous - Result of readInterpretation
+ * @param {string} sentence - Refinement ("cheaper", "in Mezzeh instead", "with a pool" ...)
+ * @param {Object} parsed - parseSearchQuery result for the sentence
+ * @returns {Object} { params, interpretation }
+ */
+const refineInterpretation = (previous, sentence, parsed) => {
+  const fields = { ...previous.fields };
+  const explicit = describeParsedFields(parsed);
+  const refinedEntry = (value, source = 'rule_based', confidence = CONFIDENCE.refinement) =>
+    ({ value, source, confidence, fromRefinement: true });
+  const setField = (field, value, source, confidence) => {
+    if (isEmptyValue(value)) delete fields[field];
+    else fields[field] = refinedEntry(value, source, confidence);
+  };
+
+  // Values named in the sentence replace the previous ones (amenities / keywords are added)
+  Object.entries(explicit).forEach(([field, entry]) => {
+    const value = LIST_FIELDS.includes(field) && fields[field]
+      ? [...new Set([...fields[field].value, ...entry.value])]
+      : entry.value;
+    setField(field, value, entry.source, entry.confidence);
+  });
+  // A new city makes the old neighborhood meaningless
+  if (explicit.city && !explicit.neighborhood && previous.fields.city &&
+      !sameValue(previous.fields.city.value, explicit.city.value)) {
+    delete fields.neighborhood;
+  }
+  // New prices without a currency are not in the previous one
+  if ((explicit.priceMin || explicit.priceMax) && !explicit.priceCurrency) {
+    delete fields.priceCurrency;
+  }
+
+  // Relative refinements change what the sentence did not set
+  const ignoredRefinements = [];
+  const valueOf = (field) => (fields[field] ? fields[field].value : null);
+  const applyRange = (key, minField, maxField, factor) => {
+    if (explicit[minField] || explicit[maxField]) return;
+    const range = shiftRange(valueOf(minField), valueOf(maxField), factor);
+    if (!range) {
+      ignoredRefinements.push(key);
+      return;
+    }
+    setField(minField, range.min);
+    setField(maxField, range.max);
+  };
+  const applyBedrooms = (key, delta) => {
+    const bedrooms = valueOf('bedrooms');
+    if (explicit.bedrooms) return;
+    if (isEmptyValue(bedrooms) || bedrooms + delta < 1) {
+      ignoredRefinements.push(key);
+      return;
+    }
+    setField('bedrooms', bedrooms + delta);
+  };
+
+  detectRefinements(sentence).forEach((key) => {
+    switch (key) {
+      case 'cheaper': applyRange(key, 'priceMin', 'priceMax', RANGE_STEP); break;
+      case 'more_expensive': applyRange(key, 'priceMin', 'priceMax', 1 / RANGE_STEP); break;
+      case 'bigger': applyRange(key, 'sizeMin', 'sizeMax', 1 / RANGE_STEP); break;
+      case 'smaller': applyRange(key, 'sizeMin', 'sizeMax', RANGE_STEP); break;
+      case 'more_rooms': applyBedrooms(key, 1); break;
+      case 'fewer_rooms': applyBedrooms(key, -1); break;
+      case 'any_price':
+        delete fields.priceMin;
+        delete fields.priceMax;
+        delete fields.priceCurrency;
+        break;
+      case 'anywhere':
+        delete fields.city;
+        delete fields.neighborhood;
+        break;
+      default:
+        break;
+    }
+  });
+
+  // A new bound can cross the old one ("from 200k" + "under 150k"): keep the one from this sentence
+  [['priceMin', 'priceMax'], ['sizeMin', 'sizeMax']].forEach(([minField, maxField]) => {
+    const min = valueOf(minField);
+    const max = valueOf(maxField);
+    if (!isEmptyValue(min) && !isEmptyValue(max) && min > max) {
+      delete fields[explicit[minField] ? maxField : minField];
+    }
+  });
+
+  const changes = INTERPRETATION_FIELDS
+    .map((field) => ({ field, from: previous.fields[field]?.value ?? null, to: valueOf(field) }))
+    .filter(({ from, to }) => !(isEmptyValue(from) && isEmptyValue(to)) && !sameValue(from, to));
+
+  const interpretation = buildInterpretation({
+    query: previous.query,
+    refinements: [...previous.refinements, sentence].slice(-MAX_REFINEMENTS),
+    fields,
+    changes,
+    ignoredRefinements
+  });
+  return { params: paramsFromFields(interpretation.fields), interpretation };
+};
+
+module.exports = {
+  INTERPRETATION_FIELDS,
+  CONFIDENCE,
+  REFINEMENT_PHRASES,
+  parseSearchQuery,
+  interpretQuery,
+  readInterpretation,
+  detectRefinements,
+  refineInterpretation
+};
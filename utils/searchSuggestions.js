@@ -0,0 +1,275 @@
+/**
+ * Search Suggestions (typeahead)
+ * Mixed suggestions for the search box: cities and neighborhoods with listing counts, property types,
+ * agents and propertyId matches. Arabic and English input both work: names are matched through the
+ * alias maps of middleware/listing.js and SYRIAN_CITIES, after the same normalization as keyword search.
+ * Location/type counts come from one cached aggregation, so most keystrokes never reach the database.
+ */
+
+const Listing = require('../models/listing.model');
+const User = require('../models/user.model');
+const cache = require('./cache');
+const { normalizeArabic } = require('./textSearch');
+const { SYRIAN_CITIES } = require('./ruleBasedParser');
+const { getTranslator } = require('../i18n');
+const {
+  ARABIC_PROPERTY_TYPE_MAP,
+  ARABIC_CITY_MAP,
+  ARABIC_TO_ENGLISH_KEYWORD
+} = require('../middleware/listing');
+
+const PUBLIC_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+
+const SUGGESTION_TYPES = ['listing', 'city', 'neighborhood', 'propertyType', 'agent'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 20;
+const MAX_QUERY_LENGTH = 50;
+// Agents and propertyIds are looked up in the database, so only from this many characters
+const MIN_DB_QUERY_LENGTH = 2;
+const MAX_PER_TYPE = 5;
+const MAX_INDEXED_NEIGHBORHOODS = 2000;
+
+const INDEX_CACHE_KEY = 'suggest:index';
+const INDEX_CACHE_TTL = 300; // 5 minutes
+const RESULT_CACHE_TTL = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize text for prefix matching (Arabic letter variants, accents, case, punctuation)
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text
+ */
+const normalizeSuggestText = (text) => normalizeArabic(String(text || '').normalize('NFKD'))
+  .replace(/[\u0300-\u036f]/g, '') // Latin accents
+  .toLowerCase()
+  .replace(/[^a-z0-9\u0621-\u064A]+/g, ' ')
+  .trim();
+
+// Arabic names pointing to an English value in an alias map
+const aliasesFor = (map, value) => Object.keys(map).filter((key) => map[key] === value);
+
+const buildAliases = (values) => [...new Set(values.filter(Boolean).map(normalizeSuggestText).filter(Boolean))];
+
+/**
+ * How well a query matches an entry: 3 exact, 2 prefix, 1 prefix of a later word, 0 none
+ */
+const matchScore = (aliases, query) => {
+  let best = 0;
+  for (const alias of aliases) {
+    if (alias === query) return 3;
+    if (alias.startsWith(query)) best = Math.max(best, 2);
+    else if (alias.split(' ').some((word) => word.startsWith(query))) best = Math.max(best, 1);
+  }
+  return best;
+};
+
+/**
+ * Cities, neighborhoods and property types of public listings with counts and their aliases (cached)
+ * @returns {Promise<Object>} { cities, neighborhoods, propertyTypes }
+ */
+const getSuggestionIndex = async () => {
+  const cached = cache.get(INDEX_CACHE_KEY);
+  if (cached) return cached;
+
+  const [result] = await Listing.aggregate([
+    { $match: PUBLIC_LISTING_QUERY },
+    {
+      $facet: {
+        cities: [
+          { $match: { city: { $nin: [null, ''] } } },
+          { $group: { _id: '$city', count: { $sum: 1 } } }
+        ],
+        neighborhoods: [
+          { $match: { neighborhood: { $nin: [null, ''] } } },
+          {
+            $group: {
+              _id: { city: '$city', neighborhood: '$neighborhood' },
+              neighborhood_ar: { $max: '$neighborhood_ar' },
+              count: { $sum: 1 }
+            }
+          },
+          { $sort: { count: -1 } },
+          { $limit: MAX_INDEXED_NEIGHBORHOODS }
+        ],
+        propertyTypes: [
+          { $match: { propertyType: { $nin: [null, ''] } } },
+          { $group: { _id: '$propertyType', count: { $sum: 1 } } }
+        ]
+      }
+    }
+  ]);
+
+  const tAr = getTranslator('ar');
+  const arabicLabel = (group, value) => {
+    const key = `${group}.${value}`;
+    const translated = tAr(key);
+    return translated && translated !== key ? translated : null;
+  };
+
+  const index = {
+    cities: (result?.cities || []).map((row) => {
+      const syrianCity = SYRIAN_CITIES.find((city) => city.en.toLowerCase() === String(row._id).toLowerCase());
+      return {
+        value: row._id,
+        count: row.count,
+        aliases: buildAliases([
+          row._id,
+          arabicLabel('cities', row._id),
+          ...(syrianCity ? syrianCity.ar : []),
+          ...aliasesFor(ARABIC_CITY_MAP, row._id),
+          ...aliasesFor(ARABIC_TO_ENGLISH_KEYWORD, row._id)
+        ])
+      };
+    }),
+    neighborhoods: (result?.neighborhoods || []).map((row) => ({
+      value: row._id.neighborhood,
+      value_ar: row.neighborhood_ar || null,
+      city: row._id.city || null,
+      count: row.count,
+      aliases: buildAliases([row._id.neighborhood, row.neighborhood_ar])
+    })),
+    propertyTypes: (result?.propertyTypes || []).map((row) => ({
+      value: row._id,
+      count: row.count,
+      aliases: buildAliases([
+        row._id,
+        arabicLabel('propertyType', row._id),
+        ...aliasesFor(ARABIC_PROPERTY_TYPE_MAP, row._id),
+        ...aliasesFor(ARABIC_TO_ENGLISH_KEYWORD, row._id)
+      ])
+    }))
+  };
+
+  cache.set(INDEX_CACHE_KEY, index, INDEX_CACHE_TTL);
+  return index;
+};
+
+// Best matching index entries, most relevant then most listings first
+const matchIndexEntries = (entries, query) => entries
+  .map((entry) => ({ entry, score: matchScore(entry.aliases, query) }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => b.score - a.score || b.entry.count - a.entry.count)
+  .slice(0, MAX_PER_TYPE)
+  .map(({ entry }) => entry);
+
+const findAgents = (rawQuery) => {
+  const pattern = `(^|\\s)${escapeRegex(rawQuery)}`;
+  return User.find({
+    role: 'agent',
+    isBlocked: { $ne: true },
+    $or: [
+      { agentName: { $regex: pattern, $options: 'i' } },
+      { username: { $regex: pattern, $options: 'i' } },
+      { username_ar: { $regex: pattern, $options: 'i' } }
+    ]
+  })
+    .select('agentName username username_ar avatar company')
+    .limit(MAX_PER_TYPE)
+    .lean();
+};
+
+const findListingsByPropertyId = (rawQuery) => Listing.find({
+  ...PUBLIC_LISTING_QUERY,
+  propertyId: { $regex: `^${escapeRegex(rawQuery)}`, $options: 'i' }
+})
+  .select('propertyId slug slug_ar propertyType city neighborhood')
+  .sort({ propertyId: 1 })
+  .limit(MAX_PER_TYPE)
+  .lean();
+
+/**
+ * Suggestions for a (partial) search query
+ * @param {Object} params - { q, lng, limit }
+ * @returns {Promise<Object>} { query, suggestions: [{ type, value, label, count?, ... }] }
+ */
+const getSearchSuggestions = async ({ q, lng = 'en', limit }) => {
+  const rawQuery = String(q || '').trim().replace(/\s+/g, ' ').slice(0, MAX_QUERY_LENGTH);
+  const query = normalizeSuggestText(rawQuery);
+  const maxResults = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  if (!query) {
+    return { query: rawQuery, suggestions: [] };
+  }
+
+  const cacheKey = `suggest:${lng}:${maxResults}:${rawQuery.toLowerCase()}`;
+  const cached = cache.get(cacheKey);
+  if (cached) return cached;
+
+  const searchDb = rawQuery.length >= MIN_DB_QUERY_LENGTH;
+  const [index, agents, listings] = await Promise.all([
+    getSuggestionIndex(),
+    searchDb ? findAgents(rawQuery) : [],
+    searchDb ? findListingsByPropertyId(rawQuery) : []
+  ]);
+
+  const t = getTranslator(lng);
+  const translate = (group, value) => {
+    const key = `${group}.${value}`;
+    const translated = t(key);
+    return translated && translated !== key ? translated : value;
+  };
+  const isArabic = lng === 'ar';
+
+  const grouped = {
+    listing: listings.map((listing) => ({
+      type: 'listing',
+      value: listing.propertyId,
+      label: [listing.propertyId, translate('propertyType', listing.propertyType), listing.neighborhood, translate('cities', listing.city)]
+        .filter(Boolean)
+        .join(' · '),
+      id: listing._id.toString(),
+      slug: (isArabic && listing.slug_ar) || listing.slug || null
+    })),
+    city: matchIndexEntries(index.cities, query).map((city) => ({
+      type: 'city',
+      value: city.value,
+      label: translate('cities', city.value),
+      count: city.count
+    })),
+    neighborhood: matchIndexEntries(index.neighborhoods, query).map((neighborhood) => ({
+      type: 'neighborhood',
+      value: neighborhood.value,
+      label: (isArabic && neighborhood.value_ar) || neighborhood.value,
+      city: neighborhood.city,
+      count: neighborhood.count
+    })),
+    propertyType: matchIndexEntries(index.propertyTypes, query).map((type) => ({
+      type: 'propertyType',
+      value: type.value,
+      label: translate('propertyType', type.value),
+      count: type.count
+    })),
+    agent: agents.map((agent) => ({
+      type: 'agent',
+      value: agent._id.toString(),
+      label: (isArabic && agent.username_ar) || agent.agentName || agent.username,
+      avatar: agent.avatar || null,
+      company: agent.company || null
+    }))
+  };
+
+  // Round-robin over the types (in SUGGESTION_TYPES order) so one type cannot fill the whole list
+  const suggestions = [];
+  for (let i = 0; i < MAX_PER_TYPE && suggestions.length < maxResults; i++) {
+    for (const type of SUGGESTION_TYPES) {
+      if (grouped[type][i] && suggestions.length < maxResults) {
+        suggestions.push(grouped[type][i]);
+      }
+    }
+  }
+
+  const response = { query: rawQuery, suggestions };
+  cache.set(cacheKey, response, RESULT_CACHE_TTL);
+  return response;
+};
+
+module.exports = {
+  SUGGESTION_TYPES,
+  normalizeSuggestText,
+  getSearchSuggestions
+};
@@ -0,0 +1,248 @@
+/**
+ * Sitemaps and Structured Data
+ * XML sitemaps (sitemap index + paginated url sets) for approved listings, agents and
+ * published blog posts, with en/ar hreflang alternates, and schema.org RealEstateListing JSON-LD.
+ * Public page URLs point at the frontend (SITE_URL), e.g. https://aqaargate.com/ar/property/<slug_ar>
+ */
+
+const { i18next, getTranslator } = require('../i18n');
+const { translateListing } = require('./translateData');
+
+const SITE_URL = (process.env.SITE_URL || process.env.FRONTEND_URL || 'https://aqaargate.com').replace(/\/+$/, '');
+const DEFAULT_LANGUAGE = 'en';
+// Sitemap protocol allows 50,000 URLs per file; smaller pages keep each response fast
+const SITEMAP_PAGE_SIZE = parseInt(process.env.SITEMAP_PAGE_SIZE, 10) || 5000;
+const SITEMAP_TYPES = ['listings', 'agents', 'blogs'];
+
+// Frontend path of each public page type
+const PAGE_PATHS = {
+  listings: 'property',
+  agents: 'agents',
+  blogs: 'blog'
+};
+
+// Same visibility as the public search: approved, not deleted, not sold, not waiting for publishAt
+const PUBLIC_LISTING_QUERY = {
+  approvalStatus: 'approved',
+  isDeleted: { $ne: true },
+  isSold: { $ne: true },
+  isScheduled: { $ne: true }
+};
+const PUBLIC_AGENT_QUERY = { role: 'agent', isBlocked: { $ne: true } };
+const PUBLIC_BLOG_QUERY = { status: 'published' };
+
+/**
+ * Languages with a public version of every page (supportedLngs of the i18n setup)
+ * @returns {string[]} e.g. ['en', 'ar']
+ */
+const getSitemapLanguages = () => {
+  const supported = i18next.options?.supportedLngs || [DEFAULT_LANGUAGE];
+  return supported.filter((lng) => lng !== 'cimode');
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toW3CDate = (date) => {
+  const parsed = date ? new Date(date) : null;
+  return parsed && !isNaN(parsed.getTime()) ? parsed.toISOString() : undefined;
+};
+
+/**
+ * Public frontend URL of a page
+ * @param {string} type - listings | agents | blogs
+ * @param {string} lng - Language code
+ * @param {string} key - Slug or id of the page
+ * @returns {string} Absolute URL
+ */
+const buildPageUrl = (type, lng, key) => `${SITE_URL}/${lng}/${PAGE_PATHS[type]}/${encodeURIComponent(key)}`;
+
+/**
+ * Page URL per language (listings use their language's slug, falling back to the English slug, then the id)
+ * @param {string} type - listings | agents | blogs
+ * @param {Object} doc - Listing, agent (User) or blog document
+ * @returns {Object} { en: url, ar: url }
+ */
+const buildAlternates = (type, doc) => {
+  const alternates = {};
+  getSitemapLanguages().forEach((lng) => {
+    let key = String(doc._id);
+    if (type === 'listings') {
+      key = (lng === 'ar' && doc.slug_ar) || doc.slug || key;
+    }
+    alternates[lng] = buildPageUrl(type, lng, key);
+  });
+  return alternates;
+};
+
+/**
+ * One <url> entry per language version, each listing every version as hreflang alternate
+ * @param {string} type - listings | agents | blogs
+ * @param {Object} doc - Source document
+ * @param {Date} lastmod - Last modification date
+ * @returns {Array} [{ loc, lastmod, alternates }]
+ */
+const buildSitemapEntries = (type, doc, lastmod) => {
+  const alternates = buildAlternates(type, doc);
+  return Object.values(alternates).map((loc) => ({ loc, lastmod, alternates }));
+};
+
+/**
+ * Render a <urlset> sitemap
+ * @param {Array} entries - [{ loc, lastmod, alternates: { lng: url } }]
+ * @returns {string} XML
+ */
+const renderUrlSet = (entries) => {
+  const urls = entries.map((entry) => {
+    const lastmod = toW3CDate(entry.lastmod);
+    const links = Object.entries(entry.alternates || {}).map(([lng, href]) =>
+      `    <xhtml:link rel="alternate" hreflang="${lng}" href="${escapeXml(href)}"/>`
+    );
+    if (entry.alternates && entry.alternates[DEFAULT_LANGUAGE]) {
+      links.push(`    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeXml(entry.alternates[DEFAULT_LANGUAGE])}"/>`);
+    }
+    return [
+      '  <url>',
+      `    <loc>${escapeXml(entry.loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      ...links,
+      '  </url>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>'
+  ].join('\n');
+};
+
+/**
+ * Render a <sitemapindex>
+ * @param {Array} sitemaps - [{ loc, lastmod }]
+ * @returns {string} XML
+ */
+const renderSitemapIndex = (sitemaps) => {
+  const items = sitemaps.map((sitemap) => {
+    const lastmod = toW3CDate(sitemap.lastmod);
+    return [
+      '  <sitemap>',
+      `    <loc>${escapeXml(sitemap.loc)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+      '  </sitemap>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...items,
+    '</sitemapindex>'
+  ].join('\n');
+};
+
+// UN/CEFACT codes of our size units (feddan has none and is sent as unitText)
+const SIZE_UNIT_CODES = {
+  sqm: 'MTK',
+  sqft: 'FTK',
+  sqyd: 'YDK',
+  dunam: 'DAA' // decare = 1,000 m², same as a dunam
+};
+
+/**
+ * schema.org RealEstateListing JSON-LD of a listing
+ * @param {Object} listing - Listing (lean)
+ * @param {string} lng - Language of the texts (en | ar)
+ * @returns {Object} JSON-LD document
+ */
+const buildListingJsonLd = (listing, lng = DEFAULT_LANGUAGE) => {
+  const isArabic = lng === 'ar';
+  const translated = translateListing(listing, getTranslator(lng));
+  const alternates = buildAlternates('listings', listing);
+  const url = alternates[lng] || alternates[DEFAULT_LANGUAGE];
+
+  const description = isArabic
+    ? (listing.description_ar || listing.propertyDesc || listing.description)
+    : (listing.propertyDesc || listing.description || listing.description_ar);
+  const neighborhood = isArabic ? (listing.neighborhood_ar || listing.neighborhood) : listing.neighborhood;
+  const address = isArabic ? (listing.address_ar || listing.address) : (listing.address || listing.address_ar);
+  const name = [translated.propertyType, neighborhood, translated.city].filter(Boolean).join(isArabic ? ' - ' : ', ');
+  const images = (listing.images || []).map((image) => image && image.url).filter(Boolean);
+
+  const floorSize = listing.size ? {
+    '@type': 'QuantitativeValue',
+    value: listing.size,
+    ...(SIZE_UNIT_CODES[listing.sizeUnit || 'sqm'] ? { unitCode: SIZE_UNIT_CODES[listing.sizeUnit || 'sqm'] } : { unitText: listing.sizeUnit })
+  } : undefined;
+
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@type': 'RealEstateListing',
+    '@id': url,
+    url,
+    name,
+    description,
+    inLanguage: lng,
+    identifier: listing.propertyId,
+    datePosted: toW3CDate(listing.publishedAt || listing.createdAt),
+    dateModified: toW3CDate(listing.updatedAt),
+    image: images.length ? images : undefined,
+    offers: {
+      '@type': 'Offer',
+      price: listing.propertyPrice,
+      priceCurrency: listing.currency || 'USD',
+      businessFunction: listing.status === 'rent'
+        ? 'https://purl.org/goodrelations/v1#LeaseOut'
+        : 'https://purl.org/goodrelations/v1#Sell',
+      availability: listing.isSold ? 'https://schema.org/SoldOut' : 'https://schema.org/InStock',
+      ...(listing.status === 'rent' && translated.rentType ? { description: translated.rentType } : {})
+    },
+    about: {
+      '@type': 'Accommodation',
+      additionalType: listing.propertyType,
+      numberOfBedrooms: listing.bedrooms,
+      numberOfBathroomsTotal: listing.bathrooms,
+      floorSize,
+      yearBuilt: listing.yearBuilt,
+      amenityFeature: (listing.amenities || []).length
+        ? listing.amenities.map((amenity) => ({ '@type': 'LocationFeatureSpecification', name: amenity, value: true }))
+        : undefined,
+      address: {
+        '@type': 'PostalAddress',
+        streetAddress: address,
+        addressLocality: neighborhood ? `${neighborhood}, ${translated.city}` : translated.city,
+        addressRegion: translated.state || translated.city,
+        addressCountry: listing.country
+      },
+      geo: listing.location?.coordinates?.length === 2 ? {
+        '@type': 'GeoCoordinates',
+        latitude: listing.location.coordinates[1],
+        longitude: listing.location.coordinates[0]
+      } : undefined
+    }
+  };
+
+  // Drop empty values so the document only carries what the listing has
+  return JSON.parse(JSON.stringify(jsonLd));
+};
+
+module.exports = {
+  SITE_URL,
+  SITEMAP_PAGE_SIZE,
+  SITEMAP_TYPES,
+  PUBLIC_LISTING_QUERY,
+  PUBLIC_AGENT_QUERY,
+  PUBLIC_BLOG_QUERY,
+  getSitemapLanguages,
+  buildPageUrl,
+  buildAlternates,
+  buildSitemapEntries,
+  renderUrlSet,
+  renderSitemapIndex,
+  buildListingJsonLd
+};
@@ -0,0 +1,156 @@
+/**
+ * Listing Text Search
+ * MongoDB has no Arabic text analyzer, so listings keep normalized copies of their texts
+ * (searchText / searchText_ar) under a text index with language "none".
+ * The same normalization runs on the stored texts and on the user's keyword:
+ * - Arabic: diacritics and tatweel removed, أ/إ/آ -> ا, ة -> ه, ى -> ي, ؤ -> و, ئ -> ي, Arabic digits -> 0-9,
+ *   definite article / conjunction prefixes (ال، وال، بال، لل ...) stripped
+ * - English: lower case, accents removed, simple plural "s" stripped
+ * - stop words of both languages removed
+ */
+
+// English fields that feed searchText, Arabic fields that feed searchText_ar
+const SEARCH_TEXT_FIELDS = ['propertyKeyword', 'propertyDesc', 'description', 'address', 'neighborhood', 'notes'];
+const SEARCH_TEXT_AR_FIELDS = ['description_ar', 'address_ar', 'neighborhood_ar', 'notes_ar'];
+
+// Max stored length per field - long descriptions add little to matching
+const MAX_SEARCH_TEXT_LENGTH = 5000;
+
+const STOP_WORDS_EN = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'into', 'is', 'it', 'its',
+  'near', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'very', 'was', 'with', 'we', 'you', 'your',
+  'i', 'me', 'my', 'want', 'looking', 'need', 'find', 'show', 'any', 'some', 'all'
+]);
+
+// Stored already normalized (ة -> ه, ى -> ي, أ/إ -> ا)
+const STOP_WORDS_AR = new Set([
+  'في', 'من', 'الي', 'علي', 'عن', 'مع', 'او', 'و', 'ثم', 'هذا', 'هذه', 'ذلك', 'تلك', 'التي', 'الذي', 'الذين',
+  'هو', 'هي', 'هم', 'انا', 'نحن', 'انت', 'كل', 'بعض', 'اي', 'قد', 'لقد', 'كان', 'كانت', 'يكون', 'تكون',
+  'ان', 'لا', 'لم', 'لن', 'ما', 'ماذا', 'هل', 'عند', 'عندي', 'بين', 'حتي', 'اذا', 'لدي', 'فيه', 'فيها',
+  'بد', 'بدي', 'اريد', 'ابحث', 'ابي', 'جدا', 'قرب', 'قريب', 'يا', 'به', 'بها', 'له', 'لها', 'منه', 'منها'
+]);
+
+// Prefixes stripped from Arabic words (longest first): وال، بال، كال، فال، لل، ال
+const ARABIC_PREFIXES = ['وال', 'بال', 'كال', 'فال', 'لل', 'ال'];
+const MIN_STEM_LENGTH = 2;
+
+const ARABIC_INDIC_DIGITS = /[\u0660-\u0669]/g;
+const EASTERN_ARABIC_DIGITS = /[\u06F0-\u06F9]/g;
+
+/**
+ * Normalize Arabic letters: remove diacritics/tatweel and unify letter variants
+ * @param {string} text - Source text
+ * @returns {string} Normalized text
+ */
+const normalizeArabic = (text) => String(text || '')
+  .replace(/[\u064B-\u065F\u0670\u06D6-\u06ED]/g, '') // Diacritics (tashkeel) and Quranic marks
+  .replace(/\u0640/g, '') // Tatweel
+  .replace(/[\u0623\u0625\u0622\u0671]/g, '\u0627') // أ إ آ ٱ -> ا
+  .replace(/\u0629/g, '\u0647') // ة -> ه
+  .replace(/\u0649/g, '\u064A') // ى -> ي
+  .replace(/\u0624/g, '\u0648') // ؤ -> و
+  .replace(/\u0626/g, '\u064A') // ئ -> ي
+  .replace(ARABIC_INDIC_DIGITS, (digit) => String(digit.charCodeAt(0) - 0x0660))
+  .replace(EASTERN_ARABIC_DIGITS, (digit) => String(digit.charCodeAt(0) - 0x06F0));
+
+const stemToken = (token) => {
+  if (/[\u0600-\u06FF]/.test(token)) {
+    const prefix = ARABIC_PREFIXES.find((p) => token.startsWith(p) && token.length - p.length >= MIN_STEM_LENGTH);
+    return prefix ? token.slice(prefix.length) : token;
+  }
+  // apartments -> apartment, villas -> villa (but not "glass", "address")
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) {
+    return token.slice(0, -1);
+  }
+  return token;
+};
+
+const isStopWord = (token) => STOP_WORDS_EN.has(token) || STOP_WORDS_AR.has(token);
+
+/**
+ * Split text into normalized search tokens (stop words removed)
+ * @param {string} text - Source text (English and/or Arabic)
+ * @returns {string[]} Tokens
+ */
+const tokenizeSearchText = (text) => {
+  if (!text) return [];
+  // NFKD first: presentation forms and hamza letters decompose into base letter + mark, and the marks are removed
+  const normalized = normalizeArabic(String(text).normalize('NFKD'))
+    .replace(/[\u0300-\u036f]/g, '') // Latin accents
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0621-\u064A]+/g, ' ');
+
+  return normalized
+    .split(' ')
+    .filter(Boolean)
+    .filter((token) => !isStopWord(token))
+    .map(stemToken)
+    .filter((token) => token.length > 1 && !isStopWord(token));
+};
+
+const joinFields = (listing, fields) => {
+  const text = fields
+    .map((field) => listing[field])
+    .filter((value) => typeof value === 'string' && value.trim())
+    .map((value) => value.slice(0, MAX_SEARCH_TEXT_LENGTH))
+    .join(' ');
+  return tokenizeSearchText(text).join(' ');
+};
+
+/**
+ * Normalized search texts of a listing
+ * @param {Object} listing - Listing document or plain data
+ * @returns {Object} { searchText, searchText_ar }
+ */
+const buildSearchText = (listing) => ({
+  searchText: joinFields(listing || {}, SEARCH_TEXT_FIELDS),
+  searchText_ar: joinFields(listing || {}, SEARCH_TEXT_AR_FIELDS)
+});
+
+/**
+ * $text search string for a user keyword (terms are OR-ed and ranked by textScore)
+ * @param {string} keyword - Raw keyword
+ * @param {string[]} extraTerms - More terms to match, e.g. English translations of Arabic words
+ * @returns {string|null} Search string, or null if only stop words were given
+ */
+const buildTextSearchString = (keyword, extraTerms = []) => {
+  const tokens = [...tokenizeSearchText(keyword), ...extraTerms.flatMap(tokenizeSearchText)];
+  const unique = [...new Set(tokens)];
+  return unique.length > 0 ? unique.join(' ') : null;
+};
+
+/**
+ * Keyword condition requiring every token (as a word prefix) in the English or Arabic search text.
+ * $text alone matches ANY term; this keeps the "all words" semantics and also works in $geoNear pipelines.
+ * @param {string} keyword - Raw keyword
+ * @param {string[]} extraTerms - Alternatives accepted for the whole keyword (e.g. English translation)
+ * @returns {Object|null} MongoDB condition
+ */
+const buildTokenRegexCondition = (keyword, extraTerms = []) => {
+  const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const allTokens = (text) => {
+    const tokens = tokenizeSearchText(text);
+    if (tokens.length === 0) return null;
+    return {
+      $and: tokens.map((token) => ({
+        $or: [
+          { searchText: { $regex: `(^| )${escape(token)}` } },
+          { searchText_ar: { $regex: `(^| )${escape(token)}` } }
+        ]
+      }))
+    };
+  };
+  const alternatives = [keyword, ...extraTerms].map(allTokens).filter(Boolean);
+  if (alternatives.length === 0) return null;
+  return alternatives.length === 1 ? alternatives[0] : { $or: alternatives };
+};
+
+module.exports = {
+  SEARCH_TEXT_FIELDS,
+  SEARCH_TEXT_AR_FIELDS,
+  normalizeArabic,
+  tokenizeSearchText,
+  buildSearchText,
+  buildTextSearchString,
+  buildTokenRegexCondition
+};
@@ -1,6 +1,7 @@
 const multer = require('multer');
 const cloudinary = require('../utils/cloudinary');
 const logger = require('../utils/logger');
+const { hashImage } = require('../utils/duplicateDetection');
 
 // Magic bytes (file signatures) for image validation
 // These are the actual bytes at the start of image files
@@ -214,6 +215,7 @@ const uploadListingImagesMiddleware = async (req, res, next) => {
           publicId: result.public_id,
           url: result.secure_url,
           filename: file.originalname,
+          hash: hashImage(file.buffer),
           uploadedAt: new Date()
         });
 